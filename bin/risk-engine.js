@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Headless risk engine: runs an assessment JSON file (an exported assessment, or a bare inputs
+// object) through the same model and simulation as the calculator and prints the results.
+//
+//   risk-engine <assessment.json | -> [--format json|table] [--iterations N] [--seed N]
+//
+// Exit codes: 0 success, 1 invalid assessment, 2 usage or file error.
+
+const fs = require('fs');
+// The engine is written as ES modules for the React build; jiti loads it in plain Node
+const jiti = require('jiti')(__filename);
+
+const { ENGINE_VERSION, assessRisk, readAssessment, summarizeAssessment, formatAssessmentTable } = jiti('../src/engine');
+
+const USAGE = 'Usage: risk-engine <assessment.json | -> [--format json|table] [--iterations N] [--seed N]';
+
+const parseArgs = (args) => {
+  const options = { file: null, format: 'json', simulation: {} };
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--iterations' || arg === '--seed') {
+      const value = Number(args[++i]);
+      if (!Number.isInteger(value) || value < (arg === '--iterations' ? 1 : 0)) {
+        throw new Error(`${arg} must be a ${arg === '--iterations' ? 'positive' : 'non-negative'} whole number`);
+      }
+      options.simulation[arg.slice(2)] = value;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (options.file === null) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  if (!['json', 'table'].includes(options.format)) throw new Error('--format must be json or table');
+  return options;
+};
+
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!options.file) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(options.file === '-' ? 0 : options.file, 'utf8');
+  } catch (error) {
+    console.error(`Could not read ${options.file}: ${error.message}`);
+    return 2;
+  }
+
+  const assessment = readAssessment(text);
+  const { results, errors } = assessment.errors ? assessment : assessRisk(assessment.inputs, options.simulation);
+  if (errors) {
+    console.error('Invalid assessment:');
+    Object.entries(errors).forEach(([field, message]) => console.error(`  ${field}: ${message}`));
+    return 1;
+  }
+
+  const summary = summarizeAssessment(results);
+  if (options.format === 'table') {
+    console.log(formatAssessmentTable(assessment.name, summary));
+  } else {
+    console.log(JSON.stringify({ engineVersion: ENGINE_VERSION, name: assessment.name, results: summary }, null, 2));
+  }
+  return 0;
+};
+
+process.exitCode = main();
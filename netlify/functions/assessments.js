@@ -0,0 +1,159 @@
+// Server-side assessments, shared by everyone in an organization.
+//
+//   GET    /api/assessments       list the organization's assessments, without their version history
+//   POST   /api/assessments       create one from { name, inputs }
+//   GET    /api/assessments/:id   read one, with its version history
+//   PUT    /api/assessments/:id   create or replace one under a client-chosen id
+//   DELETE /api/assessments/:id   delete one (its creator or an organization admin only)
+//
+// Callers must be organization members (see netlify/lib/api.js). Error bodies are `{ code, message }`,
+// with `errors` keyed by field path when the assessment itself is invalid.
+//
+// Each save that changes an assessment appends a version to its `versions` history, attributed to the
+// caller (see src/assessments/assessmentHistory.js). Clients can't write history themselves: the
+// results `summary` is recomputed here from the inputs (see readAssessment), and deleting an assessment only marks it
+// deleted (`deletedAt`, `deletedBy`), so its history stays in the store for audits.
+
+const crypto = require('crypto');
+const { respond, fail, parseBody, currentMember } = require('../lib/api');
+const { createRecordStore } = require('../lib/recordStores');
+const { validateAssessmentInputs } = require('../../src/assessments/inputSchema');
+const { DEFAULT_INPUTS } = require('../../src/model/riskModel');
+const { assessRisk } = require('../../src/engine');
+const { summarizeResults } = require('../../src/assessments/compareAssessments');
+const { recordVersion } = require('../../src/assessments/assessmentHistory');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const MAX_NAME_LENGTH = 200;
+// Far more than an assessment with as many scenarios and controls as validation allows
+const MAX_BODY_BYTES = 256 * 1024;
+// Simulated years behind a saved summary: enough for its headline numbers, and fewer than the
+// calculator's so every save stays quick
+const SUMMARY_ITERATIONS = 2000;
+
+// The id after `assessments/` in either the /api rewrite or the direct function path; '' for the collection
+const parsePath = (eventPath = '') => {
+  const match = eventPath.match(/\/assessments(?:\/([^/]*))?\/?$/);
+  return match ? decodeURIComponent(match[1] || '') : null;
+};
+
+// `{ name, inputs, summary }` from a request body, or `{ errors }` keyed by field path. The summary is
+// the calculator's seeded simulation of the inputs over SUMMARY_ITERATIONS years.
+const readAssessment = (body) => {
+  if (!body || typeof body !== 'object') return { errors: { body: 'An assessment object is required' } };
+
+  const errors = {};
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    errors.name = `Name must be between 1 and ${MAX_NAME_LENGTH} characters`;
+  }
+  // Inputs saved before a field existed get its default, as when the calculator opens them
+  const inputs = body.inputs && typeof body.inputs === 'object' ? { ...DEFAULT_INPUTS, ...body.inputs } : null;
+  if (!inputs) {
+    errors.inputs = 'Assessment inputs are missing';
+  } else {
+    Object.entries(validateAssessmentInputs(inputs)).forEach(([path, message]) => {
+      errors[`inputs.${path}`] = message;
+    });
+  }
+  if (Object.keys(errors).length) return { errors };
+
+  return { assessment: { name, inputs, summary: summarizeResults(assessRisk(inputs, { iterations: SUMMARY_ITERATIONS }).results) } };
+};
+
+const toRecord = (id, assessment, member, existing, now) => recordVersion({
+  id,
+  ...assessment,
+  createdAt: existing ? existing.createdAt : now,
+  createdBy: existing ? existing.createdBy : member.email,
+  createdById: existing ? existing.createdById : member.id,
+  updatedAt: now,
+  updatedBy: member.email,
+  versions: existing ? existing.versions || [] : []
+}, { savedBy: member.email, savedAt: now });
+
+const generateId = () => `assessment-${crypto.randomUUID()}`;
+
+// List entries leave out the history, which only the single-assessment read returns
+const withoutVersions = ({ versions, ...record }) => record;
+
+const createHandler = ({
+  createStore = () => createRecordStore('assessments'),
+  now = () => new Date()
+} = {}) => async (event, context) => {
+  const { member, error } = currentMember(context);
+  if (error) return error;
+
+  const id = parsePath(event.path);
+  if (id === null || (id && !ID_PATTERN.test(id))) return fail(404, 'not_found', 'No such assessment.');
+
+  let body;
+  if (event.httpMethod === 'POST' || event.httpMethod === 'PUT') {
+    const parsed = parseBody(event, MAX_BODY_BYTES);
+    if (parsed.error) return parsed.error;
+    body = parsed.body;
+  }
+
+  let store;
+  try {
+    store = createStore();
+    if (store.connect) store.connect(event);
+  } catch (e) {
+    console.error('Could not open the assessment store:', e);
+    return fail(500, 'configuration_error', 'Saved assessments are unavailable right now.');
+  }
+
+  const { organization } = member;
+  const timestamp = now().toISOString();
+
+  try {
+    if (!id) {
+      if (event.httpMethod === 'GET') {
+        const records = (await store.list(organization)).filter(record => !record.deletedAt);
+        records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        return respond(200, { assessments: records.map(withoutVersions) });
+      }
+      if (event.httpMethod === 'POST') {
+        const { assessment, errors } = readAssessment(body);
+        if (errors) return fail(422, 'invalid_assessment', 'The assessment is not valid.', { errors });
+        const record = await store.put(organization, toRecord(generateId(), assessment, member, null, timestamp));
+        return respond(201, record);
+      }
+      return fail(405, 'method_not_allowed', `${event.httpMethod} is not supported here.`);
+    }
+
+    const stored = await store.get(organization, id);
+    const existing = stored && !stored.deletedAt ? stored : null;
+
+    if (event.httpMethod === 'GET') {
+      return existing ? respond(200, existing) : fail(404, 'not_found', 'No such assessment.');
+    }
+    if (event.httpMethod === 'PUT') {
+      // A deleted assessment's id stays taken, so a stale copy can't overwrite its history
+      if (stored && stored.deletedAt) return fail(410, 'deleted', `This assessment was deleted by ${stored.deletedBy}.`);
+      const { assessment, errors } = readAssessment(body);
+      if (errors) return fail(422, 'invalid_assessment', 'The assessment is not valid.', { errors });
+      const record = toRecord(id, assessment, member, existing, timestamp);
+      // Saving unchanged content again leaves the record, and its history, as it was
+      if (existing && record.versions.length === (existing.versions || []).length) return respond(200, existing);
+      await store.put(organization, record);
+      return respond(existing ? 200 : 201, record);
+    }
+    if (event.httpMethod === 'DELETE') {
+      if (!existing) return fail(404, 'not_found', 'No such assessment.');
+      if (existing.createdById !== member.id && !member.isAdmin) {
+        return fail(403, 'forbidden', 'Only the assessment\'s creator or an organization admin can delete it.');
+      }
+      await store.put(organization, { ...existing, deletedAt: timestamp, deletedBy: member.email });
+      return respond(204);
+    }
+    return fail(405, 'method_not_allowed', `${event.httpMethod} is not supported here.`);
+  } catch (e) {
+    console.error('Assessment store request failed:', e);
+    return fail(503, 'storage_unavailable', 'Saved assessments could not be reached. Please try again shortly.');
+  }
+};
+
+exports.SUMMARY_ITERATIONS = SUMMARY_ITERATIONS;
+exports.createHandler = createHandler;
+exports.handler = createHandler();
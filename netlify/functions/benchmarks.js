@@ -0,0 +1,69 @@
+// The organization's peer benchmark dataset, which replaces the one bundled with the app.
+//
+//   GET    /api/benchmarks      { dataset }: the organization's dataset, or null when it uses the built-in one
+//   PUT    /api/benchmarks      replace the organization's dataset (admins)
+//   DELETE /api/benchmarks      go back to the built-in dataset (admins)
+//
+// Callers must be organization members (see netlify/lib/api.js); "admins" are the organization's admins.
+
+const { respond, fail, parseBody, currentMember } = require('../lib/api');
+const { createRecordStore } = require('../lib/recordStores');
+const { validateBenchmarkDataset, toBenchmarkDataset } = require('../../src/benchmarks/peerBenchmarks');
+
+// Each organization has at most one dataset, stored under this id
+const DATASET_ID = 'dataset';
+
+const METHODS = ['GET', 'PUT', 'DELETE'];
+
+const createHandler = ({
+  createStore = () => createRecordStore('benchmarks'),
+  now = () => new Date()
+} = {}) => async (event, context) => {
+  const { member, error } = currentMember(context);
+  if (error) return error;
+
+  if (!/\/benchmarks\/?$/.test(event.path || '')) return fail(404, 'not_found', 'No such resource.');
+  if (!METHODS.includes(event.httpMethod)) return fail(405, 'method_not_allowed', `${event.httpMethod} is not supported here.`);
+  if (event.httpMethod !== 'GET' && !member.isAdmin) return fail(403, 'forbidden', 'Only organization admins can do this.');
+
+  let body = {};
+  if (event.httpMethod === 'PUT') {
+    const parsed = parseBody(event);
+    if (parsed.error) return parsed.error;
+    body = parsed.body || {};
+  }
+
+  let store;
+  try {
+    store = createStore();
+    if (store.connect) store.connect(event);
+  } catch (e) {
+    console.error('Could not open the benchmark store:', e);
+    return fail(500, 'configuration_error', 'Benchmarks are unavailable right now.');
+  }
+
+  const { organization } = member;
+  try {
+    if (event.httpMethod === 'GET') {
+      const record = await store.get(organization, DATASET_ID);
+      return respond(200, { dataset: record ? { ...toBenchmarkDataset(record), updatedAt: record.updatedAt, updatedBy: record.updatedBy } : null });
+    }
+    if (event.httpMethod === 'DELETE') {
+      await store.remove(organization, DATASET_ID);
+      return respond(204);
+    }
+
+    const dataset = toBenchmarkDataset(body);
+    const errors = validateBenchmarkDataset(dataset);
+    if (Object.keys(errors).length > 0) return fail(422, 'invalid_dataset', 'The benchmark dataset is invalid.', { errors });
+    const record = { id: DATASET_ID, ...dataset, updatedAt: now().toISOString(), updatedBy: member.email };
+    await store.put(organization, record);
+    return respond(200, { dataset: { ...dataset, updatedAt: record.updatedAt, updatedBy: record.updatedBy } });
+  } catch (e) {
+    console.error('Benchmark store request failed:', e);
+    return fail(503, 'storage_unavailable', 'Benchmarks could not be reached. Please try again shortly.');
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
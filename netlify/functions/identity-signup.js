@@ -1,24 +1,63 @@
-// Assign the `subscriber` role automatically on signup/accept-invite
-// Netlify triggers this function on Identity signup events.
+// Decide who may join on signup/accept-invite and with which role.
+// Netlify triggers this function on Identity signup events; any status other than 200 blocks the
+// signup, and the JSON body carries the reason. Members get the `subscriber` role the site's
+// redirects require, `admin` or `analyst`, and their organization id in app_metadata.
 
-exports.handler = async (event) => {
+const { ACCESS_ROLE, loadOrganizations, findOrganization, evaluateSignup } = require('../lib/organizations');
+const { countOrganizationMembers } = require('../lib/identityUsers');
+
+const reject = (statusCode, code, message) => ({
+  statusCode,
+  body: JSON.stringify({ code, message })
+});
+
+// Dependencies are injectable so the local runner (netlify/local/signup.js) can use stand-ins
+const createHandler = ({
+  getOrganizations = () => loadOrganizations(),
+  countMembers = countOrganizationMembers,
+  now = () => new Date()
+} = {}) => async (event, context) => {
+  let user;
   try {
     const payload = JSON.parse(event.body || '{}');
-    const user = payload && (payload.user || payload);
-
-    // You can enforce domain checks or paid status here if needed
-    // For now, everyone who signs up gets the subscriber role
-
-    return {
-      statusCode: 200,
-      body: JSON.stringify({
-        app_metadata: {
-          roles: ['subscriber']
-        }
-      })
-    };
+    user = payload && (payload.user || payload);
+  } catch (e) {
+    return reject(400, 'invalid_payload', 'The signup event could not be read.');
+  }
+
+  let organization;
+  try {
+    organization = findOrganization(getOrganizations(), user && user.email);
   } catch (e) {
-    return { statusCode: 200, body: JSON.stringify({}) };
+    console.error('Could not load organizations:', e);
+    return reject(500, 'configuration_error', 'Sign-ups are unavailable while the organization settings are fixed.');
   }
+
+  let memberCount = 0;
+  if (organization && Number.isInteger(organization.seats)) {
+    try {
+      memberCount = await countMembers(context, organization.id, user && user.id);
+    } catch (e) {
+      console.error('Could not count organization members:', e);
+      return reject(503, 'seat_check_failed', 'Seat availability could not be checked. Please try again shortly.');
+    }
+  }
+
+  const decision = evaluateSignup({ user, organization, memberCount, now: now() });
+  if (decision.error) {
+    return reject(403, decision.error.code, decision.error.message);
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      app_metadata: {
+        roles: [ACCESS_ROLE, decision.role],
+        organization: decision.organization.id
+      }
+    })
+  };
 };
 
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,344 @@
+// Simulated phishing emails for the organization, and the tracked links in them.
+//
+//   GET    /api/simulations                    every simulation with its deliveries, and the summary (admins)
+//   GET    /api/simulations/summary            the organization's click, submission and report rates
+//   GET    /api/simulations/phished?scenario=  a scenario the caller was sent, with its red flags, for the trainer
+//   PUT    /api/simulations/:id                create or replace a simulation that hasn't been sent (admins)
+//   DELETE /api/simulations/:id                delete a simulation and disable its links (admins)
+//   POST   /api/simulations/:id/send           email the next SEND_BATCH recipients still to be reached (admins)
+//   POST   /api/simulations/:id/reports        record which recipients reported it, from { emails } (admins)
+//   GET    /l/:token                           a recipient's link: records the click, then the landing page
+//   POST   /l/:token                           the landing page's sign-in form: records the submission
+//
+// The /l/ routes are public and identify the recipient by the link's token only; the form's fields have
+// no names, so the browser never sends what was typed into them. Both end in the trainer, on the
+// scenario the recipient fell for. Everything else requires an organization member (see netlify/lib/api.js).
+//
+// Recipients must be at one of the organization's email domains (see netlify/lib/organizations.js),
+// so the site can't be used to send phishing emails anywhere else.
+//
+// Each click, submission and report is kept as its own record in the events store, written once, so
+// recording one never rewrites the simulation: a send in progress or another click can't overwrite it.
+// The deliveries returned carry them as `clickedAt`, `submittedAt` and `reportedAt`.
+//
+// Mail goes through the transport MAIL_TRANSPORT picks (see netlify/lib/mailTransports), from MAIL_FROM
+// with the scenario's sender as the display name; links point at URL, the site's address.
+
+const crypto = require('crypto');
+const { respond, fail, parseBody, currentMember } = require('../lib/api');
+const { createRecordStore } = require('../lib/recordStores');
+const { createMailTransport } = require('../lib/mailTransports');
+const { loadOrganizations } = require('../lib/organizations');
+const { installedScenarios } = require('../../src/phishing/contentPacks');
+const {
+  SIMULATION_PARAM,
+  simulationScenarios,
+  validateSimulation,
+  recipientsOutside,
+  toSimulation,
+  formatSimulationEmail,
+  summarizeSimulations
+} = require('../../src/phishing/phishingSimulations');
+const { normalizeEmail } = require('../../src/shared/values');
+
+// Recipients emailed per send request, so a request finishes within the function time limit
+const SEND_BATCH = 50;
+
+// Link tokens are looked up without an organization, so they share one partition of their store
+const LINK_PARTITION = 'links';
+
+// `{ route, id }` from `simulations[/<id>[/<action>]]` in either the /api rewrite or the direct function
+// path, or from a `/l/<token>` link; the route names the id as `:id` or `:token`
+const parsePath = (eventPath = '') => {
+  const link = eventPath.match(/^\/l\/([^/]+)\/?$/) || eventPath.match(/\/simulations\/track\/([^/]+)\/?$/);
+  if (link) return { route: 'track/:token', id: decodeURIComponent(link[1]) };
+  const match = eventPath.match(/\/simulations(?:\/([^/]+)(?:\/([^/]+))?)?\/?$/);
+  if (!match) return { route: null, id: '' };
+  const [, id, action] = match;
+  if ((id === 'summary' || id === 'phished') && !action) return { route: id, id: '' };
+  const route = ['simulations', id && ':id', action].filter(Boolean).join('/');
+  return { route, id: id ? decodeURIComponent(id) : '' };
+};
+
+// Methods per route, and whether only admins, or anyone at all (the links), may use them
+const ROUTES = {
+  simulations: { methods: ['GET'], admin: true },
+  summary: { methods: ['GET'] },
+  phished: { methods: ['GET'] },
+  'simulations/:id': { methods: ['PUT', 'DELETE'], admin: true },
+  'simulations/:id/send': { methods: ['POST'], admin: true },
+  'simulations/:id/reports': { methods: ['POST'], admin: true },
+  'track/:token': { methods: ['GET', 'POST'], public: true }
+};
+
+const page = (statusCode, title, body) => ({
+  statusCode,
+  headers: { 'content-type': 'text/html; charset=utf-8', 'cache-control': 'no-store', 'referrer-policy': 'no-referrer', 'x-robots-tag': 'noindex' },
+  body: `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>`
+    + `<body style="font-family:Arial,sans-serif;background:#f3f4f6;margin:0">${body}</body></html>`
+});
+
+const redirect = (statusCode, location) => ({ statusCode, headers: { location, 'cache-control': 'no-store' }, body: '' });
+
+// The inputs have no name attribute, so submitting the form sends nothing typed into it
+const SIGN_IN_PAGE = `<form method="post" style="max-width:320px;margin:80px auto;background:#fff;padding:32px;border-radius:8px;box-shadow:0 1px 4px rgba(0,0,0,.15)">
+<h1 style="font-size:20px;margin:0 0 24px">Sign in to continue</h1>
+<label style="display:block;font-size:13px;margin-bottom:12px">Email<input type="email" autocomplete="off" style="display:block;width:100%;box-sizing:border-box;margin-top:4px;padding:8px"></label>
+<label style="display:block;font-size:13px;margin-bottom:20px">Password<input type="password" autocomplete="off" style="display:block;width:100%;box-sizing:border-box;margin-top:4px;padding:8px"></label>
+<button type="submit" style="width:100%;padding:10px;background:#2563eb;color:#fff;border:0;border-radius:4px">Sign in</button>
+</form>`;
+
+const notice = (text) => `<p style="max-width:420px;margin:80px auto;text-align:center;color:#374151">${text}</p>`;
+
+// Deliveries without their link tokens, which only the recipients may know
+const withoutTokens = (simulation) => ({
+  ...simulation,
+  deliveries: Object.fromEntries(Object.entries(simulation.deliveries || {}).map(([email, { token, ...delivery }]) => [email, delivery]))
+});
+
+// Delivery fields for each event type
+const EVENT_FIELDS = { clicked: 'clickedAt', submitted: 'submittedAt', reported: 'reportedAt' };
+
+const eventId = (simulationId, email, type) => `${simulationId}/${email}/${type}`;
+
+// The simulation with its recorded events on its deliveries
+const withEvents = (simulation, events) => {
+  const deliveries = { ...simulation.deliveries };
+  events.filter(recorded => recorded.simulationId === simulation.id && deliveries[recorded.email]).forEach(recorded => {
+    const field = EVENT_FIELDS[recorded.type];
+    deliveries[recorded.email] = { ...deliveries[recorded.email], [field]: deliveries[recorded.email][field] || recorded.at };
+  });
+  return { ...simulation, deliveries };
+};
+
+const byCreated = (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '') || a.name.localeCompare(b.name);
+
+const createHandler = ({
+  createStore = () => createRecordStore('phishingSimulations'),
+  createPackStore = () => createRecordStore('trainingPacks'),
+  createLinkStore = () => createRecordStore('phishingLinks'),
+  createEventStore = () => createRecordStore('phishingEvents'),
+  createTransport = () => createMailTransport(),
+  getOrganizations = () => loadOrganizations(),
+  mailFrom = process.env.MAIL_FROM,
+  siteUrl = process.env.URL,
+  now = () => new Date()
+} = {}) => async (event, context) => {
+  const { route, id } = parsePath(event.path);
+  const rules = ROUTES[route];
+  if (!rules) return fail(404, 'not_found', 'No such resource.');
+  if (!rules.methods.includes(event.httpMethod)) return fail(405, 'method_not_allowed', `${event.httpMethod} is not supported here.`);
+
+  let member = null;
+  if (!rules.public) {
+    const caller = currentMember(context);
+    if (caller.error) return caller.error;
+    member = caller.member;
+    if (rules.admin && !member.isAdmin) return fail(403, 'forbidden', 'Only organization admins can do this.');
+  }
+
+  let body = {};
+  if (!rules.public && (event.httpMethod === 'POST' || event.httpMethod === 'PUT')) {
+    const parsed = parseBody(event);
+    if (parsed.error) return parsed.error;
+    body = parsed.body || {};
+  }
+
+  let store;
+  let packStore;
+  let linkStore;
+  let eventStore;
+  try {
+    store = createStore();
+    packStore = createPackStore();
+    linkStore = createLinkStore();
+    eventStore = createEventStore();
+    [store, packStore, linkStore, eventStore].forEach(opened => opened.connect && opened.connect(event));
+  } catch (e) {
+    console.error('Could not open the simulation stores:', e);
+    return rules.public ? page(500, 'Unavailable', notice('This page is unavailable right now.')) : fail(500, 'configuration_error', 'Simulated phishing is unavailable right now.');
+  }
+
+  // Only the first event of each type per recipient is kept
+  const recordEvent = async (organization, simulationId, email, type) => {
+    const recordId = eventId(simulationId, email, type);
+    if (!(await eventStore.get(organization, recordId))) {
+      await eventStore.put(organization, { id: recordId, simulationId, email, type, at: now().toISOString() });
+    }
+  };
+
+  const listWithEvents = async (organization) => {
+    const [simulations, events] = await Promise.all([store.list(organization), eventStore.list(organization)]);
+    return simulations.map(simulation => withEvents(simulation, events));
+  };
+
+  const oneWithEvents = async (organization, simulation) => withEvents(simulation, await eventStore.list(organization));
+
+  const scenariosFor = async (organization) => simulationScenarios(installedScenarios(await packStore.list(organization)));
+
+  // The email domains of the caller's organization, or an error response when the settings can't be read
+  const domainsFor = (organization) => {
+    try {
+      const settings = getOrganizations().find(candidate => candidate.id === organization);
+      return { domains: settings ? settings.domains : [] };
+    } catch (e) {
+      console.error('Could not load organizations:', e);
+      return { error: fail(500, 'configuration_error', 'Simulated phishing is unavailable while the organization settings are fixed.') };
+    }
+  };
+
+  try {
+    if (route === 'track/:token') {
+      // Links end in the trainer on the site's own address, never one taken from the request's headers
+      if (!siteUrl) {
+        console.error('URL must be set to follow simulation links');
+        return page(500, 'Unavailable', notice('This page is unavailable right now.'));
+      }
+      // A link is stored just before its email goes out and removed if that fails or the simulation is
+      // deleted, so it is good while the send that made it is still writing the deliveries
+      const link = await linkStore.get(LINK_PARTITION, id);
+      const simulation = link && (await store.get(link.organization, link.simulationId));
+      if (!simulation) return page(404, 'Link expired', notice('This link has expired.'));
+
+      // The form is only reached through the link, so a submission is a click too
+      const submitted = event.httpMethod === 'POST';
+      await recordEvent(link.organization, simulation.id, link.email, 'clicked');
+      if (submitted) await recordEvent(link.organization, simulation.id, link.email, 'submitted');
+
+      if (!submitted && simulation.landing === 'credentials') return page(200, 'Sign in', SIGN_IN_PAGE);
+      return redirect(submitted ? 303 : 302, `${siteUrl.replace(/\/$/, '')}/?${SIMULATION_PARAM}=${encodeURIComponent(simulation.scenarioKey)}`);
+    }
+
+    const { organization } = member;
+
+    if (route === 'summary') return respond(200, summarizeSimulations(await listWithEvents(organization)));
+
+    // Members see scenarios without their answers (see training.js), except one they were sent
+    if (route === 'phished') {
+      const scenarioKey = (event.queryStringParameters || {}).scenario;
+      const email = normalizeEmail(member.email);
+      const sent = (await store.list(organization)).some(simulation => simulation.scenarioKey === scenarioKey
+        && simulation.deliveries && simulation.deliveries[email] && simulation.deliveries[email].sentAt);
+      const scenario = sent && (await scenariosFor(organization)).find(candidate => candidate.key === scenarioKey);
+      return scenario ? respond(200, { scenario }) : fail(404, 'not_found', 'No simulated phishing email of this scenario was sent to you.');
+    }
+
+    if (route === 'simulations') {
+      const simulations = await listWithEvents(organization);
+      return respond(200, { simulations: simulations.sort(byCreated).map(withoutTokens), summary: summarizeSimulations(simulations) });
+    }
+
+    const existing = await store.get(organization, id);
+
+    if (route === 'simulations/:id') {
+      if (event.httpMethod === 'DELETE') {
+        if (!existing) return fail(404, 'not_found', 'No such simulation.');
+        const tokens = Object.values(existing.deliveries || {}).map(delivery => delivery.token).filter(Boolean);
+        // One at a time: stores read and rewrite their partition, so concurrent removals would race
+        for (const token of tokens) {
+          await linkStore.remove(LINK_PARTITION, token);
+        }
+        const events = (await eventStore.list(organization)).filter(recorded => recorded.simulationId === id);
+        for (const recorded of events) {
+          await eventStore.remove(organization, recorded.id);
+        }
+        await store.remove(organization, id);
+        return respond(204);
+      }
+      if (existing && existing.sentAt) return fail(409, 'already_sent', 'A simulation can\'t be changed once it has been sent.');
+      const { domains, error } = domainsFor(organization);
+      if (error) return error;
+      const simulation = toSimulation({ ...body, id });
+      const errors = validateSimulation(simulation, (await scenariosFor(organization)).map(scenario => scenario.key), domains);
+      if (Object.keys(errors).length > 0) return fail(422, 'invalid_simulation', 'The simulation is invalid.', { errors });
+      const timestamp = now().toISOString();
+      return respond(existing ? 200 : 201, withoutTokens(await store.put(organization, {
+        ...simulation,
+        sentAt: null,
+        deliveries: {},
+        createdAt: existing ? existing.createdAt : timestamp,
+        createdBy: existing ? existing.createdBy : member.email,
+        updatedAt: timestamp,
+        updatedBy: member.email
+      })));
+    }
+
+    if (!existing) return fail(404, 'not_found', 'No such simulation.');
+
+    if (route === 'simulations/:id/reports') {
+      if (!Array.isArray(body.emails) || !body.emails.every(email => typeof email === 'string')) {
+        return fail(422, 'invalid_reports', 'Send the reporting recipients as a list of emails.', { errors: { emails: 'Must be a list of emails' } });
+      }
+      const unknown = [];
+      for (const email of [...new Set(body.emails.map(normalizeEmail))]) {
+        const delivery = existing.deliveries[email];
+        if (!delivery || !delivery.sentAt) unknown.push(email);
+        else await recordEvent(organization, id, email, 'reported');
+      }
+      return respond(200, { simulation: withoutTokens(await oneWithEvents(organization, existing)), unknown });
+    }
+
+    // simulations/:id/send: recipients never reached, or whose email failed, in batches
+    const scenario = (await scenariosFor(organization)).find(candidate => candidate.key === existing.scenarioKey);
+    if (!scenario) return fail(409, 'scenario_missing', 'The simulation\'s email scenario is no longer installed.');
+    const { domains, error } = domainsFor(organization);
+    if (error) return error;
+    // Checked again on sending, in case the organization's domains changed since the simulation was saved
+    const outside = recipientsOutside(existing.recipients, domains);
+    let transport;
+    try {
+      if (!mailFrom || !siteUrl) throw new Error('MAIL_FROM and URL must be set');
+      transport = createTransport();
+    } catch (e) {
+      console.error('Could not open the mail transport:', e);
+      return fail(500, 'configuration_error', 'Email sending is not configured.');
+    }
+
+    const pending = existing.recipients.filter(email => !existing.deliveries[email] || existing.deliveries[email].error);
+    const deliveries = { ...existing.deliveries };
+    let sent = 0;
+    try {
+      for (const email of pending.slice(0, SEND_BATCH)) {
+        if (outside.includes(email)) {
+          deliveries[email] = { token: null, sentAt: null, error: 'Not at one of the organization\'s email domains', clickedAt: null, submittedAt: null, reportedAt: null };
+          continue;
+        }
+        const token = crypto.randomBytes(18).toString('base64url');
+        await linkStore.put(LINK_PARTITION, { id: token, organization, simulationId: existing.id, email });
+        const message = formatSimulationEmail(scenario, `${siteUrl.replace(/\/$/, '')}/l/${token}`);
+        try {
+          await transport.send({
+            from: { name: message.senderName, address: mailFrom },
+            to: email,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            headers: { 'X-Simulation-Id': existing.id }
+          });
+          deliveries[email] = { token, sentAt: now().toISOString(), error: null, clickedAt: null, submittedAt: null, reportedAt: null };
+          sent += 1;
+        } catch (e) {
+          await linkStore.remove(LINK_PARTITION, token);
+          deliveries[email] = { token: null, sentAt: null, error: e.message, clickedAt: null, submittedAt: null, reportedAt: null };
+        }
+      }
+    } finally {
+      if (transport.close) await transport.close();
+    }
+
+    const stored = await store.put(organization, {
+      ...existing,
+      sentAt: existing.sentAt || (sent > 0 ? now().toISOString() : null),
+      deliveries
+    });
+    const remaining = existing.recipients.filter(email => !deliveries[email] || deliveries[email].error).length;
+    return respond(200, { simulation: withoutTokens(await oneWithEvents(organization, stored)), sent, failed: Math.min(pending.length, SEND_BATCH) - sent, remaining });
+  } catch (e) {
+    console.error('Simulation store request failed:', e);
+    if (rules.public) return page(503, 'Unavailable', notice('This page is unavailable right now.'));
+    return fail(503, 'storage_unavailable', 'Simulated phishing could not be reached. Please try again shortly.');
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,239 @@
+// Phishing awareness trainer results, content packs and campaigns, per member and for the organization.
+//
+//   POST   /api/training/sessions                 start a session of scenarios for the caller, from { campaignId? }
+//   POST   /api/training/sessions/:id/answers     answer one of the session's scenarios, from { scenarioKey, answer }
+//   GET    /api/training/attempts                 the caller's attempts, oldest first
+//   POST   /api/training/attempts                 score and record the answered session, from { sessionId }
+//   GET    /api/training/summary                  the organization's pass rate over members' latest attempts
+//   GET    /api/training/packs                    the organization's content packs (the built-in pack is not listed),
+//                                                 without the answers unless the caller is an admin
+//   PUT    /api/training/packs/:id                create or replace a content pack (admins)
+//   DELETE /api/training/packs/:id                delete a content pack no campaign uses (admins)
+//   GET    /api/training/campaigns                every campaign for admins, otherwise the caller's, with the caller's progress
+//   PUT    /api/training/campaigns/:id            create or replace a campaign (admins)
+//   DELETE /api/training/campaigns/:id            delete a campaign (admins)
+//   POST   /api/training/campaigns/:id/start      record that the caller started an assigned campaign
+//   GET    /api/training/report                   the managers' dashboard: campaign progress, missed red flags, repeat offenders (admins)
+//
+// The server picks each session's scenarios from the built-in and the organization's packs (only the
+// campaign's pack for a campaign session) and hands them out without their answers. Each answer is
+// kept once given, as the reply reveals the scenario's, and the attempt is scored from the kept
+// answers, so a browser can neither report its own score nor choose the scenarios it is scored on.
+// A member has one session at a time; starting another abandons the last. Callers must be
+// organization members (see netlify/lib/api.js); "admins" are the organization's admins.
+
+const crypto = require('crypto');
+const { respond, fail, parseBody, currentMember } = require('../lib/api');
+const { createRecordStore } = require('../lib/recordStores');
+const { scoreScenario, answerError, scoreTrainingAttempt, summarizeTrainingResults } = require('../../src/phishing/phishingTraining');
+const {
+  validateContentPack,
+  toContentPack,
+  installedScenarios,
+  buildTrainingSession,
+  withoutAnswers
+} = require('../../src/phishing/contentPacks');
+const { BUILT_IN_PACK } = require('../../src/phishing/trainingScenarios');
+const {
+  validateCampaign,
+  toCampaign,
+  isAssigned,
+  campaignProgress,
+  buildTrainingReport
+} = require('../../src/phishing/trainingCampaigns');
+
+// `{ route, id }` from `training/<resource>[/<id>[/<action>]]` in either the /api rewrite or the direct
+// function path; the route names the id as `:id` (e.g. `campaigns/:id/start`)
+const parsePath = (eventPath = '') => {
+  const match = eventPath.match(/\/training\/([^/]+)(?:\/([^/]+)(?:\/([^/]+))?)?\/?$/);
+  if (!match) return { route: null, id: '' };
+  const [, resource, id, action] = match;
+  const route = [resource, id && ':id', action].filter(Boolean).join('/');
+  return { route, id: id ? decodeURIComponent(id) : '' };
+};
+
+// Methods per route, and whether only admins may use them
+const ROUTES = {
+  sessions: { methods: ['POST'] },
+  'sessions/:id/answers': { methods: ['POST'] },
+  attempts: { methods: ['GET', 'POST'] },
+  summary: { methods: ['GET'] },
+  packs: { methods: ['GET'] },
+  'packs/:id': { methods: ['PUT', 'DELETE'], admin: true },
+  campaigns: { methods: ['GET'] },
+  'campaigns/:id': { methods: ['PUT', 'DELETE'], admin: true },
+  'campaigns/:id/start': { methods: ['POST'] },
+  report: { methods: ['GET'], admin: true }
+};
+
+const byDueDate = (a, b) => a.dueDate.localeCompare(b.dueDate) || a.name.localeCompare(b.name);
+
+const createHandler = ({
+  createStore = () => createRecordStore('training'),
+  createPackStore = () => createRecordStore('trainingPacks'),
+  createCampaignStore = () => createRecordStore('trainingCampaigns'),
+  now = () => new Date()
+} = {}) => async (event, context) => {
+  const { member, error } = currentMember(context);
+  if (error) return error;
+
+  const { route, id } = parsePath(event.path);
+  const rules = ROUTES[route];
+  if (!rules) return fail(404, 'not_found', 'No such resource.');
+  if (!rules.methods.includes(event.httpMethod)) return fail(405, 'method_not_allowed', `${event.httpMethod} is not supported here.`);
+  if (rules.admin && !member.isAdmin) return fail(403, 'forbidden', 'Only organization admins can do this.');
+
+  let body = {};
+  if (event.httpMethod === 'POST' || event.httpMethod === 'PUT') {
+    const parsed = parseBody(event);
+    if (parsed.error) return parsed.error;
+    body = parsed.body || {};
+  }
+
+  let store;
+  let packStore;
+  let campaignStore;
+  try {
+    store = createStore();
+    packStore = createPackStore();
+    campaignStore = createCampaignStore();
+    [store, packStore, campaignStore].forEach(opened => opened.connect && opened.connect(event));
+  } catch (e) {
+    console.error('Could not open the training stores:', e);
+    return fail(500, 'configuration_error', 'Training is unavailable right now.');
+  }
+
+  const { organization } = member;
+  const packIds = async () => [BUILT_IN_PACK.id, ...(await packStore.list(organization)).map(pack => pack.id)];
+
+  try {
+    switch (route) {
+      case 'summary':
+        return respond(200, summarizeTrainingResults(await store.list(organization)));
+
+      case 'packs': {
+        const packs = (await packStore.list(organization)).sort((a, b) => a.name.localeCompare(b.name));
+        if (member.isAdmin) return respond(200, { packs });
+        return respond(200, { packs: packs.map(pack => ({ ...pack, scenarios: pack.scenarios.map(withoutAnswers) })) });
+      }
+
+      case 'packs/:id': {
+        if (event.httpMethod === 'DELETE') {
+          const users = (await campaignStore.list(organization)).filter(campaign => campaign.packId === id);
+          if (users.length > 0) {
+            return fail(409, 'pack_in_use', `The content pack is assigned by ${users.map(campaign => campaign.name).join(', ')}.`);
+          }
+          return (await packStore.remove(organization, id)) ? respond(204) : fail(404, 'not_found', 'No such content pack.');
+        }
+        const pack = toContentPack({ ...body, id });
+        const errors = validateContentPack(pack);
+        if (Object.keys(errors).length > 0) return fail(422, 'invalid_pack', 'The content pack is invalid.', { errors });
+        return respond(200, await packStore.put(organization, { ...pack, updatedAt: now().toISOString(), updatedBy: member.email }));
+      }
+
+      case 'campaigns': {
+        const [campaigns, record] = await Promise.all([campaignStore.list(organization), store.get(organization, member.id)]);
+        const visible = campaigns
+          .filter(campaign => member.isAdmin || isAssigned(campaign, member.email))
+          .sort(byDueDate)
+          .map(campaign => ({
+            ...campaign,
+            progress: isAssigned(campaign, member.email) ? campaignProgress(campaign, record, now()) : null
+          }));
+        return respond(200, { campaigns: visible });
+      }
+
+      case 'campaigns/:id': {
+        if (event.httpMethod === 'DELETE') {
+          return (await campaignStore.remove(organization, id)) ? respond(204) : fail(404, 'not_found', 'No such campaign.');
+        }
+        const campaign = toCampaign({ ...body, id });
+        const errors = validateCampaign(campaign, await packIds());
+        if (Object.keys(errors).length > 0) return fail(422, 'invalid_campaign', 'The campaign is invalid.', { errors });
+        const existing = await campaignStore.get(organization, id);
+        const timestamp = now().toISOString();
+        return respond(existing ? 200 : 201, await campaignStore.put(organization, {
+          ...campaign,
+          createdAt: existing ? existing.createdAt : timestamp,
+          createdBy: existing ? existing.createdBy : member.email,
+          updatedAt: timestamp,
+          updatedBy: member.email
+        }));
+      }
+
+      case 'report': {
+        const [campaigns, records] = await Promise.all([campaignStore.list(organization), store.list(organization)]);
+        return respond(200, buildTrainingReport(campaigns, records, now()));
+      }
+
+      default:
+        break;
+    }
+
+    // The caller's own training record: attempts, campaign starts and the session in progress
+    const existing = await store.get(organization, member.id);
+    const record = { attempts: [], campaigns: {}, session: null, ...existing, id: member.id, email: member.email };
+
+    if (route === 'attempts' && event.httpMethod === 'GET') return respond(200, { attempts: record.attempts });
+
+    const installed = installedScenarios(await packStore.list(organization));
+
+    if (route === 'sessions/:id/answers' || route === 'attempts') {
+      const { session } = record;
+      const sessionId = route === 'attempts' ? body.sessionId : id;
+      if (!session || session.id !== sessionId) return fail(404, 'not_found', 'No such training session; start a new one.');
+
+      if (route === 'sessions/:id/answers') {
+        const { scenarioKey, answer } = body;
+        const scenario = session.scenarioKeys.includes(scenarioKey) && installed.find(candidate => candidate.key === scenarioKey);
+        if (!scenario) return fail(422, 'invalid_answer', 'The scenario is not part of this session.', { errors: { scenarioKey: 'Not a scenario of this session' } });
+        if (session.answers[scenarioKey]) return fail(409, 'already_answered', 'This scenario has already been answered.');
+        const error = answerError(scenario, answer);
+        if (error) return fail(422, 'invalid_answer', 'The answer is invalid.', { errors: { answer: error } });
+        const kept = { verdict: answer.verdict, flagged: answer.flagged || [] };
+        await store.put(organization, { ...record, session: { ...session, answers: { ...session.answers, [scenarioKey]: kept } } });
+        return respond(200, { scored: scoreScenario(scenario, kept), scenario });
+      }
+
+      const scenarios = installed.filter(scenario => session.scenarioKeys.includes(scenario.key));
+      const scored = scoreTrainingAttempt(session.answers, { completedAt: now().toISOString(), scenarios });
+      if (scored.errors) return fail(422, 'invalid_answers', 'Answer every scenario of the session.', { errors: scored.errors });
+      const attempt = session.campaignId ? { ...scored, campaignId: session.campaignId } : scored;
+
+      await store.put(organization, { ...record, session: null, attempts: [...record.attempts, attempt] });
+      return respond(201, { attempt, summary: summarizeTrainingResults(await store.list(organization)) });
+    }
+
+    const campaignId = route === 'campaigns/:id/start' ? id : body.campaignId;
+    let campaign = null;
+    if (campaignId !== undefined && campaignId !== null) {
+      campaign = await campaignStore.get(organization, String(campaignId));
+      if (!campaign || !isAssigned(campaign, member.email)) return fail(404, 'not_found', 'No such campaign is assigned to you.');
+    }
+
+    if (route === 'campaigns/:id/start') {
+      if (!record.campaigns[campaign.id]) {
+        record.campaigns = { ...record.campaigns, [campaign.id]: { startedAt: now().toISOString() } };
+        await store.put(organization, record);
+      }
+      return respond(200, { progress: campaignProgress(campaign, record, now()) });
+    }
+
+    const chosen = buildTrainingSession(campaign ? installed.filter(scenario => scenario.packId === campaign.packId) : installed);
+    const session = {
+      id: `session-${crypto.randomUUID()}`,
+      campaignId: campaign ? campaign.id : null,
+      scenarioKeys: chosen.map(scenario => scenario.key),
+      answers: {},
+      startedAt: now().toISOString()
+    };
+    await store.put(organization, { ...record, session });
+    return respond(201, { id: session.id, campaignId: session.campaignId, scenarios: chosen.map(withoutAnswers) });
+  } catch (e) {
+    console.error('Training store request failed:', e);
+    return fail(503, 'storage_unavailable', 'Training could not be reached. Please try again shortly.');
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
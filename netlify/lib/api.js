@@ -0,0 +1,51 @@
+// Shared pieces of the JSON API functions: responses, request bodies and the calling member.
+// Error bodies are `{ code, message }`, plus any extra fields (e.g. `errors` keyed by field path).
+//
+// The functions validate, score and render with the calculator's and trainer's own rules, requiring
+// the ES modules in src/ (the esbuild bundler set in netlify.toml resolves them). Each checks the
+// caller's Identity token itself with currentMember, so their /api redirects have no role condition.
+
+const { ACCESS_ROLE, ROLES } = require('./organizations');
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers: { 'content-type': 'application/json', 'cache-control': 'no-store' },
+  body: body === undefined ? '' : JSON.stringify(body)
+});
+
+const fail = (statusCode, code, message, extra = {}) => respond(statusCode, { code, message, ...extra });
+
+// `{ body }`, or `{ error }` with the response to send when it isn't JSON or is longer than `maxBytes`
+const parseBody = (event, maxBytes = Infinity) => {
+  const text = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body || '';
+  if (Buffer.byteLength(text) > maxBytes) {
+    return { error: fail(413, 'too_large', `The request body must be at most ${Math.floor(maxBytes / 1024)} KB.`) };
+  }
+  try {
+    return { body: JSON.parse(text) };
+  } catch (e) {
+    return { error: fail(400, 'invalid_json', 'The request body is not valid JSON.') };
+  }
+};
+
+// The caller from the Identity JWT Netlify verifies and decodes into context.clientContext.user; its
+// app_metadata carries the roles and organization set on signup. `{ member }`, or `{ error }` with the
+// response to send when the caller isn't logged in (401) or isn't a member with access (403).
+const currentMember = (context) => {
+  const user = context && context.clientContext && context.clientContext.user;
+  if (!user || !user.sub) return { error: fail(401, 'unauthenticated', 'Log in to continue.') };
+  const { roles = [], organization } = user.app_metadata || {};
+  if (!roles.includes(ACCESS_ROLE) || !organization) {
+    return { error: fail(403, 'forbidden', 'Your account is not a member of an organization with access.') };
+  }
+  return {
+    member: {
+      id: user.sub,
+      email: user.email || '',
+      organization,
+      isAdmin: roles.includes(ROLES.ADMIN)
+    }
+  };
+};
+
+module.exports = { respond, fail, parseBody, currentMember };
@@ -0,0 +1,32 @@
+// Netlify Identity (GoTrue) admin API access from inside an Identity event function. Netlify passes
+// the instance URL and a short-lived admin token in `context.clientContext.identity`.
+
+const PAGE_SIZE = 500;
+
+const listUsers = async (identity) => {
+  const users = [];
+  for (let page = 1; ; page += 1) {
+    const response = await fetch(`${identity.url}/admin/users?page=${page}&per_page=${PAGE_SIZE}`, {
+      headers: { Authorization: `Bearer ${identity.token}` }
+    });
+    if (!response.ok) throw new Error(`Identity admin API returned ${response.status}`);
+    const body = await response.json();
+    users.push(...(body.users || []));
+    if (!body.users || body.users.length < PAGE_SIZE) return users;
+  }
+};
+
+// Users already in the organization, not counting `excludeUserId` (the user signing up, whose record
+// already exists by the time the signup event fires)
+const countOrganizationMembers = async (context, organizationId, excludeUserId) => {
+  const identity = context && context.clientContext && context.clientContext.identity;
+  if (!identity || !identity.url || !identity.token) {
+    throw new Error('Identity admin credentials are not available to this function');
+  }
+  const users = await listUsers(identity);
+  return users.filter(user => (
+    user.id !== excludeUserId && user.app_metadata && user.app_metadata.organization === organizationId
+  )).length;
+};
+
+module.exports = { countOrganizationMembers };
@@ -0,0 +1,19 @@
+// Mail transport that delivers nowhere: each message is written to `directory` as an .eml file, which
+// any mail client opens, for development and tests.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { formatMessage } = require('./mimeMessage');
+
+const createFileTransport = (directory) => ({
+  send: async (message) => {
+    const { messageId, raw } = formatMessage(message);
+    await fs.mkdir(directory, { recursive: true });
+    const file = path.join(directory, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(file, raw);
+    return { messageId, file };
+  }
+});
+
+module.exports = { createFileTransport };
@@ -0,0 +1,31 @@
+// Pluggable delivery for the email the app sends (simulated phishing). MAIL_TRANSPORT picks the adapter:
+//   smtp (default)  an SMTP relay at SMTP_HOST and SMTP_PORT (587, or 465 with SMTP_SECURE=true), logged in
+//                   with SMTP_USER and SMTP_PASS when set, over TLS only; netlify/local/smtpSink.js is a local
+//                   stand-in without TLS, which needs SMTP_ALLOW_PLAINTEXT_AUTH=true when logging in to it
+//   file            one .eml file per message under MAIL_DIR (default .data/mail), for local runs and tests
+//
+// Every adapter implements send({ from: { name, address }, to, subject, text, html, headers }) ->
+// { messageId }, and may implement close(), which a function calls once it has sent everything.
+
+const path = require('path');
+const { createFileTransport } = require('./fileTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+
+const createMailTransport = (env = process.env) => {
+  const kind = env.MAIL_TRANSPORT || 'smtp';
+  if (kind === 'file') return createFileTransport(env.MAIL_DIR || path.join(process.cwd(), '.data', 'mail'));
+  if (kind === 'smtp') {
+    if (!env.SMTP_HOST) throw new Error('SMTP_HOST is not set; set it or use MAIL_TRANSPORT=file');
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      allowPlaintextAuth: env.SMTP_ALLOW_PLAINTEXT_AUTH === 'true'
+    });
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${kind}"; use smtp or file`);
+};
+
+module.exports = { createMailTransport, createFileTransport, createSmtpTransport };
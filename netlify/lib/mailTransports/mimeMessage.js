@@ -0,0 +1,61 @@
+// RFC 5322 messages for the mail transports: headers plus a multipart/alternative body with a plain
+// text and an HTML part, both base64 encoded so no line is too long and none starts with a dot.
+
+const crypto = require('crypto');
+
+const PRINTABLE_ASCII = /^[\x20-\x7e]*$/;
+
+// Header values never carry line breaks, so a value can't add headers of its own
+const singleLine = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const encodeWord = (value) => `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+const encodeHeader = (value) => {
+  const line = singleLine(value);
+  return PRINTABLE_ASCII.test(line) ? line : encodeWord(line);
+};
+
+// `Name <address>`, or the bare address without a name
+const formatAddress = ({ name, address }) => {
+  if (!name) return address;
+  const line = singleLine(name);
+  const display = PRINTABLE_ASCII.test(line) ? `"${line.replace(/["\\]/g, '\\$&')}"` : encodeWord(line);
+  return `${display} <${address}>`;
+};
+
+const base64Lines = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+// `{ messageId, raw }`, with CRLF line endings. `from` is `{ name, address }`; `headers` are extra
+// headers such as X-Simulation-Id.
+const formatMessage = ({ from, to, subject, text, html, headers = {}, date = new Date() }) => {
+  const domain = from.address.split('@')[1] || 'localhost';
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+  const boundary = `alt-${crypto.randomBytes(12).toString('hex')}`;
+
+  const lines = [
+    `From: ${formatAddress(from)}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${singleLine(name)}: ${encodeHeader(value)}`),
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    ''
+  ];
+  return { messageId, raw: lines.join('\r\n') };
+};
+
+module.exports = { formatMessage };
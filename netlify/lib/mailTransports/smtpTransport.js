@@ -0,0 +1,172 @@
+// Mail transport through an SMTP relay. One connection is opened on the first send and reused until
+// close(), upgraded with STARTTLS when the server offers it (or TLS from the start with `secure`), and
+// authenticated with AUTH PLAIN when a user is set. AUTH PLAIN sends the password as it is, so it is
+// refused on a connection that isn't encrypted unless `allowPlaintextAuth` is set, which is only meant
+// for the local SMTP sink. Any failure drops the connection; the next send opens a new one.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { formatMessage } = require('./mimeMessage');
+
+const connectSocket = ({ host, port, secure, timeout }) => new Promise((resolve, reject) => {
+  const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  socket.setTimeout(timeout, () => socket.destroy(new Error(`The SMTP server ${host}:${port} timed out`)));
+  socket.once('error', reject);
+  socket.once(secure ? 'secureConnect' : 'connect', () => {
+    socket.removeListener('error', reject);
+    resolve(socket);
+  });
+});
+
+const upgradeSocket = (socket, { host, timeout }) => new Promise((resolve, reject) => {
+  socket.removeAllListeners('data');
+  const secured = tls.connect({ socket, servername: host });
+  secured.setTimeout(timeout, () => secured.destroy(new Error(`The SMTP server ${host} timed out`)));
+  secured.once('error', reject);
+  secured.once('secureConnect', () => {
+    secured.removeListener('error', reject);
+    resolve(secured);
+  });
+});
+
+// The server's replies in order, `{ code, text }` with the lines of a multi-line reply joined
+const createReplyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    const complete = buffer.split(/\r?\n/);
+    buffer = complete.pop();
+    complete.forEach(line => {
+      lines.push(line.slice(4));
+      if (line.charAt(3) !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+        lines = [];
+      }
+    });
+    settle();
+  });
+  socket.on('error', error => {
+    failure = error;
+    settle();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('The SMTP server closed the connection');
+    settle();
+  });
+
+  return () => new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    settle();
+  });
+};
+
+const dotStuff = (raw) => raw.replace(/^\./gm, '..');
+
+const createSmtpTransport = ({
+  host,
+  port,
+  secure = false,
+  startTls = true,
+  user,
+  pass,
+  allowPlaintextAuth = false,
+  clientName = os.hostname(),
+  timeout = 15000
+}) => {
+  const options = { host, port: port || (secure ? 465 : 587), secure, timeout };
+  let session = null;
+
+  const expect = async (state, codes, step) => {
+    const reply = await state.read();
+    if (!codes.includes(reply.code)) throw new Error(`SMTP ${step} was refused: ${reply.code} ${reply.text}`);
+    return reply;
+  };
+
+  const command = (state, line, codes, step = line.split(' ')[0]) => {
+    state.socket.write(`${line}\r\n`);
+    return expect(state, codes, step);
+  };
+
+  const open = async () => {
+    const socket = await connectSocket(options);
+    const state = { socket, read: createReplyReader(socket) };
+    try {
+      await expect(state, [220], 'greeting');
+      const hello = await command(state, `EHLO ${clientName}`, [250]);
+      let encrypted = secure;
+      if (!secure && startTls && /^STARTTLS$/im.test(hello.text)) {
+        await command(state, 'STARTTLS', [220]);
+        state.socket = await upgradeSocket(socket, options);
+        state.read = createReplyReader(state.socket);
+        await command(state, `EHLO ${clientName}`, [250]);
+        encrypted = true;
+      }
+      if (user && !encrypted && !allowPlaintextAuth) {
+        throw new Error(`The SMTP server ${host} offers no TLS, so the password was not sent; use SMTP_SECURE=true or a server with STARTTLS`);
+      }
+      if (user) await command(state, `AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235], 'AUTH');
+      return state;
+    } catch (error) {
+      state.socket.destroy();
+      throw error;
+    }
+  };
+
+  const drop = async () => {
+    const state = session && (await session.catch(() => null));
+    session = null;
+    if (state) state.socket.destroy();
+  };
+
+  return {
+    send: async (message) => {
+      if ([message.from.address, message.to].some(address => /[\s<>]/.test(address))) {
+        throw new Error('Email addresses cannot contain spaces or angle brackets');
+      }
+      const { messageId, raw } = formatMessage(message);
+      // A connection the server closed while idle is reopened
+      if (session && (await session.then(state => state.socket.destroyed, () => true))) await drop();
+      if (!session) session = open();
+      try {
+        const state = await session;
+        await command(state, `MAIL FROM:<${message.from.address}>`, [250]);
+        await command(state, `RCPT TO:<${message.to}>`, [250, 251]);
+        await command(state, 'DATA', [354]);
+        state.socket.write(`${dotStuff(raw)}\r\n.\r\n`);
+        await expect(state, [250], 'DATA');
+        return { messageId };
+      } catch (error) {
+        await drop();
+        throw error;
+      }
+    },
+
+    close: async () => {
+      const state = session && (await session.catch(() => null));
+      session = null;
+      if (!state) return;
+      try {
+        await command(state, 'QUIT', [221]);
+      } catch (error) {
+        // Closing anyway
+      }
+      state.socket.end();
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
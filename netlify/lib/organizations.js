@@ -0,0 +1,76 @@
+// Customer organizations and the signup rules they set: which email domains may join, how many
+// seats they have, who is an admin, whether joining needs an invitation and how long the plan is paid.
+//
+// Organizations come from the ORGANIZATIONS environment variable (JSON) when set, otherwise from
+// netlify/organizations.json:
+//
+//   { "organizations": [{
+//       "id": "acme", "name": "Acme Corp", "domains": ["acme.com"], "seats": 10,
+//       "admins": ["ciso@acme.com"], "inviteOnly": false, "paidUntil": "2027-06-30"
+//   }] }
+//
+// `seats` and `paidUntil` are optional (no limit, no expiry). Listed admins can join an invite-only
+// organization without an invitation, so the first admin can get in and invite the team.
+
+const bundledConfig = require('../organizations.json');
+const { normalizeEmail, emailDomain } = require('../../src/shared/values');
+
+const ROLES = {
+  ADMIN: 'admin',
+  ANALYST: 'analyst'
+};
+
+// Every member also gets the role the site's redirects check for
+const ACCESS_ROLE = 'subscriber';
+
+
+const loadOrganizations = (env = process.env) => {
+  const config = env.ORGANIZATIONS ? JSON.parse(env.ORGANIZATIONS) : bundledConfig;
+  return (config.organizations || []).map(organization => ({
+    ...organization,
+    domains: (organization.domains || []).map(domain => domain.toLowerCase()),
+    admins: (organization.admins || []).map(normalizeEmail)
+  }));
+};
+
+const findOrganization = (organizations, email) => {
+  const domain = emailDomain(email);
+  return organizations.find(organization => organization.domains.includes(domain)) || null;
+};
+
+const rejection = (code, message) => ({ error: { code, message } });
+
+// Decides one signup. `memberCount` is how many users already belong to the organization (only needed
+// when it has a seat limit). Returns `{ organization, role }` or `{ error: { code, message } }`.
+const evaluateSignup = ({ user, organization, memberCount, now = new Date() }) => {
+  const email = normalizeEmail(user && user.email);
+  if (!email.includes('@')) {
+    return rejection('invalid_user', 'The signup has no valid email address.');
+  }
+  if (!organization) {
+    return rejection('unknown_domain', `No organization allows sign-ups from ${emailDomain(email)}. Ask your administrator to add your email domain.`);
+  }
+
+  if (organization.paidUntil && new Date(`${organization.paidUntil}T23:59:59Z`) < now) {
+    return rejection('plan_inactive', `${organization.name}'s subscription ended on ${organization.paidUntil}. Ask your administrator to renew it.`);
+  }
+
+  const isAdmin = organization.admins.includes(email);
+  if (organization.inviteOnly && !isAdmin && !(user && user.invited_at)) {
+    return rejection('invite_required', `${organization.name} is invite-only. Ask an administrator to invite ${email}.`);
+  }
+
+  if (Number.isInteger(organization.seats) && memberCount >= organization.seats) {
+    return rejection('seat_limit', `${organization.name} has used all ${organization.seats} seats. Ask your administrator to free or add a seat.`);
+  }
+
+  return { organization, role: isAdmin ? ROLES.ADMIN : ROLES.ANALYST };
+};
+
+module.exports = {
+  ROLES,
+  ACCESS_ROLE,
+  loadOrganizations,
+  findOrganization,
+  evaluateSignup
+};
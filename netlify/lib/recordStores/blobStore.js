@@ -0,0 +1,37 @@
+// Record store in Netlify Blobs, for deployed sites: one blob per record in the store `name`, keyed
+// `<organization>/<record id>`. `connectLambda(event)` must run before the store is used in a
+// Lambda-style function so Blobs can read the site credentials from the request.
+
+const { connectLambda, getStore } = require('@netlify/blobs');
+
+const keyFor = (organizationId, id) => `${encodeURIComponent(organizationId)}/${encodeURIComponent(id)}`;
+
+const createBlobStore = (name) => {
+  const store = () => getStore(name);
+
+  return {
+    connect: (event) => connectLambda(event),
+
+    list: async (organizationId) => {
+      const { blobs } = await store().list({ prefix: `${encodeURIComponent(organizationId)}/` });
+      const records = await Promise.all(blobs.map(blob => store().get(blob.key, { type: 'json' })));
+      return records.filter(Boolean);
+    },
+
+    get: async (organizationId, id) => store().get(keyFor(organizationId, id), { type: 'json' }),
+
+    put: async (organizationId, record) => {
+      await store().setJSON(keyFor(organizationId, record.id), record);
+      return record;
+    },
+
+    remove: async (organizationId, id) => {
+      const key = keyFor(organizationId, id);
+      if ((await store().get(key)) === null) return false;
+      await store().delete(key);
+      return true;
+    }
+  };
+};
+
+module.exports = { createBlobStore };
@@ -0,0 +1,67 @@
+// Record store on the local filesystem, for development and tests: one JSON file per
+// organization under `directory`. Writes go through a temporary file and a rename so a crash never
+// leaves a half-written file, and changes to one file run one at a time within the process, so
+// concurrent puts don't lose each other's records. Not for production, where function instances
+// don't share a disk.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// The change in progress per file
+const pending = new Map();
+
+const exclusive = (file, change) => {
+  const run = (pending.get(file) || Promise.resolve()).then(change);
+  const settled = run.catch(() => {});
+  pending.set(file, settled);
+  settled.then(() => {
+    if (pending.get(file) === settled) pending.delete(file);
+  });
+  return run;
+};
+
+const createFileStore = (directory) => {
+  const fileFor = (organizationId) => path.join(directory, `${encodeURIComponent(organizationId)}.json`);
+
+  const read = async (organizationId) => {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(organizationId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  };
+
+  const write = async (organizationId, records) => {
+    await fs.mkdir(directory, { recursive: true });
+    const file = fileFor(organizationId);
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(records, null, 2));
+    await fs.rename(temporary, file);
+  };
+
+  return {
+    list: async (organizationId) => Object.values(await read(organizationId)),
+
+    get: async (organizationId, id) => {
+      const records = await read(organizationId);
+      return Object.prototype.hasOwnProperty.call(records, id) ? records[id] : null;
+    },
+
+    put: (organizationId, record) => exclusive(fileFor(organizationId), async () => {
+      const records = await read(organizationId);
+      await write(organizationId, { ...records, [record.id]: record });
+      return record;
+    }),
+
+    remove: (organizationId, id) => exclusive(fileFor(organizationId), async () => {
+      const records = await read(organizationId);
+      if (!Object.prototype.hasOwnProperty.call(records, id)) return false;
+      const { [id]: removed, ...rest } = records;
+      await write(organizationId, rest);
+      return true;
+    })
+  };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,26 @@
+// Pluggable storage for the app's server-side records (saved assessments, phishing trainer results),
+// one named store per kind of record, partitioned by organization. DATA_STORE picks the adapter:
+//   blobs (default)  Netlify Blobs, for deployed sites and `netlify dev`
+//   file             JSON files under DATA_STORE_DIR/<store name> (default .data), for local runs and tests
+//
+// Every adapter implements, per organization:
+//   list(org) -> records   get(org, id) -> record | null   put(org, record) -> record   remove(org, id) -> boolean
+// and may implement connect(event), which a function calls with each request before using the store.
+//
+// Functions open their stores through injectable factories (`createHandler({ createStore, ... })`,
+// likewise for a mail transport), so tests and local runs can hand them file stores instead.
+
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createBlobStore } = require('./blobStore');
+
+const createRecordStore = (name, env = process.env) => {
+  const kind = env.DATA_STORE || 'blobs';
+  if (kind === 'file') {
+    return createFileStore(path.join(env.DATA_STORE_DIR || path.join(process.cwd(), '.data'), name));
+  }
+  if (kind === 'blobs') return createBlobStore(name);
+  throw new Error(`Unknown DATA_STORE "${kind}"; use blobs or file`);
+};
+
+module.exports = { createRecordStore, createFileStore, createBlobStore };
@@ -0,0 +1,33 @@
+// Stand-ins for calling the JSON API functions outside Netlify, as the function tests do: the context of
+// a logged-in member, requests with parsed responses, and file stores in a throwaway directory.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/recordStores');
+
+// The context Netlify passes once it has verified the member's Identity token (see currentMember in
+// netlify/lib/api.js); the email is `<sub>@<organization>.com`
+const createMemberContext = (sub, organization, roles = ['subscriber', 'analyst']) => ({
+  clientContext: { user: { sub, email: `${sub}@${organization}.com`, app_metadata: { roles, organization } } }
+});
+
+// `call(handler, context, method, resource, body)` requests `<basePath>/<resource>` (just the base path
+// without a resource) and resolves `{ status, body }` with the body parsed
+const createCaller = (basePath) => async (handler, context, method, resource = '', body) => {
+  const response = await handler({
+    httpMethod: method,
+    path: `${basePath}${resource ? `/${resource}` : ''}`,
+    body: body === undefined ? null : JSON.stringify(body)
+  }, context);
+  return { status: response.statusCode, body: response.body ? JSON.parse(response.body) : null };
+};
+
+// A file store per name in a new temporary directory; `remove()` deletes the directory
+const createTemporaryStores = (names) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'functions-'));
+  const stores = Object.fromEntries(names.map(name => [name, createFileStore(path.join(directory, name))]));
+  return { directory, stores, remove: () => fs.rmSync(directory, { recursive: true, force: true }) };
+};
+
+module.exports = { createMemberContext, createCaller, createTemporaryStores };
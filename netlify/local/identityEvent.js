@@ -0,0 +1,32 @@
+// Stand-ins for what Netlify passes an Identity event function, for running the functions locally:
+// the webhook event (its body is the payload GoTrue posts) and the function context.
+
+const crypto = require('crypto');
+
+// `invited` marks the user as having accepted an invitation, as GoTrue does with `invited_at`
+const createIdentityEvent = ({ email, name = '', invited = false, eventType = 'signup' }) => {
+  const timestamp = new Date().toISOString();
+  const user = {
+    id: crypto.randomUUID(),
+    aud: '',
+    role: '',
+    email,
+    confirmed_at: timestamp,
+    created_at: timestamp,
+    updated_at: timestamp,
+    app_metadata: { provider: 'email' },
+    user_metadata: name ? { full_name: name } : {}
+  };
+  if (invited) user.invited_at = timestamp;
+
+  return {
+    httpMethod: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ event: eventType, instance_id: 'local', user })
+  };
+};
+
+// No Identity admin credentials locally; pass a `countMembers` stand-in to the handler instead
+const createIdentityContext = () => ({ clientContext: {} });
+
+module.exports = { createIdentityEvent, createIdentityContext };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Runs the identity-signup function locally against a stand-in Identity event and prints its response.
+//
+//   node netlify/local/signup.js <email> [--invited] [--members N] [--organizations file.json] [--help]
+//
+// --members is how many users the organization already has (default 0); --organizations defaults to
+// netlify/local/organizations.sample.json. Exit codes: 0 accepted, 1 rejected, 2 usage error.
+
+const fs = require('fs');
+const path = require('path');
+// The function shares helpers written as ES modules for the React build; jiti loads them in plain Node
+const jiti = require('jiti')(__filename);
+
+const { createHandler } = jiti('../functions/identity-signup');
+const { loadOrganizations } = jiti('../lib/organizations');
+const { createIdentityEvent, createIdentityContext } = require('./identityEvent');
+
+const USAGE = 'Usage: node netlify/local/signup.js <email> [--invited] [--members N] [--organizations file.json] [--help]';
+
+const parseArgs = (args) => {
+  const options = { email: null, invited: false, members: 0, organizations: path.join(__dirname, 'organizations.sample.json') };
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--invited') {
+      options.invited = true;
+    } else if (arg === '--members') {
+      options.members = Number(args[++i]);
+      if (!Number.isInteger(options.members) || options.members < 0) throw new Error('--members must be a non-negative whole number');
+    } else if (arg === '--organizations') {
+      options.organizations = args[++i];
+      if (!options.organizations) throw new Error('--organizations needs a file');
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (options.email === null) {
+      options.email = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  if (!options.email && !options.help) throw new Error('An email address is required');
+  return options;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let organizations;
+  try {
+    organizations = fs.readFileSync(options.organizations, 'utf8');
+  } catch (error) {
+    console.error(`Could not read ${options.organizations}: ${error.message}`);
+    return 2;
+  }
+
+  const handler = createHandler({
+    getOrganizations: () => loadOrganizations({ ORGANIZATIONS: organizations }),
+    countMembers: async () => options.members
+  });
+  const response = await handler(createIdentityEvent({ email: options.email, invited: options.invited }), createIdentityContext());
+
+  console.log(`${response.statusCode}`);
+  console.log(JSON.stringify(JSON.parse(response.body), null, 2));
+  return response.statusCode === 200 ? 0 : 1;
+};
+
+main().then(code => { process.exitCode = code; });
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// A local stand-in for an SMTP relay: accepts every message from anyone and writes it to a directory
+// as an .eml file instead of delivering it, for trying simulated phishing end to end.
+//
+//   node netlify/local/smtpSink.js [--port 2525] [--dir .data/mail-sink]
+//
+// Point the functions at it with MAIL_TRANSPORT=smtp SMTP_HOST=127.0.0.1 SMTP_PORT=2525. It speaks just
+// enough SMTP for the smtp transport: no TLS, any AUTH accepted, so logging in to it with SMTP_USER also
+// needs SMTP_ALLOW_PLAINTEXT_AUTH=true.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const USAGE = 'Usage: node netlify/local/smtpSink.js [--port 2525] [--dir .data/mail-sink]';
+
+// A net.Server; `onMessage({ from, to, raw, file })` is called with every message once it is written
+const createSmtpSink = ({ directory, onMessage = () => {} }) => net.createServer(socket => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let data = null;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const receive = (raw) => {
+    fs.mkdirSync(directory, { recursive: true });
+    const file = path.join(directory, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.eml`);
+    fs.writeFileSync(file, raw);
+    onMessage({ ...envelope, raw, file });
+    envelope = { from: null, to: [] };
+    reply(`250 Queued as ${path.basename(file)}`);
+  };
+
+  const handle = (line) => {
+    if (data !== null) {
+      if (line === '.') {
+        const raw = data.join('\r\n');
+        data = null;
+        receive(raw);
+      } else {
+        data.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+      return;
+    }
+
+    const verb = line.split(' ')[0].toUpperCase();
+    if (verb === 'EHLO') {
+      reply('250-localhost SMTP sink');
+      reply('250-8BITMIME');
+      reply('250 AUTH PLAIN');
+    } else if (verb === 'HELO' || verb === 'NOOP') {
+      reply('250 OK');
+    } else if (verb === 'AUTH') {
+      reply('235 Accepted');
+    } else if (verb === 'MAIL') {
+      envelope = { from: (line.match(/<([^>]*)>/) || [])[1] || '', to: [] };
+      reply('250 OK');
+    } else if (verb === 'RCPT') {
+      envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || '');
+      reply('250 OK');
+    } else if (verb === 'DATA') {
+      if (envelope.to.length === 0) {
+        reply('503 RCPT first');
+        return;
+      }
+      data = [];
+      reply('354 End data with <CR><LF>.<CR><LF>');
+    } else if (verb === 'RSET') {
+      envelope = { from: null, to: [] };
+      reply('250 OK');
+    } else if (verb === 'QUIT') {
+      reply('221 Bye');
+      socket.end();
+    } else {
+      reply('502 Command not implemented');
+    }
+  };
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+    lines.forEach(handle);
+  });
+  socket.on('error', () => {});
+  reply('220 localhost SMTP sink ready');
+});
+
+const parseArgs = (args) => {
+  const options = { port: 2525, directory: path.join(process.cwd(), '.data', 'mail-sink') };
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--port') {
+      options.port = Number(args[++i]);
+      if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) throw new Error('--port must be a port number');
+    } else if (args[i] === '--dir') {
+      options.directory = path.resolve(args[++i] || '');
+    } else {
+      throw new Error(`Unexpected argument: ${args[i]}`);
+    }
+  }
+  return options;
+};
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  const server = createSmtpSink({
+    directory: options.directory,
+    onMessage: ({ from, to, file }) => console.log(`${from} -> ${to.join(', ')}: ${file}`)
+  });
+  server.listen(options.port, '127.0.0.1', () => {
+    console.log(`SMTP sink listening on 127.0.0.1:${server.address().port}, writing to ${options.directory}`);
+  });
+}
+
+module.exports = { createSmtpSink };
@@ -1,107 +1,91 @@
-import React, { useState, useMemo, useCallback } from 'react';
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { Shield, AlertTriangle, DollarSign, Users, Building, Lock, Mail, Eye, CheckCircle, Calculator, Info } from 'lucide-react';
-
-// Constants for better maintainability
-const SECURITY_WEIGHTS = {
-  BACKUPS: 0.15,
-  MFA: 0.2,
-  PHISHING_TRAINING: 0.15,
-  VENDOR_REVIEWS: 0.25,
-  IR_TABLETOP: 0.1,
-  BASE_SECURITY: 0.15
-};
-
-const CHART_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#a855f7', '#06b6d4', '#84cc16'];
-
-const COST_CATEGORIES = [
-  { name: 'Emergency IT/Forensics', baseCost: 85000, icon: '🔧' },
-  { name: 'Legal/Compliance', baseCost: 120000, icon: '⚖️' },
-  { name: 'PR/Client Communications', baseCost: 45000, icon: '📢' },
-  { name: 'Revenue Loss', baseCost: 180000, icon: '📉' },
-  { name: 'Temporary Systems', baseCost: 60000, icon: '💻' },
-  { name: 'Staff Overtime', baseCost: 40000, icon: '⏰' },
-  { name: 'Client Churn', baseCost: 390000, icon: '👥' },
-  { name: 'Insurance Premium Increase', baseCost: 25000, icon: '🛡️' },
-  { name: 'Security Overhaul', baseCost: 150000, icon: '🔒' },
-  { name: 'Regulatory Fines', baseCost: 75000, icon: '📋' },
-  { name: 'Audit Costs', baseCost: 30000, icon: '🔍' }
-];
+import { Shield, AlertTriangle, DollarSign, Users, Building, Lock, Eye, CheckCircle, Calculator, Info, Target, FolderOpen, Link2, Check, Layers, Milestone, ClipboardCheck, GraduationCap } from 'lucide-react';
+import { useSimulation } from './simulation/useSimulation';
+import LossExceedanceChart from './components/LossExceedanceChart';
+import SensitivityAnalysis from './components/SensitivityAnalysis';
+import ScenarioEditor from './components/ScenarioEditor';
+import ControlCatalog from './components/ControlCatalog';
+import { countImplementedControls } from './controls/controlCatalog';
+import { DEFAULT_INPUTS, COST_CATEGORIES, INPUT_LIMITS, buildRiskModel, combineSimulation, validateInputField } from './engine';
+import AssessmentManager from './components/AssessmentManager';
+import {
+  loadDraft,
+  saveDraft,
+  createAssessment,
+  updateAssessment,
+  duplicateAssessment
+} from './assessments/assessmentStorage';
+import { useAssessmentStore } from './assessments/useAssessmentStore';
+import { summarizeResults } from './assessments/compareAssessments';
+import { analyzeControlInvestments } from './model/controlInvestment';
+import ControlInvestmentReturns, { formatRosi, formatPayback } from './components/ControlInvestmentReturns';
+import ReportExport from './components/ReportExport';
+import InsurancePolicyEditor from './components/InsurancePolicyEditor';
+import InsuranceRecovery from './components/InsuranceRecovery';
+import { reviewCoverage } from './insurance/insurancePolicy';
+import IndustryProfileEditor from './components/IndustryProfileEditor';
+import { applyProfile } from './profiles/industryProfiles';
+import DataHoldingsEditor from './components/DataHoldingsEditor';
+import { encodeShareLink, decodeShareLink } from './assessments/shareLink';
+import { phishedScenarioKey, withoutPhishedParam } from './phishing/phishingSimulations';
+import PortfolioAnalysis from './components/PortfolioAnalysis';
+import RoadmapPlanner from './components/RoadmapPlanner';
+import FrameworkQuestionnaire from './components/FrameworkQuestionnaire';
+import { applyFrameworkAnswers } from './frameworks/frameworkQuestionnaire';
+import PhishingTrainer from './components/PhishingTrainer';
+import PeerBenchmark from './components/PeerBenchmark';
+import { useBenchmarks } from './benchmarks/useBenchmarks';
 
-const THREAT_SCENARIOS = [
-  {
-    name: 'Phishing',
-    baseCost: 300000,
-    frequency: 0.3,
-    severity: 0.7,
-    color: CHART_COLORS[0]
-  },
-  {
-    name: 'Ransomware',
-    baseCost: 800000,
-    frequency: 0.15,
-    severity: 0.9,
-    color: CHART_COLORS[1]
-  },
-  {
-    name: 'Vendor Breach',
-    baseCost: 450000,
-    frequency: 0.2,
-    severity: 0.6,
-    color: CHART_COLORS[2]
-  }
+const TABS = [
+  { id: 'instructions', label: 'How to Use', icon: Eye },
+  { id: 'inputs', label: 'Inputs', icon: Calculator },
+  { id: 'framework', label: 'Framework', icon: ClipboardCheck },
+  { id: 'training', label: 'Phishing Trainer', icon: GraduationCap },
+  { id: 'scenarios', label: 'Threat Scenarios', icon: Target },
+  { id: 'results', label: 'Risk Analysis', icon: AlertTriangle },
+  { id: 'breakdown', label: 'Cost Breakdown', icon: DollarSign },
+  { id: 'roadmap', label: 'Roadmap', icon: Milestone },
+  { id: 'summary', label: 'Executive Summary', icon: Shield },
+  { id: 'assessments', label: 'Assessments', icon: FolderOpen },
+  { id: 'portfolio', label: 'Portfolio', icon: Layers }
 ];
 
-const INPUT_LIMITS = {
-  employees: { min: 1, max: 1000000 },
-  revenue: { min: 0, max: 100000000000 },
-  insurance: { min: 0, max: 50000000 }
-};
-
-// Improved percentile calculation for more realistic cyber risk distributions
-const generateRealisticPercentiles = (baseCost, organizationFactors) => {
-  // Cyber losses typically follow log-normal distribution with long tail
-  const { sizeFactor, revenueFactor, riskReduction } = organizationFactors;
-  
-  const adjustedBase = baseCost * sizeFactor * revenueFactor * (1 - riskReduction);
-  
-  // Log-normal distribution parameters for cyber incidents
-  const baseVariance = adjustedBase * 0.6;
-  const longTailFactor = 1.8; // Cyber events have significant long tail risk
-  
-  return {
-    '5th': Math.round(Math.max(adjustedBase * 0.15, adjustedBase - baseVariance * 1.5)),
-    '25th': Math.round(adjustedBase * 0.55),
-    'Median': Math.round(adjustedBase),
-    '75th': Math.round(adjustedBase * 1.65),
-    '95th': Math.round(adjustedBase * longTailFactor * 2.2) // Significant long tail for worst-case scenarios
-  };
-};
+const TAB_IDS = TABS.map(tab => tab.id);
 
 const FairRiskCalculator = () => {
-  const [inputs, setInputs] = useState({
-    employees: 250,
-    revenue: 50000000,
-    insurance: 1000000,
-    backupsIsolated: true,
-    mfaEnabled: true,
-    phishingTraining: true,
-    vendorReviews: true,
-    irTabletop: true
+  // A shared link in the URL takes precedence over the locally saved draft
+  const [sharedState] = useState(() => decodeShareLink(window.location.hash, TAB_IDS));
+  const [initialDraft] = useState(loadDraft);
+  const [inputs, setInputs] = useState(() => {
+    if (sharedState && sharedState.inputs) return sharedState.inputs;
+    return initialDraft && initialDraft.inputs ? { ...DEFAULT_INPUTS, ...initialDraft.inputs } : DEFAULT_INPUTS;
   });
+  const { assessments, setAssessments, storage: assessmentStorage, uploadBrowserAssessments } = useAssessmentStore();
+  const [currentAssessmentId, setCurrentAssessmentId] = useState(() => (
+    initialDraft && !(sharedState && sharedState.inputs) ? initialDraft.assessmentId || null : null
+  ));
 
-  const [activeTab, setActiveTab] = useState('instructions');
+  // A member sent here by the landing page of a simulated phishing email they fell for
+  const [phishedKey, setPhishedKey] = useState(() => phishedScenarioKey(window.location.search));
+
+  const [activeTab, setActiveTab] = useState(() => {
+    if (sharedState && sharedState.tab) return sharedState.tab;
+    return phishedKey ? 'training' : 'instructions';
+  });
   const [inputErrors, setInputErrors] = useState({});
+  const [shareErrors, setShareErrors] = useState(sharedState && sharedState.errors ? sharedState.errors : null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [portfolioFile, setPortfolioFile] = useState(null);
+  const benchmarks = useBenchmarks();
 
   // Validation function
   const validateInput = useCallback((field, value) => {
-    const limits = INPUT_LIMITS[field];
-    if (!limits) return true;
-    
-    if (value < limits.min || value > limits.max) {
+    const message = validateInputField(field, value);
+    if (message) {
       setInputErrors(prev => ({
         ...prev,
-        [field]: `Value must be between ${limits.min.toLocaleString()} and ${limits.max.toLocaleString()}`
+        [field]: message
       }));
       return false;
     }
@@ -122,83 +106,157 @@ const FairRiskCalculator = () => {
     setInputs(prev => ({ ...prev, [field]: value }));
   }, [validateInput]);
 
+  // A new industry or regulation set reloads that profile's presets into the inputs
+  const handleProfileChange = useCallback((profile) => {
+    setInputs(prev => applyProfile(prev, profile));
+  }, []);
+
+  // Questionnaire answers set the maturity of the controls they map to
+  const handleFrameworkAnswersChange = useCallback((answers) => {
+    setInputs(prev => applyFrameworkAnswers(prev, answers));
+  }, []);
+
   // Enhanced risk calculation with improved methodology
-  const results = useMemo(() => {
+  const riskModel = useMemo(() => {
     try {
-      // Security score calculation
-      const securityScore = (
-        (inputs.backupsIsolated ? SECURITY_WEIGHTS.BACKUPS : 0) +
-        (inputs.mfaEnabled ? SECURITY_WEIGHTS.MFA : 0) +
-        (inputs.phishingTraining ? SECURITY_WEIGHTS.PHISHING_TRAINING : 0) +
-        (inputs.vendorReviews ? SECURITY_WEIGHTS.VENDOR_REVIEWS : 0) +
-        (inputs.irTabletop ? SECURITY_WEIGHTS.IR_TABLETOP : 0) +
-        SECURITY_WEIGHTS.BASE_SECURITY
-      );
-
-      // Company size and revenue factors with improved scaling
-      const sizeFactor = Math.max(1, Math.log10(Math.max(inputs.employees, 10) / 100) * 0.2 + 1);
-      const revenueFactor = Math.max(1, Math.log10(Math.max(inputs.revenue, 1000000) / 10000000) * 0.15 + 1);
-
-      // Risk reduction from security controls with more realistic caps
-      const riskReduction = Math.min(securityScore * 0.65, 0.75); // Cap at 75% reduction (more realistic)
-
-      const organizationFactors = { sizeFactor, revenueFactor, riskReduction };
-
-      // Enhanced scenario modeling with realistic distributions
-      const scenarios = THREAT_SCENARIOS.map(scenario => {
-        const percentiles = generateRealisticPercentiles(scenario.baseCost, organizationFactors);
-        
-        return {
-          ...scenario,
-          percentiles
-        };
-      });
-
-      // Calculate cost breakdown with enhanced control effectiveness
-      const adjustedCosts = COST_CATEGORIES.map((category, index) => {
-        let reductionFactor = 0;
-        
-        // Apply specific reductions based on controls with more realistic factors
-        if (category.name === 'Emergency IT/Forensics' && inputs.backupsIsolated) reductionFactor += 0.35;
-        if (category.name === 'Revenue Loss' && inputs.mfaEnabled) reductionFactor += 0.25;
-        if (category.name === 'Client Churn' && inputs.phishingTraining) reductionFactor += 0.30;
-        if (category.name === 'Regulatory Fines' && inputs.vendorReviews) reductionFactor += 0.45;
-        if (category.name === 'Staff Overtime' && inputs.irTabletop) reductionFactor += 0.40;
-        
-        // Cross-control synergies (controls work better together)
-        const enabledControls = [
-          inputs.backupsIsolated, inputs.mfaEnabled, inputs.phishingTraining, 
-          inputs.vendorReviews, inputs.irTabletop
-        ].filter(Boolean).length;
-        
-        const synergyBonus = enabledControls >= 4 ? 0.15 : enabledControls >= 3 ? 0.10 : 0;
-        reductionFactor = Math.min(reductionFactor + synergyBonus, 0.70); // Cap individual reductions
-        
-        const adjustedCost = category.baseCost * (1 - reductionFactor) * sizeFactor;
-        
-        return {
-          ...category,
-          reductionFactor,
-          adjustedCost: Math.round(adjustedCost),
-          color: CHART_COLORS[index % CHART_COLORS.length]
-        };
-      });
-
-      const totalCost = adjustedCosts.reduce((sum, cat) => sum + cat.adjustedCost, 0);
-
-      return {
-        scenarios,
-        costBreakdown: adjustedCosts,
-        totalCost,
-        securityScore: Math.round(securityScore * 100),
-        riskReduction: Math.round(riskReduction * 100)
-      };
+      return buildRiskModel(inputs);
     } catch (error) {
       console.error('Risk calculation error:', error);
       return null;
     }
   }, [inputs]);
 
+  const simulation = useSimulation(riskModel);
+
+  // Marginal expected-loss reduction and ROSI for each control
+  const investmentAnalysis = useMemo(() => {
+    try {
+      return analyzeControlInvestments(inputs);
+    } catch (error) {
+      console.error('Control investment analysis error:', error);
+      return null;
+    }
+  }, [inputs]);
+
+  // Combine the model with the simulation run that was computed from it
+  const results = useMemo(() => {
+    if (!simulation.model || !simulation.output) return null;
+    return combineSimulation(simulation.model, simulation.output);
+  }, [simulation.model, simulation.output]);
+
+  const coverageReview = useMemo(() => (results ? reviewCoverage(results.aggregate.insurance) : []), [results]);
+
+  // Persist the working draft locally; useAssessmentStore persists the saved assessment list
+  useEffect(() => {
+    saveDraft({ inputs, assessmentId: currentAssessmentId });
+  }, [inputs, currentAssessmentId]);
+
+  // Keep the URL fragment in step with the inputs and tab, without adding history entries
+  useEffect(() => {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', `${pathname}${withoutPhishedParam(search)}${encodeShareLink(inputs, activeTab)}`);
+  }, [inputs, activeTab]);
+
+  // A share link pasted into the address bar of an open calculator loads without a reload
+  useEffect(() => {
+    const handleHashChange = () => {
+      const shared = decodeShareLink(window.location.hash, TAB_IDS);
+      if (!shared) return;
+      if (shared.errors) {
+        setShareErrors(shared.errors);
+        return;
+      }
+      setInputs(shared.inputs);
+      setActiveTab(shared.tab);
+      setInputErrors({});
+      setCurrentAssessmentId(null);
+      setShareErrors(null);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  useEffect(() => {
+    if (!linkCopied) return undefined;
+    const timer = setTimeout(() => setLinkCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [linkCopied]);
+
+  const handleCopyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+    } catch (error) {
+      console.error('Could not copy share link:', error);
+      window.prompt('Copy this link to share the assessment:', window.location.href);
+    }
+  }, []);
+
+  const currentAssessment = assessments.find(assessment => assessment.id === currentAssessmentId) || null;
+
+  const handleSaveAssessment = useCallback((name) => {
+    const summary = results ? summarizeResults(results) : null;
+    const existing = assessments.find(assessment => assessment.id === currentAssessmentId);
+
+    if (existing) {
+      setAssessments(prev => prev.map(assessment => (
+        assessment.id === existing.id ? updateAssessment({ ...assessment, name }, inputs, summary) : assessment
+      )));
+      return;
+    }
+
+    const assessment = createAssessment(name, inputs, summary);
+    setAssessments(prev => [...prev, assessment]);
+    setCurrentAssessmentId(assessment.id);
+  }, [assessments, currentAssessmentId, inputs, results, setAssessments]);
+
+  const handleSaveAsNewAssessment = useCallback((name) => {
+    const assessment = createAssessment(name, inputs, results ? summarizeResults(results) : null);
+    setAssessments(prev => [...prev, assessment]);
+    setCurrentAssessmentId(assessment.id);
+  }, [inputs, results, setAssessments]);
+
+  const handleNewAssessment = useCallback(() => {
+    setInputs(DEFAULT_INPUTS);
+    setInputErrors({});
+    setCurrentAssessmentId(null);
+  }, []);
+
+  const handleOpenAssessment = useCallback((id) => {
+    const assessment = assessments.find(a => a.id === id);
+    if (!assessment) return;
+    setInputs({ ...DEFAULT_INPUTS, ...assessment.inputs });
+    setInputErrors({});
+    setCurrentAssessmentId(id);
+  }, [assessments]);
+
+  // A past version opens as the working inputs of its assessment; saving it makes it the newest version
+  const handleOpenAssessmentVersion = useCallback((id, version) => {
+    setInputs({ ...DEFAULT_INPUTS, ...version.inputs });
+    setInputErrors({});
+    setCurrentAssessmentId(id);
+  }, []);
+
+  const handleDuplicateAssessment = useCallback((id) => {
+    const assessment = assessments.find(a => a.id === id);
+    if (!assessment) return;
+    setAssessments(prev => [...prev, duplicateAssessment(assessment)]);
+  }, [assessments, setAssessments]);
+
+  // An imported file becomes a new saved assessment and is opened
+  const handleImportAssessment = useCallback(({ name, inputs: importedInputs }) => {
+    const assessment = createAssessment(name, importedInputs);
+    setAssessments(prev => [...prev, assessment]);
+    setInputs(importedInputs);
+    setInputErrors({});
+    setCurrentAssessmentId(assessment.id);
+  }, [setAssessments]);
+
+  const handleDeleteAssessment = useCallback((id) => {
+    setAssessments(prev => prev.filter(assessment => assessment.id !== id));
+    if (id === currentAssessmentId) setCurrentAssessmentId(null);
+  }, [currentAssessmentId, setAssessments]);
+
   const formatCurrency = useCallback((amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -230,26 +288,6 @@ const FairRiskCalculator = () => {
     }));
   }, [results]);
 
-  // Custom Toggle Component
-  const Toggle = ({ checked, onChange, label, id }) => (
-    <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-      <label htmlFor={id} className="flex items-center gap-3 text-sm font-medium text-gray-700 cursor-pointer">
-        {label}
-      </label>
-      <div className="relative">
-        <input
-          id={id}
-          type="checkbox"
-          checked={checked}
-          onChange={onChange}
-          className="sr-only peer"
-          aria-describedby={`${id}-description`}
-        />
-        <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600 cursor-pointer"></div>
-      </div>
-    </div>
-  );
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50">
       {/* Header */}
@@ -276,24 +314,40 @@ const FairRiskCalculator = () => {
               <h1 className="text-2xl font-bold text-gray-900">Cybersecurity Risk Calculator</h1>
               <p className="text-gray-600">Executive Risk Assessment Tool • FAIR-Inspired Methodology</p>
             </div>
+            <button
+              onClick={handleCopyLink}
+              className="ml-auto flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              title="The link holds the whole assessment in the URL fragment, which is never sent to a server"
+            >
+              {linkCopied ? <Check className="w-4 h-4 text-green-600" /> : <Link2 className="w-4 h-4" />}
+              {linkCopied ? 'Link Copied' : 'Copy Share Link'}
+            </button>
           </div>
         </div>
       </div>
 
       <div className="max-w-7xl mx-auto px-6 py-8">
+        {shareErrors && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-start justify-between gap-4">
+            <div className="text-sm text-red-800">
+              <p className="font-semibold">The shared link could not be loaded, so your own assessment is shown instead.</p>
+              <ul className="list-disc list-inside mt-1">
+                {shareErrors.slice(0, 5).map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+            <button onClick={() => setShareErrors(null)} className="text-sm text-red-700 hover:text-red-900">
+              Dismiss
+            </button>
+          </div>
+        )}
+
         {/* Navigation Tabs */}
-        <div className="flex space-x-1 bg-gray-100 p-1 rounded-lg mb-8">
-          {[
-            { id: 'instructions', label: 'How to Use', icon: Eye },
-            { id: 'inputs', label: 'Inputs', icon: Calculator },
-            { id: 'results', label: 'Risk Analysis', icon: AlertTriangle },
-            { id: 'breakdown', label: 'Cost Breakdown', icon: DollarSign },
-            { id: 'summary', label: 'Executive Summary', icon: Shield }
-          ].map((tab) => (
+        <div className="flex space-x-1 bg-gray-100 p-1 rounded-lg mb-8 overflow-x-auto">
+          {TABS.map((tab) => (
             <button
               key={tab.id}
               onClick={() => setActiveTab(tab.id)}
-              className={`flex items-center gap-2 px-4 py-2 rounded-md transition-all ${
+              className={`flex items-center gap-2 px-4 py-2 rounded-md whitespace-nowrap transition-all ${
                 activeTab === tab.id
                   ? 'bg-white text-blue-600 shadow-sm'
                   : 'text-gray-600 hover:text-gray-900'
@@ -333,7 +387,7 @@ const FairRiskCalculator = () => {
                   combined with statistical modeling techniques. Our approach is designed specifically for executive decision-making, prioritizing clarity and actionability over academic complexity.
                 </p>
                 <p>
-                  <strong>Key Features:</strong> Financial impact estimation, security control effectiveness modeling, industry-benchmarked cost categories, and statistical distribution analysis for realistic risk ranges.
+                  <strong>Key Features:</strong> Financial impact estimation, security control effectiveness modeling, industry-benchmarked cost categories, and Monte Carlo simulation of loss frequency (Poisson) and magnitude (lognormal) for realistic risk ranges.
                 </p>
                 <p>
                   <strong>Best Use:</strong> Strategic planning, budget justification, board presentations, insurance coverage decisions, and security investment prioritization.
@@ -413,14 +467,26 @@ const FairRiskCalculator = () => {
                     </li>
                     <li className="flex items-center gap-2">
                       <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
-                      <strong>Cyber Insurance Coverage:</strong> Your current cyber insurance policy limit
+                      <strong>Cyber Insurance Aggregate Limit:</strong> The most your cyber policy pays in a year
+                    </li>
+                    <li className="flex items-center gap-2">
+                      <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
+                      <strong>Industry & Regulatory Profile:</strong> Your sector and the regulations you answer to (loads calibrated base costs, threat frequencies and fine ranges)
+                    </li>
+                    <li className="flex items-center gap-2">
+                      <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
+                      <strong>Sensitive Data Holdings:</strong> How many personal, health and payment card records you hold, which drives breach notification, legal and fine costs
+                    </li>
+                    <li className="flex items-center gap-2">
+                      <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
+                      <strong>Insurance Policy Terms:</strong> Retention, coinsurance, sublimits and which costs the policy excludes
                     </li>
                   </ul>
                 </div>
 
                 <div className="border-l-4 border-green-500 pl-6">
                   <h4 className="text-lg font-semibold text-gray-900 mb-2">Step 2: Assess Security Controls</h4>
-                  <p className="text-gray-700 mb-3">Toggle each security control based on what your organization currently has in place:</p>
+                  <p className="text-gray-700 mb-3">Rate the maturity (0–5) of each control in the catalog based on what your organization currently has in place:</p>
                   <ul className="space-y-2 text-gray-600">
                     <li className="flex items-center gap-2">
                       <div className="w-2 h-2 bg-green-500 rounded-full"></div>
@@ -443,6 +509,26 @@ const FairRiskCalculator = () => {
                       <strong>Incident Response Exercises:</strong> Do you practice incident response scenarios?
                     </li>
                   </ul>
+                  <p className="text-gray-700 mt-3">
+                    To work from a framework instead, answer the questionnaire on the "Framework" tab: it is organized by NIST CSF 2.0
+                    function, can show the CIS Controls v8 safeguards behind each question, sets these maturities from your answers and
+                    shows a coverage heatmap of gaps.
+                  </p>
+                  <p className="text-gray-700 mt-3">
+                    Staff can practise on the "Phishing Trainer" tab. Once logged in, each member's results are recorded for your
+                    organization, and applying the pass rate to an assessment replaces the Phishing Training maturity as that control's
+                    effectiveness and scales how often phishing incidents occur. Each session mixes easy, medium and hard scenarios
+                    from the installed content packs; organization admins can write their own lures (payroll, vendor invoices, MFA
+                    fatigue, QR codes, text messages) under "Content Packs" and share them as JSON files. Under "Campaigns &amp;
+                    Reporting" they assign a module to groups of members with a due date and follow who started, finished and passed,
+                    which red flags are missed most and who keeps failing, with every table exportable as CSV. Under "Simulated
+                    Phishing" they email an installed phishing scenario to members with tracked links; clicks, sign-in form
+                    submissions and reports give click and report rates that are applied to the risk model with the pass rate.
+                  </p>
+                  <p className="text-gray-700 mt-3">
+                    Then open the "Threat Scenarios" tab to enable additional scenarios (BEC/wire fraud, insider misuse, DDoS, cloud
+                    misconfiguration, lost devices), define your own, and choose which controls reduce each one.
+                  </p>
                 </div>
 
                 <div className="border-l-4 border-purple-500 pl-6">
@@ -461,6 +547,10 @@ const FairRiskCalculator = () => {
                       <div className="w-2 h-2 bg-purple-500 rounded-full"></div>
                       Risk scenarios for different types of cyber attacks
                     </li>
+                    <li className="flex items-center gap-2">
+                      <div className="w-2 h-2 bg-purple-500 rounded-full"></div>
+                      A loss exceedance curve showing where residual risk goes past your risk tolerance
+                    </li>
                   </ul>
                 </div>
 
@@ -469,9 +559,24 @@ const FairRiskCalculator = () => {
                   <p className="text-gray-700">The "Cost Breakdown" tab shows where costs come from during a cyber incident, helping you understand which areas are most expensive and how controls reduce specific cost categories.</p>
                 </div>
 
+                <div className="border-l-4 border-indigo-500 pl-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-2">Step 5: Plan a Control Roadmap</h4>
+                  <p className="text-gray-700">The "Roadmap" tab schedules control improvements by quarter (for example MFA in Y1 Q1, vendor reviews in Y1 Q3) and projects expected loss over 3–5 years with your employee and revenue growth and loss-cost inflation. It shows the residual risk trend and whether cumulative avoided loss outpaces the additional control spend.</p>
+                </div>
+
                 <div className="border-l-4 border-red-500 pl-6">
-                  <h4 className="text-lg font-semibold text-gray-900 mb-2">Step 5: Use Executive Summary</h4>
-                  <p className="text-gray-700">The "Executive Summary" tab provides a high-level overview perfect for board presentations, strategic discussions, and stakeholder communications.</p>
+                  <h4 className="text-lg font-semibold text-gray-900 mb-2">Step 6: Use Executive Summary</h4>
+                  <p className="text-gray-700">The "Executive Summary" tab provides a high-level overview perfect for board presentations, strategic discussions, and stakeholder communications. Use "Export PDF" or "Export PowerPoint" to download it as a branded report or slide deck. Its peer benchmark places your security score and expected annual loss among organizations of your industry and size, charts your control maturity against the peer average and lists the controls most peers have that you don't. The built-in peer data can be replaced with your own dataset file (organization admins only, once logged in).</p>
+                </div>
+
+                <div className="border-l-4 border-gray-500 pl-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-2">Step 7: Save and Compare Assessments</h4>
+                  <p className="text-gray-700">The "Assessments" tab saves named assessments so you can reopen them later: with your organization when you're logged in, so colleagues can open them too, and otherwise in your browser. You can duplicate them for "current vs. target" states, and compare two or more side by side. "History" shows every saved version with who saved it, which inputs changed and how the results moved, diffs any past version against the current one and exports the trail as JSON or CSV for auditors. "Export JSON" and "Import JSON" move complete assessments between browsers and tools. "Copy Share Link" copies a link that opens the calculator with your exact assessment and tab; the data travels in the link itself and is never uploaded.</p>
+                </div>
+
+                <div className="border-l-4 border-teal-500 pl-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-2">Step 8: Assess a Portfolio</h4>
+                  <p className="text-gray-700">The "Portfolio" tab assesses many subsidiaries or clients at once from a CSV with one row per entity (employees, revenue, insurance limit and control maturities). Each row runs the same model as your current assessment, and the results table, combined loss distribution and results CSV show where portfolio risk is concentrated.</p>
                 </div>
               </div>
             </div>
@@ -508,8 +613,8 @@ const FairRiskCalculator = () => {
                     <div className="flex items-start gap-3">
                       <CheckCircle className="w-5 h-5 text-green-600 mt-1" />
                       <div>
-                        <p className="font-medium text-gray-900">If your insurance coverage is less than 75th percentile risk:</p>
-                        <p className="text-gray-600 text-sm">Consider increasing your cyber insurance limits or improving security controls to reduce exposure.</p>
+                        <p className="font-medium text-gray-900">If retained losses are high or losses often exhaust your limits:</p>
+                        <p className="text-gray-600 text-sm">Use the Insurance Recovery panel to see which terms leave you exposed, then consider higher limits or sublimits, a lower retention, or improving security controls to reduce exposure.</p>
                       </div>
                     </div>
                     <div className="flex items-start gap-3">
@@ -565,186 +670,228 @@ const FairRiskCalculator = () => {
 
         {/* Inputs Tab */}
         {activeTab === 'inputs' && (
-          <div className="grid lg:grid-cols-2 gap-8">
-            {/* Organization Info */}
-            <div className="bg-white rounded-xl shadow-lg p-6">
-              <h3 className="text-xl font-semibold text-gray-900 mb-6 flex items-center gap-2">
-                <Building className="w-5 h-5 text-blue-600" />
-                Organization Information
-              </h3>
+          <div className="space-y-8">
+            <div className="grid lg:grid-cols-2 gap-8">
+              {/* Organization Info */}
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <h3 className="text-xl font-semibold text-gray-900 mb-6 flex items-center gap-2">
+                  <Building className="w-5 h-5 text-blue-600" />
+                  Organization Information
+                </h3>
               
-              <div className="space-y-6">
-                <div>
-                  <label htmlFor="employees" className="block text-sm font-medium text-gray-700 mb-2">
-                    <Users className="w-4 h-4 inline mr-2" />
-                    Number of Employees
-                  </label>
-                  <input
-                    id="employees"
-                    type="number"
-                    value={inputs.employees}
-                    onChange={(e) => handleInputChange('employees', parseInt(e.target.value) || 0)}
-                    className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                      inputErrors.employees ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="250"
-                    min={INPUT_LIMITS.employees.min}
-                    max={INPUT_LIMITS.employees.max}
-                    aria-describedby={inputErrors.employees ? 'employees-error' : undefined}
-                  />
-                  {inputErrors.employees && (
-                    <p id="employees-error" className="text-red-500 text-sm mt-1">{inputErrors.employees}</p>
-                  )}
-                </div>
+                <div className="space-y-6">
+                  <div>
+                    <label htmlFor="employees" className="block text-sm font-medium text-gray-700 mb-2">
+                      <Users className="w-4 h-4 inline mr-2" />
+                      Number of Employees
+                    </label>
+                    <input
+                      id="employees"
+                      type="number"
+                      value={inputs.employees}
+                      onChange={(e) => handleInputChange('employees', parseInt(e.target.value) || 0)}
+                      className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        inputErrors.employees ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                      placeholder="250"
+                      min={INPUT_LIMITS.employees.min}
+                      max={INPUT_LIMITS.employees.max}
+                      aria-describedby={inputErrors.employees ? 'employees-error' : undefined}
+                    />
+                    {inputErrors.employees && (
+                      <p id="employees-error" className="text-red-500 text-sm mt-1">{inputErrors.employees}</p>
+                    )}
+                  </div>
 
-                <div>
-                  <label htmlFor="revenue" className="block text-sm font-medium text-gray-700 mb-2">
-                    <DollarSign className="w-4 h-4 inline mr-2" />
-                    Annual Revenue ($)
-                  </label>
-                  <input
-                    id="revenue"
-                    type="number"
-                    value={inputs.revenue}
-                    onChange={(e) => handleInputChange('revenue', parseInt(e.target.value) || 0)}
-                    className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                      inputErrors.revenue ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="50000000"
-                    min={INPUT_LIMITS.revenue.min}
-                    max={INPUT_LIMITS.revenue.max}
-                    aria-describedby={inputErrors.revenue ? 'revenue-error' : undefined}
-                  />
-                  {inputErrors.revenue && (
-                    <p id="revenue-error" className="text-red-500 text-sm mt-1">{inputErrors.revenue}</p>
-                  )}
-                </div>
+                  <div>
+                    <label htmlFor="revenue" className="block text-sm font-medium text-gray-700 mb-2">
+                      <DollarSign className="w-4 h-4 inline mr-2" />
+                      Annual Revenue ($)
+                    </label>
+                    <input
+                      id="revenue"
+                      type="number"
+                      value={inputs.revenue}
+                      onChange={(e) => handleInputChange('revenue', parseInt(e.target.value) || 0)}
+                      className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        inputErrors.revenue ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                      placeholder="50000000"
+                      min={INPUT_LIMITS.revenue.min}
+                      max={INPUT_LIMITS.revenue.max}
+                      aria-describedby={inputErrors.revenue ? 'revenue-error' : undefined}
+                    />
+                    {inputErrors.revenue && (
+                      <p id="revenue-error" className="text-red-500 text-sm mt-1">{inputErrors.revenue}</p>
+                    )}
+                  </div>
 
-                <div>
-                  <label htmlFor="insurance" className="block text-sm font-medium text-gray-700 mb-2">
-                    <Shield className="w-4 h-4 inline mr-2" />
-                    Cyber Insurance Coverage ($)
-                  </label>
-                  <input
-                    id="insurance"
-                    type="number"
-                    value={inputs.insurance}
-                    onChange={(e) => handleInputChange('insurance', parseInt(e.target.value) || 0)}
-                    className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                      inputErrors.insurance ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="1000000"
-                    min={INPUT_LIMITS.insurance.min}
-                    max={INPUT_LIMITS.insurance.max}
-                    aria-describedby={inputErrors.insurance ? 'insurance-error' : undefined}
-                  />
-                  {inputErrors.insurance && (
-                    <p id="insurance-error" className="text-red-500 text-sm mt-1">{inputErrors.insurance}</p>
-                  )}
+                  <div>
+                    <label htmlFor="insurance" className="block text-sm font-medium text-gray-700 mb-2">
+                      <Shield className="w-4 h-4 inline mr-2" />
+                      Cyber Insurance Aggregate Limit ($)
+                    </label>
+                    <input
+                      id="insurance"
+                      type="number"
+                      value={inputs.insurance}
+                      onChange={(e) => handleInputChange('insurance', parseInt(e.target.value) || 0)}
+                      className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        inputErrors.insurance ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                      placeholder="1000000"
+                      min={INPUT_LIMITS.insurance.min}
+                      max={INPUT_LIMITS.insurance.max}
+                      aria-describedby={inputErrors.insurance ? 'insurance-error' : undefined}
+                    />
+                    {inputErrors.insurance && (
+                      <p id="insurance-error" className="text-red-500 text-sm mt-1">{inputErrors.insurance}</p>
+                    )}
+                  </div>
                 </div>
               </div>
-            </div>
 
-            {/* Security Controls */}
-            <div className="bg-white rounded-xl shadow-lg p-6">
-              <h3 className="text-xl font-semibold text-gray-900 mb-6 flex items-center gap-2">
-                <Lock className="w-5 h-5 text-green-600" />
-                Security Controls Assessment
-              </h3>
-              
-              <div className="space-y-4">
-                <Toggle
-                  id="backups"
-                  checked={inputs.backupsIsolated}
-                  onChange={(e) => handleInputChange('backupsIsolated', e.target.checked)}
-                  label={
-                    <>
-                      <Shield className="w-4 h-4 text-blue-600" />
-                      Backups Isolated from Network
-                    </>
-                  }
-                />
-                
-                <Toggle
-                  id="mfa"
-                  checked={inputs.mfaEnabled}
-                  onChange={(e) => handleInputChange('mfaEnabled', e.target.checked)}
-                  label={
-                    <>
-                      <Lock className="w-4 h-4 text-blue-600" />
-                      Multi-Factor Authentication Enabled
-                    </>
-                  }
-                />
-                
-                <Toggle
-                  id="phishing"
-                  checked={inputs.phishingTraining}
-                  onChange={(e) => handleInputChange('phishingTraining', e.target.checked)}
-                  label={
-                    <>
-                      <Mail className="w-4 h-4 text-blue-600" />
-                      Regular Phishing Training
-                    </>
-                  }
-                />
-                
-                <Toggle
-                  id="vendor"
-                  checked={inputs.vendorReviews}
-                  onChange={(e) => handleInputChange('vendorReviews', e.target.checked)}
-                  label={
-                    <>
-                      <Eye className="w-4 h-4 text-blue-600" />
-                      Vendor Security Reviews Conducted
-                    </>
-                  }
-                />
-                
-                <Toggle
-                  id="ir"
-                  checked={inputs.irTabletop}
-                  onChange={(e) => handleInputChange('irTabletop', e.target.checked)}
-                  label={
-                    <>
-                      <CheckCircle className="w-4 h-4 text-blue-600" />
-                      Incident Response Tabletop Exercises
-                    </>
-                  }
-                />
-              </div>
+              {/* Security Posture */}
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <h3 className="text-xl font-semibold text-gray-900 mb-6 flex items-center gap-2">
+                  <Lock className="w-5 h-5 text-green-600" />
+                  Security Controls Assessment
+                </h3>
 
-              {results && (
-                <div className="mt-6 p-4 bg-blue-50 rounded-lg">
-                  <div className="flex items-center justify-between">
-                    <span className="text-sm font-medium text-blue-800">Security Score</span>
-                    <span className="text-2xl font-bold text-blue-600">{results.securityScore}%</span>
-                  </div>
-                  <div className="mt-2 w-full bg-blue-200 rounded-full h-2">
-                    <div 
-                      className="bg-blue-600 h-2 rounded-full transition-all duration-500"
-                      style={{ width: `${results.securityScore}%` }}
-                      role="progressbar"
-                      aria-valuenow={results.securityScore}
-                      aria-valuemin={0}
-                      aria-valuemax={100}
-                      aria-label={`Security score: ${results.securityScore}%`}
-                    ></div>
+                <p className="text-sm text-gray-600">
+                  Rate each control in the catalog below from 0 (not implemented) to 5 (optimized). Weights set how much each
+                  control contributes to the security score; expand a control to choose the threat scenarios and cost categories it reduces.
+                </p>
+                <p className="text-sm text-gray-700 mt-3">
+                  <strong>{countImplementedControls(inputs.controls)}</strong> of {inputs.controls.length} controls implemented at maturity 3 or higher.
+                </p>
+
+                {results && (
+                  <div className="mt-6 p-4 bg-blue-50 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-blue-800">Security Score</span>
+                      <span className="text-2xl font-bold text-blue-600">{results.securityScore}%</span>
+                    </div>
+                    <div className="mt-2 w-full bg-blue-200 rounded-full h-2">
+                      <div 
+                        className="bg-blue-600 h-2 rounded-full transition-all duration-500"
+                        style={{ width: `${results.securityScore}%` }}
+                        role="progressbar"
+                        aria-valuenow={results.securityScore}
+                        aria-valuemin={0}
+                        aria-valuemax={100}
+                        aria-label={`Security score: ${results.securityScore}%`}
+                      ></div>
+                    </div>
+                    <p className="text-xs text-blue-700 mt-2">
+                      This score reflects the effectiveness of your current security controls in reducing cyber risk.
+                    </p>
                   </div>
-                  <p className="text-xs text-blue-700 mt-2">
-                    This score reflects the effectiveness of your current security controls in reducing cyber risk.
-                  </p>
-                </div>
-              )}
+                )}
+              </div>
             </div>
+
+            <IndustryProfileEditor
+              profile={inputs.profile}
+              baseCosts={inputs.baseCosts}
+              regulatoryFineRange={inputs.regulatoryFineRange}
+              costCategories={COST_CATEGORIES}
+              onProfileChange={handleProfileChange}
+              onBaseCostsChange={(baseCosts) => handleInputChange('baseCosts', baseCosts)}
+              onFineRangeChange={(range) => handleInputChange('regulatoryFineRange', range)}
+            />
+
+            <DataHoldingsEditor
+              holdings={inputs.dataHoldings}
+              onChange={(holdings) => handleInputChange('dataHoldings', holdings)}
+              exposedRecords={riskModel ? riskModel.exposedRecords : 0}
+            />
+
+            <ControlCatalog
+              controls={inputs.controls}
+              onChange={(controls) => handleInputChange('controls', controls)}
+              scenarios={inputs.scenarios}
+              onScenariosChange={(scenarios) => handleInputChange('scenarios', scenarios)}
+              costCategories={COST_CATEGORIES}
+              trainingResults={inputs.trainingResults}
+            />
+
+            <InsurancePolicyEditor
+              policy={inputs.insurancePolicy}
+              onChange={(policy) => handleInputChange('insurancePolicy', policy)}
+              costCategories={COST_CATEGORIES}
+            />
           </div>
         )}
 
+        {/* Threat Scenarios Tab */}
+        {activeTab === 'scenarios' && (
+          <ScenarioEditor
+            scenarios={inputs.scenarios}
+            controls={inputs.controls}
+            onChange={(scenarios) => handleInputChange('scenarios', scenarios)}
+          />
+        )}
+
+        {/* Assessments Tab */}
+        {activeTab === 'assessments' && (
+          <AssessmentManager
+            assessments={assessments}
+            currentAssessmentId={currentAssessmentId}
+            inputs={inputs}
+            onSave={handleSaveAssessment}
+            onSaveAsNew={handleSaveAsNewAssessment}
+            onNew={handleNewAssessment}
+            onOpen={handleOpenAssessment}
+            onDuplicate={handleDuplicateAssessment}
+            onDelete={handleDeleteAssessment}
+            onImport={handleImportAssessment}
+            onOpenVersion={handleOpenAssessmentVersion}
+            storage={assessmentStorage}
+            onUploadBrowserAssessments={uploadBrowserAssessments}
+            formatCurrency={formatCurrency}
+          />
+        )}
+
+        {activeTab === 'framework' && (
+          <FrameworkQuestionnaire
+            answers={inputs.frameworkAnswers}
+            controls={inputs.controls}
+            onChange={handleFrameworkAnswersChange}
+          />
+        )}
+
+        {activeTab === 'training' && (
+          <PhishingTrainer
+            trainingResults={inputs.trainingResults}
+            onApply={(trainingResults) => handleInputChange('trainingResults', trainingResults)}
+            phishedScenarioKey={phishedKey}
+            onDismissPhished={() => setPhishedKey(null)}
+          />
+        )}
+
+        {activeTab === 'roadmap' && (
+          <RoadmapPlanner
+            inputs={inputs}
+            onChange={(roadmap) => handleInputChange('roadmap', roadmap)}
+            formatCurrency={formatCurrency}
+          />
+        )}
+
+        {activeTab === 'portfolio' && (
+          <PortfolioAnalysis
+            file={portfolioFile}
+            template={inputs}
+            onFileChange={setPortfolioFile}
+            formatCurrency={formatCurrency}
+          />
+        )}
+
         {/* Results Tab */}
         {activeTab === 'results' && results && (
           <div className="space-y-8">
             {/* Summary Cards */}
-            <div className="grid md:grid-cols-3 gap-6">
+            <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-6">
               <div className="bg-white rounded-xl shadow-lg p-6">
                 <div className="flex items-center justify-between">
                   <div>
@@ -756,6 +903,17 @@ const FairRiskCalculator = () => {
                 </div>
               </div>
 
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">Annualized Loss Expectancy</p>
+                    <p className="text-3xl font-bold text-orange-600">{formatCurrency(results.aggregate.ale)}</p>
+                    <p className="text-xs text-gray-500 mt-1">Mean simulated annual loss</p>
+                  </div>
+                  <Calculator className="w-8 h-8 text-orange-500" />
+                </div>
+              </div>
+
               <div className="bg-white rounded-xl shadow-lg p-6">
                 <div className="flex items-center justify-between">
                   <div>
@@ -770,9 +928,9 @@ const FairRiskCalculator = () => {
               <div className="bg-white rounded-xl shadow-lg p-6">
                 <div className="flex items-center justify-between">
                   <div>
-                    <p className="text-sm font-medium text-gray-600">Insurance Coverage</p>
-                    <p className="text-3xl font-bold text-blue-600">{formatCurrency(inputs.insurance)}</p>
-                    <p className="text-xs text-gray-500 mt-1">Current policy limit</p>
+                    <p className="text-sm font-medium text-gray-600">Retained ALE</p>
+                    <p className="text-3xl font-bold text-blue-600">{formatCurrency(results.aggregate.insurance.retainedAle)}</p>
+                    <p className="text-xs text-gray-500 mt-1">Of a {formatCurrency(inputs.insurance)} policy limit</p>
                   </div>
                   <DollarSign className="w-8 h-8 text-blue-500" />
                 </div>
@@ -783,7 +941,9 @@ const FairRiskCalculator = () => {
             <div className="bg-white rounded-xl shadow-lg p-6">
               <h3 className="text-xl font-semibold text-gray-900 mb-6">Risk Scenario Analysis - Statistical Distribution</h3>
               <p className="text-gray-600 text-sm mb-4">
-                This chart shows the range of potential costs for different cyber threat scenarios based on statistical modeling of incident data.
+                This chart shows the range of potential costs per incident for different cyber threat scenarios, drawn from
+                {' '}{results.iterations.toLocaleString()} Monte Carlo iterations of loss event frequency and magnitude.
+                {simulation.isSimulating && <span className="text-blue-600"> Updating simulation…</span>}
               </p>
               
               <div className="h-96">
@@ -799,11 +959,25 @@ const FairRiskCalculator = () => {
               </div>
             </div>
 
+            {/* Loss Exceedance Curve */}
+            <LossExceedanceChart
+              results={results}
+              tolerance={inputs.riskTolerance}
+              onToleranceChange={(points) => handleInputChange('riskTolerance', points)}
+              formatCurrency={formatCurrency}
+            />
+
+            {/* Sensitivity of Expected Loss to Each Driver */}
+            <SensitivityAnalysis inputs={inputs} formatCurrency={formatCurrency} />
+
+            {/* Insured vs. Retained Losses */}
+            <InsuranceRecovery results={results} formatCurrency={formatCurrency} />
+
             {/* Detailed Scenarios */}
             <div className="grid md:grid-cols-3 gap-6">
               {results.scenarios.map((scenario, index) => (
                 <div key={scenario.name} className="bg-white rounded-xl shadow-lg p-6">
-                  <h4 className="text-lg font-semibold text-gray-900 mb-4">{scenario.name} Attack</h4>
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4">{scenario.name}</h4>
                   <div className="space-y-3">
                     {Object.entries(scenario.percentiles).map(([percentile, value]) => (
                       <div key={percentile} className="flex justify-between">
@@ -812,9 +986,17 @@ const FairRiskCalculator = () => {
                       </div>
                     ))}
                   </div>
-                  <div className="mt-4 pt-3 border-t border-gray-200">
+                  <div className="mt-4 pt-3 border-t border-gray-200 space-y-2">
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-600">Annualized Loss Expectancy</span>
+                      <span className="font-medium">{formatCurrency(scenario.annualLoss.ale)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-600">Chance of a loss this year</span>
+                      <span className="font-medium">{Math.round(scenario.annualLoss.probabilityOfLoss * 100)}%</span>
+                    </div>
                     <p className="text-xs text-gray-500">
-                      Range from best-case (5th) to worst-case (95th) outcomes
+                      Per-incident range from best-case (5th) to worst-case (95th) outcomes
                     </p>
                   </div>
                 </div>
@@ -901,10 +1083,18 @@ const FairRiskCalculator = () => {
         {activeTab === 'summary' && results && (
           <div className="space-y-8">
             <div className="bg-white rounded-xl shadow-lg p-6">
-              <h3 className="text-2xl font-semibold text-gray-900 mb-6 flex items-center gap-2">
-                <Eye className="w-6 h-6 text-blue-600" />
-                Executive Summary
-              </h3>
+              <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+                <h3 className="text-2xl font-semibold text-gray-900 flex items-center gap-2">
+                  <Eye className="w-6 h-6 text-blue-600" />
+                  Executive Summary
+                </h3>
+                <ReportExport
+                  inputs={inputs}
+                  results={results}
+                  investmentAnalysis={investmentAnalysis}
+                  assessmentName={currentAssessment ? currentAssessment.name : null}
+                />
+              </div>
               
               <div className="grid md:grid-cols-2 gap-6 mb-8">
                 <div className="bg-gradient-to-r from-blue-50 to-blue-100 p-6 rounded-lg">
@@ -912,19 +1102,29 @@ const FairRiskCalculator = () => {
                   <p className="text-blue-800">
                     Based on your organization's profile ({inputs.employees.toLocaleString()} employees, {formatCurrency(inputs.revenue)} revenue) 
                     and current security measures, the median cost of a cyber incident is estimated at <strong>{formatCurrency(results.totalCost)}</strong>. 
-                    Worst-case scenarios could reach significantly higher amounts.
+                    Simulated annualized loss expectancy is <strong>{formatCurrency(results.aggregate.ale)}</strong>, and in a bad year (95th percentile) 
+                    annual losses could reach <strong>{formatCurrency(results.aggregate.percentiles['95th'])}</strong>.
                   </p>
                 </div>
                 <div className="bg-gradient-to-r from-green-50 to-green-100 p-6 rounded-lg">
                   <h4 className="text-lg font-semibold text-green-900 mb-2">Security Control Effectiveness</h4>
                   <p className="text-green-800">
                     Your current security controls provide a <strong>{results.riskReduction}% reduction</strong> in potential 
-                    incident costs. This represents significant ROI on security investments, with each control providing 
-                    measurable risk reduction.
+                    incident costs.
+                    {investmentAnalysis && investmentAnalysis.portfolio.cost > 0 ? (
+                      <> Controls with entered costs avoid <strong>{formatCurrency(investmentAnalysis.portfolio.benefit)}</strong> in 
+                      expected annual loss for {formatCurrency(investmentAnalysis.portfolio.cost)} of annual spend, a return on security 
+                      investment of <strong>{formatRosi(investmentAnalysis.portfolio.rosi)}</strong>.</>
+                    ) : (
+                      <> Enter annual control costs on the Inputs tab to calculate the return on these investments.</>
+                    )}
                   </p>
                 </div>
               </div>
 
+              {/* Peer Benchmark: percentile position and control coverage against industry and size peers */}
+              <PeerBenchmark inputs={inputs} results={results} benchmarks={benchmarks} formatCurrency={formatCurrency} />
+
               {/* Risk Analysis */}
               <div className="bg-gray-50 p-6 rounded-lg mb-6">
                 <h4 className="text-lg font-semibold text-gray-900 mb-4">Strategic Risk Assessment</h4>
@@ -935,7 +1135,7 @@ const FairRiskCalculator = () => {
                       <li>• Organization size: {inputs.employees.toLocaleString()} employees</li>
                       <li>• Revenue exposure: {formatCurrency(inputs.revenue)}</li>
                       <li>• Security maturity: {results.securityScore}% score</li>
-                      <li>• Control coverage: {[inputs.backupsIsolated, inputs.mfaEnabled, inputs.phishingTraining, inputs.vendorReviews, inputs.irTabletop].filter(Boolean).length}/5 implemented</li>
+                      <li>• Control coverage: {countImplementedControls(inputs.controls)}/{inputs.controls.length} implemented (maturity 3+)</li>
                     </ul>
                   </div>
                   <div>
@@ -949,44 +1149,70 @@ const FairRiskCalculator = () => {
                 </div>
               </div>
 
-              {/* Insurance Gap Analysis */}
-              {inputs.insurance < results.totalCost && (
+              {/* Insurance Gap Analysis: retained loss beyond the deductible */}
+              {results.incidentSplit.retained > inputs.insurancePolicy.retention && (
                 <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6">
                   <h5 className="font-semibold text-amber-800 mb-2">⚠️ Insurance Coverage Gap Identified</h5>
                   <p className="text-amber-700">
-                    Your current cyber insurance coverage of {formatCurrency(inputs.insurance)} may not fully cover 
-                    the estimated median incident costs of {formatCurrency(results.totalCost)}. Gap: {formatCurrency(results.totalCost - inputs.insurance)}.
-                    Consider reviewing your coverage limits or implementing additional security controls to reduce exposure.
+                    For a median incident costing {formatCurrency(results.totalCost)}, your policy would pay {formatCurrency(results.incidentSplit.insured)} and 
+                    your organization would retain {formatCurrency(results.incidentSplit.retained)}, well above the {formatCurrency(inputs.insurancePolicy.retention)} retention, 
+                    because of exclusions, sublimits and coinsurance. Across simulated years you retain {formatCurrency(results.aggregate.insurance.retainedAle)} of 
+                    the {formatCurrency(results.aggregate.ale)} annualized loss, and losses exhaust the {formatCurrency(inputs.insurance)} aggregate limit 
+                    in {(results.aggregate.insurance.limitExhaustionProbability * 100).toFixed(1)}% of years.
                   </p>
                 </div>
               )}
 
+              {/* Control Investment Returns */}
+              {investmentAnalysis && (
+                <ControlInvestmentReturns analysis={investmentAnalysis} formatCurrency={formatCurrency} />
+              )}
+
               {/* Recommendations */}
               <div className="bg-white border border-gray-200 rounded-lg p-6">
                 <h4 className="text-lg font-semibold text-gray-900 mb-4">Strategic Recommendations</h4>
                 <div className="space-y-4">
-                  {results.securityScore < 75 && (
+                  {/* Best next dollar: control upgrades ranked by loss avoided per dollar */}
+                  {investmentAnalysis && investmentAnalysis.nextDollar.map((control, index) => (
+                    <div key={control.id} className="flex items-start gap-3">
+                      <div className="bg-red-100 px-2 py-0.5 rounded text-sm font-semibold text-red-700">
+                        {index + 1}
+                      </div>
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          Raise {control.name} from maturity {control.maturity} to 5
+                        </p>
+                        <p className="text-gray-600 text-sm">
+                          Additional {formatCurrency(control.upgrade.cost)}/yr avoids {formatCurrency(control.upgrade.benefit)} in expected annual loss: 
+                          net benefit {formatCurrency(control.upgrade.netBenefit)}, ROSI {formatRosi(control.upgrade.rosi)}, 
+                          payback {formatPayback(control.upgrade.paybackMonths)}.
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+
+                  {investmentAnalysis && investmentAnalysis.nextDollar.length === 0 && results.securityScore < 75 && (
                     <div className="flex items-start gap-3">
                       <div className="bg-red-100 p-1 rounded">
                         <AlertTriangle className="w-4 h-4 text-red-600" />
                       </div>
                       <div>
-                        <p className="font-medium text-gray-900">Priority: Improve Security Controls</p>
-                        <p className="text-gray-600 text-sm">Security score of {results.securityScore}% indicates opportunity for improvement. 
-                        Focus on implementing missing controls to reduce risk exposure.</p>
+                        <p className="font-medium text-gray-900">Priority: Price Your Control Upgrades</p>
+                        <p className="text-gray-600 text-sm">Security score of {results.securityScore}% leaves room to improve. 
+                        Enter annual costs for controls below full maturity to rank upgrades by return on investment.</p>
                       </div>
                     </div>
                   )}
                   
-                  {inputs.insurance < results.totalCost * 1.5 && (
+                  {coverageReview.length > 0 && (
                     <div className="flex items-start gap-3">
                       <div className="bg-blue-100 p-1 rounded">
                         <Shield className="w-4 h-4 text-blue-600" />
                       </div>
                       <div>
                         <p className="font-medium text-gray-900">Consider: Insurance Coverage Review</p>
-                        <p className="text-gray-600 text-sm">Current coverage may be insufficient for worst-case scenarios. 
-                        Evaluate increasing limits to at least 75th percentile risk levels.</p>
+                        <p className="text-gray-600 text-sm">{coverageReview.join(' ')} Evaluate higher limits or sublimits 
+                        for worst-case years.</p>
                       </div>
                     </div>
                   )}
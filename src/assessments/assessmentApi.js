@@ -0,0 +1,26 @@
+// Client for the organization's server-side assessments (netlify/functions/assessments.js)
+import { apiRequest } from '../identity/apiRequest';
+
+const API_PATH = '/api/assessments';
+
+const assessmentUrl = (id) => `${API_PATH}/${encodeURIComponent(id)}`;
+
+// The organization's assessments without their version history, which getServerAssessment returns
+export const listServerAssessments = async (user) => (await apiRequest(user, API_PATH)).assessments;
+
+export const getServerAssessment = (user, id) => apiRequest(user, assessmentUrl(id));
+
+// Creates or replaces the assessment under its own id and resolves the stored record. The server
+// computes the results summary from the inputs itself.
+export const putServerAssessment = (user, { id, name, inputs }) => (
+  apiRequest(user, assessmentUrl(id), { method: 'PUT', body: { name, inputs } })
+);
+
+// Already deleted counts as deleted
+export const deleteServerAssessment = async (user, id) => {
+  try {
+    await apiRequest(user, assessmentUrl(id), { method: 'DELETE' });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+};
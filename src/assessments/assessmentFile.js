@@ -0,0 +1,87 @@
+// Assessment files: a complete assessment as versioned JSON, for moving assessments between tools.
+// The file layout is documented by the JSON Schema published at ASSESSMENT_SCHEMA_PATH. Files from
+// older schema versions are upgraded one version at a time by MIGRATIONS before validation.
+import { DEFAULT_INPUTS } from '../model/riskModel';
+import { validateAssessmentInputs } from './inputSchema';
+
+export const ASSESSMENT_FILE_FORMAT = 'inp2-risk-assessment';
+export const ASSESSMENT_SCHEMA_VERSION = 5;
+export const ASSESSMENT_SCHEMA_PATH = `/schema/assessment-v${ASSESSMENT_SCHEMA_VERSION}.schema.json`;
+
+// Each migration takes a file at the version it's keyed by and returns it at the next version
+const MIGRATIONS = {
+  // v1 predates the control roadmap
+  1: (file) => ({
+    ...file,
+    schemaVersion: 2,
+    inputs: { ...file.inputs, roadmap: DEFAULT_INPUTS.roadmap }
+  }),
+  // v2 predates the framework questionnaire
+  2: (file) => ({
+    ...file,
+    schemaVersion: 3,
+    inputs: { ...file.inputs, frameworkAnswers: DEFAULT_INPUTS.frameworkAnswers }
+  }),
+  // v3 predates phishing trainer results
+  3: (file) => ({
+    ...file,
+    schemaVersion: 4,
+    inputs: { ...file.inputs, trainingResults: DEFAULT_INPUTS.trainingResults }
+  }),
+  // v4 predates simulated phishing results, which are optional in the trainer results
+  4: (file) => ({
+    ...file,
+    schemaVersion: 5
+  })
+};
+
+export const serializeAssessmentFile = (name, inputs) => JSON.stringify({
+  $schema: `${window.location.origin}${ASSESSMENT_SCHEMA_PATH}`,
+  format: ASSESSMENT_FILE_FORMAT,
+  schemaVersion: ASSESSMENT_SCHEMA_VERSION,
+  name,
+  exportedAt: new Date().toISOString(),
+  inputs
+}, null, 2);
+
+// `{ name, inputs, migratedFrom }` from a parsed assessment file, or `{ errors }` keyed by field path
+// when it can't be imported. `migratedFrom` is the file's original schema version if it was upgraded.
+export const readAssessmentFile = (file) => {
+  if (!file || file.format !== ASSESSMENT_FILE_FORMAT) {
+    return { errors: { format: 'The file is not an exported risk assessment' } };
+  }
+  if (!Number.isInteger(file.schemaVersion) || file.schemaVersion < 1) {
+    return { errors: { schemaVersion: 'The file has no valid schema version' } };
+  }
+  if (file.schemaVersion > ASSESSMENT_SCHEMA_VERSION) {
+    return { errors: { schemaVersion: `Schema version ${file.schemaVersion} is newer than this calculator supports (${ASSESSMENT_SCHEMA_VERSION})` } };
+  }
+  if (!file.inputs || typeof file.inputs !== 'object') {
+    return { errors: { inputs: 'Assessment inputs are missing' } };
+  }
+
+  const migratedFrom = file.schemaVersion < ASSESSMENT_SCHEMA_VERSION ? file.schemaVersion : null;
+  let migrated = file;
+  while (migrated.schemaVersion < ASSESSMENT_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[migrated.schemaVersion](migrated);
+  }
+
+  // Only fields the model knows are kept
+  const inputs = Object.fromEntries(Object.keys(DEFAULT_INPUTS).map(key => [key, migrated.inputs[key]]));
+  const errors = validateAssessmentInputs(inputs);
+  if (Object.keys(errors).length > 0) return { errors };
+
+  const name = typeof migrated.name === 'string' && migrated.name.trim() ? migrated.name.trim() : 'Imported Assessment';
+  return { name, inputs, migratedFrom };
+};
+
+// readAssessmentFile for the text of a file
+export const parseAssessmentFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { errors: { file: 'The file is not valid JSON' } };
+  }
+  return readAssessmentFile(file);
+};
@@ -0,0 +1,95 @@
+// Version history of a saved assessment, so a changed risk number can be explained. Every save that
+// changes the name, inputs or results snapshot appends a version holding the full snapshot, who saved
+// it and when, and the inputs it changed, so any past version can be reopened or diffed with another.
+// With server-side storage the server records versions from the verified caller, not the browser.
+import { diffAssessmentInputs } from './compareAssessments';
+import { formatCsv } from '../shared/csv';
+
+export const HISTORY_FORMAT = 'inp2-risk-assessment-history';
+
+const sameContent = (a, b) => (
+  a.name === b.name
+  && JSON.stringify(a.inputs) === JSON.stringify(b.inputs)
+  && JSON.stringify(a.summary) === JSON.stringify(b.summary)
+);
+
+// `{ key, label, type, before, after }` for each input that differs between two snapshots
+export const diffSnapshotInputs = (before, after) => {
+  const rows = diffAssessmentInputs([before, after]).map(({ key, label, type, values }) => ({
+    key, label, type, before: values[0], after: values[1]
+  }));
+  return before.name === after.name
+    ? rows
+    : [{ key: 'name', label: 'Name', type: 'text', before: before.name, after: after.name }, ...rows];
+};
+
+// `{ key, label, type, before, after }` for the headline results of two summaries, whether or not they
+// changed; metrics missing from a summary (or a summary saved before results existed) are null
+export const compareSummaries = (before, after) => {
+  const metric = (summary, key) => (summary && summary[key] !== undefined ? summary[key] : null);
+  const medians = (summary) => (summary && summary.scenarioMedians) || [];
+  const scenarios = [...medians(before), ...medians(after)]
+    .filter((scenario, index, all) => all.findIndex(s => s.id === scenario.id) === index);
+  const median = (summary, id) => {
+    const scenario = medians(summary).find(s => s.id === id);
+    return scenario ? scenario.median : null;
+  };
+
+  return [
+    { key: 'securityScore', label: 'Security score', type: 'percent', before: metric(before, 'securityScore'), after: metric(after, 'securityScore') },
+    { key: 'totalCost', label: 'Total incident cost', type: 'currency', before: metric(before, 'totalCost'), after: metric(after, 'totalCost') },
+    { key: 'ale', label: 'Annualized loss expectancy', type: 'currency', before: metric(before, 'ale'), after: metric(after, 'ale') },
+    ...scenarios.map(scenario => ({
+      key: `median:${scenario.id}`,
+      label: `${scenario.name} median`,
+      type: 'currency',
+      before: median(before, scenario.id),
+      after: median(after, scenario.id)
+    }))
+  ];
+};
+
+// The assessment with a version appended for its current content, unless that matches the latest
+// version already. `savedBy` is the saver's email, or null for a browser-only save.
+export const recordVersion = (assessment, { savedBy = null, savedAt = assessment.updatedAt } = {}) => {
+  const versions = assessment.versions || [];
+  const latest = versions[versions.length - 1];
+  if (latest && sameContent(latest, assessment)) return { ...assessment, versions };
+
+  const { name, inputs, summary } = assessment;
+  return {
+    ...assessment,
+    versions: [...versions, {
+      version: latest ? latest.version + 1 : 1,
+      savedAt,
+      savedBy,
+      name,
+      inputs,
+      summary,
+      changes: latest ? diffSnapshotInputs(latest, assessment) : []
+    }]
+  };
+};
+
+export const serializeHistory = (assessment) => JSON.stringify({
+  format: HISTORY_FORMAT,
+  assessmentId: assessment.id,
+  name: assessment.name,
+  exportedAt: new Date().toISOString(),
+  versions: assessment.versions || []
+}, null, 2);
+
+// One row per changed input and per headline result of every version, against the version before it
+export const historyToCsv = (assessment) => {
+  const rows = [['Version', 'Saved at', 'Saved by', 'Kind', 'Field', 'Before', 'After']];
+  (assessment.versions || []).forEach((version, index, versions) => {
+    const previous = versions[index - 1] || null;
+    const prefix = [version.version, version.savedAt, version.savedBy || 'Local browser'];
+    if (!previous) rows.push([...prefix, 'created', 'Name', '', version.name]);
+    version.changes.forEach(change => rows.push([...prefix, 'input', change.label, change.before, change.after]));
+    compareSummaries(previous && previous.summary, version.summary).forEach(result => {
+      rows.push([...prefix, 'result', result.label, result.before, result.after]);
+    });
+  });
+  return formatCsv(rows);
+};
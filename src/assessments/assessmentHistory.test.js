@@ -0,0 +1,51 @@
+import { DEFAULT_INPUTS } from '../model/riskModel';
+import { recordVersion, compareSummaries, historyToCsv } from './assessmentHistory';
+import { parseCsv } from '../shared/csv';
+
+const summary = (totalCost, median) => ({
+  securityScore: 40,
+  totalCost,
+  ale: totalCost / 2,
+  scenarioMedians: [{ id: 'ransomware', name: 'Ransomware', median }]
+});
+
+const saved = (overrides) => ({ id: 'a1', name: 'Acme', inputs: DEFAULT_INPUTS, summary: summary(1000, 500), updatedAt: '2026-01-01T00:00:00.000Z', ...overrides });
+
+describe('assessment history', () => {
+  test('records a version per changed save with the inputs it changed', () => {
+    const first = recordVersion(saved(), { savedBy: 'alice@acme.com' });
+    expect(first.versions).toHaveLength(1);
+    expect(first.versions[0]).toMatchObject({ version: 1, savedBy: 'alice@acme.com', changes: [] });
+
+    const controls = DEFAULT_INPUTS.controls.map((control, index) => (index === 0 ? { ...control, maturity: 1 } : control));
+    const second = recordVersion({ ...first, name: 'Acme 2026', inputs: { ...DEFAULT_INPUTS, employees: 900, controls }, summary: summary(800, 400) }, { savedBy: 'bob@acme.com' });
+
+    expect(second.versions.map(version => version.version)).toEqual([1, 2]);
+    expect(second.versions[1].changes.map(change => change.key)).toEqual([
+      'name', 'employees', `control:${controls[0].id}:maturity`
+    ]);
+    expect(second.versions[1].changes[1]).toMatchObject({ before: DEFAULT_INPUTS.employees, after: 900 });
+  });
+
+  test('does not add a version when nothing changed', () => {
+    const first = recordVersion(saved());
+    expect(recordVersion({ ...first, updatedAt: '2026-02-01T00:00:00.000Z' }).versions).toHaveLength(1);
+  });
+
+  test('compares headline results and scenario medians, tolerating missing summaries', () => {
+    const rows = compareSummaries(summary(1000, 500), summary(800, 450));
+    expect(rows.find(row => row.key === 'totalCost')).toMatchObject({ before: 1000, after: 800 });
+    expect(rows.find(row => row.key === 'median:ransomware')).toMatchObject({ label: 'Ransomware median', before: 500, after: 450 });
+    expect(compareSummaries(null, summary(800, 450)).find(row => row.key === 'ale')).toMatchObject({ before: null, after: 400 });
+  });
+
+  test('exports input and result changes per version as CSV', () => {
+    const history = recordVersion(recordVersion(saved(), { savedBy: 'alice@acme.com' }), {});
+    const next = recordVersion({ ...history, inputs: { ...DEFAULT_INPUTS, revenue: 1 }, summary: summary(900, 500) }, { savedBy: 'bob@acme.com' });
+    const [header, ...rows] = parseCsv(historyToCsv(next));
+
+    expect(header).toEqual(['Version', 'Saved at', 'Saved by', 'Kind', 'Field', 'Before', 'After']);
+    expect(rows).toContainEqual(['2', '2026-01-01T00:00:00.000Z', 'bob@acme.com', 'input', 'Annual revenue', String(DEFAULT_INPUTS.revenue), '1']);
+    expect(rows).toContainEqual(['2', '2026-01-01T00:00:00.000Z', 'bob@acme.com', 'result', 'Total incident cost', '1000', '900']);
+  });
+});
@@ -0,0 +1,67 @@
+// Named assessments persisted in the browser's localStorage, plus the unsaved working draft
+// so a refresh doesn't lose work in progress.
+import { recordVersion } from './assessmentHistory';
+import { generateId } from '../shared/values';
+
+const ASSESSMENTS_KEY = 'riskCalculator.assessments';
+const DRAFT_KEY = 'riskCalculator.draft';
+
+export const STORAGE_VERSION = 1;
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.error(`Could not read ${key} from local storage:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Could not write ${key} to local storage:`, error);
+  }
+};
+
+export const loadAssessments = () => {
+  const stored = readJson(ASSESSMENTS_KEY, null);
+  return stored && Array.isArray(stored.assessments) ? stored.assessments : [];
+};
+
+export const saveAssessments = (assessments) => {
+  writeJson(ASSESSMENTS_KEY, { version: STORAGE_VERSION, assessments });
+};
+
+export const loadDraft = () => readJson(DRAFT_KEY, null);
+
+export const saveDraft = (draft) => {
+  writeJson(DRAFT_KEY, { version: STORAGE_VERSION, ...draft });
+};
+
+// `summary` is a snapshot of headline results taken at save time, shown in the list without recalculating.
+// Saves made here record browser-only versions; server-side storage replaces them with its own.
+export const createAssessment = (name, inputs, summary = null) => {
+  const now = new Date().toISOString();
+  return recordVersion({
+    id: generateId('assessment'),
+    name,
+    inputs,
+    summary,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+export const updateAssessment = (assessment, inputs, summary = null) => recordVersion({
+  ...assessment,
+  inputs,
+  summary,
+  updatedAt: new Date().toISOString()
+});
+
+export const duplicateAssessment = (assessment) => (
+  createAssessment(`${assessment.name} (Copy)`, assessment.inputs, assessment.summary)
+);
@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_INPUTS } from '../model/riskModel';
+import { assessRisk } from '../engine';
+import { summarizeResults } from './compareAssessments';
+import { createScenario } from '../scenarios/threatScenarios';
+
+const { createHandler, SUMMARY_ITERATIONS } = require('../../netlify/functions/assessments');
+const { createMemberContext: member, createCaller, createTemporaryStores } = require('../../netlify/local/functionCalls');
+
+const call = createCaller('/api/assessments');
+
+describe('assessments function', () => {
+  let temporary;
+  let store;
+  let handler;
+
+  beforeEach(() => {
+    temporary = createTemporaryStores(['assessments']);
+    store = temporary.stores.assessments;
+    handler = createHandler({ createStore: () => store });
+  });
+
+  afterEach(() => {
+    temporary.remove();
+  });
+
+  test('creates, lists, reads, updates and deletes assessments within the organization', async () => {
+    const alice = member('alice', 'acme');
+
+    const created = await call(handler, alice, 'POST', '', { name: 'Current state', inputs: DEFAULT_INPUTS });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'Current state', createdBy: 'alice@acme.com' });
+
+    // The list leaves out the version history that reading one assessment returns
+    const { id } = created.body;
+    const listed = (await call(handler, alice, 'GET')).body.assessments;
+    expect(listed.map(a => a.id)).toEqual([id]);
+    expect(listed[0]).not.toHaveProperty('versions');
+    const read = (await call(handler, alice, 'GET', id)).body;
+    expect(read.inputs).toEqual(DEFAULT_INPUTS);
+    expect(read.versions).toHaveLength(1);
+
+    const updated = await call(handler, member('bob', 'acme'), 'PUT', id, { name: 'Target state', inputs: { ...DEFAULT_INPUTS, employees: 500 } });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ name: 'Target state', createdBy: 'alice@acme.com', updatedBy: 'bob@acme.com', createdAt: created.body.createdAt });
+
+    expect((await call(handler, alice, 'DELETE', id)).status).toBe(204);
+    expect((await call(handler, alice, 'GET', id)).status).toBe(404);
+  });
+
+  test('records a version history attributed to the caller', async () => {
+    const { body: first } = await call(handler, member('alice', 'acme'), 'PUT', 'assessment-1', { name: 'Acme', inputs: DEFAULT_INPUTS });
+    const unchanged = await call(handler, member('bob', 'acme'), 'PUT', 'assessment-1', { name: 'Acme', inputs: DEFAULT_INPUTS });
+    expect(unchanged.body).toEqual(first);
+
+    const { body } = await call(handler, member('bob', 'acme'), 'PUT', 'assessment-1', {
+      name: 'Acme',
+      inputs: { ...DEFAULT_INPUTS, employees: 900 },
+      versions: []
+    });
+    expect(body.versions.map(version => [version.version, version.savedBy])).toEqual([[1, 'alice@acme.com'], [2, 'bob@acme.com']]);
+    expect(body.versions[1].changes).toEqual([expect.objectContaining({ key: 'employees', before: DEFAULT_INPUTS.employees, after: 900 })]);
+  });
+
+  test('records the results the inputs produce, not the summary the client sends', async () => {
+    const inputs = { ...DEFAULT_INPUTS, employees: 900 };
+    const { body } = await call(handler, member('alice', 'acme'), 'PUT', 'assessment-1', {
+      name: 'Acme',
+      inputs,
+      summary: { securityScore: 99, totalCost: 1, ale: 1, scenarioMedians: [] }
+    });
+    const expected = summarizeResults(assessRisk(inputs, { iterations: SUMMARY_ITERATIONS }).results);
+    expect(body.summary).toEqual(expected);
+    expect(body.versions[0].summary).toEqual(expected);
+  });
+
+  test('keeps a deleted assessment\'s history in the store', async () => {
+    const alice = member('alice', 'acme');
+    await call(handler, alice, 'PUT', 'assessment-1', { name: 'Acme', inputs: DEFAULT_INPUTS });
+    await call(handler, alice, 'PUT', 'assessment-1', { name: 'Acme', inputs: { ...DEFAULT_INPUTS, employees: 900 } });
+    handler = createHandler({ createStore: () => store, now: () => new Date('2026-05-01T00:00:00Z') });
+    expect((await call(handler, alice, 'DELETE', 'assessment-1')).status).toBe(204);
+
+    expect((await call(handler, alice, 'GET')).body.assessments).toEqual([]);
+    expect((await call(handler, alice, 'GET', 'assessment-1')).status).toBe(404);
+    expect((await call(handler, alice, 'DELETE', 'assessment-1')).status).toBe(404);
+    const stale = await call(handler, member('bob', 'acme'), 'PUT', 'assessment-1', { name: 'Acme', inputs: DEFAULT_INPUTS });
+    expect(stale).toEqual({ status: 410, body: expect.objectContaining({ code: 'deleted' }) });
+
+    const kept = await store.get('acme', 'assessment-1');
+    expect(kept).toMatchObject({ deletedAt: '2026-05-01T00:00:00.000Z', deletedBy: 'alice@acme.com' });
+    expect(kept.versions.map(version => version.version)).toEqual([1, 2]);
+  });
+
+  test('keeps organizations apart', async () => {
+    const { body } = await call(handler, member('alice', 'acme'), 'PUT', 'assessment-1', { name: 'Acme', inputs: DEFAULT_INPUTS });
+    expect(body.id).toBe('assessment-1');
+
+    const globex = member('hank', 'globex');
+    expect((await call(handler, globex, 'GET')).body.assessments).toEqual([]);
+    expect((await call(handler, globex, 'GET', 'assessment-1')).status).toBe(404);
+    expect((await call(handler, globex, 'DELETE', 'assessment-1')).status).toBe(404);
+  });
+
+  test('rejects callers without a session, access role or organization', async () => {
+    expect((await call(handler, { clientContext: {} }, 'GET')).status).toBe(401);
+    expect((await call(handler, member('eve', 'acme', ['analyst']), 'GET')).status).toBe(403);
+    expect((await call(handler, member('eve', '', ['subscriber']), 'GET')).status).toBe(403);
+  });
+
+  test('only lets the creator or an admin delete', async () => {
+    await call(handler, member('alice', 'acme'), 'PUT', 'assessment-1', { name: 'Acme', inputs: DEFAULT_INPUTS });
+
+    const denied = await call(handler, member('bob', 'acme'), 'DELETE', 'assessment-1');
+    expect(denied).toEqual({ status: 403, body: expect.objectContaining({ code: 'forbidden' }) });
+    expect((await call(handler, member('root', 'acme', ['subscriber', 'admin']), 'DELETE', 'assessment-1')).status).toBe(204);
+  });
+
+  test('validates the assessment with the calculator rules', async () => {
+    const alice = member('alice', 'acme');
+    const { status, body } = await call(handler, alice, 'POST', '', { name: ' ', inputs: { ...DEFAULT_INPUTS, employees: -5 } });
+
+    expect(status).toBe(422);
+    expect(Object.keys(body.errors)).toEqual(expect.arrayContaining(['name', 'inputs.employees']));
+    expect((await call(handler, alice, 'GET')).body.assessments).toEqual([]);
+  });
+
+  test('refuses more scenarios than the editors allow, and oversized requests', async () => {
+    const alice = member('alice', 'acme');
+    const scenarios = Array.from({ length: 51 }, () => createScenario());
+    const many = await call(handler, alice, 'POST', '', { name: 'Acme', inputs: { ...DEFAULT_INPUTS, scenarios } });
+    expect(many.status).toBe(422);
+    expect(many.body.errors).toEqual({ 'inputs.scenarios': 'An assessment can have at most 50 scenarios' });
+
+    const padded = await call(handler, alice, 'POST', '', { name: 'Acme', inputs: DEFAULT_INPUTS, notes: 'x'.repeat(300 * 1024) });
+    expect(padded.status).toBe(413);
+    expect(padded.body.code).toBe('too_large');
+    expect((await call(handler, alice, 'GET')).body.assessments).toEqual([]);
+  });
+});
@@ -0,0 +1,180 @@
+// Helpers for diffing the inputs and headline results of two or more assessments
+import { COVERAGE_PARTS } from '../insurance/insurancePolicy';
+import { COST_CATEGORIES } from '../model/riskModel';
+import { INDUSTRY_PROFILES, REGULATIONS } from '../profiles/industryProfiles';
+import { RECORD_TYPES, DATA_TYPES } from '../records/recordCosts';
+import { formatQuarter } from '../roadmap/controlRoadmap';
+import { FRAMEWORK_QUESTIONS } from '../frameworks/frameworkQuestionnaire';
+
+const formatCompactCurrency = (value) => {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `$${Math.round(value / 1000)}K`;
+  return `$${value}`;
+};
+
+const describeScenario = (scenario) => {
+  if (!scenario.enabled) return 'Disabled';
+  const { frequency, magnitude } = scenario;
+  const exposure = scenario.recordExposure ? `, ${Math.round(scenario.recordExposure * 100)}% of records` : '';
+  return `${frequency.mostLikely}/yr, ${formatCompactCurrency(magnitude.low)}–${formatCompactCurrency(magnitude.high)}${exposure}`;
+};
+
+// Flatten an assessment's inputs into labelled rows keyed so the same input lines up across assessments
+const describeInputs = (inputs) => {
+  const rows = [
+    { key: 'employees', label: 'Employees', value: inputs.employees, type: 'number' },
+    { key: 'revenue', label: 'Annual revenue', value: inputs.revenue, type: 'currency' },
+    { key: 'insurance', label: 'Insurance aggregate limit', value: inputs.insurance, type: 'currency' }
+  ];
+
+  // Assessments saved before profiles or policy terms existed have none to compare
+  if (inputs.profile) {
+    const industry = INDUSTRY_PROFILES.find(p => p.id === inputs.profile.industry);
+    const regulations = REGULATIONS.filter(regulation => inputs.profile.regulations.includes(regulation.id));
+    rows.push({ key: 'profile:industry', label: 'Industry', value: industry ? industry.name : inputs.profile.industry, type: 'text' });
+    rows.push({ key: 'profile:regulations', label: 'Regulations', value: regulations.map(r => r.name).join(', ') || 'None', type: 'text' });
+  }
+  if (inputs.baseCosts) {
+    COST_CATEGORIES.filter(category => inputs.baseCosts[category.id] !== undefined).forEach(category => {
+      rows.push({ key: `baseCost:${category.id}`, label: `${category.name} base cost`, value: inputs.baseCosts[category.id], type: 'currency' });
+    });
+  }
+  if (inputs.dataHoldings) {
+    const holdings = inputs.dataHoldings;
+    RECORD_TYPES.forEach(type => {
+      rows.push({ key: `records:${type.id}`, label: `${type.name} records`, value: holdings.records[type.id] || 0, type: 'number' });
+    });
+    rows.push({
+      key: 'records:dataTypes',
+      label: 'Data types held',
+      value: DATA_TYPES.filter(dataType => holdings.dataTypes.includes(dataType.id)).map(d => d.name).join(', ') || 'None',
+      type: 'text'
+    });
+    rows.push({ key: 'records:exposureShare', label: 'Records exposed in a typical breach', value: Math.round(holdings.exposureShare * 100), type: 'percent' });
+  }
+  if (inputs.regulatoryFineRange) {
+    const { low, high } = inputs.regulatoryFineRange;
+    rows.push({ key: 'regulatoryFineRange', label: 'Regulatory fine range', value: `${formatCompactCurrency(low)}–${formatCompactCurrency(high)}`, type: 'text' });
+  }
+
+  if (inputs.insurancePolicy) {
+    const policy = inputs.insurancePolicy;
+    rows.push({ key: 'policy:retention', label: 'Policy retention', value: policy.retention, type: 'currency' });
+    rows.push({ key: 'policy:coinsurance', label: 'Coinsurance', value: Math.round(policy.coinsurance * 100), type: 'percent' });
+    COVERAGE_PARTS.forEach(part => {
+      rows.push({ key: `policy:sublimit:${part.id}`, label: `${part.name} sublimit`, value: policy.sublimits[part.id], type: 'currency' });
+    });
+    COST_CATEGORIES.forEach(category => {
+      const part = COVERAGE_PARTS.find(p => p.id === policy.categoryCoverage[category.id]);
+      rows.push({ key: `policy:coverage:${category.id}`, label: `${category.name} coverage`, value: part ? part.name : 'Excluded', type: 'text' });
+    });
+  }
+
+  inputs.controls.forEach(control => {
+    rows.push({ key: `control:${control.id}:maturity`, label: `${control.name} maturity`, value: control.maturity, type: 'number' });
+    rows.push({ key: `control:${control.id}:weight`, label: `${control.name} weight`, value: control.weight, type: 'number' });
+    if (control.annualCost !== undefined) {
+      rows.push({ key: `control:${control.id}:annualCost`, label: `${control.name} annual cost`, value: control.annualCost, type: 'currency' });
+    }
+  });
+
+  inputs.scenarios.forEach(scenario => {
+    rows.push({ key: `scenario:${scenario.id}`, label: scenario.name, value: describeScenario(scenario), type: 'text' });
+  });
+
+  if (inputs.roadmap) {
+    const roadmap = inputs.roadmap;
+    const milestones = roadmap.milestones.map(milestone => {
+      const control = inputs.controls.find(c => c.id === milestone.controlId);
+      return `${control ? control.name : milestone.controlId} → ${milestone.maturity} in ${formatQuarter(milestone.quarter)}`;
+    });
+    rows.push({ key: 'roadmap:years', label: 'Roadmap horizon (years)', value: roadmap.years, type: 'number' });
+    rows.push({ key: 'roadmap:employeeGrowth', label: 'Roadmap employee growth', value: Math.round(roadmap.employeeGrowth * 100), type: 'percent' });
+    rows.push({ key: 'roadmap:revenueGrowth', label: 'Roadmap revenue growth', value: Math.round(roadmap.revenueGrowth * 100), type: 'percent' });
+    rows.push({ key: 'roadmap:lossInflation', label: 'Roadmap loss inflation', value: Math.round(roadmap.lossInflation * 100), type: 'percent' });
+    rows.push({ key: 'roadmap:milestones', label: 'Roadmap milestones', value: milestones.join('; ') || 'None', type: 'text' });
+  }
+
+  if (inputs.trainingResults && inputs.trainingResults.passRate !== null) {
+    rows.push({ key: 'training:passRate', label: 'Phishing training pass rate', value: Math.round(inputs.trainingResults.passRate * 100), type: 'percent' });
+    rows.push({ key: 'training:participants', label: 'Phishing training participants', value: inputs.trainingResults.participants, type: 'number' });
+  }
+  if (inputs.trainingResults && inputs.trainingResults.simulation) {
+    const { simulation } = inputs.trainingResults;
+    rows.push({ key: 'training:clickRate', label: 'Simulated phishing click rate', value: Math.round(simulation.clickRate * 100), type: 'percent' });
+    rows.push({ key: 'training:reportRate', label: 'Simulated phishing report rate', value: Math.round(simulation.reportRate * 100), type: 'percent' });
+  }
+
+  // Only answered questions; an unanswered one lines up as null against an answered one
+  if (inputs.frameworkAnswers) {
+    FRAMEWORK_QUESTIONS.filter(question => inputs.frameworkAnswers[question.id] !== undefined).forEach(question => {
+      rows.push({ key: `framework:${question.id}`, label: `${question.category}: ${question.text}`, value: inputs.frameworkAnswers[question.id], type: 'number' });
+    });
+  }
+
+  return rows;
+};
+
+// Rows for every input whose value differs between any of the given assessments.
+// Inputs missing from an assessment (e.g. a control it doesn't have) show as null.
+export const diffAssessmentInputs = (assessments) => {
+  const described = assessments.map(assessment => describeInputs(assessment.inputs));
+  const rowsByKey = new Map();
+
+  described.forEach((rows, index) => {
+    rows.forEach(row => {
+      if (!rowsByKey.has(row.key)) {
+        rowsByKey.set(row.key, { key: row.key, label: row.label, type: row.type, values: assessments.map(() => null) });
+      }
+      rowsByKey.get(row.key).values[index] = row.value;
+    });
+  });
+
+  return [...rowsByKey.values()].filter(row => row.values.some(value => value !== row.values[0]));
+};
+
+// Headline metrics per assessment from combined model + simulation results, with deltas against the first (baseline)
+export const compareResults = (resultsList) => {
+  const scenarioNames = [];
+  resultsList.forEach(results => {
+    results.scenarios.forEach(scenario => {
+      if (!scenarioNames.includes(scenario.name)) scenarioNames.push(scenario.name);
+    });
+  });
+
+  const metrics = [
+    { key: 'securityScore', label: 'Security score', type: 'percent', values: resultsList.map(results => results.securityScore) },
+    { key: 'totalCost', label: 'Total incident cost', type: 'currency', values: resultsList.map(results => results.totalCost) },
+    { key: 'ale', label: 'Annualized loss expectancy', type: 'currency', values: resultsList.map(results => results.aggregate.ale) },
+    {
+      key: 'retainedAle',
+      label: 'Retained ALE after insurance',
+      type: 'currency',
+      values: resultsList.map(results => (results.aggregate.insurance ? results.aggregate.insurance.retainedAle : null))
+    },
+    ...scenarioNames.map(name => ({
+      key: `median:${name}`,
+      label: `${name} median`,
+      type: 'currency',
+      values: resultsList.map(results => {
+        const scenario = results.scenarios.find(s => s.name === name);
+        return scenario ? scenario.percentiles.Median : null;
+      })
+    }))
+  ];
+
+  return metrics.map(metric => ({
+    ...metric,
+    deltas: metric.values.map(value => (
+      value === null || metric.values[0] === null ? null : value - metric.values[0]
+    ))
+  }));
+};
+
+// Snapshot stored with a saved assessment so the list can show headline numbers without recalculating
+export const summarizeResults = (results) => ({
+  securityScore: results.securityScore,
+  totalCost: results.totalCost,
+  ale: results.aggregate.ale,
+  scenarioMedians: results.scenarios.map(scenario => ({ id: scenario.id, name: scenario.name, median: scenario.percentiles.Median }))
+});
@@ -0,0 +1,260 @@
+// Structural and range validation of a complete assessment `inputs` object, for inputs that come
+// from outside the editors (shared links, imported files) and so may be malformed or tampered with.
+// Errors are keyed by field path, like the editors' own validation. Lists are capped at what the
+// editors allow, which bounds the work of simulating the inputs on the server.
+import { INPUT_LIMITS } from '../model/riskModel';
+import { CONTROL_LIMITS, MAX_CONTROLS, MAX_MATURITY } from '../controls/controlCatalog';
+import { MAX_SCENARIOS, validateScenario } from '../scenarios/threatScenarios';
+import { COVERAGE_PARTS, POLICY_LIMITS } from '../insurance/insurancePolicy';
+import { INDUSTRY_PROFILES, REGULATIONS, BASE_COST_LIMITS } from '../profiles/industryProfiles';
+import { DATA_TYPES, RECORD_LIMITS } from '../records/recordCosts';
+import { ROADMAP_LIMITS, MAX_ROADMAP_QUARTER, MAX_MILESTONES } from '../roadmap/controlRoadmap';
+import { FRAMEWORK_QUESTIONS } from '../frameworks/frameworkQuestionnaire';
+import { MAX_TOLERANCE_POINTS } from '../simulation/riskTolerance';
+import { isObject } from '../shared/values';
+
+const isText = (value) => typeof value === 'string';
+const inRange = (value, { min, max }) => Number.isFinite(value) && value >= min && value <= max;
+const rangeMessage = ({ min, max }) => `Value must be between ${min.toLocaleString()} and ${max.toLocaleString()}`;
+
+const validatePolicy = (policy, errors) => {
+  if (!isObject(policy) || !isObject(policy.sublimits) || !isObject(policy.categoryCoverage)) {
+    errors.insurancePolicy = 'Insurance policy terms are missing or malformed';
+    return;
+  }
+  if (!inRange(policy.retention, POLICY_LIMITS.retention)) {
+    errors['insurancePolicy.retention'] = rangeMessage(POLICY_LIMITS.retention);
+  }
+  if (!inRange(policy.coinsurance, POLICY_LIMITS.coinsurance)) {
+    errors['insurancePolicy.coinsurance'] = 'Coinsurance must be between 0% and 90%';
+  }
+  Object.entries(policy.sublimits).forEach(([partId, sublimit]) => {
+    if (sublimit !== null && !inRange(sublimit, POLICY_LIMITS.sublimit)) {
+      errors[`insurancePolicy.sublimits.${partId}`] = rangeMessage(POLICY_LIMITS.sublimit);
+    }
+  });
+  Object.entries(policy.categoryCoverage).forEach(([categoryId, partId]) => {
+    if (partId !== null && !COVERAGE_PARTS.some(part => part.id === partId)) {
+      errors[`insurancePolicy.categoryCoverage.${categoryId}`] = 'Unknown coverage part';
+    }
+  });
+};
+
+const validateProfile = (profile, errors) => {
+  if (!isObject(profile) || !Array.isArray(profile.regulations)) {
+    errors.profile = 'Industry profile is missing or malformed';
+    return;
+  }
+  if (!INDUSTRY_PROFILES.some(industry => industry.id === profile.industry)) {
+    errors['profile.industry'] = 'Unknown industry';
+  }
+  if (profile.regulations.length > REGULATIONS.length
+    || !profile.regulations.every(id => REGULATIONS.some(regulation => regulation.id === id))) {
+    errors['profile.regulations'] = 'Unknown regulation';
+  }
+};
+
+const validateDataHoldings = (holdings, errors) => {
+  if (!isObject(holdings) || !isObject(holdings.records) || !Array.isArray(holdings.dataTypes)) {
+    errors.dataHoldings = 'Data holdings are missing or malformed';
+    return;
+  }
+  Object.entries(holdings.records).forEach(([typeId, count]) => {
+    if (!inRange(count, RECORD_LIMITS.records)) {
+      errors[`dataHoldings.records.${typeId}`] = rangeMessage(RECORD_LIMITS.records);
+    }
+  });
+  if (holdings.dataTypes.length > DATA_TYPES.length
+    || !holdings.dataTypes.every(id => DATA_TYPES.some(dataType => dataType.id === id))) {
+    errors['dataHoldings.dataTypes'] = 'Unknown data type';
+  }
+  if (!inRange(holdings.exposureShare, RECORD_LIMITS.exposureShare)) {
+    errors['dataHoldings.exposureShare'] = 'Records exposed must be between 0% and 100%';
+  }
+};
+
+const validateControl = (control, index, errors) => {
+  const path = `controls[${index}]`;
+  if (!isObject(control) || !isText(control.id) || !isText(control.name) || !isObject(control.costReductions)) {
+    errors[path] = 'Control is missing its id, name or cost reductions';
+    return;
+  }
+  if (!Number.isInteger(control.maturity) || control.maturity < 0 || control.maturity > MAX_MATURITY) {
+    errors[`${path}.maturity`] = `Maturity must be a whole number from 0 to ${MAX_MATURITY}`;
+  }
+  if (!inRange(control.weight, CONTROL_LIMITS.weight)) {
+    errors[`${path}.weight`] = rangeMessage(CONTROL_LIMITS.weight);
+  }
+  if (control.annualCost !== undefined && !inRange(control.annualCost, CONTROL_LIMITS.annualCost)) {
+    errors[`${path}.annualCost`] = rangeMessage(CONTROL_LIMITS.annualCost);
+  }
+  if (!Object.values(control.costReductions).every(reduction => inRange(reduction, CONTROL_LIMITS.reduction))) {
+    errors[`${path}.costReductions`] = rangeMessage(CONTROL_LIMITS.reduction);
+  }
+};
+
+const validateScenarioShape = (scenario, index, errors) => {
+  const path = `scenarios[${index}]`;
+  if (!isObject(scenario) || !isText(scenario.id) || !isText(scenario.name) || typeof scenario.enabled !== 'boolean'
+    || !isObject(scenario.frequency) || !isObject(scenario.magnitude)
+    || !Array.isArray(scenario.controls) || scenario.controls.length > MAX_CONTROLS || !scenario.controls.every(isText)) {
+    errors[path] = 'Scenario is missing its id, name, frequency, magnitude or controls';
+    return;
+  }
+  Object.entries(validateScenario(scenario)).forEach(([field, message]) => {
+    errors[`${path}.${field}`] = message;
+  });
+};
+
+const validateRiskTolerance = (points, errors) => {
+  if (!Array.isArray(points) || points.length > MAX_TOLERANCE_POINTS) {
+    errors.riskTolerance = `Risk tolerance needs a list of at most ${MAX_TOLERANCE_POINTS} points`;
+  } else if (!points.every(point => isObject(point)
+    && Number.isFinite(point.loss) && point.loss > 0 && inRange(point.probability, { min: 0, max: 1 }))) {
+    errors.riskTolerance = 'Risk tolerance points need a positive loss and a probability between 0 and 1';
+  }
+};
+
+const validateRoadmap = (roadmap, errors) => {
+  if (!isObject(roadmap) || !Array.isArray(roadmap.milestones)) {
+    errors.roadmap = 'Control roadmap is missing or malformed';
+    return;
+  }
+  if (roadmap.milestones.length > MAX_MILESTONES) {
+    errors['roadmap.milestones'] = `A roadmap can have at most ${MAX_MILESTONES} milestones`;
+    return;
+  }
+  if (!Number.isInteger(roadmap.years) || !inRange(roadmap.years, ROADMAP_LIMITS.years)) {
+    errors['roadmap.years'] = `Projection must cover ${ROADMAP_LIMITS.years.min} to ${ROADMAP_LIMITS.years.max} years`;
+  }
+  ['employeeGrowth', 'revenueGrowth'].forEach(field => {
+    if (!inRange(roadmap[field], ROADMAP_LIMITS.growth)) {
+      errors[`roadmap.${field}`] = 'Growth must be between -50% and 100% a year';
+    }
+  });
+  if (!inRange(roadmap.lossInflation, ROADMAP_LIMITS.lossInflation)) {
+    errors['roadmap.lossInflation'] = 'Loss inflation must be between 0% and 50% a year';
+  }
+  roadmap.milestones.forEach((milestone, index) => {
+    const path = `roadmap.milestones[${index}]`;
+    if (!isObject(milestone) || !isText(milestone.id) || !isText(milestone.controlId)) {
+      errors[path] = 'Milestone is missing its id or control';
+      return;
+    }
+    if (!Number.isInteger(milestone.quarter) || milestone.quarter < 1 || milestone.quarter > MAX_ROADMAP_QUARTER) {
+      errors[`${path}.quarter`] = `Quarter must be a whole number from 1 to ${MAX_ROADMAP_QUARTER}`;
+    }
+    if (!Number.isInteger(milestone.maturity) || milestone.maturity < 0 || milestone.maturity > MAX_MATURITY) {
+      errors[`${path}.maturity`] = `Maturity must be a whole number from 0 to ${MAX_MATURITY}`;
+    }
+  });
+};
+
+const validateFrameworkAnswers = (answers, errors) => {
+  if (!isObject(answers)) {
+    errors.frameworkAnswers = 'Framework answers are missing or malformed';
+    return;
+  }
+  Object.entries(answers).forEach(([questionId, maturity]) => {
+    if (!FRAMEWORK_QUESTIONS.some(question => question.id === questionId)) {
+      errors[`frameworkAnswers.${questionId}`] = 'Unknown framework question';
+    } else if (!Number.isInteger(maturity) || maturity < 0 || maturity > MAX_MATURITY) {
+      errors[`frameworkAnswers.${questionId}`] = `Maturity must be a whole number from 0 to ${MAX_MATURITY}`;
+    }
+  });
+};
+
+// null, or the organization's phishing trainer results as toTrainingInputs stores them
+const validateTrainingResults = (results, errors) => {
+  if (results === null) return;
+  if (!isObject(results) || !isText(results.asOf)) {
+    errors.trainingResults = 'Training results are malformed';
+    return;
+  }
+  // Simulated phishing results can be applied on their own, before anyone has completed the trainer
+  const { simulation } = results;
+  if (results.passRate === null) {
+    if (results.meanAccuracy !== null || results.participants !== 0) {
+      errors.trainingResults = 'Results without a pass rate must have no mean accuracy and no participants';
+    }
+    if (simulation === undefined) errors.trainingResults = 'Training results need a pass rate or simulated phishing results';
+  } else {
+    if (!inRange(results.passRate, { min: 0, max: 1 })) {
+      errors['trainingResults.passRate'] = 'Pass rate must be between 0% and 100%';
+    }
+    if (!inRange(results.meanAccuracy, { min: 0, max: 1 })) {
+      errors['trainingResults.meanAccuracy'] = 'Mean accuracy must be between 0% and 100%';
+    }
+    if (!Number.isInteger(results.participants) || results.participants < 1) {
+      errors['trainingResults.participants'] = 'Participants must be a whole number of at least 1';
+    }
+  }
+  if (simulation === undefined) return;
+  if (!isObject(simulation)) {
+    errors['trainingResults.simulation'] = 'Simulated phishing results are malformed';
+    return;
+  }
+  if (!inRange(simulation.clickRate, { min: 0, max: 1 })) {
+    errors['trainingResults.simulation.clickRate'] = 'Click rate must be between 0% and 100%';
+  }
+  if (!inRange(simulation.reportRate, { min: 0, max: 1 })) {
+    errors['trainingResults.simulation.reportRate'] = 'Report rate must be between 0% and 100%';
+  }
+  if (!Number.isInteger(simulation.recipients) || simulation.recipients < 1) {
+    errors['trainingResults.simulation.recipients'] = 'Recipients must be a whole number of at least 1';
+  }
+};
+
+// Error message for one of the organization fields in INPUT_LIMITS, or null when it's valid
+export const validateInputField = (field, value) => {
+  const limits = INPUT_LIMITS[field];
+  if (!limits || inRange(value, limits)) return null;
+  return rangeMessage(limits);
+};
+
+// Errors for every field of `inputs` that is missing, of the wrong type or out of range; empty when valid
+export const validateAssessmentInputs = (inputs) => {
+  const errors = {};
+  if (!isObject(inputs)) return { inputs: 'Assessment inputs are missing' };
+
+  Object.keys(INPUT_LIMITS).forEach(field => {
+    const message = validateInputField(field, inputs[field]);
+    if (message) errors[field] = message;
+  });
+
+  validatePolicy(inputs.insurancePolicy, errors);
+  validateProfile(inputs.profile, errors);
+  validateDataHoldings(inputs.dataHoldings, errors);
+  validateRiskTolerance(inputs.riskTolerance, errors);
+  validateRoadmap(inputs.roadmap, errors);
+  validateFrameworkAnswers(inputs.frameworkAnswers, errors);
+  validateTrainingResults(inputs.trainingResults, errors);
+
+  if (!isObject(inputs.baseCosts) || !Object.values(inputs.baseCosts).every(cost => inRange(cost, BASE_COST_LIMITS))) {
+    errors.baseCosts = `Base costs must be between ${BASE_COST_LIMITS.min.toLocaleString()} and ${BASE_COST_LIMITS.max.toLocaleString()}`;
+  }
+
+  const fineRange = inputs.regulatoryFineRange;
+  if (!isObject(fineRange) || !inRange(fineRange.low, BASE_COST_LIMITS) || !inRange(fineRange.high, BASE_COST_LIMITS)
+    || fineRange.low > fineRange.high) {
+    errors.regulatoryFineRange = 'Fine range must have a low no greater than its high';
+  }
+
+  if (Array.isArray(inputs.controls) && inputs.controls.length > MAX_CONTROLS) {
+    errors.controls = `An assessment can have at most ${MAX_CONTROLS} controls`;
+  } else if (Array.isArray(inputs.controls)) {
+    inputs.controls.forEach((control, index) => validateControl(control, index, errors));
+  } else {
+    errors.controls = 'Controls are missing';
+  }
+
+  if (Array.isArray(inputs.scenarios) && inputs.scenarios.length > MAX_SCENARIOS) {
+    errors.scenarios = `An assessment can have at most ${MAX_SCENARIOS} scenarios`;
+  } else if (Array.isArray(inputs.scenarios)) {
+    inputs.scenarios.forEach((scenario, index) => validateScenarioShape(scenario, index, errors));
+  } else {
+    errors.scenarios = 'Scenarios are missing';
+  }
+
+  return errors;
+};
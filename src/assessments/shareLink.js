@@ -0,0 +1,76 @@
+// Shareable links: the working assessment and selected tab serialized into the URL fragment, so the
+// data never reaches a server. The complete inputs are encoded with their assessment file schema
+// version, as base64url JSON behind a link version prefix: `#share=<version>.<payload>`. Links from
+// older calculators are upgraded by the assessment file migrations, like imported files.
+//
+// Version 1 links held only the inputs that differed from the defaults, with no schema version; they
+// still open, with the current defaults for everything else.
+import { DEFAULT_INPUTS } from '../model/riskModel';
+import { validateAssessmentInputs } from './inputSchema';
+import { ASSESSMENT_FILE_FORMAT, ASSESSMENT_SCHEMA_VERSION, readAssessmentFile } from './assessmentFile';
+
+export const SHARE_LINK_VERSION = 2;
+
+const FRAGMENT_PREFIX = '#share=';
+
+// UTF-8 safe base64url, so scenario and control names survive any characters
+const toBase64Url = (text) => {
+  const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return window.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = window.atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return decodeURIComponent(Array.from(binary, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+};
+
+export const isShareLink = (hash) => typeof hash === 'string' && hash.startsWith(FRAGMENT_PREFIX);
+
+export const encodeShareLink = (inputs, tab) => {
+  const known = Object.fromEntries(Object.keys(DEFAULT_INPUTS).map(key => [key, inputs[key]]));
+  return `${FRAGMENT_PREFIX}${SHARE_LINK_VERSION}.${toBase64Url(JSON.stringify({ s: ASSESSMENT_SCHEMA_VERSION, i: known, t: tab }))}`;
+};
+
+const toMessages = (errors) => Object.entries(errors).map(([field, message]) => `${field}: ${message}`);
+
+// Version 1 inputs: the changes from the defaults
+const readChangedInputs = (changed) => {
+  // Keys the calculator doesn't know are dropped; missing ones fall back to the defaults
+  const inputs = { ...DEFAULT_INPUTS };
+  Object.keys(DEFAULT_INPUTS).forEach(key => {
+    if (key in changed) inputs[key] = changed[key];
+  });
+  const errors = validateAssessmentInputs(inputs);
+  return Object.keys(errors).length > 0 ? { errors: toMessages(errors) } : { inputs };
+};
+
+const readInputs = (schemaVersion, inputs) => {
+  const file = readAssessmentFile({ format: ASSESSMENT_FILE_FORMAT, schemaVersion, inputs });
+  return file.errors ? { errors: toMessages(file.errors) } : { inputs: file.inputs };
+};
+
+// Inputs and tab from a share fragment, or `{ errors }` describing why the link can't be used.
+// Returns null when the fragment isn't a share link at all.
+export const decodeShareLink = (hash, tabIds) => {
+  if (!isShareLink(hash)) return null;
+
+  const [version, payload] = hash.slice(FRAGMENT_PREFIX.length).split('.');
+  if (Number(version) !== 1 && Number(version) !== SHARE_LINK_VERSION) {
+    return { errors: [`This link was created by an unsupported version of the calculator (v${version})`] };
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(fromBase64Url(payload || ''));
+  } catch (error) {
+    return { errors: ['This link is incomplete or corrupted'] };
+  }
+  if (!decoded || typeof decoded !== 'object' || !decoded.i || typeof decoded.i !== 'object') {
+    return { errors: ['This link is incomplete or corrupted'] };
+  }
+
+  const { inputs, errors } = Number(version) === 1 ? readChangedInputs(decoded.i) : readInputs(decoded.s, decoded.i);
+  if (errors) return { errors };
+
+  return { inputs, tab: tabIds.includes(decoded.t) ? decoded.t : tabIds[0] };
+};
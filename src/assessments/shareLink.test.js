@@ -0,0 +1,33 @@
+import { DEFAULT_INPUTS } from '../model/riskModel';
+import { encodeShareLink, decodeShareLink } from './shareLink';
+
+const TABS = ['calculator', 'scenarios'];
+
+const linkWith = (version, payload) => `#share=${version}.${window.btoa(JSON.stringify(payload)).replace(/=+$/, '')}`;
+
+describe('share links', () => {
+  test('carry the complete inputs and the tab', () => {
+    const inputs = { ...DEFAULT_INPUTS, employees: 321 };
+    expect(decodeShareLink(encodeShareLink(inputs, 'scenarios'), TABS)).toEqual({ inputs, tab: 'scenarios' });
+  });
+
+  test('upgrade links made at an older assessment schema version', () => {
+    const { roadmap, frameworkAnswers, trainingResults, ...inputs } = DEFAULT_INPUTS;
+    const shared = decodeShareLink(linkWith(2, { s: 1, i: { ...inputs, employees: 321 }, t: 'calculator' }), TABS);
+    expect(shared.inputs).toEqual({ ...DEFAULT_INPUTS, employees: 321 });
+  });
+
+  test('still open version 1 links, which held only the changed inputs', () => {
+    expect(decodeShareLink(linkWith(1, { i: { employees: 321 }, t: 'nowhere' }), TABS)).toEqual({
+      inputs: { ...DEFAULT_INPUTS, employees: 321 },
+      tab: 'calculator'
+    });
+  });
+
+  test('explain links from a newer calculator', () => {
+    expect(decodeShareLink(linkWith(2, { s: 99, i: DEFAULT_INPUTS }), TABS).errors).toEqual([
+      expect.stringMatching(/^schemaVersion: Schema version 99 is newer/)
+    ]);
+    expect(decodeShareLink(linkWith(3, {}), TABS).errors).toEqual([expect.stringMatching(/unsupported version/)]);
+  });
+});
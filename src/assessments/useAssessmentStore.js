@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadAssessments, saveAssessments } from './assessmentStorage';
+import { getIdentityUser } from '../identity/identitySession';
+import { listServerAssessments, putServerAssessment, deleteServerAssessment } from './assessmentApi';
+
+// The saved assessment list as React state, persisted to the organization's server-side store when
+// someone is logged in and to this browser's localStorage otherwise (or when the server can't be
+// reached on load). Callers change the list with `setAssessments` as if it were plain state; changes
+// are pushed to the server by comparing each assessment with the last version synced, by reference.
+//
+// `storage` is `{ mode: 'loading' | 'server' | 'local', user, pending, error, browserOnly }`; `pending`
+// counts requests in flight, `error` holds the latest failure's message until the next successful sync
+// and `browserOnly` lists assessments saved in this browser that aren't on the server yet.
+// `uploadBrowserAssessments` adds those to the server list.
+export const useAssessmentStore = () => {
+  const [assessments, setAssessments] = useState([]);
+  const [storage, setStorage] = useState({ mode: 'loading', user: null, pending: 0, error: null, browserOnly: [] });
+  // id -> assessment as last stored on the server; null until the server list has loaded
+  const syncedRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fallBackToLocal = (error = null) => {
+      if (cancelled) return;
+      setAssessments(loadAssessments());
+      setStorage({ mode: 'local', user: null, pending: 0, error, browserOnly: [] });
+    };
+
+    getIdentityUser().then(async user => {
+      if (!user) {
+        fallBackToLocal();
+        return;
+      }
+      try {
+        const records = await listServerAssessments(user);
+        if (cancelled) return;
+        syncedRef.current = new Map(records.map(record => [record.id, record]));
+        setAssessments(records);
+        const browserOnly = loadAssessments().filter(assessment => !syncedRef.current.has(assessment.id));
+        setStorage({ mode: 'server', user, pending: 0, error: null, browserOnly });
+      } catch (error) {
+        console.error('Could not load assessments from the server:', error);
+        fallBackToLocal(`Saved assessments could not be loaded from your organization (${error.message}), so this browser's copies are shown instead.`);
+      }
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const { mode, user } = storage;
+
+  useEffect(() => {
+    if (mode === 'local') {
+      saveAssessments(assessments);
+      return;
+    }
+    const synced = syncedRef.current;
+    if (mode !== 'server' || !synced) return;
+
+    const track = (promise) => {
+      setStorage(prev => ({ ...prev, pending: prev.pending + 1 }));
+      promise
+        .then(() => setStorage(prev => ({ ...prev, pending: prev.pending - 1, error: prev.pending > 1 ? prev.error : null })))
+        .catch(error => {
+          console.error('Could not sync assessments with the server:', error);
+          setStorage(prev => ({ ...prev, pending: prev.pending - 1, error: `Changes could not be saved to your organization: ${error.message}` }));
+        });
+    };
+
+    // Mark changes synced before the request so later renders don't resend them; a failure restores
+    // the previous entry, so the change is retried with the next edit
+    assessments.forEach(assessment => {
+      const previous = synced.get(assessment.id);
+      if (previous === assessment) return;
+      synced.set(assessment.id, assessment);
+      track(putServerAssessment(user, assessment)
+        .then(record => {
+          if (synced.get(record.id) === assessment) synced.set(record.id, record);
+          setAssessments(prev => prev.map(existing => (existing === assessment ? record : existing)));
+        })
+        .catch(error => {
+          if (synced.get(assessment.id) === assessment) {
+            if (previous) synced.set(assessment.id, previous);
+            else synced.delete(assessment.id);
+          }
+          throw error;
+        }));
+    });
+
+    const currentIds = new Set(assessments.map(assessment => assessment.id));
+    [...synced.entries()].forEach(([id, previous]) => {
+      if (currentIds.has(id)) return;
+      synced.delete(id);
+      track(deleteServerAssessment(user, id).catch(error => {
+        if (!synced.has(id)) synced.set(id, previous);
+        throw error;
+      }));
+    });
+  }, [assessments, mode, user]);
+
+  const uploadBrowserAssessments = useCallback(() => {
+    const { browserOnly } = storage;
+    setAssessments(prev => [...prev, ...browserOnly.filter(local => !prev.some(assessment => assessment.id === local.id))]);
+    setStorage(prev => ({ ...prev, browserOnly: [] }));
+  }, [storage]);
+
+  return { assessments, setAssessments, storage, uploadBrowserAssessments };
+};
@@ -0,0 +1,45 @@
+// Client for the peer benchmark API (netlify/functions/benchmarks.js), with a browser-only fallback
+// in localStorage for when nobody is logged in
+import { apiRequest } from '../identity/apiRequest';
+import { toBenchmarkDataset } from './peerBenchmarks';
+
+const API_PATH = '/api/benchmarks';
+const LOCAL_KEY = 'riskCalculator.benchmarks';
+
+// Resolve the organization's dataset, or null when it uses the built-in one
+export const fetchServerBenchmarks = async (user) => (await apiRequest(user, API_PATH)).dataset;
+
+export const putServerBenchmarks = async (user, dataset) => (
+  (await apiRequest(user, API_PATH, { method: 'PUT', body: toBenchmarkDataset(dataset) })).dataset
+);
+
+export const deleteServerBenchmarks = (user) => apiRequest(user, API_PATH, { method: 'DELETE' });
+
+export const loadLocalBenchmarks = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LOCAL_KEY));
+    return stored && stored.dataset ? stored.dataset : null;
+  } catch (error) {
+    console.error(`Could not read ${LOCAL_KEY} from local storage:`, error);
+    return null;
+  }
+};
+
+// Returns this browser's dataset after the change
+export const saveLocalBenchmarks = (dataset) => {
+  const stored = { ...toBenchmarkDataset(dataset), updatedAt: new Date().toISOString() };
+  try {
+    window.localStorage.setItem(LOCAL_KEY, JSON.stringify({ version: 1, dataset: stored }));
+  } catch (error) {
+    console.error(`Could not write ${LOCAL_KEY} to local storage:`, error);
+  }
+  return stored;
+};
+
+export const clearLocalBenchmarks = () => {
+  try {
+    window.localStorage.removeItem(LOCAL_KEY);
+  } catch (error) {
+    console.error(`Could not remove ${LOCAL_KEY} from local storage:`, error);
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+import { BUILT_IN_BENCHMARKS } from './peerBenchmarks';
+
+const { createHandler } = require('../../netlify/functions/benchmarks');
+const { createMemberContext: member, createCaller, createTemporaryStores } = require('../../netlify/local/functionCalls');
+
+const call = createCaller('/.netlify/functions/benchmarks');
+
+const dataset = {
+  name: 'Acme peer survey',
+  source: 'Industry ISAC survey, 2026',
+  controls: BUILT_IN_BENCHMARKS.controls,
+  peers: BUILT_IN_BENCHMARKS.peers.filter(peer => peer.industry === 'manufacturing')
+};
+
+describe('benchmarks function', () => {
+  let temporary;
+  let handler;
+
+  beforeEach(() => {
+    temporary = createTemporaryStores(['benchmarks']);
+    handler = createHandler({ createStore: () => temporary.stores.benchmarks, now: () => new Date('2026-10-01T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    temporary.remove();
+  });
+
+  test('admins replace the organization\'s dataset and restore the built-in one', async () => {
+    const admin = member('alice', 'acme', ['subscriber', 'admin']);
+    const analyst = member('bob', 'acme');
+
+    expect((await call(handler, analyst, 'GET')).body).toEqual({ dataset: null });
+    expect((await call(handler, analyst, 'PUT', '', dataset)).status).toBe(403);
+
+    const invalid = await call(handler, admin, 'PUT', '', { ...dataset, peers: [] });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toHaveProperty('peers');
+
+    const stored = await call(handler, admin, 'PUT', '', { format: 'peer-benchmarks', version: 1, ...dataset });
+    expect(stored.status).toBe(200);
+    expect(stored.body.dataset).toEqual({ ...dataset, updatedAt: '2026-10-01T12:00:00.000Z', updatedBy: 'alice@acme.com' });
+    expect((await call(handler, analyst, 'GET')).body.dataset).toMatchObject({ name: 'Acme peer survey', updatedBy: 'alice@acme.com' });
+    expect((await call(handler, member('erin', 'globex'), 'GET')).body).toEqual({ dataset: null });
+
+    expect((await call(handler, analyst, 'DELETE')).status).toBe(403);
+    expect((await call(handler, admin, 'DELETE')).status).toBe(204);
+    expect((await call(handler, analyst, 'GET')).body).toEqual({ dataset: null });
+    expect((await call(handler, admin, 'POST', '', dataset)).status).toBe(405);
+  });
+});
@@ -0,0 +1,239 @@
+// Peer benchmarks: how an assessment's security score, expected annual loss and control maturity
+// compare with organizations of the same industry and size. A benchmark dataset lists the controls it
+// covers and one peer group per industry and size band, with the peers' score and loss distributions
+// (10th, 25th, 50th, 75th and 90th percentiles) and, per control, the share of peers that implement it
+// (maturity 3+) and their average maturity.
+//
+// The built-in dataset (builtInBenchmarks.json) is bundled with the app; an organization can replace
+// it with its own file in the same format, documented by the JSON Schema at BENCHMARK_SCHEMA_PATH.
+import BUILT_IN_BENCHMARKS from './builtInBenchmarks.json';
+import { INDUSTRY_PROFILES } from '../profiles/industryProfiles';
+import { IMPLEMENTED_MATURITY, MAX_MATURITY } from '../controls/controlCatalog';
+import { isObject } from '../shared/values';
+
+export { BUILT_IN_BENCHMARKS };
+
+export const BENCHMARK_FORMAT = 'peer-benchmarks';
+export const BENCHMARK_VERSION = 1;
+export const BENCHMARK_SCHEMA_PATH = `/schema/peer-benchmarks-v${BENCHMARK_VERSION}.schema.json`;
+
+// Size bands by employee count; `max` is inclusive
+export const SIZE_BANDS = [
+  { id: 'small', label: '1–249 employees', min: 1, max: 249 },
+  { id: 'medium', label: '250–999 employees', min: 250, max: 999 },
+  { id: 'large', label: '1,000–4,999 employees', min: 1000, max: 4999 },
+  { id: 'enterprise', label: '5,000+ employees', min: 5000, max: Infinity }
+];
+
+export const QUANTILES = [
+  { id: 'p10', percentile: 10 },
+  { id: 'p25', percentile: 25 },
+  { id: 'median', percentile: 50 },
+  { id: 'p75', percentile: 75 },
+  { id: 'p90', percentile: 90 }
+];
+
+export const BENCHMARK_LIMITS = {
+  text: 300,
+  source: 2000,
+  controls: 30,
+  peers: 500
+};
+
+// A control most peers implement counts as peer-common
+export const COMMON_ADOPTION = 0.5;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const isText = (value, max = BENCHMARK_LIMITS.text) => typeof value === 'string' && value.trim() !== '' && value.length <= max;
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+export const sizeBandFor = (employees) => SIZE_BANDS.find(band => employees >= band.min && employees <= band.max) || SIZE_BANDS[0];
+
+const validateQuantiles = (quantiles, path, max, errors) => {
+  if (!isObject(quantiles)) {
+    errors[path] = 'Percentiles are required';
+    return;
+  }
+  QUANTILES.forEach(({ id }) => {
+    if (!isNumberIn(quantiles[id], 0, max)) errors[`${path}.${id}`] = `Must be a number from 0 to ${max}`;
+  });
+  const values = QUANTILES.map(({ id }) => quantiles[id]);
+  if (values.every(value => isNumberIn(value, 0, max)) && values.some((value, index) => index > 0 && value < values[index - 1])) {
+    errors[path] = 'Percentiles must not decrease from p10 to p90';
+  }
+};
+
+const validatePeer = (peer, path, controlIds, errors) => {
+  if (!isObject(peer)) {
+    errors[path] = 'Peer group is malformed';
+    return;
+  }
+  if (!INDUSTRY_PROFILES.some(industry => industry.id === peer.industry)) errors[`${path}.industry`] = 'Unknown industry';
+  if (!SIZE_BANDS.some(band => band.id === peer.sizeBand)) errors[`${path}.sizeBand`] = 'Unknown size band';
+  validateQuantiles(peer.securityScore, `${path}.securityScore`, 100, errors);
+  validateQuantiles(peer.expectedLoss, `${path}.expectedLoss`, Number.MAX_SAFE_INTEGER, errors);
+  if (!isObject(peer.controls)) {
+    errors[`${path}.controls`] = 'Control adoption is required';
+    return;
+  }
+  Object.entries(peer.controls).forEach(([id, control]) => {
+    const controlPath = `${path}.controls.${id}`;
+    if (!controlIds.includes(id)) {
+      errors[controlPath] = 'Not one of the dataset\'s controls';
+    } else if (!isObject(control)) {
+      errors[controlPath] = 'Control adoption is malformed';
+    } else {
+      if (!isNumberIn(control.adoption, 0, 1)) errors[`${controlPath}.adoption`] = 'Adoption must be a share from 0 to 1';
+      if (!isNumberIn(control.maturity, 0, MAX_MATURITY)) errors[`${controlPath}.maturity`] = `Maturity must be from 0 to ${MAX_MATURITY}`;
+    }
+  });
+};
+
+// Errors keyed by field path (`name`, `peers.3.expectedLoss.p75`…); empty when the dataset is valid
+export const validateBenchmarkDataset = (dataset) => {
+  if (!isObject(dataset)) return { dataset: 'Benchmark dataset is malformed' };
+
+  const errors = {};
+  if (!isText(dataset.name)) errors.name = 'Name is required';
+  if (dataset.source !== undefined && (typeof dataset.source !== 'string' || dataset.source.length > BENCHMARK_LIMITS.source)) {
+    errors.source = `Source must be text of at most ${BENCHMARK_LIMITS.source} characters`;
+  }
+
+  if (!Array.isArray(dataset.controls) || dataset.controls.length === 0 || dataset.controls.length > BENCHMARK_LIMITS.controls) {
+    errors.controls = `A dataset needs between 1 and ${BENCHMARK_LIMITS.controls} controls`;
+    return errors;
+  }
+  const controlIds = [];
+  dataset.controls.forEach((control, index) => {
+    if (!isObject(control) || typeof control.id !== 'string' || !ID_PATTERN.test(control.id) || controlIds.includes(control.id)) {
+      errors[`controls.${index}.id`] = 'Control ids must be unique letters, digits, - or _';
+    } else {
+      controlIds.push(control.id);
+    }
+    if (!isObject(control) || !isText(control.name)) errors[`controls.${index}.name`] = 'Name is required';
+  });
+
+  if (!Array.isArray(dataset.peers) || dataset.peers.length === 0 || dataset.peers.length > BENCHMARK_LIMITS.peers) {
+    errors.peers = `A dataset needs between 1 and ${BENCHMARK_LIMITS.peers} peer groups`;
+    return errors;
+  }
+  const groups = new Set();
+  dataset.peers.forEach((peer, index) => {
+    const path = `peers.${index}`;
+    validatePeer(peer, path, controlIds, errors);
+    if (isObject(peer)) {
+      const group = `${peer.industry}/${peer.sizeBand}`;
+      if (groups.has(group)) errors[path] = 'Only one peer group per industry and size band';
+      groups.add(group);
+    }
+  });
+  return errors;
+};
+
+// Only the fields a dataset is made of, e.g. to drop what a server or file added
+export const toBenchmarkDataset = ({ name, source = '', controls, peers }) => ({ name, source, controls, peers });
+
+export const serializeBenchmarkDataset = (dataset) => JSON.stringify({
+  $schema: `${window.location.origin}${BENCHMARK_SCHEMA_PATH}`,
+  format: BENCHMARK_FORMAT,
+  version: BENCHMARK_VERSION,
+  exportedAt: new Date().toISOString(),
+  ...toBenchmarkDataset(dataset)
+}, null, 2);
+
+// `{ dataset }` from the text of a benchmark file, or `{ errors }` keyed by field path
+export const parseBenchmarkFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { errors: { file: 'The file is not valid JSON' } };
+  }
+  if (!isObject(file) || file.format !== BENCHMARK_FORMAT) {
+    return { errors: { format: 'The file is not a peer benchmark dataset' } };
+  }
+  if (file.version !== BENCHMARK_VERSION) {
+    return { errors: { version: `Benchmark version ${file.version} is not supported (expected ${BENCHMARK_VERSION})` } };
+  }
+  const dataset = toBenchmarkDataset(file);
+  const errors = validateBenchmarkDataset(dataset);
+  return Object.keys(errors).length > 0 ? { errors } : { dataset };
+};
+
+// The dataset's peer group for an industry and employee count, falling back to the cross-industry
+// group of the same size band: `{ peer, sizeBand, fallback }`, or null when neither is in the dataset
+export const findPeerGroup = (dataset, industry, employees) => {
+  const sizeBand = sizeBandFor(employees);
+  const inBand = dataset.peers.filter(peer => peer.sizeBand === sizeBand.id);
+  const exact = inBand.find(peer => peer.industry === industry);
+  if (exact) return { peer: exact, sizeBand, fallback: false };
+  const general = inBand.find(peer => peer.industry === 'general');
+  return general ? { peer: general, sizeBand, fallback: true } : null;
+};
+
+// Share of peers (1-99) below `value`, interpolated between the peers' percentiles and extrapolated
+// along the outer ones beyond p10 and p90
+export const peerPercentile = (value, quantiles) => {
+  const points = QUANTILES.map(({ id, percentile }) => [percentile, quantiles[id]]);
+  const tied = points.filter(([, quantile]) => quantile === value);
+  let percentile;
+  if (tied.length > 0) {
+    percentile = (tied[0][0] + tied[tied.length - 1][0]) / 2;
+  } else {
+    const upper = points.findIndex(([, quantile]) => quantile > value);
+    const index = Math.min(Math.max(upper === -1 ? points.length - 1 : upper, 1), points.length - 1);
+    const [p0, q0] = points[index - 1];
+    const [p1, q1] = points[index];
+    if (q1 === q0) percentile = value > q1 ? p1 : p0;
+    else percentile = p0 + ((p1 - p0) * (value - q0)) / (q1 - q0);
+  }
+  return Math.min(Math.max(Math.round(percentile), 1), 99);
+};
+
+// The assessment's control matching a dataset control, by id or else by name, so custom controls
+// added to the catalog under a benchmark control's name are compared too
+const matchControl = (controls, benchmarkControl) => (
+  controls.find(control => control.id === benchmarkControl.id)
+    || controls.find(control => control.name.trim().toLowerCase() === benchmarkControl.name.trim().toLowerCase())
+    || null
+);
+
+// How the assessment compares with its peer group, or null when the dataset has none:
+//   securityScore, expectedLoss  `{ value, percentile, median }`: the share of peers below the value
+//   controls  per dataset control, `{ id, name, maturity, peerMaturity, adoption, implemented }`;
+//             `maturity` is null when the assessment doesn't have the control
+//   missing   the peer-common controls the assessment doesn't implement, most adopted first
+// `results` are the calculator's results: the security score and the simulated expected annual loss.
+export const benchmarkAssessment = (dataset, inputs, results) => {
+  const group = findPeerGroup(dataset, inputs.profile.industry, inputs.employees);
+  if (!group) return null;
+  const { peer, sizeBand, fallback } = group;
+
+  const controls = dataset.controls
+    .filter(control => peer.controls[control.id])
+    .map(control => {
+      const own = matchControl(inputs.controls, control);
+      return {
+        id: control.id,
+        name: control.name,
+        maturity: own ? own.maturity : null,
+        peerMaturity: peer.controls[control.id].maturity,
+        adoption: peer.controls[control.id].adoption,
+        implemented: Boolean(own) && own.maturity >= IMPLEMENTED_MATURITY
+      };
+    });
+
+  const expectedLoss = results.aggregate.ale;
+  return {
+    industry: peer.industry,
+    sizeBand,
+    fallback,
+    securityScore: { value: results.securityScore, percentile: peerPercentile(results.securityScore, peer.securityScore), median: peer.securityScore.median },
+    expectedLoss: { value: expectedLoss, percentile: peerPercentile(expectedLoss, peer.expectedLoss), median: peer.expectedLoss.median },
+    controls,
+    missing: controls
+      .filter(control => control.adoption >= COMMON_ADOPTION && !control.implemented)
+      .sort((a, b) => b.adoption - a.adoption)
+  };
+};
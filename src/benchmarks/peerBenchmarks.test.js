@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_INPUTS } from '../model/riskModel';
+import { INDUSTRY_PROFILES } from '../profiles/industryProfiles';
+import {
+  BUILT_IN_BENCHMARKS,
+  BENCHMARK_FORMAT,
+  SIZE_BANDS,
+  validateBenchmarkDataset,
+  parseBenchmarkFile,
+  sizeBandFor,
+  findPeerGroup,
+  peerPercentile,
+  benchmarkAssessment
+} from './peerBenchmarks';
+
+const quantiles = { p10: 20, p25: 40, median: 50, p75: 60, p90: 80 };
+
+const peer = (industry, sizeBand, controls) => ({ industry, sizeBand, securityScore: quantiles, expectedLoss: { p10: 100, p25: 200, median: 300, p75: 400, p90: 600 }, controls });
+
+const dataset = {
+  name: 'Test peers',
+  controls: [
+    { id: 'mfaEnabled', name: 'Multi-Factor Authentication' },
+    { id: 'irTabletop', name: 'IR Tabletop Exercises' },
+    { id: 'endpointDetection', name: 'Endpoint Detection & Response' },
+    { id: 'privilegedAccess', name: 'Privileged Access Management' }
+  ],
+  peers: [
+    peer('general', 'small', {
+      mfaEnabled: { adoption: 0.8, maturity: 3.4 },
+      irTabletop: { adoption: 0.6, maturity: 3 },
+      endpointDetection: { adoption: 0.7, maturity: 3.2 },
+      privilegedAccess: { adoption: 0.3, maturity: 2 }
+    }),
+    peer('healthcare', 'medium', { mfaEnabled: { adoption: 0.9, maturity: 4 } })
+  ]
+};
+
+describe('peer benchmarks', () => {
+  test('the built-in dataset is valid and has a peer group for every industry and size band', () => {
+    expect(validateBenchmarkDataset(BUILT_IN_BENCHMARKS)).toEqual({});
+    INDUSTRY_PROFILES.forEach(industry => SIZE_BANDS.forEach(band => {
+      expect(findPeerGroup(BUILT_IN_BENCHMARKS, industry.id, band.min)).toMatchObject({ peer: { industry: industry.id, sizeBand: band.id }, fallback: false });
+    }));
+  });
+
+  test('size bands split on employee count', () => {
+    expect([1, 249, 250, 999, 1000, 5000, 1000000].map(employees => sizeBandFor(employees).id))
+      .toEqual(['small', 'small', 'medium', 'medium', 'large', 'enterprise', 'enterprise']);
+  });
+
+  test('places a value among the peers\' percentiles', () => {
+    expect(peerPercentile(50, quantiles)).toBe(50);
+    expect(peerPercentile(45, quantiles)).toBe(38);
+    expect(peerPercentile(70, quantiles)).toBe(83);
+    // Beyond p10 and p90 the outer segments are extended, never past 1 or 99
+    expect(peerPercentile(10, quantiles)).toBe(3);
+    expect(peerPercentile(0, quantiles)).toBe(1);
+    expect(peerPercentile(100, quantiles)).toBe(99);
+    // Tied percentiles place the value in the middle of them
+    expect(peerPercentile(100, { p10: 60, p25: 80, median: 90, p75: 100, p90: 100 })).toBe(83);
+    expect(peerPercentile(100, { p10: 100, p25: 100, median: 100, p75: 100, p90: 100 })).toBe(50);
+  });
+
+  test('compares the assessment with its peers and lists the peer-common controls it lacks', () => {
+    const inputs = {
+      ...DEFAULT_INPUTS,
+      employees: 120,
+      profile: { industry: 'retail', regulations: [] },
+      controls: [
+        ...DEFAULT_INPUTS.controls.map(control => ({ ...control, maturity: control.id === 'irTabletop' ? 2 : 5 })),
+        // A custom control matches the dataset's by name
+        { id: 'control-x1', name: ' privileged access management ', maturity: 4, weight: 0.1, annualCost: 0, costReductions: {} }
+      ]
+    };
+    const comparison = benchmarkAssessment(dataset, inputs, { securityScore: 60, aggregate: { ale: 500 } });
+
+    expect(comparison).toMatchObject({
+      industry: 'general',
+      sizeBand: { id: 'small' },
+      fallback: true,
+      securityScore: { value: 60, percentile: 75, median: 50 },
+      expectedLoss: { value: 500, percentile: 83, median: 300 }
+    });
+    expect(comparison.controls.map(control => [control.id, control.maturity, control.implemented])).toEqual([
+      ['mfaEnabled', 5, true],
+      ['irTabletop', 2, false],
+      ['endpointDetection', null, false],
+      ['privilegedAccess', 4, true]
+    ]);
+    expect(comparison.missing.map(control => control.id)).toEqual(['endpointDetection', 'irTabletop']);
+
+    // Only the controls the peer group reports on are compared
+    const healthcare = benchmarkAssessment(dataset, { ...inputs, employees: 300, profile: { industry: 'healthcare', regulations: [] } }, { securityScore: 60, aggregate: { ale: 500 } });
+    expect(healthcare.fallback).toBe(false);
+    expect(healthcare.controls.map(control => control.id)).toEqual(['mfaEnabled']);
+    expect(benchmarkAssessment(dataset, { ...inputs, employees: 3000 }, { securityScore: 60, aggregate: { ale: 500 } })).toBeNull();
+  });
+
+  test('reads uploaded dataset files and reports what is wrong with them', () => {
+    const file = (fields) => JSON.stringify({ format: BENCHMARK_FORMAT, version: 1, ...dataset, exportedAt: '2026-10-01T00:00:00Z', ...fields });
+    expect(parseBenchmarkFile(file({}))).toEqual({ dataset: { ...dataset, source: '' } });
+
+    expect(parseBenchmarkFile('{').errors).toHaveProperty('file');
+    expect(parseBenchmarkFile(JSON.stringify({ format: 'phishing-content-pack' })).errors).toHaveProperty('format');
+    expect(parseBenchmarkFile(file({ version: 2 })).errors).toHaveProperty('version');
+
+    const { errors } = parseBenchmarkFile(file({
+      controls: [...dataset.controls, { id: 'mfaEnabled', name: 'Again' }],
+      peers: [
+        { ...dataset.peers[0], securityScore: { ...quantiles, p75: 45 }, controls: { mfaEnabled: { adoption: 1.5, maturity: 3 }, edr: { adoption: 0.5, maturity: 3 } } },
+        { ...dataset.peers[0], industry: 'general', expectedLoss: { p10: 1 } },
+        { ...dataset.peers[1], sizeBand: 'huge' }
+      ]
+    }));
+    expect(errors).toEqual({
+      'controls.4.id': 'Control ids must be unique letters, digits, - or _',
+      'peers.0.securityScore': 'Percentiles must not decrease from p10 to p90',
+      'peers.0.controls.mfaEnabled.adoption': 'Adoption must be a share from 0 to 1',
+      'peers.0.controls.edr': 'Not one of the dataset\'s controls',
+      'peers.1': 'Only one peer group per industry and size band',
+      'peers.1.expectedLoss.p25': 'Must be a number from 0 to 9007199254740991',
+      'peers.1.expectedLoss.median': 'Must be a number from 0 to 9007199254740991',
+      'peers.1.expectedLoss.p75': 'Must be a number from 0 to 9007199254740991',
+      'peers.1.expectedLoss.p90': 'Must be a number from 0 to 9007199254740991',
+      'peers.2.sizeBand': 'Unknown size band'
+    });
+  });
+});
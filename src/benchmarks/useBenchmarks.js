@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getIdentityUser } from '../identity/identitySession';
+import {
+  fetchServerBenchmarks,
+  putServerBenchmarks,
+  deleteServerBenchmarks,
+  loadLocalBenchmarks,
+  saveLocalBenchmarks,
+  clearLocalBenchmarks
+} from './benchmarkApi';
+import { BUILT_IN_BENCHMARKS } from './peerBenchmarks';
+
+// The peer benchmark dataset to compare assessments with: the organization's own when an admin has
+// uploaded one (kept on the server when someone is logged in and in this browser otherwise), else
+// the built-in dataset. `saveDataset` and `resetDataset` resolve once stored and reject when the
+// change couldn't be made; only organization admins may change the dataset on the server.
+//
+// State is `{ mode: 'loading' | 'server' | 'local', user, dataset, custom, canEdit, error }`, where `custom`
+// is the uploaded dataset or null.
+export const useBenchmarks = () => {
+  const [state, setState] = useState({ mode: 'loading', user: null, custom: null, canEdit: false, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    getIdentityUser().then(async user => {
+      if (!user) {
+        if (!cancelled) setState({ mode: 'local', user: null, custom: loadLocalBenchmarks(), canEdit: true, error: null });
+        return;
+      }
+      const roles = (user.app_metadata && user.app_metadata.roles) || [];
+      const canEdit = roles.includes('admin');
+      try {
+        const custom = await fetchServerBenchmarks(user);
+        if (!cancelled) setState({ mode: 'server', user, custom, canEdit, error: null });
+      } catch (error) {
+        // The built-in dataset still works
+        console.error('Could not load the benchmark dataset:', error);
+        if (!cancelled) setState({ mode: 'server', user, custom: null, canEdit, error: `Your organization's benchmarks could not be loaded: ${error.message}` });
+      }
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const { mode, user } = state;
+
+  const saveDataset = useCallback(async (dataset) => {
+    if (mode === 'local') {
+      setState(prev => ({ ...prev, custom: saveLocalBenchmarks(dataset), error: null }));
+      return;
+    }
+    try {
+      const custom = await putServerBenchmarks(user, dataset);
+      setState(prev => ({ ...prev, custom, error: null }));
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `The benchmark dataset could not be saved: ${error.message}` }));
+      throw error;
+    }
+  }, [mode, user]);
+
+  const resetDataset = useCallback(async () => {
+    if (mode === 'local') {
+      clearLocalBenchmarks();
+      setState(prev => ({ ...prev, custom: null, error: null }));
+      return;
+    }
+    try {
+      await deleteServerBenchmarks(user);
+      setState(prev => ({ ...prev, custom: null, error: null }));
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `The built-in benchmarks could not be restored: ${error.message}` }));
+      throw error;
+    }
+  }, [mode, user]);
+
+  return { ...state, dataset: state.custom || BUILT_IN_BENCHMARKS, saveDataset, resetDataset };
+};
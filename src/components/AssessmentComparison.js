@@ -0,0 +1,118 @@
+import React, { useMemo } from 'react';
+import { useSimulationBatch } from '../simulation/useSimulation';
+import { DEFAULT_INPUTS, buildRiskModel, combineSimulation } from '../engine';
+import { diffAssessmentInputs, compareResults } from '../assessments/compareAssessments';
+
+export const formatValue = (value, type, formatCurrency) => {
+  if (value === null || value === undefined) return '—';
+  if (type === 'currency') return formatCurrency(value);
+  if (type === 'percent') return `${value}%`;
+  if (type === 'number') return value.toLocaleString();
+  return value;
+};
+
+export const formatDelta = (delta, type, formatCurrency) => {
+  if (delta === null || delta === 0) return null;
+  const sign = delta > 0 ? '+' : '−';
+  const magnitude = Math.abs(delta);
+  return `${sign}${type === 'currency' ? formatCurrency(magnitude) : type === 'percent' ? `${magnitude} pts` : magnitude.toLocaleString()}`;
+};
+
+// Side-by-side comparison of two or more saved assessments; the first one is the baseline for deltas
+const AssessmentComparison = ({ assessments, formatCurrency }) => {
+  const models = useMemo(() => assessments.map(assessment => buildRiskModel({ ...DEFAULT_INPUTS, ...assessment.inputs })), [assessments]);
+  const simulation = useSimulationBatch(models);
+
+  const metrics = useMemo(() => {
+    if (!simulation.models || !simulation.outputs) return null;
+    return compareResults(simulation.models.map((model, index) => combineSimulation(model, simulation.outputs[index])));
+  }, [simulation.models, simulation.outputs]);
+
+  const inputDiffs = useMemo(() => diffAssessmentInputs(assessments), [assessments]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-8">
+      <div>
+        <h3 className="text-xl font-semibold text-gray-900">Assessment Comparison</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Deltas are shown against <strong>{assessments[0].name}</strong>.
+          {simulation.isSimulating && <span className="text-blue-600"> Updating simulation…</span>}
+        </p>
+      </div>
+
+      <div className="overflow-x-auto">
+        <h4 className="font-medium text-gray-900 mb-3">Results</h4>
+        {metrics ? (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 pr-4 font-medium text-gray-600">Metric</th>
+                {assessments.map(assessment => (
+                  <th key={assessment.id} className="text-right py-2 px-4 font-medium text-gray-900">{assessment.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.map(metric => (
+                <tr key={metric.key} className="border-b border-gray-100">
+                  <td className="py-2 pr-4 text-gray-700">{metric.label}</td>
+                  {metric.values.map((value, index) => {
+                    const delta = index > 0 ? formatDelta(metric.deltas[index], metric.type, formatCurrency) : null;
+                    // Lower is better for losses, higher is better for the security score
+                    const improved = metric.deltas[index] !== null &&
+                      (metric.key === 'securityScore' ? metric.deltas[index] > 0 : metric.deltas[index] < 0);
+                    return (
+                      <td key={index} className="py-2 px-4 text-right">
+                        <span className="font-medium text-gray-900">{formatValue(value, metric.type, formatCurrency)}</span>
+                        {delta && (
+                          <span className={`block text-xs ${improved ? 'text-green-600' : 'text-red-600'}`}>{delta}</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-500">Running simulations…</p>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <h4 className="font-medium text-gray-900 mb-3">Input Differences</h4>
+        {inputDiffs.length === 0 ? (
+          <p className="text-sm text-gray-500">These assessments have identical inputs.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 pr-4 font-medium text-gray-600">Input</th>
+                {assessments.map(assessment => (
+                  <th key={assessment.id} className="text-right py-2 px-4 font-medium text-gray-900">{assessment.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {inputDiffs.map(row => (
+                <tr key={row.key} className="border-b border-gray-100">
+                  <td className="py-2 pr-4 text-gray-700">{row.label}</td>
+                  {row.values.map((value, index) => (
+                    <td
+                      key={index}
+                      className={`py-2 px-4 text-right ${index > 0 && value !== row.values[0] ? 'text-blue-700 font-medium' : 'text-gray-900'}`}
+                    >
+                      {formatValue(value, row.type, formatCurrency)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssessmentComparison;
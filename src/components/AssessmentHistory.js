@@ -0,0 +1,228 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { History, FolderOpen, FileJson, FileSpreadsheet, X } from 'lucide-react';
+import { formatValue, formatDelta } from './AssessmentComparison';
+import { slugify } from './ReportExport';
+import { diffSnapshotInputs, compareSummaries, serializeHistory, historyToCsv } from '../assessments/assessmentHistory';
+import { downloadFile } from '../export/downloadFile';
+
+const describeSaver = (version) => version.savedBy || 'this browser';
+
+// Lower is better for losses, higher is better for the security score
+const isImprovement = (row) => (row.key === 'securityScore' ? row.after > row.before : row.after < row.before);
+
+const ResultRows = ({ rows, formatCurrency }) => (
+  <tbody>
+    {rows.map(row => {
+      const delta = row.before === null || row.after === null ? null : formatDelta(row.after - row.before, row.type, formatCurrency);
+      return (
+        <tr key={row.key} className="border-b border-gray-100">
+          <td className="py-2 pr-4 text-gray-700">{row.label}</td>
+          <td className="py-2 px-4 text-right text-gray-900">{formatValue(row.before, row.type, formatCurrency)}</td>
+          <td className="py-2 px-4 text-right">
+            <span className="font-medium text-gray-900">{formatValue(row.after, row.type, formatCurrency)}</span>
+            {delta && (
+              <span className={`block text-xs ${isImprovement(row) ? 'text-green-600' : 'text-red-600'}`}>{delta}</span>
+            )}
+          </td>
+        </tr>
+      );
+    })}
+  </tbody>
+);
+
+const InputRows = ({ rows, formatCurrency }) => (
+  <tbody>
+    {rows.map(row => (
+      <tr key={row.key} className="border-b border-gray-100">
+        <td className="py-2 pr-4 text-gray-700">{row.label}</td>
+        <td className="py-2 px-4 text-right text-gray-900">{formatValue(row.before, row.type, formatCurrency)}</td>
+        <td className="py-2 px-4 text-right text-blue-700 font-medium">{formatValue(row.after, row.type, formatCurrency)}</td>
+      </tr>
+    ))}
+  </tbody>
+);
+
+const DiffTable = ({ title, beforeLabel, afterLabel, inputRows, resultRows, formatCurrency }) => (
+  <div className="overflow-x-auto">
+    <h5 className="font-medium text-gray-900 mb-2">{title}</h5>
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="border-b border-gray-200 text-gray-600">
+          <th className="text-left py-2 pr-4 font-medium">Result</th>
+          <th className="text-right py-2 px-4 font-medium">{beforeLabel}</th>
+          <th className="text-right py-2 px-4 font-medium">{afterLabel}</th>
+        </tr>
+      </thead>
+      <ResultRows rows={resultRows} formatCurrency={formatCurrency} />
+    </table>
+    {inputRows.length === 0 ? (
+      <p className="text-sm text-gray-500 mt-3">No inputs changed.</p>
+    ) : (
+      <table className="min-w-full text-sm mt-4">
+        <thead>
+          <tr className="border-b border-gray-200 text-gray-600">
+            <th className="text-left py-2 pr-4 font-medium">Input</th>
+            <th className="text-right py-2 px-4 font-medium">{beforeLabel}</th>
+            <th className="text-right py-2 px-4 font-medium">{afterLabel}</th>
+          </tr>
+        </thead>
+        <InputRows rows={inputRows} formatCurrency={formatCurrency} />
+      </table>
+    )}
+  </div>
+);
+
+// Timeline of a saved assessment's versions: who saved what and when, what each save changed, and
+// any past version diffed against the current one. The history exports as JSON or CSV for auditors.
+// `loadVersions(assessment)` resolves the assessment's versions; they are reloaded whenever it is saved.
+const AssessmentHistory = ({ assessment, loadVersions, onOpenVersion, onClose, formatCurrency }) => {
+  const [loaded, setLoaded] = useState({ versions: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadVersions(assessment).then(
+      loadedVersions => !cancelled && setLoaded({ versions: loadedVersions, error: null }),
+      error => !cancelled && setLoaded({ versions: null, error: error.message })
+    );
+    return () => { cancelled = true; };
+  }, [assessment, loadVersions]);
+
+  const versions = useMemo(() => loaded.versions || [], [loaded.versions]);
+  const withHistory = { ...assessment, versions };
+  const latest = versions[versions.length - 1] || null;
+  const [selectedNumber, setSelectedNumber] = useState(latest ? latest.version : null);
+
+  // Follow the newest version when the assessment is saved again while its history is open
+  useEffect(() => {
+    setSelectedNumber(latest ? latest.version : null);
+  }, [latest]);
+
+  const selectedIndex = versions.findIndex(version => version.version === selectedNumber);
+  const selected = versions[selectedIndex] || null;
+  const previous = selectedIndex > 0 ? versions[selectedIndex - 1] : null;
+
+  const exportName = slugify(assessment.name) || 'assessment';
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h3 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <History className="w-5 h-5 text-blue-600" />
+            Version History: {assessment.name}
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Every save that changes the assessment is kept with who saved it, what changed and the results at the time.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => downloadFile(`${exportName}-history.json`, serializeHistory(withHistory), 'application/json')}
+            disabled={versions.length === 0}
+            className="flex items-center gap-2 px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            <FileJson className="w-4 h-4" />
+            Export JSON
+          </button>
+          <button
+            onClick={() => downloadFile(`${exportName}-history.csv`, historyToCsv(withHistory), 'text/csv')}
+            disabled={versions.length === 0}
+            className="flex items-center gap-2 px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            <FileSpreadsheet className="w-4 h-4" />
+            Export CSV
+          </button>
+          <button
+            onClick={onClose}
+            aria-label="Close history"
+            className="flex items-center px-2 py-1 text-gray-500 rounded-lg hover:bg-gray-100"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {loaded.error && <p className="text-sm text-red-700">The history could not be loaded: {loaded.error}</p>}
+      {!loaded.error && !loaded.versions && <p className="text-sm text-gray-500">Loading history…</p>}
+      {loaded.versions && versions.length === 0 && (
+        <p className="text-sm text-gray-500">
+          This assessment was saved before version history was kept. Its history starts with the next save.
+        </p>
+      )}
+      {versions.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <ol className="space-y-2 lg:col-span-1">
+            {[...versions].reverse().map(version => {
+              const total = compareSummaries(null, version.summary).find(row => row.key === 'totalCost').after;
+              return (
+                <li key={version.version}>
+                  <button
+                    onClick={() => setSelectedNumber(version.version)}
+                    className={`w-full text-left px-3 py-2 rounded-lg border ${version.version === selectedNumber ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                  >
+                    <span className="flex justify-between text-sm font-medium text-gray-900">
+                      Version {version.version}{version === latest && ' (current)'}
+                      <span className="text-gray-600 font-normal">{total === null ? '—' : formatCurrency(total)}</span>
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {new Date(version.savedAt).toLocaleString()} by {describeSaver(version)}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {version.version === 1 ? 'Created' : `${version.changes.length} input${version.changes.length === 1 ? '' : 's'} changed`}
+                    </span>
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+
+          {selected && (
+            <div className="lg:col-span-2 space-y-6">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <p className="text-sm text-gray-700">
+                  <strong>Version {selected.version}</strong> saved {new Date(selected.savedAt).toLocaleString()} by {describeSaver(selected)}
+                  {selected.name !== assessment.name && <> as "{selected.name}"</>}
+                </p>
+                <button
+                  onClick={() => onOpenVersion(assessment.id, selected)}
+                  className="flex items-center gap-2 px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <FolderOpen className="w-4 h-4" />
+                  Open in Calculator
+                </button>
+              </div>
+
+              {previous && (
+                <DiffTable
+                  title={`Changes in version ${selected.version}`}
+                  beforeLabel={`Version ${previous.version}`}
+                  afterLabel={`Version ${selected.version}`}
+                  inputRows={selected.changes}
+                  resultRows={compareSummaries(previous.summary, selected.summary)}
+                  formatCurrency={formatCurrency}
+                />
+              )}
+
+              {selected !== latest && (
+                <DiffTable
+                  title={`Version ${selected.version} compared with the current version`}
+                  beforeLabel={`Version ${selected.version}`}
+                  afterLabel={`Version ${latest.version} (current)`}
+                  inputRows={diffSnapshotInputs(selected, latest)}
+                  resultRows={compareSummaries(selected.summary, latest.summary)}
+                  formatCurrency={formatCurrency}
+                />
+              )}
+
+              {!previous && selected === latest && (
+                <p className="text-sm text-gray-500">This is the only version so far.</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssessmentHistory;
@@ -0,0 +1,335 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Save, FolderOpen, Copy, Trash2, GitCompare, Plus, Download, Upload, Cloud, HardDrive, AlertTriangle, History } from 'lucide-react';
+import AssessmentComparison from './AssessmentComparison';
+import AssessmentHistory from './AssessmentHistory';
+import { slugify } from './ReportExport';
+import { ASSESSMENT_SCHEMA_PATH, serializeAssessmentFile, parseAssessmentFile } from '../assessments/assessmentFile';
+import { downloadFile } from '../export/downloadFile';
+import { getServerAssessment } from '../assessments/assessmentApi';
+
+const downloadAssessmentFile = (name, inputs) => {
+  downloadFile(`${slugify(name) || 'cyber-risk-assessment'}.json`, serializeAssessmentFile(name, inputs), 'application/json');
+};
+
+// The server only lets an assessment's creator or an organization admin delete it
+const canDelete = (assessment, storage) => {
+  if (storage.mode !== 'server' || !assessment.createdById) return true;
+  const roles = (storage.user.app_metadata && storage.user.app_metadata.roles) || [];
+  return assessment.createdById === storage.user.id || roles.includes('admin');
+};
+
+const StorageNotice = ({ storage }) => {
+  if (storage.mode === 'loading') {
+    return <p className="text-sm text-gray-500 mb-4">Loading saved assessments…</p>;
+  }
+  if (storage.mode === 'server') {
+    return (
+      <p className="text-sm text-gray-600 mb-4 flex items-center gap-2">
+        <Cloud className="w-4 h-4 text-blue-600" />
+        Shared with your organization as {storage.user.email}.{storage.pending > 0 && ' Saving…'}
+      </p>
+    );
+  }
+  return (
+    <p className="text-sm text-gray-600 mb-4 flex items-center gap-2">
+      <HardDrive className="w-4 h-4 text-gray-500" />
+      Stored in this browser only. Log in to share assessments with your organization.
+    </p>
+  );
+};
+
+// Save the working assessment under a name, open, duplicate, delete or compare saved ones,
+// and export or import assessments as JSON files, and review each one's version history.
+// `storage` is the state from useAssessmentStore.
+const AssessmentManager = ({
+  assessments,
+  currentAssessmentId,
+  inputs,
+  onSave,
+  onSaveAsNew,
+  onNew,
+  onOpen,
+  onDuplicate,
+  onDelete,
+  onImport,
+  onOpenVersion,
+  storage,
+  onUploadBrowserAssessments,
+  formatCurrency
+}) => {
+  const current = assessments.find(assessment => assessment.id === currentAssessmentId) || null;
+  const [name, setName] = useState(current ? current.name : '');
+  const [compareIds, setCompareIds] = useState([]);
+  const [historyId, setHistoryId] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    setName(current ? current.name : '');
+  }, [current]);
+
+  // Drop deleted assessments from the comparison selection
+  const compared = useMemo(
+    () => compareIds.map(id => assessments.find(assessment => assessment.id === id)).filter(Boolean),
+    [compareIds, assessments]
+  );
+
+  const historyAssessment = assessments.find(assessment => assessment.id === historyId) || null;
+
+  // The server's list leaves out version history, so it is read when an assessment's history opens
+  const { mode, user } = storage;
+  const loadVersions = useCallback(async (assessment) => {
+    if (mode !== 'server') return assessment.versions || [];
+    return (await getServerAssessment(user, assessment.id)).versions || [];
+  }, [mode, user]);
+
+  const toggleCompare = (id) => {
+    setCompareIds(prev => (prev.includes(id) ? prev.filter(existing => existing !== id) : [...prev, id]));
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const parsed = parseAssessmentFile(await file.text());
+    setImportResult({ fileName: file.name, ...parsed });
+    if (!parsed.errors) onImport(parsed);
+  };
+
+  const trimmedName = name.trim();
+
+  return (
+    <div className="space-y-8">
+      {/* Current Assessment */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <Save className="w-5 h-5 text-blue-600" />
+          {current ? 'Current Assessment' : 'Save Current Assessment'}
+        </h3>
+        <div className="flex flex-wrap gap-3">
+          <input
+            aria-label="Assessment name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Acme Corp – Current State"
+            className="flex-1 min-w-[16rem] px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={() => onSave(trimmedName)}
+            disabled={!trimmedName}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            Save
+          </button>
+          {current && (
+            <button
+              onClick={() => onSaveAsNew(trimmedName === current.name ? `${trimmedName} (Copy)` : trimmedName)}
+              disabled={!trimmedName}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              <Copy className="w-4 h-4" />
+              Save as New
+            </button>
+          )}
+          <button
+            onClick={onNew}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            New Assessment
+          </button>
+          <button
+            onClick={() => downloadAssessmentFile(trimmedName || 'Untitled Assessment', inputs)}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            Export JSON
+          </button>
+          <button
+            onClick={() => fileInput.current.click()}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            Import JSON
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json"
+            aria-label="Assessment file"
+            onChange={handleImportFile}
+            className="hidden"
+          />
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          {storage.mode === 'server'
+            ? 'Saved assessments are stored with your organization. '
+            : 'Assessments are stored in this browser only. '}
+          Unsaved changes are kept as a draft in this browser across page refreshes.
+          Exported files follow the published <a href={ASSESSMENT_SCHEMA_PATH} className="text-blue-600 hover:underline">assessment JSON Schema</a>;
+          files from earlier schema versions are upgraded on import.
+        </p>
+
+        {importResult && importResult.errors && (
+          <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+            <p className="font-semibold">{importResult.fileName} could not be imported:</p>
+            <ul className="list-disc list-inside mt-1">
+              {Object.entries(importResult.errors).map(([field, message]) => (
+                <li key={field}>
+                  <code className="text-xs">{field}</code>: {message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {importResult && !importResult.errors && (
+          <p className="mt-4 text-sm text-green-700">
+            Imported "{importResult.name}" from {importResult.fileName}
+            {importResult.migratedFrom && ` (upgraded from schema version ${importResult.migratedFrom})`}.
+          </p>
+        )}
+      </div>
+
+      {/* Saved Assessments */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <FolderOpen className="w-5 h-5 text-blue-600" />
+          Saved Assessments
+        </h3>
+        <StorageNotice storage={storage} />
+
+        {storage.error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800 flex items-start gap-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            {storage.error}
+          </div>
+        )}
+
+        {storage.browserOnly.length > 0 && (
+          <div className="mb-4 bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-900 flex flex-wrap items-center justify-between gap-3">
+            <span>
+              {storage.browserOnly.length} assessment{storage.browserOnly.length === 1 ? ' is' : 's are'} saved in this browser but not with your organization.
+            </span>
+            <button
+              onClick={onUploadBrowserAssessments}
+              className="flex items-center gap-2 px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              <Upload className="w-4 h-4" />
+              Add to Organization
+            </button>
+          </div>
+        )}
+
+        {storage.mode === 'loading' ? null : assessments.length === 0 ? (
+          <p className="text-sm text-gray-500">No saved assessments yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-600">
+                  <th className="text-left py-2 pr-2 font-medium">Compare</th>
+                  <th className="text-left py-2 px-4 font-medium">Name</th>
+                  <th className="text-right py-2 px-4 font-medium">Security Score</th>
+                  <th className="text-right py-2 px-4 font-medium">Total Cost</th>
+                  <th className="text-right py-2 px-4 font-medium">Last Saved</th>
+                  <th className="py-2 pl-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {assessments.map(assessment => (
+                  <tr
+                    key={assessment.id}
+                    className={`border-b border-gray-100 ${assessment.id === currentAssessmentId ? 'bg-blue-50' : ''}`}
+                  >
+                    <td className="py-2 pr-2">
+                      <input
+                        type="checkbox"
+                        aria-label={`Compare ${assessment.name}`}
+                        checked={compareIds.includes(assessment.id)}
+                        onChange={() => toggleCompare(assessment.id)}
+                        className="w-4 h-4 text-blue-600 rounded"
+                      />
+                    </td>
+                    <td className="py-2 px-4 font-medium text-gray-900">{assessment.name}</td>
+                    <td className="py-2 px-4 text-right">{assessment.summary ? `${assessment.summary.securityScore}%` : '—'}</td>
+                    <td className="py-2 px-4 text-right">{assessment.summary ? formatCurrency(assessment.summary.totalCost) : '—'}</td>
+                    <td className="py-2 px-4 text-right text-gray-600">
+                      {new Date(assessment.updatedAt).toLocaleString()}
+                      {assessment.updatedBy && <span className="block text-xs text-gray-500">by {assessment.updatedBy}</span>}
+                    </td>
+                    <td className="py-2 pl-4">
+                      <div className="flex justify-end gap-1">
+                        <button
+                          onClick={() => onOpen(assessment.id)}
+                          className="flex items-center gap-1 px-2 py-1 text-blue-600 rounded hover:bg-blue-50"
+                        >
+                          <FolderOpen className="w-4 h-4" />
+                          Open
+                        </button>
+                        <button
+                          onClick={() => downloadAssessmentFile(assessment.name, assessment.inputs)}
+                          className="flex items-center gap-1 px-2 py-1 text-gray-700 rounded hover:bg-gray-100"
+                        >
+                          <Download className="w-4 h-4" />
+                          Export
+                        </button>
+                        <button
+                          onClick={() => setHistoryId(historyId === assessment.id ? null : assessment.id)}
+                          className="flex items-center gap-1 px-2 py-1 text-gray-700 rounded hover:bg-gray-100"
+                        >
+                          <History className="w-4 h-4" />
+                          History
+                        </button>
+                        <button
+                          onClick={() => onDuplicate(assessment.id)}
+                          className="flex items-center gap-1 px-2 py-1 text-gray-700 rounded hover:bg-gray-100"
+                        >
+                          <Copy className="w-4 h-4" />
+                          Duplicate
+                        </button>
+                        {canDelete(assessment, storage) && (
+                          <button
+                            onClick={() => onDelete(assessment.id)}
+                            className="flex items-center gap-1 px-2 py-1 text-red-600 rounded hover:bg-red-50"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {assessments.length > 1 && compared.length < 2 && (
+          <p className="text-sm text-gray-600 mt-4 flex items-center gap-2">
+            <GitCompare className="w-4 h-4" />
+            Select two or more assessments to compare them side by side.
+          </p>
+        )}
+      </div>
+
+      {historyAssessment && (
+        <AssessmentHistory
+          assessment={historyAssessment}
+          loadVersions={loadVersions}
+          onOpenVersion={onOpenVersion}
+          onClose={() => setHistoryId(null)}
+          formatCurrency={formatCurrency}
+        />
+      )}
+
+      {compared.length >= 2 && (
+        <AssessmentComparison assessments={compared} formatCurrency={formatCurrency} />
+      )}
+    </div>
+  );
+};
+
+export default AssessmentManager;
@@ -0,0 +1,422 @@
+import React, { useRef, useState } from 'react';
+import { Package, Plus, Pencil, Copy, Trash2, Download, Upload, Eye, ArrowLeft, Save } from 'lucide-react';
+import PhishingScenarioView from './PhishingScenarioView';
+import { slugify } from './ReportExport';
+import { BUILT_IN_PACK } from '../phishing/trainingScenarios';
+import {
+  CONTENT_PACK_SCHEMA_PATH,
+  SCENARIO_KINDS,
+  FIELD_LABELS,
+  DIFFICULTIES,
+  THREAT_CATEGORIES,
+  WEBSITE_HOTSPOT_TYPES,
+  kindOf,
+  createContentPack,
+  createScenario,
+  createHotspot,
+  validateContentPack,
+  serializeContentPack,
+  parseContentPackFile
+} from '../phishing/contentPacks';
+import { downloadFile } from '../export/downloadFile';
+
+const exportPack = (pack) => {
+  downloadFile(`${slugify(pack.name) || 'content-pack'}.json`, serializeContentPack(pack), 'application/json');
+};
+
+const describeDifficulties = (scenarios) => DIFFICULTIES
+  .map(difficulty => `${scenarios.filter(scenario => scenario.difficulty === difficulty.id).length} ${difficulty.label.toLowerCase()}`)
+  .join(', ');
+
+const inputClass = (hasError) => `mt-1 w-full px-3 py-1.5 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+  hasError ? 'border-red-500' : 'border-gray-300'
+}`;
+
+const FieldError = ({ message }) => (message ? <p className="text-red-500 text-xs mt-1">{message}</p> : null);
+
+const Select = ({ label, value, options, onChange, error }) => (
+  <label className="block text-xs font-medium text-gray-600">
+    {label}
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass(error)}>
+      {options.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+    </select>
+    <FieldError message={error} />
+  </label>
+);
+
+const PackRow = ({ pack, canEdit, onEdit, onDuplicate, onRemove }) => (
+  <div className="flex flex-wrap items-center justify-between gap-3 border border-gray-200 rounded-lg p-4">
+    <div>
+      <p className="font-medium text-gray-900">{pack.name}{pack.builtIn && <span className="ml-2 text-xs text-gray-500">(built in)</span>}</p>
+      {pack.description && <p className="text-sm text-gray-600">{pack.description}</p>}
+      <p className="text-xs text-gray-500 mt-1">
+        {pack.scenarios.length} scenario{pack.scenarios.length === 1 ? '' : 's'}: {describeDifficulties(pack.scenarios)}
+        {pack.updatedBy && ` · updated by ${pack.updatedBy}`}
+      </p>
+    </div>
+    <div className="flex gap-2">
+      {canEdit && onEdit && (
+        <button onClick={onEdit} className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors">
+          <Pencil className="w-4 h-4" />
+          Edit
+        </button>
+      )}
+      {canEdit && (
+        <button onClick={onDuplicate} className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors">
+          <Copy className="w-4 h-4" />
+          Duplicate
+        </button>
+      )}
+      {(canEdit || pack.builtIn) && (
+        <button onClick={() => exportPack(pack)} className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors">
+          <Download className="w-4 h-4" />
+          Export
+        </button>
+      )}
+      {canEdit && onRemove && (
+        <button onClick={onRemove} className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 rounded-lg hover:bg-red-50 transition-colors">
+          <Trash2 className="w-4 h-4" />
+          Delete
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+const HotspotEditor = ({ scenario, hotspot, errors, prefix, onChange, onRemove }) => (
+  <div className="grid md:grid-cols-12 gap-2 items-start border-t border-gray-100 pt-2">
+    {scenario.kind === 'website' ? (
+      <div className="md:col-span-3">
+        <Select
+          label="Part of the page"
+          value={hotspot.type}
+          options={WEBSITE_HOTSPOT_TYPES}
+          onChange={(type) => onChange({ type })}
+          error={errors[`${prefix}.type`]}
+        />
+        <label className="block text-xs font-medium text-gray-600 mt-1">
+          Label
+          <input value={hotspot.text} onChange={(e) => onChange({ text: e.target.value })} className={inputClass(errors[`${prefix}.text`])} />
+        </label>
+        <FieldError message={errors[`${prefix}.text`]} />
+      </div>
+    ) : (
+      <div className="md:col-span-3">
+        <label className="block text-xs font-medium text-gray-600">
+          Text to flag
+          <input value={hotspot.text} onChange={(e) => onChange({ text: e.target.value })} className={inputClass(errors[`${prefix}.text`])} />
+        </label>
+        <FieldError message={errors[`${prefix}.text`]} />
+      </div>
+    )}
+    <div className="md:col-span-6">
+      <label className="block text-xs font-medium text-gray-600">
+        Explanation shown afterwards
+        <input value={hotspot.explanation} onChange={(e) => onChange({ explanation: e.target.value })} className={inputClass(errors[`${prefix}.explanation`])} />
+      </label>
+      <FieldError message={errors[`${prefix}.explanation`]} />
+    </div>
+    <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700 mt-6 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={hotspot.isPhishing}
+        onChange={(e) => onChange({ isPhishing: e.target.checked })}
+        className="w-4 h-4 text-blue-600 rounded"
+      />
+      Red flag
+    </label>
+    <button onClick={onRemove} aria-label="Remove hotspot" className="md:col-span-1 mt-5 p-2 text-red-600 rounded-lg hover:bg-red-50 transition-colors justify-self-end">
+      <Trash2 className="w-4 h-4" />
+    </button>
+  </div>
+);
+
+const ScenarioEditor = ({ scenario, index, errors, onChange, onRemove }) => {
+  const [previewing, setPreviewing] = useState(false);
+  const prefix = `scenarios.${index}`;
+  const kind = kindOf(scenario);
+  const scenarioErrors = Object.keys(errors).filter(path => path === prefix || path.startsWith(`${prefix}.`)).length;
+
+  const updateHotspot = (hotspotIndex, changes) => {
+    onChange({ hotspots: scenario.hotspots.map((hotspot, i) => (i === hotspotIndex ? { ...hotspot, ...changes } : hotspot)) });
+  };
+
+  return (
+    <div className={`border rounded-lg p-4 space-y-3 ${scenarioErrors > 0 ? 'border-red-300' : 'border-gray-200'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="font-medium text-gray-900">
+          {kind.label} {index + 1}
+          <code className="ml-2 text-xs text-gray-500">{scenario.id}</code>
+        </p>
+        <div className="flex gap-2">
+          <button onClick={() => setPreviewing(!previewing)} className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors">
+            <Eye className="w-4 h-4" />
+            {previewing ? 'Hide Preview' : 'Preview'}
+          </button>
+          <button onClick={onRemove} className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 rounded-lg hover:bg-red-50 transition-colors">
+            <Trash2 className="w-4 h-4" />
+            Remove
+          </button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-3">
+        <Select label="Difficulty" value={scenario.difficulty} options={DIFFICULTIES} onChange={(difficulty) => onChange({ difficulty })} error={errors[`${prefix}.difficulty`]} />
+        <Select label="Threat category" value={scenario.category} options={THREAT_CATEGORIES} onChange={(category) => onChange({ category })} error={errors[`${prefix}.category`]} />
+        <label className="flex items-center gap-2 text-sm text-gray-700 mt-6 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={scenario.isPhishing}
+            onChange={(e) => onChange({ isPhishing: e.target.checked })}
+            className="w-4 h-4 text-blue-600 rounded"
+          />
+          This {kind.label.toLowerCase()} is phishing
+        </label>
+      </div>
+
+      {kind.fields.map(field => (
+        <label key={field} className="block text-xs font-medium text-gray-600">
+          {FIELD_LABELS[field]}
+          {field === 'body' || field === 'content' ? (
+            <textarea rows={5} value={scenario[field]} onChange={(e) => onChange({ [field]: e.target.value })} className={inputClass(errors[`${prefix}.${field}`])} />
+          ) : (
+            <input value={scenario[field]} onChange={(e) => onChange({ [field]: e.target.value })} className={inputClass(errors[`${prefix}.${field}`])} />
+          )}
+          <FieldError message={errors[`${prefix}.${field}`]} />
+        </label>
+      ))}
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <p className="text-sm font-medium text-gray-700">Hotspots</p>
+          <button
+            onClick={() => onChange({ hotspots: [...scenario.hotspots, createHotspot(scenario.kind)] })}
+            className="flex items-center gap-1 px-3 py-1 text-sm text-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add Hotspot
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">
+          {scenario.kind === 'website'
+            ? 'Website hotspots are the address bar, the padlock and the page itself.'
+            : 'Each hotspot is text from the sender, subject or message that the trainee can flag; include genuine details too.'}
+        </p>
+        <FieldError message={errors[`${prefix}.hotspots`]} />
+        {scenario.hotspots.map((hotspot, hotspotIndex) => (
+          <HotspotEditor
+            key={hotspot.id}
+            scenario={scenario}
+            hotspot={hotspot}
+            errors={errors}
+            prefix={`${prefix}.hotspots.${hotspotIndex}`}
+            onChange={(changes) => updateHotspot(hotspotIndex, changes)}
+            onRemove={() => onChange({ hotspots: scenario.hotspots.filter((_, i) => i !== hotspotIndex) })}
+          />
+        ))}
+      </div>
+
+      {previewing && (
+        <div className="bg-gray-50 rounded-lg p-3">
+          <PhishingScenarioView scenario={scenario} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PackEditor = ({ draft, onChange, onSave, onCancel, saving }) => {
+  const errors = validateContentPack(draft);
+  const problemCount = Object.keys(errors).length;
+
+  const updateScenario = (index, changes) => {
+    onChange({ ...draft, scenarios: draft.scenarios.map((scenario, i) => (i === index ? { ...scenario, ...changes } : scenario)) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-2 gap-3">
+        <label className="block text-xs font-medium text-gray-600">
+          Pack name
+          <input value={draft.name} onChange={(e) => onChange({ ...draft, name: e.target.value })} className={inputClass(errors.name)} />
+          <FieldError message={errors.name} />
+        </label>
+        <label className="block text-xs font-medium text-gray-600">
+          Description
+          <input value={draft.description} onChange={(e) => onChange({ ...draft, description: e.target.value })} className={inputClass(errors.description)} />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {SCENARIO_KINDS.map(kind => (
+          <button
+            key={kind.id}
+            onClick={() => onChange({ ...draft, scenarios: [...draft.scenarios, createScenario(kind.id)] })}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add {kind.label}
+          </button>
+        ))}
+      </div>
+      <FieldError message={errors.scenarios} />
+
+      {draft.scenarios.map((scenario, index) => (
+        <ScenarioEditor
+          key={scenario.id}
+          scenario={scenario}
+          index={index}
+          errors={errors}
+          onChange={(changes) => updateScenario(index, changes)}
+          onRemove={() => onChange({ ...draft, scenarios: draft.scenarios.filter((_, i) => i !== index) })}
+        />
+      ))}
+
+      <div className="flex flex-wrap items-center gap-3 pt-3 border-t border-gray-200">
+        <button
+          onClick={onSave}
+          disabled={problemCount > 0 || saving}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          Save Pack
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors">
+          Cancel
+        </button>
+        {problemCount > 0 && <span className="text-sm text-red-600">{problemCount} problem{problemCount === 1 ? '' : 's'} to fix before saving</span>}
+      </div>
+    </div>
+  );
+};
+
+// The installed content packs: the built-in pack plus the organization's own, which admins (or anyone,
+// when working in this browser only) can write, import, export and delete
+const ContentPackManager = ({ packs, canEdit, mode, onSave, onRemove, onClose }) => {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const fileInput = useRef(null);
+
+  const duplicate = (pack) => setDraft({ ...createContentPack(), name: `${pack.name} (Copy)`, description: pack.description || '', scenarios: pack.scenarios });
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+      setDraft(null);
+    } catch (error) {
+      // useTrainingResults reports the failure; the draft stays open
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const parsed = parseContentPackFile(await file.text());
+    setImportResult({ fileName: file.name, ...parsed });
+    if (!parsed.errors) setDraft(parsed.pack);
+  };
+
+  if (draft) {
+    return (
+      <div className="space-y-4">
+        <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+          <Package className="w-4 h-4 text-blue-600" />
+          {packs.some(pack => pack.id === draft.id) ? 'Edit Content Pack' : 'New Content Pack'}
+        </h4>
+        {importResult && importResult.pack && importResult.pack.id === draft.id && (
+          <p className="text-sm text-gray-600">
+            Imported from {importResult.fileName}. Review it and save to install it
+            {packs.some(pack => pack.id === draft.id) ? ', replacing the installed pack with the same id.' : '.'}
+          </p>
+        )}
+        <PackEditor draft={draft} onChange={setDraft} onSave={save} onCancel={() => setDraft(null)} saving={saving} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+          <Package className="w-4 h-4 text-blue-600" />
+          Content Packs
+        </h4>
+        <div className="flex flex-wrap gap-2">
+          {canEdit && (
+            <>
+              <button
+                onClick={() => setDraft(createContentPack())}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                New Pack
+              </button>
+              <button
+                onClick={() => fileInput.current.click()}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Upload className="w-4 h-4" />
+                Import Pack
+              </button>
+              <input
+                ref={fileInput}
+                type="file"
+                accept="application/json,.json"
+                aria-label="Content pack file"
+                onChange={handleImportFile}
+                className="hidden"
+              />
+            </>
+          )}
+          <button
+            onClick={onClose}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back
+          </button>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Training sessions draw from every installed pack.
+        {mode === 'server'
+          ? (canEdit ? ' Packs you save here are installed for your whole organization.' : ' Only organization admins can change or export content packs.')
+          : ' Packs are stored in this browser only until you log in.'}
+        {' '}Pack files follow the published <a href={CONTENT_PACK_SCHEMA_PATH} className="text-blue-600 hover:underline">content pack JSON Schema</a>.
+      </p>
+
+      {importResult && importResult.errors && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+          <p className="font-semibold">{importResult.fileName} could not be imported:</p>
+          <ul className="list-disc list-inside mt-1">
+            {Object.entries(importResult.errors).map(([field, message]) => (
+              <li key={field}>
+                <code className="text-xs">{field}</code>: {message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <PackRow pack={BUILT_IN_PACK} canEdit={canEdit} onDuplicate={() => duplicate(BUILT_IN_PACK)} />
+      {packs.map(pack => (
+        <PackRow
+          key={pack.id}
+          pack={pack}
+          canEdit={canEdit}
+          onEdit={() => setDraft({ description: '', ...pack })}
+          onDuplicate={() => duplicate(pack)}
+          onRemove={() => onRemove(pack.id).catch(() => {})}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default ContentPackManager;
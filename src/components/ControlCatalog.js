@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { Lock, Plus, Trash2, RotateCcw, ChevronDown, ChevronUp } from 'lucide-react';
+import {
+  DEFAULT_CONTROL_CATALOG,
+  MATURITY_LEVELS,
+  CONTROL_LIMITS,
+  MAX_CONTROLS,
+  createControl
+} from '../controls/controlCatalog';
+import { TRAINING_CONTROL_ID } from '../phishing/phishingTraining';
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// Control catalog editor: maturity, relative weight, annual cost, and which scenarios and cost categories each control reduces.
+// With `trainingResults` applied, the phishing training control's effectiveness is the trainer's pass rate, if they have one.
+const ControlCatalog = ({ controls, onChange, scenarios, onScenariosChange, costCategories, trainingResults = null }) => {
+  const [expandedId, setExpandedId] = useState(null);
+
+  const updateControl = (id, changes) => {
+    onChange(controls.map(control => (control.id === id ? { ...control, ...changes } : control)));
+  };
+
+  const updateCostReduction = (control, categoryId, percent) => {
+    const costReductions = { ...control.costReductions };
+    const reduction = clamp(percent / 100, CONTROL_LIMITS.reduction);
+    if (reduction > 0) {
+      costReductions[categoryId] = reduction;
+    } else {
+      delete costReductions[categoryId];
+    }
+    updateControl(control.id, { costReductions });
+  };
+
+  const toggleScenario = (controlId, scenarioId) => {
+    onScenariosChange(scenarios.map(scenario => {
+      if (scenario.id !== scenarioId) return scenario;
+      const mapped = scenario.controls.includes(controlId)
+        ? scenario.controls.filter(id => id !== controlId)
+        : [...scenario.controls, controlId];
+      return { ...scenario, controls: mapped };
+    }));
+  };
+
+  const addControl = () => {
+    const control = createControl();
+    onChange([...controls, control]);
+    setExpandedId(control.id);
+  };
+
+  const removeControl = (id) => {
+    onChange(controls.filter(control => control.id !== id));
+    onScenariosChange(scenarios.map(scenario => ({
+      ...scenario,
+      controls: scenario.controls.filter(controlId => controlId !== id)
+    })));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+          <Lock className="w-5 h-5 text-green-600" />
+          Security Control Catalog
+        </h3>
+        <div className="flex gap-2">
+          <button
+            onClick={addControl}
+            disabled={controls.length >= MAX_CONTROLS}
+            title={controls.length >= MAX_CONTROLS ? `An assessment can have at most ${MAX_CONTROLS} controls` : undefined}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add Control
+          </button>
+          <button
+            onClick={() => onChange(DEFAULT_CONTROL_CATALOG)}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {controls.map(control => {
+          const expanded = expandedId === control.id;
+          const level = MATURITY_LEVELS.find(l => l.value === control.maturity) || MATURITY_LEVELS[0];
+          const measured = trainingResults && trainingResults.passRate !== null && control.id === TRAINING_CONTROL_ID;
+          const effectiveness = measured
+            ? (control.maturity > 0 ? trainingResults.passRate : 0)
+            : control.maturity / 5;
+
+          return (
+            <div key={control.id} className="p-4 bg-gray-50 rounded-lg">
+              <div className="grid md:grid-cols-12 gap-3 items-center">
+                <div className="md:col-span-4">
+                  <input
+                    aria-label="Control name"
+                    value={control.name}
+                    onChange={(e) => updateControl(control.id, { name: e.target.value })}
+                    className="w-full px-3 py-1.5 font-medium bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div className="md:col-span-3">
+                  <label htmlFor={`${control.id}-maturity`} className="sr-only">Maturity</label>
+                  <select
+                    id={`${control.id}-maturity`}
+                    value={control.maturity}
+                    onChange={(e) => updateControl(control.id, { maturity: parseInt(e.target.value) })}
+                    className="w-full px-3 py-1.5 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    title={level.description}
+                  >
+                    {MATURITY_LEVELS.map(option => (
+                      <option key={option.value} value={option.value}>{option.value} – {option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="md:col-span-2">
+                  <label className="flex items-center gap-1 text-xs text-gray-600">
+                    Weight
+                    <input
+                      type="number"
+                      min={CONTROL_LIMITS.weight.min}
+                      max={CONTROL_LIMITS.weight.max}
+                      step={0.05}
+                      value={control.weight}
+                      onChange={(e) => updateControl(control.id, { weight: clamp(parseFloat(e.target.value) || 0, CONTROL_LIMITS.weight) })}
+                      className="w-full px-2 py-1.5 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </label>
+                </div>
+                <div className="md:col-span-2">
+                  <label className="flex items-center gap-1 text-xs text-gray-600" title="Annual cost to run this control at full maturity">
+                    Cost/yr $
+                    <input
+                      type="number"
+                      min={CONTROL_LIMITS.annualCost.min}
+                      max={CONTROL_LIMITS.annualCost.max}
+                      step={1000}
+                      value={control.annualCost || 0}
+                      onChange={(e) => updateControl(control.id, { annualCost: clamp(parseInt(e.target.value) || 0, CONTROL_LIMITS.annualCost) })}
+                      className="w-full px-2 py-1.5 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </label>
+                </div>
+                <div className="md:col-span-1 flex justify-end">
+                  <button
+                    onClick={() => setExpandedId(expanded ? null : control.id)}
+                    className="p-1.5 text-gray-500 hover:text-gray-900 rounded"
+                    aria-expanded={expanded}
+                    aria-label={`${expanded ? 'Hide' : 'Show'} ${control.name} mappings`}
+                  >
+                    {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-2 w-full bg-gray-200 rounded-full h-1.5">
+                <div
+                  className="bg-green-600 h-1.5 rounded-full transition-all duration-500"
+                  style={{ width: `${effectiveness * 100}%` }}
+                ></div>
+              </div>
+              {measured && (
+                <p className="mt-1 text-xs text-gray-600">
+                  Effectiveness measured by the phishing trainer: {Math.round(trainingResults.passRate * 100)}% pass rate
+                  across {trainingResults.participants} member{trainingResults.participants === 1 ? '' : 's'}. Maturity 0 models having no programme.
+                </p>
+              )}
+
+              {expanded && (
+                <div className="mt-4 space-y-4">
+                  <input
+                    aria-label="Control description"
+                    value={control.description}
+                    placeholder="Description"
+                    onChange={(e) => updateControl(control.id, { description: e.target.value })}
+                    className="w-full px-3 py-1.5 text-sm bg-white border border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Threat Scenarios Reduced</p>
+                    <div className="flex flex-wrap gap-2">
+                      {scenarios.map(scenario => {
+                        const mapped = scenario.controls.includes(control.id);
+                        return (
+                          <button
+                            key={scenario.id}
+                            onClick={() => toggleScenario(control.id, scenario.id)}
+                            className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                              mapped
+                                ? 'bg-blue-50 border-blue-300 text-blue-700'
+                                : 'bg-white border-gray-200 text-gray-500 hover:text-gray-700'
+                            }`}
+                            aria-pressed={mapped}
+                          >
+                            {scenario.name}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Cost Category Reduction at Full Maturity (%)</p>
+                    <div className="grid sm:grid-cols-2 gap-2">
+                      {costCategories.map(category => (
+                        <label key={category.id} className="flex items-center justify-between gap-2 text-xs text-gray-600">
+                          <span>{category.icon} {category.name}</span>
+                          <input
+                            type="number"
+                            min={0}
+                            max={CONTROL_LIMITS.reduction.max * 100}
+                            step={5}
+                            value={Math.round((control.costReductions[category.id] || 0) * 100)}
+                            onChange={(e) => updateCostReduction(control, category.id, parseFloat(e.target.value) || 0)}
+                            className="w-20 px-2 py-1 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="flex justify-end">
+                    <button
+                      onClick={() => removeControl(control.id)}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                      Delete Control
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ControlCatalog;
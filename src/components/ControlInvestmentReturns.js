@@ -0,0 +1,64 @@
+import React from 'react';
+import { TrendingUp } from 'lucide-react';
+
+export const formatRosi = (rosi) => (rosi === null ? '—' : `${Math.round(rosi * 100)}%`);
+
+export const formatPayback = (months) => {
+  if (months === null) return '—';
+  if (months < 1) return '< 1 month';
+  if (months > 120) return '> 10 years';
+  return `${months.toFixed(1)} months`;
+};
+
+// Per-control return on security investment at current maturity
+const ControlInvestmentReturns = ({ analysis, formatCurrency }) => (
+  <div className="bg-white border border-gray-200 rounded-lg p-6 mb-6">
+    <h4 className="text-lg font-semibold text-gray-900 mb-1 flex items-center gap-2">
+      <TrendingUp className="w-5 h-5 text-green-600" />
+      Return on Security Investment
+    </h4>
+    <p className="text-sm text-gray-600 mb-4">
+      Loss avoided is the drop in expected annual loss ({formatCurrency(analysis.baselineLoss)} today) that each control delivers
+      at its current maturity, compared with not having it. Spend scales with maturity from each control's annual cost at full maturity.
+    </p>
+
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 text-gray-600">
+            <th className="text-left py-2 pr-4 font-medium">Control</th>
+            <th className="text-right py-2 px-4 font-medium">Maturity</th>
+            <th className="text-right py-2 px-4 font-medium">Annual Spend</th>
+            <th className="text-right py-2 px-4 font-medium">Loss Avoided</th>
+            <th className="text-right py-2 px-4 font-medium">Net Benefit</th>
+            <th className="text-right py-2 px-4 font-medium">ROSI</th>
+            <th className="text-right py-2 pl-4 font-medium">Payback</th>
+          </tr>
+        </thead>
+        <tbody>
+          {analysis.controls.map(control => (
+            <tr key={control.id} className="border-b border-gray-100">
+              <td className="py-2 pr-4 font-medium text-gray-900">{control.name}</td>
+              <td className="py-2 px-4 text-right">{control.maturity}/5</td>
+              <td className="py-2 px-4 text-right">{control.hasCost ? formatCurrency(control.current.cost) : '—'}</td>
+              <td className="py-2 px-4 text-right">{formatCurrency(control.current.benefit)}</td>
+              <td className={`py-2 px-4 text-right ${control.current.netBenefit >= 0 ? 'text-green-700' : 'text-red-600'}`}>
+                {control.hasCost ? formatCurrency(control.current.netBenefit) : '—'}
+              </td>
+              <td className="py-2 px-4 text-right">{formatRosi(control.current.rosi)}</td>
+              <td className="py-2 pl-4 text-right">{formatPayback(control.current.paybackMonths)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+
+    {analysis.missingCosts.length > 0 && (
+      <p className="text-xs text-gray-500 mt-3">
+        Enter an annual cost on the Inputs tab for {analysis.missingCosts.map(control => control.name).join(', ')} to calculate ROSI and payback.
+      </p>
+    )}
+  </div>
+);
+
+export default ControlInvestmentReturns;
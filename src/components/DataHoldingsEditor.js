@@ -0,0 +1,91 @@
+import React from 'react';
+import { Database } from 'lucide-react';
+import { RECORD_TYPES, DATA_TYPES, RECORD_LIMITS } from '../records/recordCosts';
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// Sensitive data held by the organization: record counts by type and the data fields they contain
+const DataHoldingsEditor = ({ holdings, onChange, exposedRecords }) => {
+  const update = (changes) => onChange({ ...holdings, ...changes });
+
+  const toggleDataType = (id) => {
+    const dataTypes = holdings.dataTypes.includes(id)
+      ? holdings.dataTypes.filter(existing => existing !== id)
+      : [...holdings.dataTypes, id];
+    update({ dataTypes });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-xl font-semibold text-gray-900 mb-2 flex items-center gap-2">
+        <Database className="w-5 h-5 text-blue-600" />
+        Sensitive Data Holdings
+      </h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Record counts drive per-record notification, credit monitoring, legal and regulatory fine costs in the cost breakdown and in
+        each threat scenario's loss.
+      </p>
+
+      <div className="grid md:grid-cols-4 gap-4 mb-6">
+        {RECORD_TYPES.map(type => (
+          <div key={type.id}>
+            <label htmlFor={`records-${type.id}`} className="block text-sm font-medium text-gray-700 mb-2">{type.name}</label>
+            <input
+              id={`records-${type.id}`}
+              type="number"
+              min={RECORD_LIMITS.records.min}
+              max={RECORD_LIMITS.records.max}
+              step={1000}
+              value={holdings.records[type.id] || 0}
+              onChange={(e) => update({
+                records: { ...holdings.records, [type.id]: clamp(parseInt(e.target.value) || 0, RECORD_LIMITS.records) }
+              })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        ))}
+        <div>
+          <label htmlFor="records-exposure" className="block text-sm font-medium text-gray-700 mb-2">Exposed in a Typical Breach (%)</label>
+          <input
+            id="records-exposure"
+            type="number"
+            min={0}
+            max={100}
+            step={5}
+            value={Math.round(holdings.exposureShare * 100)}
+            onChange={(e) => update({ exposureShare: clamp((parseFloat(e.target.value) || 0) / 100, RECORD_LIMITS.exposureShare) })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      <p className="text-sm font-medium text-gray-700 mb-2">Data Types in Personal Records</p>
+      <div className="flex flex-wrap gap-2">
+        {DATA_TYPES.map(dataType => {
+          const selected = holdings.dataTypes.includes(dataType.id);
+          return (
+            <button
+              key={dataType.id}
+              onClick={() => toggleDataType(dataType.id)}
+              aria-pressed={selected}
+              className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                selected
+                  ? 'bg-blue-50 border-blue-300 text-blue-700'
+                  : 'bg-white border-gray-200 text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {dataType.name}
+            </button>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-4">
+        A typical breach exposes {exposedRecords.toLocaleString()} records. Each threat scenario sets its own share of records exposed on the
+        Threat Scenarios tab.
+      </p>
+    </div>
+  );
+};
+
+export default DataHoldingsEditor;
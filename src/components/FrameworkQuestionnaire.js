@@ -0,0 +1,267 @@
+import React, { useMemo, useState } from 'react';
+import { ClipboardCheck, ChevronLeft, ChevronRight } from 'lucide-react';
+import { MATURITY_LEVELS, IMPLEMENTED_MATURITY } from '../controls/controlCatalog';
+import {
+  CSF_FUNCTIONS,
+  CSF_CATEGORIES,
+  FRAMEWORK_QUESTIONS,
+  questionsForFunction,
+  deriveControlMaturities,
+  summarizeFrameworkCoverage
+} from '../frameworks/frameworkQuestionnaire';
+
+const HEATMAP_VIEWS = [
+  { id: 'csf', name: 'NIST CSF 2.0' },
+  { id: 'cis', name: 'CIS Controls v8' }
+];
+
+// Heatmap colour for a mean maturity; unanswered and uncovered cells stay neutral
+const heatmapClass = (cell) => {
+  if (cell.questions === 0) return 'bg-gray-50 text-gray-400 border border-dashed border-gray-300';
+  if (cell.maturity === null) return 'bg-gray-100 text-gray-500';
+  if (cell.maturity < 1) return 'bg-red-500 text-white';
+  if (cell.maturity < 2) return 'bg-orange-400 text-white';
+  if (cell.maturity < IMPLEMENTED_MATURITY) return 'bg-yellow-300 text-gray-900';
+  if (cell.maturity < 4) return 'bg-lime-300 text-gray-900';
+  return 'bg-green-500 text-white';
+};
+
+const cellStatus = (cell) => {
+  if (cell.questions === 0) return 'Not covered';
+  if (cell.maturity === null) return 'Not answered';
+  return `${cell.maturity.toFixed(1)}/5`;
+};
+
+const HeatmapCell = ({ label, cell }) => (
+  <div
+    className={`rounded-lg p-2 text-xs ${heatmapClass(cell)}`}
+    title={`${cell.name}: ${cell.answered} of ${cell.questions} questions answered`}
+  >
+    <div className="font-semibold">{label}</div>
+    <div className="truncate">{cell.name}</div>
+    <div className="mt-1 font-medium">{cellStatus(cell)}</div>
+  </div>
+);
+
+// Guided maturity questionnaire by NIST CSF 2.0 function, optionally showing the CIS Controls v8
+// safeguards behind each question. Answers set the maturity of the catalog controls they map to.
+const FrameworkQuestionnaire = ({ answers, controls, onChange }) => {
+  const [functionIndex, setFunctionIndex] = useState(0);
+  const [showCis, setShowCis] = useState(false);
+  const [view, setView] = useState('csf');
+
+  const coverage = useMemo(() => summarizeFrameworkCoverage(answers), [answers]);
+  const derived = useMemo(() => deriveControlMaturities(answers), [answers]);
+
+  const csfFunction = CSF_FUNCTIONS[functionIndex];
+  const questions = questionsForFunction(csfFunction.id);
+  const categories = CSF_CATEGORIES.filter(category => questions.some(question => question.category === category.id));
+  const controlName = (id) => {
+    const control = controls.find(c => c.id === id);
+    return control ? control.name : null;
+  };
+
+  const setAnswer = (questionId, value) => {
+    const next = { ...answers };
+    if (value === '') {
+      delete next[questionId];
+    } else {
+      next[questionId] = parseInt(value);
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-2">
+          <h3 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <ClipboardCheck className="w-5 h-5 text-blue-600" />
+            Framework Maturity Assessment
+          </h3>
+          <span className="text-sm text-gray-600">{coverage.answered} of {coverage.total} questions answered</span>
+        </div>
+        <p className="text-gray-600 text-sm mb-4">
+          Rate each practice on the same 0–5 maturity scale as the control catalog. Answers to questions linked to a catalog control
+          set that control's maturity (the average of its answered questions), so the security score and loss estimates follow the
+          questionnaire. All answers feed the framework coverage heatmap.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          {CSF_FUNCTIONS.map((option, index) => {
+            const answered = questionsForFunction(option.id).filter(question => answers[question.id] !== undefined).length;
+            return (
+              <button
+                key={option.id}
+                onClick={() => setFunctionIndex(index)}
+                aria-pressed={index === functionIndex}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  index === functionIndex ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {option.name} ({answered}/{questionsForFunction(option.id).length})
+              </button>
+            );
+          })}
+          <label className="ml-auto flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={showCis} onChange={(e) => setShowCis(e.target.checked)} />
+            Show CIS Controls v8 safeguards
+          </label>
+        </div>
+
+        <div className="border-l-4 border-blue-500 pl-4 mb-4">
+          <h4 className="text-lg font-semibold text-gray-900">{csfFunction.name} ({csfFunction.id})</h4>
+          <p className="text-sm text-gray-600">{csfFunction.description}</p>
+        </div>
+
+        <div className="space-y-6">
+          {categories.map(category => (
+            <div key={category.id}>
+              <p className="text-sm font-semibold text-gray-700 mb-2">{category.id} {category.name}</p>
+              <div className="space-y-3">
+                {questions.filter(question => question.category === category.id).map(question => {
+                  const linked = question.controls.map(controlName).filter(Boolean);
+                  return (
+                    <div key={question.id} className="grid md:grid-cols-12 gap-3 items-start p-3 bg-gray-50 rounded-lg">
+                      <div className="md:col-span-8">
+                        <p className="text-sm text-gray-900">{question.text}</p>
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {linked.length > 0 && (
+                            <span className="px-2 py-0.5 rounded-full text-xs bg-blue-50 text-blue-700">Sets {linked.join(', ')}</span>
+                          )}
+                          {showCis && question.cis.map(safeguard => (
+                            <span key={safeguard} className="px-2 py-0.5 rounded-full text-xs bg-gray-200 text-gray-700">CIS {safeguard}</span>
+                          ))}
+                          {showCis && question.cis.length === 0 && (
+                            <span className="text-xs text-gray-500">No CIS safeguard</span>
+                          )}
+                        </div>
+                      </div>
+                      <select
+                        aria-label={`Maturity for ${question.id}`}
+                        value={answers[question.id] === undefined ? '' : answers[question.id]}
+                        onChange={(e) => setAnswer(question.id, e.target.value)}
+                        className="md:col-span-4 px-3 py-1.5 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="">Not answered</option>
+                        {MATURITY_LEVELS.map(level => (
+                          <option key={level.value} value={level.value}>{level.value} – {level.label}: {level.description}</option>
+                        ))}
+                      </select>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-between mt-6">
+          <button
+            onClick={() => setFunctionIndex(functionIndex - 1)}
+            disabled={functionIndex === 0}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <ChevronLeft className="w-4 h-4" />
+            Previous
+          </button>
+          <button
+            onClick={() => setFunctionIndex(functionIndex + 1)}
+            disabled={functionIndex === CSF_FUNCTIONS.length - 1}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            Next
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-2">Control Maturity from Answers</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          Controls without answered questions keep the maturity set on the Inputs tab. Editing a maturity there is overwritten the next
+          time a linked answer changes.
+        </p>
+        <div className="grid md:grid-cols-3 gap-3">
+          {controls.map(control => {
+            const linked = FRAMEWORK_QUESTIONS.filter(question => question.controls.includes(control.id));
+            return (
+              <div key={control.id} className="p-3 bg-gray-50 rounded-lg text-sm">
+                <p className="font-medium text-gray-900">{control.name}</p>
+                <p className="text-gray-600">
+                  {derived[control.id] !== undefined
+                    ? `${derived[control.id]}/5 from ${linked.filter(question => answers[question.id] !== undefined).length} of ${linked.length} questions`
+                    : linked.length > 0 ? `${control.maturity}/5 (no linked answers yet)` : `${control.maturity}/5 (not linked to the questionnaire)`}
+                </p>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-2">
+          <h3 className="text-xl font-semibold text-gray-900">Framework Coverage</h3>
+          <div className="flex gap-2">
+            {HEATMAP_VIEWS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setView(option.id)}
+                aria-pressed={view === option.id}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium ${
+                  view === option.id ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {option.name}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="text-gray-600 text-sm mb-4">
+          Average answered maturity per {view === 'csf' ? 'CSF category' : 'CIS control'}. Red to yellow cells are below Defined (3), the
+          level at which a control counts as implemented.
+        </p>
+
+        {view === 'csf' ? (
+          <div className="space-y-3">
+            {coverage.functions.map(row => (
+              <div key={row.id} className="grid md:grid-cols-12 gap-2 items-stretch">
+                <div className="md:col-span-2 text-sm">
+                  <p className="font-semibold text-gray-900">{row.name}</p>
+                  <p className="text-gray-500">{row.maturity === null ? 'Not answered' : `${row.maturity.toFixed(1)}/5`}</p>
+                </div>
+                <div className="md:col-span-10 grid grid-cols-2 md:grid-cols-6 gap-2">
+                  {row.categories.map(cell => <HeatmapCell key={cell.id} label={cell.id} cell={cell} />)}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-2">
+            {coverage.cisControls.map(cell => <HeatmapCell key={cell.id} label={`CIS ${cell.id}`} cell={cell} />)}
+          </div>
+        )}
+
+        <div className="mt-6">
+          <h4 className="font-semibold text-gray-900 mb-2">Gaps</h4>
+          {coverage.gaps.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {coverage.answered === 0 ? 'Answer the questionnaire to find gaps.' : 'No answered category is below Defined (3).'}
+            </p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {coverage.gaps.map(gap => (
+                <li key={gap.id} className="flex justify-between border-b border-gray-100 py-1">
+                  <span className="text-gray-900">{gap.id} {gap.name}</span>
+                  <span className="text-red-600 font-medium">{gap.maturity.toFixed(1)}/5</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FrameworkQuestionnaire;
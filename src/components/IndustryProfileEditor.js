@@ -0,0 +1,139 @@
+import React from 'react';
+import { Building } from 'lucide-react';
+import {
+  INDUSTRY_PROFILES,
+  REGULATIONS,
+  BASE_COST_LIMITS,
+  FINES_CATEGORY
+} from '../profiles/industryProfiles';
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// Industry and regulation selectors that load preset base costs, scenario frequencies and fine ranges,
+// plus the resulting base costs for fine-tuning
+const IndustryProfileEditor = ({
+  profile,
+  baseCosts,
+  regulatoryFineRange,
+  costCategories,
+  onProfileChange,
+  onBaseCostsChange,
+  onFineRangeChange
+}) => {
+  const toggleRegulation = (id) => {
+    const regulations = profile.regulations.includes(id)
+      ? profile.regulations.filter(existing => existing !== id)
+      : [...profile.regulations, id];
+    onProfileChange({ ...profile, regulations });
+  };
+
+  const updateFineRange = (field, value) => {
+    onFineRangeChange({ ...regulatoryFineRange, [field]: clamp(parseInt(value) || 0, BASE_COST_LIMITS) });
+  };
+
+  const fineRangeInvalid = regulatoryFineRange.low > regulatoryFineRange.high;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-xl font-semibold text-gray-900 mb-2 flex items-center gap-2">
+        <Building className="w-5 h-5 text-blue-600" />
+        Industry & Regulatory Profile
+      </h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Choosing an industry or regulation loads calibrated base costs, built-in threat scenario frequencies and loss ranges,
+        and a regulatory fine range. Edits below and on the Threat Scenarios tab are replaced when the profile changes.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-6 mb-6">
+        <div>
+          <label htmlFor="industry" className="block text-sm font-medium text-gray-700 mb-2">Industry</label>
+          <select
+            id="industry"
+            value={profile.industry}
+            onChange={(e) => onProfileChange({ ...profile, industry: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {INDUSTRY_PROFILES.map(industry => (
+              <option key={industry.id} value={industry.id}>{industry.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-2">Regulations & Jurisdictions</p>
+          <div className="flex flex-wrap gap-2">
+            {REGULATIONS.map(regulation => {
+              const selected = profile.regulations.includes(regulation.id);
+              return (
+                <button
+                  key={regulation.id}
+                  onClick={() => toggleRegulation(regulation.id)}
+                  title={regulation.description}
+                  aria-pressed={selected}
+                  className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                    selected
+                      ? 'bg-blue-50 border-blue-300 text-blue-700'
+                      : 'bg-white border-gray-200 text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  {regulation.name}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      <p className="text-sm font-medium text-gray-700 mb-2">Base Cost per Incident ($, before size and control adjustments)</p>
+      <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-x-6 gap-y-2 mb-6">
+        {costCategories.filter(category => category.id !== FINES_CATEGORY).map(category => (
+          <label key={category.id} className="flex items-center justify-between gap-2 text-sm text-gray-600">
+            <span>{category.icon} {category.name}</span>
+            <input
+              type="number"
+              min={BASE_COST_LIMITS.min}
+              max={BASE_COST_LIMITS.max}
+              step={1000}
+              value={baseCosts[category.id] !== undefined ? baseCosts[category.id] : category.baseCost}
+              onChange={(e) => onBaseCostsChange({ ...baseCosts, [category.id]: clamp(parseInt(e.target.value) || 0, BASE_COST_LIMITS) })}
+              className="w-28 px-2 py-1 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </label>
+        ))}
+      </div>
+
+      <p className="text-sm font-medium text-gray-700 mb-2">Regulatory Fine Range per Incident ($)</p>
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <label className="flex items-center gap-2">
+          Low
+          <input
+            type="number"
+            min={BASE_COST_LIMITS.min}
+            max={BASE_COST_LIMITS.max}
+            step={5000}
+            value={regulatoryFineRange.low}
+            onChange={(e) => updateFineRange('low', e.target.value)}
+            className="w-32 px-2 py-1 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          High
+          <input
+            type="number"
+            min={BASE_COST_LIMITS.min}
+            max={BASE_COST_LIMITS.max}
+            step={5000}
+            value={regulatoryFineRange.high}
+            onChange={(e) => updateFineRange('high', e.target.value)}
+            className="w-32 px-2 py-1 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        <span>Fines scale with the records exposed, from the low to the high end of this range.</span>
+      </div>
+      {fineRangeInvalid && (
+        <p className="text-red-500 text-sm mt-1">Low estimate must not exceed the high estimate</p>
+      )}
+    </div>
+  );
+};
+
+export default IndustryProfileEditor;
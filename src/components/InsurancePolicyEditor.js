@@ -0,0 +1,123 @@
+import React from 'react';
+import { Shield, RotateCcw } from 'lucide-react';
+import { COVERAGE_PARTS, POLICY_LIMITS, DEFAULT_INSURANCE_POLICY } from '../insurance/insurancePolicy';
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// Policy terms beyond the aggregate limit: retention, coinsurance, sublimits and which coverage pays each cost category
+const InsurancePolicyEditor = ({ policy, onChange, costCategories }) => {
+  const update = (changes) => onChange({ ...policy, ...changes });
+
+  const updateSublimit = (partId, value) => {
+    update({
+      sublimits: {
+        ...policy.sublimits,
+        [partId]: value === '' ? null : clamp(parseInt(value) || 0, POLICY_LIMITS.sublimit)
+      }
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h3 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+          <Shield className="w-5 h-5 text-blue-600" />
+          Insurance Policy Terms
+        </h3>
+        <button
+          onClick={() => onChange(DEFAULT_INSURANCE_POLICY)}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Reset
+        </button>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6 mb-6">
+        <div>
+          <label htmlFor="policy-retention" className="block text-sm font-medium text-gray-700 mb-2">
+            Retention / Deductible per Incident ($)
+          </label>
+          <input
+            id="policy-retention"
+            type="number"
+            min={POLICY_LIMITS.retention.min}
+            max={POLICY_LIMITS.retention.max}
+            step={5000}
+            value={policy.retention}
+            onChange={(e) => update({ retention: clamp(parseInt(e.target.value) || 0, POLICY_LIMITS.retention) })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label htmlFor="policy-coinsurance" className="block text-sm font-medium text-gray-700 mb-2">
+            Coinsurance – Share You Pay Above Retention (%)
+          </label>
+          <input
+            id="policy-coinsurance"
+            type="number"
+            min={POLICY_LIMITS.coinsurance.min * 100}
+            max={POLICY_LIMITS.coinsurance.max * 100}
+            step={5}
+            value={Math.round(policy.coinsurance * 100)}
+            onChange={(e) => update({ coinsurance: clamp((parseFloat(e.target.value) || 0) / 100, POLICY_LIMITS.coinsurance) })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-8">
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Sublimits ($, blank for none)</p>
+          <div className="space-y-2">
+            {COVERAGE_PARTS.map(part => (
+              <label key={part.id} className="flex items-center justify-between gap-3 text-sm text-gray-600" title={part.description}>
+                <span>{part.name}</span>
+                <input
+                  type="number"
+                  min={POLICY_LIMITS.sublimit.min}
+                  max={POLICY_LIMITS.sublimit.max}
+                  step={50000}
+                  value={policy.sublimits[part.id] === null || policy.sublimits[part.id] === undefined ? '' : policy.sublimits[part.id]}
+                  placeholder="Aggregate limit"
+                  onChange={(e) => updateSublimit(part.id, e.target.value)}
+                  className="w-36 px-2 py-1 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Coverage by Cost Category</p>
+          <div className="space-y-2">
+            {costCategories.map(category => (
+              <label key={category.id} className="flex items-center justify-between gap-3 text-sm text-gray-600">
+                <span>{category.icon} {category.name}</span>
+                <select
+                  value={policy.categoryCoverage[category.id] || ''}
+                  onChange={(e) => update({
+                    categoryCoverage: { ...policy.categoryCoverage, [category.id]: e.target.value || null }
+                  })}
+                  className="w-56 px-2 py-1 bg-white border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Excluded</option>
+                  {COVERAGE_PARTS.map(part => (
+                    <option key={part.id} value={part.id}>{part.name}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-4">
+        The Cyber Insurance Aggregate Limit above caps what the policy pays per year. Retention applies per incident to covered costs; excluded categories
+        are always retained. Each simulated incident is split across categories in proportion to your cost breakdown.
+      </p>
+    </div>
+  );
+};
+
+export default InsurancePolicyEditor;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { Shield } from 'lucide-react';
+import { PERCENTILE_LEVELS } from '../simulation/monteCarlo';
+import { COVERAGE_PARTS } from '../insurance/insurancePolicy';
+
+const formatProbability = (probability) => `${(probability * 100).toFixed(1)}%`;
+
+const SplitCell = ({ split, formatCurrency }) => (
+  <td className="py-2 px-3 text-right whitespace-nowrap">
+    <span className="block text-green-700">{formatCurrency(split.insured)}</span>
+    <span className="block text-red-600">{formatCurrency(split.retained)}</span>
+  </td>
+);
+
+// Insured vs. retained losses under the policy terms, per scenario and at each percentile
+const InsuranceRecovery = ({ results, formatCurrency }) => {
+  const insurance = results.aggregate.insurance;
+  if (!insurance) return null;
+
+  const annualSplits = PERCENTILE_LEVELS.map(({ label }) => ({
+    label,
+    split: { insured: insurance.insuredPercentiles[label], retained: insurance.retainedPercentiles[label] }
+  }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-xl font-semibold text-gray-900 mb-2 flex items-center gap-2">
+        <Shield className="w-5 h-5 text-blue-600" />
+        Insurance Recovery
+      </h3>
+      <p className="text-sm text-gray-600 mb-6">
+        How simulated losses split between the insurer and your organization after retention, coinsurance, sublimits,
+        exclusions and the {formatCurrency(results.policyTerms.aggregateLimit)} aggregate limit.
+      </p>
+
+      <div className="grid md:grid-cols-4 gap-4 mb-6">
+        <div className="bg-green-50 p-4 rounded-lg">
+          <p className="text-sm text-green-800">Insured ALE</p>
+          <p className="text-2xl font-bold text-green-700">{formatCurrency(insurance.insuredAle)}</p>
+        </div>
+        <div className="bg-red-50 p-4 rounded-lg">
+          <p className="text-sm text-red-800">Retained ALE</p>
+          <p className="text-2xl font-bold text-red-600">{formatCurrency(insurance.retainedAle)}</p>
+        </div>
+        <div className="bg-red-50 p-4 rounded-lg">
+          <p className="text-sm text-red-800">Retained Loss, 95th Percentile Year</p>
+          <p className="text-2xl font-bold text-red-600">{formatCurrency(insurance.retainedPercentiles['95th'])}</p>
+        </div>
+        <div className="bg-amber-50 p-4 rounded-lg">
+          <p className="text-sm text-amber-800">Chance Losses Exhaust the Limit</p>
+          <p className="text-2xl font-bold text-amber-700">{formatProbability(insurance.limitExhaustionProbability)}</p>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 text-gray-600">
+              <th className="text-left py-2 pr-3 font-medium">Single Incident</th>
+              {PERCENTILE_LEVELS.map(({ label }) => (
+                <th key={label} className="text-right py-2 px-3 font-medium">{label}</th>
+              ))}
+              <th className="text-right py-2 px-3 font-medium">Annual Insured / Retained</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.scenarios.map(scenario => (
+              <tr key={scenario.id} className="border-b border-gray-100">
+                <td className="py-2 pr-3 font-medium text-gray-900">{scenario.name}</td>
+                {PERCENTILE_LEVELS.map(({ label }) => (
+                  <SplitCell key={label} split={scenario.percentileSplit[label]} formatCurrency={formatCurrency} />
+                ))}
+                <SplitCell
+                  split={{ insured: scenario.insurance.insuredAle, retained: scenario.insurance.retainedAle }}
+                  formatCurrency={formatCurrency}
+                />
+              </tr>
+            ))}
+            <tr className="border-b border-gray-100 bg-gray-50">
+              <td className="py-2 pr-3 font-medium text-gray-900">All scenarios, annual</td>
+              {annualSplits.map(({ label, split }) => (
+                <SplitCell key={label} split={split} formatCurrency={formatCurrency} />
+              ))}
+              <SplitCell split={{ insured: insurance.insuredAle, retained: insurance.retainedAle }} formatCurrency={formatCurrency} />
+            </tr>
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-2">
+          <span className="text-green-700">Insured</span> above <span className="text-red-600">retained</span>. Single-incident
+          columns settle one loss of that size against a fresh policy year; the last column is the expected annual amount.
+        </p>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Chance a Sublimit Is Exhausted in a Year</p>
+        <div className="flex flex-wrap gap-2">
+          {insurance.sublimitExhaustion.filter(({ probability }) => probability !== null).map(({ id, probability }) => (
+            <span key={id} className="px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+              {COVERAGE_PARTS.find(part => part.id === id).name}: {formatProbability(probability)}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InsuranceRecovery;
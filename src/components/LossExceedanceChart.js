@@ -0,0 +1,135 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import { interpolateTolerance, findToleranceBreaches } from '../simulation/riskTolerance';
+
+const AGGREGATE_KEY = 'All Scenarios';
+const TOLERANCE_KEY = 'Risk Tolerance';
+
+const formatCompactCurrency = (value) => {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(0)}K`;
+  return `$${value}`;
+};
+
+const formatProbability = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Loss exceedance curves (probability that annual loss exceeds $X) per scenario and in aggregate,
+// overlaid with the organization's risk tolerance curve
+const LossExceedanceChart = ({ results, tolerance, onToleranceChange, formatCurrency }) => {
+  const curveData = useMemo(() => results.aggregate.exceedanceCurve.map((point, index) => {
+    const row = {
+      loss: point.loss,
+      [AGGREGATE_KEY]: point.probability,
+      [TOLERANCE_KEY]: interpolateTolerance(tolerance, point.loss)
+    };
+    results.scenarios.forEach(scenario => {
+      row[scenario.id] = scenario.exceedanceCurve[index].probability;
+    });
+    return row;
+  }), [results, tolerance]);
+
+  const breaches = useMemo(
+    () => findToleranceBreaches(results.aggregate.exceedanceCurve, tolerance),
+    [results, tolerance]
+  );
+
+  const updateTolerancePoint = (index, field, value) => {
+    onToleranceChange(tolerance.map((point, i) => (i === index ? { ...point, [field]: value } : point)));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-xl font-semibold text-gray-900 mb-2">Loss Exceedance Curve</h3>
+      <p className="text-gray-600 text-sm mb-4">
+        Probability that annual losses exceed each amount, for every scenario and in aggregate. The dashed line is your risk
+        tolerance: wherever the aggregate curve rises above it, residual risk is beyond appetite.
+      </p>
+
+      <div className="h-96">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={curveData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="loss"
+              type="number"
+              scale="log"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={formatCompactCurrency}
+            />
+            <YAxis tickFormatter={formatProbability} domain={[0, 'auto']} />
+            <Tooltip
+              labelFormatter={(value) => `Annual loss > ${formatCurrency(value)}`}
+              formatter={(value, name) => [formatProbability(value), name]}
+            />
+            <Legend />
+            {results.scenarios.map(scenario => (
+              <Line key={scenario.id} type="monotone" dataKey={scenario.id} name={scenario.name} stroke={scenario.color} dot={false} strokeWidth={1.5} />
+            ))}
+            <Line type="monotone" dataKey={AGGREGATE_KEY} stroke="#111827" dot={false} strokeWidth={3} />
+            <Line type="monotone" dataKey={TOLERANCE_KEY} stroke="#dc2626" dot={false} strokeWidth={2} strokeDasharray="6 4" />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {breaches.length > 0 ? (
+        <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-4">
+          <h5 className="font-semibold text-red-800 mb-1 flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4" />
+            Residual risk exceeds tolerance
+          </h5>
+          <ul className="text-sm text-red-700 space-y-1">
+            {breaches.map(breach => (
+              <li key={breach.from}>
+                • Losses between {formatCurrency(breach.from)} and {formatCurrency(breach.to)} are up to
+                {' '}{formatProbability(breach.worstGap)} more likely than your appetite allows
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <div className="mt-4 bg-green-50 border border-green-200 rounded-lg p-4">
+          <p className="text-sm text-green-800 flex items-center gap-2">
+            <CheckCircle className="w-4 h-4" />
+            Aggregate residual risk is within tolerance at every loss level.
+          </p>
+        </div>
+      )}
+
+      {/* Tolerance Settings */}
+      <div className="mt-6">
+        <h4 className="font-medium text-gray-900 mb-3">Risk Tolerance Points</h4>
+        <div className="grid md:grid-cols-3 gap-4">
+          {tolerance.map((point, index) => (
+            <div key={index} className="p-3 bg-gray-50 rounded-lg space-y-2">
+              <label className="block text-xs font-medium text-gray-600">
+                Annual loss above ($)
+                <input
+                  type="number"
+                  min={1}
+                  value={point.loss}
+                  onChange={(e) => updateTolerancePoint(index, 'loss', Math.max(1, parseInt(e.target.value) || 1))}
+                  className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </label>
+              <label className="block text-xs font-medium text-gray-600">
+                Acceptable probability (%)
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  step={0.5}
+                  value={Number((point.probability * 100).toFixed(2))}
+                  onChange={(e) => updateTolerancePoint(index, 'probability', Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100)}
+                  className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </label>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LossExceedanceChart;
@@ -0,0 +1,231 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Legend, Tooltip, ResponsiveContainer } from 'recharts';
+import { Users, Upload, Download, RotateCcw, CheckCircle, AlertTriangle } from 'lucide-react';
+import { slugify } from './ReportExport';
+import { INDUSTRY_PROFILES } from '../profiles/industryProfiles';
+import { MAX_MATURITY } from '../controls/controlCatalog';
+import {
+  BENCHMARK_SCHEMA_PATH,
+  benchmarkAssessment,
+  serializeBenchmarkDataset,
+  parseBenchmarkFile
+} from '../benchmarks/peerBenchmarks';
+import { downloadFile } from '../export/downloadFile';
+
+const YOURS_KEY = 'Your Organization';
+const PEERS_KEY = 'Peer Average';
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+const industryName = (id) => (INDUSTRY_PROFILES.find(industry => industry.id === id) || { name: id }).name;
+
+// Where the value sits among peers, as a marker on a 0-100 track; `better` is the share of peers it beats
+const PercentileCard = ({ title, value, percentile, better, detail }) => (
+  <div className="bg-gray-50 rounded-lg p-4">
+    <p className="text-sm text-gray-600">{title}</p>
+    <p className="text-2xl font-bold text-gray-900">{value}</p>
+    <div className="relative h-2 bg-gradient-to-r from-red-200 via-yellow-200 to-green-200 rounded-full my-3" aria-hidden="true">
+      <div className="absolute -top-1 w-1.5 h-4 bg-gray-900 rounded" style={{ left: `calc(${better}% - 3px)` }} />
+    </div>
+    <p className="text-sm text-gray-700">
+      <strong>{ordinal(percentile)} percentile</strong>: {detail}
+    </p>
+  </div>
+);
+
+// The assessment against its industry and size peers in the benchmark dataset: percentile position of
+// the security score and expected annual loss, control maturity against the peer average, and the
+// controls most peers implement that this organization doesn't. `benchmarks` is useBenchmarks' state;
+// whoever may change it can upload a replacement dataset, download the current one or restore the
+// built-in one.
+const PeerBenchmark = ({ inputs, results, benchmarks, formatCurrency }) => {
+  const [importErrors, setImportErrors] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const fileInput = useRef(null);
+  const { dataset, custom, canEdit, mode, error } = benchmarks;
+
+  const comparison = useMemo(() => benchmarkAssessment(dataset, inputs, results), [dataset, inputs, results]);
+
+  const radarData = useMemo(() => (comparison ? comparison.controls.map(control => ({
+    control: control.name,
+    [YOURS_KEY]: control.maturity === null ? 0 : control.maturity,
+    [PEERS_KEY]: control.peerMaturity
+  })) : []), [comparison]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const parsed = parseBenchmarkFile(await file.text());
+    if (parsed.errors) {
+      setImportErrors({ fileName: file.name, errors: parsed.errors });
+      return;
+    }
+    setImportErrors(null);
+    setSaving(true);
+    try {
+      await benchmarks.saveDataset(parsed.dataset);
+    } catch (saveError) {
+      // useBenchmarks reports the failure
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6 mb-6">
+      <h4 className="text-lg font-semibold text-gray-900 mb-1 flex items-center gap-2">
+        <Users className="w-5 h-5 text-blue-600" />
+        Peer Benchmark
+      </h4>
+
+      {comparison ? (
+        <>
+          <p className="text-sm text-gray-600 mb-4">
+            Compared with {comparison.fallback ? 'cross-industry' : industryName(comparison.industry)} organizations
+            of {comparison.sizeBand.label}
+            {comparison.fallback && ` (the dataset has no ${industryName(inputs.profile.industry)} peers of this size)`}.
+          </p>
+
+          <div className="grid md:grid-cols-2 gap-4 mb-6">
+            <PercentileCard
+              title="Security Score"
+              value={`${comparison.securityScore.value}%`}
+              percentile={comparison.securityScore.percentile}
+              better={comparison.securityScore.percentile}
+              detail={`higher than ${comparison.securityScore.percentile}% of peers (peer median ${comparison.securityScore.median}%)`}
+            />
+            <PercentileCard
+              title="Expected Annual Loss"
+              value={formatCurrency(comparison.expectedLoss.value)}
+              percentile={comparison.expectedLoss.percentile}
+              better={100 - comparison.expectedLoss.percentile}
+              detail={`lower than ${100 - comparison.expectedLoss.percentile}% of peers (peer median ${formatCurrency(comparison.expectedLoss.median)})`}
+            />
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-6">
+            <div>
+              <h5 className="font-medium text-gray-800 mb-2">Control Maturity vs. Peer Average</h5>
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <RadarChart data={radarData} outerRadius="70%">
+                    <PolarGrid />
+                    <PolarAngleAxis dataKey="control" tick={{ fontSize: 11 }} />
+                    <PolarRadiusAxis domain={[0, MAX_MATURITY]} tickCount={MAX_MATURITY + 1} angle={90} tick={{ fontSize: 10 }} />
+                    <Tooltip formatter={(value, name) => [`${value}/${MAX_MATURITY}`, name]} />
+                    <Legend />
+                    <Radar name={PEERS_KEY} dataKey={PEERS_KEY} stroke="#9ca3af" fill="#9ca3af" fillOpacity={0.3} />
+                    <Radar name={YOURS_KEY} dataKey={YOURS_KEY} stroke="#2563eb" fill="#2563eb" fillOpacity={0.35} />
+                  </RadarChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="text-xs text-gray-500">Controls you haven't added to the catalog count as maturity 0.</p>
+            </div>
+
+            <div>
+              <h5 className="font-medium text-gray-800 mb-2">Missing Peer-Common Controls</h5>
+              {comparison.missing.length > 0 ? (
+                <ul className="space-y-3">
+                  {comparison.missing.map(control => (
+                    <li key={control.id} className="flex items-start gap-3">
+                      <div className="bg-amber-100 p-1 rounded">
+                        <AlertTriangle className="w-4 h-4 text-amber-600" />
+                      </div>
+                      <div>
+                        <p className="font-medium text-gray-900">{control.name}</p>
+                        <p className="text-sm text-gray-600">
+                          Implemented by {Math.round(control.adoption * 100)}% of peers;
+                          {control.maturity === null ? ' not in your control catalog.' : ` yours is at maturity ${control.maturity}/${MAX_MATURITY}.`}
+                        </p>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-green-700 flex items-start gap-2">
+                  <CheckCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  You implement every control most of your peers do.
+                </p>
+              )}
+            </div>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-gray-600">
+          The benchmark dataset has no peers of {industryName(inputs.profile.industry)} or cross-industry organizations of this size.
+        </p>
+      )}
+
+      <div className="mt-6 pt-4 border-t border-gray-200">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <p className="text-xs text-gray-500 max-w-3xl">
+            <strong>{dataset.name}</strong>{custom && custom.updatedAt ? `, uploaded ${new Date(custom.updatedAt).toLocaleDateString()}` : ''}.
+            {dataset.source ? ` ${dataset.source}` : ''}
+            {mode === 'server' && !canEdit && ' Only organization admins can replace the benchmark dataset.'}
+            {mode === 'local' && custom && ' The uploaded dataset is stored in this browser only until you log in.'}
+            {' '}Dataset files follow the published <a href={BENCHMARK_SCHEMA_PATH} className="text-blue-600 hover:underline">benchmark JSON Schema</a>.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => downloadFile(`${slugify(dataset.name) || 'peer-benchmarks'}.json`, serializeBenchmarkDataset(dataset), 'application/json')}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+            >
+              <Download className="w-4 h-4" />
+              Download Dataset
+            </button>
+            {canEdit && (
+              <>
+                <button
+                  onClick={() => fileInput.current.click()}
+                  disabled={saving}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <Upload className="w-4 h-4" />
+                  Upload Dataset
+                </button>
+                <input
+                  ref={fileInput}
+                  type="file"
+                  accept="application/json,.json"
+                  aria-label="Benchmark dataset file"
+                  onChange={handleUpload}
+                  className="hidden"
+                />
+                {custom && (
+                  <button
+                    onClick={() => benchmarks.resetDataset().catch(() => {})}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    Use Built-in Dataset
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="mt-3 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800">{error}</div>}
+        {importErrors && (
+          <div className="mt-3 bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+            <p className="font-semibold">{importErrors.fileName} could not be uploaded:</p>
+            <ul className="list-disc list-inside mt-1">
+              {Object.entries(importErrors.errors).slice(0, 20).map(([field, message]) => (
+                <li key={field}>
+                  <code className="text-xs">{field}</code>: {message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PeerBenchmark;
@@ -0,0 +1,122 @@
+import React from 'react';
+import { Lock, AlertTriangle, MessageSquare } from 'lucide-react';
+
+// A clickable part of a scenario. Before the verdict it toggles the red flag; afterwards it shows
+// whether flagging it (or not) was right.
+const Hotspot = ({ hotspot, flagged, result, onToggle, className = '', children }) => {
+  let state = flagged ? 'bg-red-100 ring-2 ring-red-400' : 'hover:bg-yellow-50';
+  if (result) state = result.correct ? 'bg-green-100 ring-2 ring-green-400' : 'bg-red-100 ring-2 ring-red-500';
+  return (
+    <button
+      type="button"
+      onClick={() => onToggle(hotspot.id)}
+      disabled={!!result}
+      aria-pressed={flagged}
+      title={result ? hotspot.explanation : 'Flag as a red flag'}
+      className={`rounded px-0.5 text-left transition-colors ${state} ${className}`}
+    >
+      {children || hotspot.text}
+    </button>
+  );
+};
+
+// Text with every hotspot that appears in it rendered as a Hotspot
+const TextWithHotspots = ({ text, hotspots, flagged, results, onToggle }) => {
+  const found = hotspots
+    .map(hotspot => ({ hotspot, index: hotspot.text ? text.indexOf(hotspot.text) : -1 }))
+    .filter(match => match.index >= 0)
+    .sort((a, b) => a.index - b.index);
+
+  const parts = [];
+  let position = 0;
+  found.forEach(({ hotspot, index }) => {
+    if (index < position) return;
+    if (index > position) parts.push(text.slice(position, index));
+    parts.push(
+      <Hotspot
+        key={hotspot.id}
+        hotspot={hotspot}
+        flagged={flagged.includes(hotspot.id)}
+        result={results && results.find(r => r.id === hotspot.id)}
+        onToggle={onToggle}
+      />
+    );
+    position = index + hotspot.text.length;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+const Lines = ({ text, hotspotProps }) => text.split('\n').map((line, index) => (
+  <p key={index} className="min-h-[1.25rem] break-words">
+    <TextWithHotspots text={line} {...hotspotProps} />
+  </p>
+));
+
+const EmailView = ({ scenario, hotspotProps }) => (
+  <div className="border border-gray-200 rounded-lg p-4 space-y-3 bg-white">
+    <p className="text-sm"><span className="font-semibold text-gray-600 mr-2">From:</span><TextWithHotspots text={scenario.sender} {...hotspotProps} /></p>
+    <p className="text-base font-semibold text-gray-900"><span className="text-sm text-gray-600 mr-2">Subject:</span><TextWithHotspots text={scenario.subject} {...hotspotProps} /></p>
+    <div className="text-sm text-gray-700 leading-relaxed border-t border-gray-100 pt-3">
+      <Lines text={scenario.body} hotspotProps={hotspotProps} />
+    </div>
+  </div>
+);
+
+const SmsView = ({ scenario, hotspotProps }) => (
+  <div className="border border-gray-200 rounded-2xl p-4 bg-gray-50 max-w-sm">
+    <p className="text-xs text-gray-500 text-center mb-3 flex items-center justify-center gap-1">
+      <MessageSquare className="w-3 h-3" />
+      <TextWithHotspots text={scenario.sender} {...hotspotProps} />
+    </p>
+    <div className="bg-white border border-gray-200 rounded-2xl rounded-bl-sm px-4 py-3 text-sm text-gray-800 leading-relaxed">
+      <Lines text={scenario.body} hotspotProps={hotspotProps} />
+    </div>
+  </div>
+);
+
+const WebsiteView = ({ scenario, hotspotProps }) => {
+  const render = (type, children, className) => {
+    const target = scenario.hotspots.find(h => h.type === type);
+    if (!target) return children;
+    return (
+      <Hotspot
+        hotspot={target}
+        flagged={hotspotProps.flagged.includes(target.id)}
+        result={hotspotProps.results && hotspotProps.results.find(r => r.id === target.id)}
+        onToggle={hotspotProps.onToggle}
+        className={className}
+      >
+        {children}
+      </Hotspot>
+    );
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden bg-white">
+      <div className="flex items-center gap-2 bg-gray-100 px-3 py-2 text-sm">
+        {render('ssl', <span className="flex items-center gap-1 text-gray-600"><Lock className="w-4 h-4" /><AlertTriangle className="w-3 h-3 text-yellow-600" /></span>)}
+        {render('url', <span className="text-gray-800 truncate">{scenario.url}</span>, 'flex-1 min-w-0')}
+      </div>
+      {render('design', (
+        <span className="flex flex-col items-center py-8 px-4">
+          <span className="text-xl font-bold text-gray-900 mb-2">{scenario.title}</span>
+          <span className="text-gray-700 text-center mb-4">{scenario.content}</span>
+          <span className="w-40 h-24 bg-gray-200 flex items-center justify-center rounded-lg mb-4 border border-gray-300 text-xs text-gray-500">[Logo]</span>
+          <span className="bg-green-600 text-white font-semibold py-2 px-5 rounded-lg">Sign In</span>
+        </span>
+      ), 'w-full')}
+    </div>
+  );
+};
+
+const VIEWS = { email: EmailView, sms: SmsView, website: WebsiteView };
+
+// A training scenario as the trainee sees it. `flagged` are the hotspot ids flagged so far and
+// `results` the scored hotspots once the verdict is in (null before).
+const PhishingScenarioView = ({ scenario, flagged = [], results = null, onToggle = () => {} }) => {
+  const View = VIEWS[scenario.kind];
+  return <View scenario={scenario} hotspotProps={{ hotspots: scenario.hotspots, flagged, results, onToggle }} />;
+};
+
+export default PhishingScenarioView;
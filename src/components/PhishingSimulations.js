@@ -0,0 +1,396 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { MailWarning, Plus, Pencil, Trash2, ArrowLeft, Save, Send, Flag, FileSpreadsheet, RefreshCw } from 'lucide-react';
+import PhishingScenarioView from './PhishingScenarioView';
+import {
+  LANDING_PAGES,
+  DELIVERY_STATUSES,
+  simulationScenarios,
+  createSimulation,
+  validateSimulation,
+  deliveryStatus,
+  summarizeSimulations,
+  simulationResultsCsv
+} from '../phishing/phishingSimulations';
+import { fetchSimulations, putSimulation, deleteSimulation, sendSimulation, reportSimulation } from '../phishing/simulationApi';
+import { downloadFile } from '../export/downloadFile';
+
+const formatPercent = (share) => (share === null || share === undefined ? '—' : `${Math.round(share * 100)}%`);
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+const inputClass = (hasError) => `mt-1 w-full px-3 py-1.5 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+  hasError ? 'border-red-500' : 'border-gray-300'
+}`;
+
+const FieldError = ({ message }) => (message ? <p className="text-red-500 text-xs mt-1">{message}</p> : null);
+
+// Emails as typed: one per line, or separated by commas or semicolons
+const parseEmails = (text) => text.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean);
+
+const STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-700',
+  failed: 'bg-red-100 text-red-800',
+  delivered: 'bg-blue-100 text-blue-800',
+  reported: 'bg-green-100 text-green-800',
+  clicked: 'bg-amber-100 text-amber-800',
+  submitted: 'bg-red-100 text-red-800'
+};
+
+const DeliveryBadge = ({ status }) => (
+  <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[status]}`}>
+    {DELIVERY_STATUSES.find(option => option.id === status).label}
+  </span>
+);
+
+const Rates = ({ summary }) => (
+  <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+    {[
+      { label: 'Delivered', value: summary.delivered },
+      { label: 'Click rate', value: formatPercent(summary.clickRate) },
+      { label: 'Submitted credentials', value: formatPercent(summary.submitRate) },
+      { label: 'Report rate', value: formatPercent(summary.reportRate) }
+    ].map(stat => (
+      <div key={stat.label} className="bg-gray-50 rounded-lg p-3">
+        <p className="text-xl font-bold text-gray-900">{stat.value}</p>
+        <p className="text-xs text-gray-500">{stat.label}</p>
+      </div>
+    ))}
+  </div>
+);
+
+const SimulationEditor = ({ draft, emails, onChange, onSave, onCancel, saving }) => {
+  // Recipients are edited as text and parsed on every change
+  const [recipientText, setRecipientText] = useState(() => draft.recipients.join('\n'));
+  const errors = validateSimulation(draft, emails.map(scenario => scenario.key));
+  const problemCount = Object.keys(errors).length;
+  const scenario = emails.find(candidate => candidate.key === draft.scenarioKey);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-3 gap-3">
+        <label className="block text-xs font-medium text-gray-600">
+          Simulation name
+          <input value={draft.name} onChange={(e) => onChange({ ...draft, name: e.target.value })} placeholder="e.g. March payroll lure" className={inputClass(errors.name)} />
+          <FieldError message={errors.name} />
+        </label>
+        <label className="block text-xs font-medium text-gray-600">
+          Email
+          <select value={draft.scenarioKey} onChange={(e) => onChange({ ...draft, scenarioKey: e.target.value })} className={inputClass(errors.scenarioKey)}>
+            {emails.map(email => <option key={email.key} value={email.key}>{email.packName}: {email.subject}</option>)}
+          </select>
+          <FieldError message={errors.scenarioKey} />
+        </label>
+        <label className="block text-xs font-medium text-gray-600">
+          Landing page
+          <select value={draft.landing} onChange={(e) => onChange({ ...draft, landing: e.target.value })} className={inputClass(errors.landing)}>
+            {LANDING_PAGES.map(landing => <option key={landing.id} value={landing.id}>{landing.label}</option>)}
+          </select>
+          <span className="block mt-1 font-normal text-gray-500">{(LANDING_PAGES.find(landing => landing.id === draft.landing) || {}).description}</span>
+        </label>
+      </div>
+
+      <label className="block text-xs font-medium text-gray-600">
+        Recipients (one email per line)
+        <textarea
+          rows={5}
+          value={recipientText}
+          onChange={(e) => {
+            setRecipientText(e.target.value);
+            onChange({ ...draft, recipients: parseEmails(e.target.value) });
+          }}
+          className={inputClass(errors.recipients)}
+        />
+        <FieldError message={errors.recipients} />
+      </label>
+
+      {scenario && (
+        <div>
+          <p className="text-xs font-medium text-gray-600 mb-2">Preview (the link is replaced by each recipient's tracked link)</p>
+          <PhishingScenarioView scenario={scenario} />
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 pt-3 border-t border-gray-200">
+        <button
+          onClick={onSave}
+          disabled={problemCount > 0 || saving}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          Save Draft
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors">
+          Cancel
+        </button>
+        {problemCount > 0 && <span className="text-sm text-red-600">{problemCount} problem{problemCount === 1 ? '' : 's'} to fix before saving</span>}
+      </div>
+    </div>
+  );
+};
+
+const SimulationRow = ({ simulation, scenario, busy, onEdit, onSend, onReport, onRemove }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [reportText, setReportText] = useState(null);
+  const summary = summarizeSimulations([simulation]);
+  const pending = simulation.recipients.filter(email => ['pending', 'failed'].includes(deliveryStatus(simulation.deliveries[email]))).length;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <p className="font-medium text-gray-900">{simulation.name}</p>
+          <p className="text-xs text-gray-500">
+            {scenario ? scenario.subject : simulation.scenarioKey} · {LANDING_PAGES.find(landing => landing.id === simulation.landing).label.toLowerCase()} ·{' '}
+            {simulation.recipients.length} recipient{simulation.recipients.length === 1 ? '' : 's'} ·{' '}
+            {simulation.sentAt ? `sent ${formatDateTime(simulation.sentAt)}` : 'draft'}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {!simulation.sentAt && (
+            <button onClick={onEdit} disabled={busy} className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50">
+              <Pencil className="w-4 h-4" />
+              Edit
+            </button>
+          )}
+          {pending > 0 && !confirming && (
+            <button onClick={() => setConfirming(true)} disabled={busy} className="flex items-center gap-1 px-3 py-1.5 text-sm text-blue-700 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50">
+              <Send className="w-4 h-4" />
+              {simulation.sentAt ? 'Send Remaining' : 'Send'}
+            </button>
+          )}
+          {confirming && (
+            <span className="flex items-center gap-2 text-sm">
+              Email {pending} recipient{pending === 1 ? '' : 's'}?
+              <button onClick={() => { setConfirming(false); onSend(); }} className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Send Now</button>
+              <button onClick={() => setConfirming(false)} className="px-3 py-1.5 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors">Cancel</button>
+            </span>
+          )}
+          {simulation.sentAt && (
+            <button onClick={() => setReportText(reportText === null ? '' : null)} disabled={busy} className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50">
+              <Flag className="w-4 h-4" />
+              Record Reports
+            </button>
+          )}
+          <button onClick={onRemove} disabled={busy} className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50">
+            <Trash2 className="w-4 h-4" />
+            Delete
+          </button>
+        </div>
+      </div>
+
+      {reportText !== null && (
+        <div className="bg-gray-50 rounded-lg p-3 space-y-2">
+          <label className="block text-xs font-medium text-gray-600">
+            Recipients who reported the email (e.g. from your phishing report mailbox), one per line
+            <textarea rows={3} value={reportText} onChange={(e) => setReportText(e.target.value)} className={inputClass(false)} />
+          </label>
+          <button
+            onClick={() => onReport(parseEmails(reportText)).then(() => setReportText(null), () => {})}
+            disabled={busy || parseEmails(reportText).length === 0}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Record
+          </button>
+        </div>
+      )}
+
+      {simulation.sentAt && <Rates summary={summary} />}
+
+      {simulation.sentAt && (
+        <button onClick={() => setExpanded(!expanded)} className="text-sm text-blue-600 hover:underline">
+          {expanded ? 'Hide recipients' : 'Show recipients'}
+        </button>
+      )}
+      {expanded && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-2 pr-3">Recipient</th>
+                <th className="py-2 pr-3">Status</th>
+                <th className="py-2 pr-3">Sent</th>
+                <th className="py-2 pr-3">Clicked</th>
+                <th className="py-2 pr-3">Reported</th>
+              </tr>
+            </thead>
+            <tbody>
+              {simulation.recipients.map(email => {
+                const delivery = simulation.deliveries[email] || null;
+                return (
+                  <tr key={email} className="border-b border-gray-100 text-gray-700">
+                    <td className="py-1.5 pr-3">{email}</td>
+                    <td className="py-1.5 pr-3" title={delivery && delivery.error ? delivery.error : undefined}><DeliveryBadge status={deliveryStatus(delivery)} /></td>
+                    <td className="py-1.5 pr-3">{formatDateTime(delivery && delivery.sentAt)}</td>
+                    <td className="py-1.5 pr-3">{formatDateTime(delivery && delivery.clickedAt)}</td>
+                    <td className="py-1.5 pr-3">{formatDateTime(delivery && delivery.reportedAt)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Organization admins' simulated phishing: email an installed phishing scenario to members with
+// tracked links, record who reported it, and follow click, submission and report rates. `onChange`
+// is called once the organization's results may have changed.
+const PhishingSimulations = ({ scenarios, user, onChange, onClose }) => {
+  const [simulations, setSimulations] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const emails = simulationScenarios(scenarios);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSimulations((await fetchSimulations(user)).simulations);
+      setError(null);
+    } catch (e) {
+      setError(`Simulations could not be loaded: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Runs a change, then reloads the simulations and the organization's results
+  const run = async (change, failure) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const done = await change();
+      setError(null);
+      return done;
+    } catch (e) {
+      setError(`${failure}: ${e.message}`);
+      throw e;
+    } finally {
+      setBusy(false);
+      await load();
+      onChange();
+    }
+  };
+
+  const save = () => run(async () => {
+    await putSimulation(user, draft);
+    setDraft(null);
+  }, 'The simulation could not be saved').catch(() => {});
+
+  // One batch per request; stops once everyone is reached or a batch reaches nobody
+  const send = (simulation) => run(async () => {
+    let sent = 0;
+    let result;
+    do {
+      result = await sendSimulation(user, simulation.id);
+      sent += result.sent;
+      setMessage(`Sent ${sent} email${sent === 1 ? '' : 's'}…`);
+    } while (result.remaining > 0 && result.sent > 0);
+    setMessage(`Sent ${sent} email${sent === 1 ? '' : 's'}${result.remaining > 0 ? `; ${result.remaining} could not be delivered` : ''}.`);
+  }, 'The simulation could not be sent').catch(() => {});
+
+  const report = (simulation, reporters) => run(async () => {
+    const { unknown } = await reportSimulation(user, simulation.id, reporters);
+    if (unknown.length > 0) setMessage(`Not sent to ${unknown.join(', ')}, so not recorded.`);
+  }, 'The reports could not be recorded');
+
+  const remove = (simulation) => run(() => deleteSimulation(user, simulation.id), 'The simulation could not be deleted').catch(() => {});
+
+  if (draft) {
+    return (
+      <div className="space-y-4">
+        <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+          <MailWarning className="w-4 h-4 text-blue-600" />
+          {simulations.some(simulation => simulation.id === draft.id) ? 'Edit Simulation' : 'New Simulation'}
+        </h4>
+        {error && <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">{error}</div>}
+        <SimulationEditor draft={draft} emails={emails} onChange={setDraft} onSave={save} onCancel={() => setDraft(null)} saving={busy} />
+      </div>
+    );
+  }
+
+  const overall = summarizeSimulations(simulations);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+          <MailWarning className="w-4 h-4 text-blue-600" />
+          Simulated Phishing
+        </h4>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setDraft(createSimulation(emails.length > 0 ? emails[0].key : ''))}
+            disabled={emails.length === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            New Simulation
+          </button>
+          <button
+            onClick={() => downloadFile('phishing-simulations.csv', simulationResultsCsv(simulations), 'text/csv')}
+            disabled={simulations.length === 0}
+            className="flex items-center gap-1 px-3 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            <FileSpreadsheet className="w-4 h-4" />
+            Results CSV
+          </button>
+          <button onClick={load} disabled={loading} className="flex items-center gap-1 px-3 py-2 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50">
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+          <button
+            onClick={onClose}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Each recipient gets the chosen email with their own tracked link. Opening it records a click; the fake sign-in page records
+        that the form was submitted but never receives what was typed. Either way the recipient lands in this trainer on the email
+        they fell for. Applying the organization's results to the risk model includes these click and report rates.
+      </p>
+
+      {error && <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">{error}</div>}
+      {message && <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">{message}</div>}
+
+      {overall.delivered > 0 && <Rates summary={overall} />}
+
+      {loading && simulations.length === 0 ? (
+        <p className="text-sm text-gray-500">Loading…</p>
+      ) : simulations.length === 0 ? (
+        <p className="text-sm text-gray-500">No simulations yet. Create one to send an installed phishing email to members.</p>
+      ) : (
+        <div className="space-y-3">
+          {simulations.map(simulation => (
+            <SimulationRow
+              key={simulation.id}
+              simulation={simulation}
+              scenario={scenarios.find(scenario => scenario.key === simulation.scenarioKey)}
+              busy={busy}
+              onEdit={() => setDraft(simulation)}
+              onSend={() => send(simulation)}
+              onReport={(reporters) => report(simulation, reporters)}
+              onRemove={() => remove(simulation)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PhishingSimulations;
@@ -0,0 +1,468 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { GraduationCap, Mail, Globe, BookOpen, Flag, CheckCircle, XCircle, Users, MessageSquare, Package, Megaphone, CalendarClock, MailWarning, AlertTriangle } from 'lucide-react';
+import PhishingScenarioView from './PhishingScenarioView';
+import ContentPackManager from './ContentPackManager';
+import TrainingCampaigns, { StatusBadge } from './TrainingCampaigns';
+import PhishingSimulations from './PhishingSimulations';
+import { BUILT_IN_PACK, EDUCATION_MODULES } from '../phishing/trainingScenarios';
+import { PASS_ACCURACY, summarizeTrainingResults, toTrainingInputs } from '../phishing/phishingTraining';
+import { DIFFICULTIES, THREAT_CATEGORIES, installedScenarios, sessionLength } from '../phishing/contentPacks';
+import { useTrainingResults } from '../phishing/useTrainingResults';
+
+const formatPercent = (share) => (share === null || share === undefined ? '—' : `${Math.round(share * 100)}%`);
+
+const KIND_HEADINGS = {
+  email: { label: 'Simulated Email', noun: 'email', icon: Mail },
+  sms: { label: 'Simulated Text Message', noun: 'message', icon: MessageSquare },
+  website: { label: 'Simulated Website', noun: 'website', icon: Globe }
+};
+
+const labelOf = (options, id) => (options.find(option => option.id === id) || { label: id }).label;
+
+// One scenario of the session. Until it is answered the scenario may lack its answers; `feedback`
+// (`{ scored, scenario }`) is the scored answer and the scenario with its answers.
+const ScenarioStep = ({ scenario, step, count, feedback, onAnswer, onNext, isLast }) => {
+  const [flagged, setFlagged] = useState([]);
+  const [answering, setAnswering] = useState(false);
+  const scored = feedback ? feedback.scored : null;
+  const revealed = feedback ? feedback.scenario : scenario;
+
+  const answer = async (verdict) => {
+    setAnswering(true);
+    try {
+      await onAnswer({ verdict, flagged });
+    } catch (error) {
+      // useTrainingResults reports the failure; the trainee can answer again
+    } finally {
+      setAnswering(false);
+    }
+  };
+
+  const toggle = (id) => setFlagged(prev => (prev.includes(id) ? prev.filter(existing => existing !== id) : [...prev, id]));
+  const heading = KIND_HEADINGS[scenario.kind];
+  const KindIcon = heading.icon;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-900 flex items-center gap-2">
+          <KindIcon className="w-4 h-4 text-blue-600" />
+          {heading.label}
+          <span className="text-xs font-normal px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">{labelOf(DIFFICULTIES, scenario.difficulty)}</span>
+        </h4>
+        <span className="text-sm text-gray-500">Scenario {step + 1} of {count}</span>
+      </div>
+      <p className="text-sm text-gray-600">
+        Click anything that looks like a red flag, then decide whether this {heading.noun} is phishing.
+      </p>
+
+      <PhishingScenarioView scenario={revealed} flagged={flagged} results={scored && scored.hotspots} onToggle={toggle} />
+
+      {!scored ? (
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={() => answer('phishing')}
+            disabled={answering}
+            className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+          >
+            <Flag className="w-4 h-4" />
+            Report as Phishing
+          </button>
+          <button
+            onClick={() => answer('legitimate')}
+            disabled={answering}
+            className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+          >
+            <CheckCircle className="w-4 h-4" />
+            Looks Legitimate
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <p className={`text-sm font-semibold flex items-center gap-2 ${scored.verdictCorrect ? 'text-green-700' : 'text-red-700'}`}>
+            {scored.verdictCorrect ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+            {scored.verdictCorrect ? 'Correct' : 'Not quite'}: this {heading.noun} is {revealed.isPhishing ? 'phishing' : 'legitimate'}
+            ({labelOf(THREAT_CATEGORIES, revealed.category).toLowerCase()}).
+          </p>
+          <ul className="text-sm space-y-1">
+            {revealed.hotspots.map(hotspot => {
+              const result = scored.hotspots.find(r => r.id === hotspot.id);
+              return (
+                <li key={hotspot.id} className={result.correct ? 'text-gray-700' : 'text-red-700'}>
+                  <strong>{hotspot.text}</strong>: {hotspot.explanation}
+                  {!result.correct && (result.flagged ? ' (you flagged this)' : ' (you missed this)')}
+                </li>
+              );
+            })}
+          </ul>
+          <button
+            onClick={onNext}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            {isLast ? 'Finish Training' : 'Next Scenario'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A member who fell for a simulated phishing email: the email with its red flags revealed
+const PhishedNotice = ({ scenario, onTrain, onDismiss }) => (
+  <div className="mb-6 bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-3">
+    <h4 className="font-semibold text-amber-900 flex items-center gap-2">
+      <AlertTriangle className="w-4 h-4" />
+      That was a simulated phishing email
+    </h4>
+    <p className="text-sm text-amber-900">
+      Your organization sent it to help you practise; nothing you typed was kept. Here are the red flags it carried.
+    </p>
+    <PhishingScenarioView scenario={scenario} results={scenario.hotspots.map(hotspot => ({ id: hotspot.id, correct: !hotspot.isPhishing }))} />
+    <ul className="text-sm text-gray-700 space-y-1">
+      {scenario.hotspots.filter(hotspot => hotspot.isPhishing).map(hotspot => (
+        <li key={hotspot.id}><strong>{hotspot.text}</strong>: {hotspot.explanation}</li>
+      ))}
+    </ul>
+    <div className="flex flex-wrap gap-3">
+      <button onClick={onTrain} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Start Training</button>
+      <button onClick={onDismiss} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors">Dismiss</button>
+    </div>
+  </div>
+);
+
+// Phishing awareness trainer: randomized sessions of simulated emails, text messages and websites
+// from the installed content packs, the educational modules, the member's own results and the
+// organization's pass rate, which can be applied to the risk model. `phishedScenarioKey` is the
+// scenario of a simulated phishing email the member just fell for, if any.
+const PhishingTrainer = ({ trainingResults, onApply, phishedScenarioKey = null, onDismissPhished = () => {} }) => {
+  const training = useTrainingResults();
+  const [screen, setScreen] = useState('home');
+  // `{ id, campaignId, scenarios }` from useTrainingResults' startSession
+  const [session, setSession] = useState(null);
+  const [step, setStep] = useState(0);
+  const [answers, setAnswers] = useState({});
+  const [feedback, setFeedback] = useState({});
+  const [lastAttempt, setLastAttempt] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  // The assigned campaign the session is for, if any
+  const [campaign, setCampaign] = useState(null);
+  const [phished, setPhished] = useState(null);
+
+  const scenarios = useMemo(() => installedScenarios(training.packs), [training.packs]);
+  const assigned = training.campaigns.filter(c => c.progress);
+  const { simulationSummary, revealScenario } = training;
+  const loading = training.mode === 'loading';
+  const moduleName = (packId) => ([BUILT_IN_PACK, ...training.packs].find(pack => pack.id === packId) || { name: packId }).name;
+
+  // Members' packs come without their answers, so the email they fell for is revealed separately
+  useEffect(() => {
+    let cancelled = false;
+    setPhished(null);
+    if (phishedScenarioKey && !loading) {
+      revealScenario(phishedScenarioKey).then(scenario => {
+        if (!cancelled) setPhished(scenario);
+      });
+    }
+    return () => { cancelled = true; };
+  }, [phishedScenarioKey, loading, revealScenario]);
+
+  // A campaign session only draws from the campaign's training module
+  const start = async (forCampaign = null) => {
+    let started;
+    try {
+      if (forCampaign && forCampaign.progress.status === 'not-started') await training.startCampaign(forCampaign.id);
+      started = await training.startSession(forCampaign && forCampaign.id);
+    } catch (error) {
+      return;
+    }
+    setCampaign(forCampaign);
+    setSession(started);
+    setAnswers({});
+    setFeedback({});
+    setStep(0);
+    setLastAttempt(null);
+    setScreen('training');
+  };
+
+  const finish = async () => {
+    setSubmitting(true);
+    try {
+      setLastAttempt(await training.submitAttempt(session, answers));
+      setScreen('result');
+    } catch (error) {
+      // useTrainingResults reports the failure; the answers stay so the trainee can retry
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const scenario = session && session.scenarios[step];
+  const count = session ? session.scenarios.length : 0;
+  const { summary } = training;
+  const trained = Boolean(summary && summary.participants > 0);
+  const simulated = Boolean(simulationSummary && simulationSummary.delivered > 0);
+  const myLatest = training.attempts[training.attempts.length - 1] || null;
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-2 flex items-center gap-2">
+          <GraduationCap className="w-5 h-5 text-blue-600" />
+          Phishing Awareness Trainer
+        </h3>
+        <p className="text-sm text-gray-600 mb-6">
+          Practise spotting phishing emails, text messages and fake websites. Each session draws {sessionLength(scenarios)} of
+          the {scenarios.length} installed scenarios, mixing difficulties. You pass with {Math.round(PASS_ACCURACY * 100)}% of decisions right;
+          {training.mode === 'server'
+            ? ' your results count towards your organization\'s pass rate.'
+            : ' results are kept in this browser until you log in.'}
+        </p>
+
+        {training.error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">{training.error}</div>
+        )}
+
+        {screen === 'home' && phished && (
+          <PhishedNotice
+            scenario={phished}
+            onTrain={() => {
+              onDismissPhished();
+              start();
+            }}
+            onDismiss={onDismissPhished}
+          />
+        )}
+
+        {screen === 'home' && (
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={() => start()}
+              disabled={loading}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              <Mail className="w-4 h-4" />
+              Start Training
+            </button>
+            <button
+              onClick={() => setScreen('education')}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <BookOpen className="w-4 h-4" />
+              Educational Modules
+            </button>
+            <button
+              onClick={() => setScreen('packs')}
+              disabled={loading}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              <Package className="w-4 h-4" />
+              Content Packs
+            </button>
+            {training.canManageCampaigns && (
+              <button
+                onClick={() => setScreen('campaigns')}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Megaphone className="w-4 h-4" />
+                Campaigns &amp; Reporting
+              </button>
+            )}
+            {training.canManageCampaigns && (
+              <button
+                onClick={() => setScreen('simulations')}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <MailWarning className="w-4 h-4" />
+                Simulated Phishing
+              </button>
+            )}
+          </div>
+        )}
+
+        {screen === 'home' && assigned.length > 0 && (
+          <div className="mt-6">
+            <h4 className="font-medium text-gray-900 mb-2 flex items-center gap-2">
+              <CalendarClock className="w-4 h-4 text-blue-600" />
+              Your Assigned Training
+            </h4>
+            <div className="space-y-2">
+              {assigned.map(assignment => (
+                <div key={assignment.id} className="flex flex-wrap items-center justify-between gap-3 border border-gray-200 rounded-lg p-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{assignment.name}</p>
+                    <p className="text-xs text-gray-500">{moduleName(assignment.packId)} · due {assignment.dueDate}</p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <StatusBadge status={assignment.progress.status} overdue={assignment.progress.overdue} />
+                    <button
+                      onClick={() => start(assignment)}
+                      className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      {{ 'not-started': 'Start', started: 'Continue', finished: 'Retake', passed: 'Practise Again' }[assignment.progress.status]}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {screen === 'training' && scenario && (
+          <ScenarioStep
+            key={scenario.key}
+            scenario={scenario}
+            step={step}
+            count={count}
+            feedback={feedback[scenario.key]}
+            onAnswer={async (answer) => {
+              const answered = await training.answerScenario(session, scenario, answer);
+              setAnswers(prev => ({ ...prev, [scenario.key]: answer }));
+              setFeedback(prev => ({ ...prev, [scenario.key]: answered }));
+            }}
+            onNext={() => (step < count - 1 ? setStep(step + 1) : finish())}
+            isLast={step === count - 1}
+          />
+        )}
+        {screen === 'training' && submitting && <p className="text-sm text-gray-500 mt-3">Recording your results…</p>}
+
+        {screen === 'result' && lastAttempt && (
+          <div className="space-y-4">
+            <p className={`text-lg font-semibold ${lastAttempt.passed ? 'text-green-700' : 'text-red-700'}`}>
+              {lastAttempt.passed ? 'Passed' : 'Not passed yet'}: {formatPercent(lastAttempt.accuracy)} of your decisions were right.
+            </p>
+            {campaign && <p className="text-sm text-gray-600">Recorded for the "{campaign.name}" campaign.</p>}
+            <div className="flex flex-wrap gap-3">
+              <button onClick={() => start(campaign && training.campaigns.find(c => c.id === campaign.id))} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Try Again</button>
+              <button onClick={() => setScreen('home')} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors">Done</button>
+            </div>
+          </div>
+        )}
+
+        {screen === 'education' && (
+          <div className="space-y-4">
+            {EDUCATION_MODULES.map((module, index) => (
+              <div key={module.id} className="bg-gray-50 rounded-lg p-4">
+                <h4 className="font-semibold text-gray-900 mb-2">Module {index + 1}: {module.title}</h4>
+                <ul className="list-disc list-inside text-sm text-gray-700 space-y-1">
+                  {module.points.map(point => <li key={point}>{point}</li>)}
+                </ul>
+              </div>
+            ))}
+            <button onClick={() => setScreen('home')} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors">Back</button>
+          </div>
+        )}
+
+        {screen === 'campaigns' && (
+          <TrainingCampaigns
+            campaigns={training.campaigns}
+            packs={training.packs}
+            user={training.user}
+            onSave={training.saveCampaign}
+            onRemove={training.removeCampaign}
+            onClose={() => setScreen('home')}
+          />
+        )}
+
+        {screen === 'simulations' && (
+          <PhishingSimulations
+            scenarios={scenarios}
+            user={training.user}
+            onChange={training.reloadSimulationSummary}
+            onClose={() => setScreen('home')}
+          />
+        )}
+
+        {screen === 'packs' && (
+          <ContentPackManager
+            packs={training.packs}
+            canEdit={training.canEditPacks}
+            mode={training.mode}
+            onSave={training.savePack}
+            onRemove={training.removePack}
+            onClose={() => setScreen('home')}
+          />
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h4 className="font-semibold text-gray-900 mb-3">Your Results</h4>
+          {myLatest ? (
+            <div className="text-sm text-gray-700 space-y-1">
+              <p>Latest attempt: <strong>{formatPercent(myLatest.accuracy)}</strong> accuracy, {myLatest.passed ? 'passed' : 'not passed'}</p>
+              <p>Completed {new Date(myLatest.completedAt).toLocaleString()}; {training.attempts.length} attempt{training.attempts.length === 1 ? '' : 's'} in total</p>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">{loading ? 'Loading…' : 'You haven\'t completed the training yet.'}</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h4 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+            <Users className="w-4 h-4 text-blue-600" />
+            {training.mode === 'server' ? 'Organization Results' : 'This Browser\'s Results'}
+          </h4>
+          {trained ? (
+            <div className="grid grid-cols-3 gap-3 text-center">
+              <div>
+                <p className="text-2xl font-bold text-gray-900">{formatPercent(summary.passRate)}</p>
+                <p className="text-xs text-gray-500">Pass rate</p>
+              </div>
+              <div>
+                <p className="text-2xl font-bold text-gray-900">{formatPercent(summary.meanAccuracy)}</p>
+                <p className="text-xs text-gray-500">Mean accuracy</p>
+              </div>
+              <div>
+                <p className="text-2xl font-bold text-gray-900">{summary.participants}</p>
+                <p className="text-xs text-gray-500">Trained</p>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No completed training yet.</p>
+          )}
+          {simulated && (
+            <p className="mt-3 text-xs text-gray-600 text-center">
+              Simulated phishing: {formatPercent(simulationSummary.clickRate)} clicked and {formatPercent(simulationSummary.reportRate)} reported
+              across {simulationSummary.delivered} email{simulationSummary.delivered === 1 ? '' : 's'}
+            </p>
+          )}
+          {(trained || simulated) && (
+            <button
+              onClick={() => onApply(toTrainingInputs(trained ? summary : summarizeTrainingResults([]), { simulations: simulationSummary }))}
+              className="mt-3 w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+            >
+              Apply to Risk Model
+            </button>
+          )}
+
+          <div className="mt-4 pt-4 border-t border-gray-100 text-xs text-gray-600">
+            {trainingResults ? (
+              <div className="flex items-start justify-between gap-3">
+                {trainingResults.passRate === null ? (
+                  <span>
+                    The assessment uses a {formatPercent(trainingResults.simulation.clickRate)} simulated phishing click rate
+                    with {formatPercent(trainingResults.simulation.reportRate)} reported (applied {new Date(trainingResults.asOf).toLocaleDateString()}) for
+                    Phishing frequency, and the Phishing Training control's maturity for its effectiveness.
+                  </span>
+                ) : (
+                  <span>
+                    The assessment uses a {formatPercent(trainingResults.passRate)} pass rate ({trainingResults.participants} trained,
+                    applied {new Date(trainingResults.asOf).toLocaleDateString()}) for phishing training effectiveness
+                    {trainingResults.simulation
+                      ? `, and a ${formatPercent(trainingResults.simulation.clickRate)} simulated phishing click rate with ${formatPercent(trainingResults.simulation.reportRate)} reported for Phishing frequency.`
+                      : ' and Phishing frequency.'}
+                  </span>
+                )}
+                <button onClick={() => onApply(null)} className="text-blue-600 hover:underline whitespace-nowrap">Use maturity instead</button>
+              </div>
+            ) : (
+              <span>The assessment uses the Phishing Training control's maturity until results are applied.</span>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PhishingTrainer;
@@ -0,0 +1,262 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Layers, Upload, Download, FileSpreadsheet, ArrowUp, ArrowDown } from 'lucide-react';
+import { useSimulationBatch } from '../simulation/useSimulation';
+import { buildRiskModel, combineSimulation } from '../engine';
+import {
+  parsePortfolioCsv,
+  buildPortfolioTemplateCsv,
+  buildPortfolioResultsCsv,
+  summarizeEntity
+} from '../portfolio/portfolio';
+import { downloadFile } from '../export/downloadFile';
+
+const SIMULATION_OPTIONS = { portfolio: true };
+
+const formatCompactCurrency = (value) => {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(0)}K`;
+  return `$${value}`;
+};
+
+const formatProbability = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Names sort alphabetically; missing numbers sort below every value
+const compareValues = (left, right) => {
+  if (typeof left === 'string') return left.localeCompare(right);
+  const a = left === null || left === undefined ? -Infinity : left;
+  const b = right === null || right === undefined ? -Infinity : right;
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+// Assess many entities from one CSV: every row runs the same model and simulation as the working
+// assessment, with its own size, revenue, insurance limit and control maturities
+const PortfolioAnalysis = ({ file, template, onFileChange, formatCurrency }) => {
+  const [sort, setSort] = useState({ key: 'ale', descending: true });
+  const fileInput = useRef(null);
+
+  const parsed = useMemo(() => (file ? parsePortfolioCsv(file.text, template) : null), [file, template]);
+
+  // Each model carries its entity so results never pair a name with another row's numbers
+  const models = useMemo(() => {
+    if (!parsed || parsed.entities.length === 0) return null;
+    return parsed.entities.map(entity => ({ ...buildRiskModel(entity.inputs), entity }));
+  }, [parsed]);
+
+  const simulation = useSimulationBatch(models, SIMULATION_OPTIONS);
+
+  const summaries = useMemo(() => {
+    if (!models || !simulation.models || !simulation.outputs) return null;
+    return simulation.models.map((model, index) => {
+      const results = combineSimulation(model, simulation.outputs[index]);
+      return { ...summarizeEntity(model.entity, results), annual95th: results.aggregate.percentiles['95th'] };
+    });
+  }, [models, simulation.models, simulation.outputs]);
+
+  const scenarioNames = useMemo(() => {
+    if (!summaries) return [];
+    return [...new Set(summaries.flatMap(summary => Object.keys(summary.medians)))];
+  }, [summaries]);
+
+  const sortedSummaries = useMemo(() => {
+    if (!summaries) return [];
+    const valueOf = (summary) => (sort.key.startsWith('median:') ? summary.medians[sort.key.slice(7)] : summary[sort.key]);
+    return [...summaries].sort((a, b) => {
+      const order = compareValues(valueOf(a), valueOf(b));
+      return sort.descending ? -order : order;
+    });
+  }, [summaries, sort]);
+
+  const portfolio = simulation.portfolio;
+  const totals = useMemo(() => {
+    if (!summaries) return null;
+    return {
+      insuranceGap: summaries.reduce((sum, summary) => sum + summary.insuranceGap, 0),
+      annual95th: summaries.reduce((sum, summary) => sum + summary.annual95th, 0)
+    };
+  }, [summaries]);
+
+  const skippedRows = parsed ? new Set(parsed.errors.map(error => error.row)).size : 0;
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    onFileChange({ fileName: selected.name, text: await selected.text() });
+  };
+
+  const toggleSort = (key) => {
+    setSort(prev => (prev.key === key ? { key, descending: !prev.descending } : { key, descending: key !== 'name' }));
+  };
+
+  const columns = [
+    { key: 'name', label: 'Entity', align: 'left', format: value => value },
+    { key: 'securityScore', label: 'Security Score', format: value => `${value}%` },
+    { key: 'totalCost', label: 'Total Cost', format: formatCurrency },
+    { key: 'ale', label: 'ALE', format: formatCurrency },
+    { key: 'insuranceGap', label: 'Insurance Gap', format: formatCurrency },
+    ...scenarioNames.map(name => ({ key: `median:${name}`, label: `${name} Median`, format: formatCurrency }))
+  ];
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-2 flex items-center gap-2">
+          <Layers className="w-5 h-5 text-blue-600" />
+          Portfolio Analysis
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Upload a CSV with one row per subsidiary or client: a name, employees, revenue, insurance (aggregate limit) and a
+          column per control with its maturity (0–5, or yes/no). Each entity uses the current assessment's threat scenarios,
+          insurance terms, industry profile and data holdings; blank cells also fall back to the current assessment.
+        </p>
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={() => fileInput.current.click()}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            Upload CSV
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,text/csv"
+            aria-label="Portfolio CSV"
+            onChange={handleFile}
+            className="hidden"
+          />
+          <button
+            onClick={() => downloadFile('portfolio-template.csv', buildPortfolioTemplateCsv(template), 'text/csv')}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <FileSpreadsheet className="w-4 h-4" />
+            Download Template
+          </button>
+          {summaries && (
+            <button
+              onClick={() => downloadFile('portfolio-results.csv', buildPortfolioResultsCsv(sortedSummaries, scenarioNames), 'text/csv')}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <Download className="w-4 h-4" />
+              Download Results CSV
+            </button>
+          )}
+        </div>
+
+        {file && (
+          <p className="text-sm text-gray-600 mt-4">
+            {file.fileName}: {parsed.entities.length} {parsed.entities.length === 1 ? 'entity' : 'entities'} loaded
+            {skippedRows > 0 && `, ${skippedRows} ${skippedRows === 1 ? 'row' : 'rows'} skipped`}
+            {simulation.isSimulating && <span className="text-blue-600"> • Running simulations…</span>}
+          </p>
+        )}
+
+        {parsed && parsed.errors.length > 0 && (
+          <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+            <p className="font-semibold">
+              {parsed.errors.some(error => error.field === 'file') ? 'The file could not be loaded:' : 'These rows have invalid values and were left out:'}
+            </p>
+            <ul className="list-disc list-inside mt-1">
+              {parsed.errors.slice(0, 20).map((error, index) => (
+                <li key={index}>Row {error.row}, {error.field}: {error.message}</li>
+              ))}
+            </ul>
+            {parsed.errors.length > 20 && <p className="mt-1">…and {parsed.errors.length - 20} more</p>}
+          </div>
+        )}
+      </div>
+
+      {summaries && portfolio && (
+        <>
+          <div className="grid md:grid-cols-4 gap-6">
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600">Portfolio ALE</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(portfolio.ale)}</p>
+              <p className="text-xs text-gray-500">{summaries.length} entities</p>
+            </div>
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600">Median Annual Loss</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(portfolio.percentiles.Median)}</p>
+              <p className="text-xs text-gray-500">{formatProbability(portfolio.probabilityOfLoss)} chance of any loss</p>
+            </div>
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600">95th Percentile Annual Loss</p>
+              <p className="text-2xl font-bold text-red-600">{formatCurrency(portfolio.percentiles['95th'])}</p>
+              <p className="text-xs text-gray-500">vs {formatCurrency(totals.annual95th)} summed across entities</p>
+            </div>
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600">Total Insurance Gap</p>
+              <p className="text-2xl font-bold text-orange-600">{formatCurrency(totals.insuranceGap)}</p>
+              <p className="text-xs text-gray-500">Retained above retention, median incidents</p>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h4 className="text-lg font-semibold text-gray-900 mb-2">Portfolio Loss Exceedance</h4>
+            <p className="text-sm text-gray-600 mb-4">
+              Probability that the combined annual loss of all entities exceeds each amount. Entities are simulated as
+              independent, so the portfolio's tail is lower than the sum of every entity's own tail.
+            </p>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={portfolio.exceedanceCurve}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="loss" type="number" scale="log" domain={['dataMin', 'dataMax']} tickFormatter={formatCompactCurrency} />
+                  <YAxis tickFormatter={formatProbability} domain={[0, 'auto']} />
+                  <Tooltip
+                    labelFormatter={(loss) => `Annual loss > ${formatCurrency(loss)}`}
+                    formatter={(value) => [formatProbability(value), 'Probability']}
+                  />
+                  <Line type="monotone" dataKey="probability" stroke="#1f2937" strokeWidth={3} dot={false} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h4 className="text-lg font-semibold text-gray-900 mb-4">Entities</h4>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-gray-600">
+                    {columns.map(column => (
+                      <th key={column.key} className={`py-2 px-3 font-medium whitespace-nowrap ${column.align === 'left' ? 'text-left' : 'text-right'}`}>
+                        <button onClick={() => toggleSort(column.key)} className="inline-flex items-center gap-1 hover:text-gray-900">
+                          {column.label}
+                          {sort.key === column.key && (sort.descending
+                            ? <ArrowDown className="w-3 h-3" />
+                            : <ArrowUp className="w-3 h-3" />)}
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortedSummaries.map(summary => (
+                    <tr key={summary.id} className="border-b border-gray-100">
+                      {columns.map(column => {
+                        const value = column.key.startsWith('median:') ? summary.medians[column.key.slice(7)] : summary[column.key];
+                        return (
+                          <td
+                            key={column.key}
+                            className={`py-2 px-3 whitespace-nowrap ${column.align === 'left' ? 'text-left font-medium text-gray-900' : 'text-right'}`}
+                          >
+                            {value === undefined || value === null ? '—' : column.format(value)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioAnalysis;
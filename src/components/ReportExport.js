@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { FileText, Presentation } from 'lucide-react';
+import { BRAND, buildReport, loadImageDataUrl } from '../export/reportContent';
+
+export const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Export the Executive Summary as a branded PDF report or PowerPoint deck, generated in the browser
+const ReportExport = ({ inputs, results, investmentAnalysis, assessmentName }) => {
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setError(null);
+    try {
+      const report = buildReport({ inputs, results, investmentAnalysis, assessmentName });
+      const logo = await loadImageDataUrl(BRAND.logoUrl);
+      const baseName = `${slugify(assessmentName || 'cyber-risk-assessment')}-${report.generatedAt.toISOString().slice(0, 10)}`;
+
+      if (format === 'pdf') {
+        const { exportPdfReport } = await import('../export/pdfReport');
+        await exportPdfReport(report, { logo, fileName: `${baseName}.pdf` });
+      } else {
+        const { exportPptxReport } = await import('../export/pptxReport');
+        await exportPptxReport(report, { logo, fileName: `${baseName}.pptx` });
+      }
+    } catch (err) {
+      console.error('Report export error:', err);
+      setError('The report could not be generated. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <div className="flex gap-2">
+        <button
+          onClick={() => handleExport('pdf')}
+          disabled={exporting !== null}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <FileText className="w-4 h-4" />
+          {exporting === 'pdf' ? 'Exporting…' : 'Export PDF'}
+        </button>
+        <button
+          onClick={() => handleExport('pptx')}
+          disabled={exporting !== null}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+        >
+          <Presentation className="w-4 h-4" />
+          {exporting === 'pptx' ? 'Exporting…' : 'Export PowerPoint'}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ReportExport;
@@ -0,0 +1,282 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Milestone, Plus, Trash2 } from 'lucide-react';
+import { MATURITY_LEVELS, MAX_MATURITY } from '../controls/controlCatalog';
+import {
+  ROADMAP_LIMITS,
+  QUARTERS_PER_YEAR,
+  MAX_MILESTONES,
+  createMilestone,
+  formatQuarter
+} from '../roadmap/controlRoadmap';
+import { projectRoadmap } from '../model/roadmapProjection';
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+const formatCompactCurrency = (value) => {
+  if (Math.abs(value) >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (Math.abs(value) >= 1000) return `$${(value / 1000).toFixed(0)}K`;
+  return `$${value}`;
+};
+
+const ASSUMPTIONS = [
+  { field: 'employeeGrowth', label: 'Employee growth (%/yr)', limits: ROADMAP_LIMITS.growth },
+  { field: 'revenueGrowth', label: 'Revenue growth (%/yr)', limits: ROADMAP_LIMITS.growth },
+  { field: 'lossInflation', label: 'Loss-cost inflation (%/yr)', limits: ROADMAP_LIMITS.lossInflation }
+];
+
+// Multi-year roadmap: schedule control maturity changes by quarter and project expected loss,
+// avoided loss and control spend against keeping today's controls
+const RoadmapPlanner = ({ inputs, onChange, formatCurrency }) => {
+  const { roadmap, controls } = inputs;
+  const quarterCount = roadmap.years * QUARTERS_PER_YEAR;
+
+  const projection = useMemo(() => {
+    try {
+      return projectRoadmap(inputs);
+    } catch (error) {
+      console.error('Roadmap projection error:', error);
+      return null;
+    }
+  }, [inputs]);
+
+  const update = (changes) => onChange({ ...roadmap, ...changes });
+
+  const updateMilestone = (id, changes) => {
+    update({ milestones: roadmap.milestones.map(milestone => (milestone.id === id ? { ...milestone, ...changes } : milestone)) });
+  };
+
+  // Start with the first control that has room to mature
+  const addMilestone = () => {
+    const control = controls.find(c => c.maturity < MAX_MATURITY) || controls[0];
+    update({ milestones: [...roadmap.milestones, createMilestone(control.id, 1, MAX_MATURITY)] });
+  };
+
+  const removeMilestone = (id) => {
+    update({ milestones: roadmap.milestones.filter(milestone => milestone.id !== id) });
+  };
+
+  const hasCosts = controls.some(control => control.annualCost > 0);
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-semibold text-gray-900 mb-2 flex items-center gap-2">
+          <Milestone className="w-5 h-5 text-blue-600" />
+          Control Roadmap
+        </h3>
+        <p className="text-gray-600 text-sm mb-6">
+          Schedule when each control reaches a new maturity level. Every quarter is scored with the same model as the Risk Analysis,
+          using that quarter's control maturities and your growth and inflation assumptions, and compared with keeping today's controls.
+        </p>
+
+        <div className="grid md:grid-cols-4 gap-4 mb-6">
+          <label className="text-sm font-medium text-gray-700">
+            Projection horizon
+            <select
+              value={roadmap.years}
+              onChange={(e) => update({ years: parseInt(e.target.value) })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {Array.from({ length: ROADMAP_LIMITS.years.max - ROADMAP_LIMITS.years.min + 1 }, (_, i) => ROADMAP_LIMITS.years.min + i).map(years => (
+                <option key={years} value={years}>{years} years</option>
+              ))}
+            </select>
+          </label>
+          {ASSUMPTIONS.map(({ field, label, limits }) => (
+            <label key={field} className="text-sm font-medium text-gray-700">
+              {label}
+              <input
+                type="number"
+                min={limits.min * 100}
+                max={limits.max * 100}
+                step={0.5}
+                value={Math.round(roadmap[field] * 1000) / 10}
+                onChange={(e) => update({ [field]: clamp((parseFloat(e.target.value) || 0) / 100, limits) })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-lg font-semibold text-gray-900">Milestones</h4>
+          <button
+            onClick={addMilestone}
+            disabled={controls.length === 0 || roadmap.milestones.length >= MAX_MILESTONES}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add Milestone
+          </button>
+        </div>
+
+        {roadmap.milestones.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No milestones yet. Add one for each control change you plan, such as MFA to full maturity in Y1 Q1.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {roadmap.milestones.map(milestone => {
+              const control = controls.find(c => c.id === milestone.controlId);
+              return (
+                <div key={milestone.id} className="grid md:grid-cols-12 gap-3 items-center p-3 bg-gray-50 rounded-lg">
+                  <select
+                    aria-label="Milestone control"
+                    value={milestone.controlId}
+                    onChange={(e) => updateMilestone(milestone.id, { controlId: e.target.value })}
+                    className="md:col-span-5 px-3 py-1.5 bg-white border border-gray-300 rounded-lg"
+                  >
+                    {!control && <option value={milestone.controlId}>Removed control</option>}
+                    {controls.map(c => (
+                      <option key={c.id} value={c.id}>{c.name} (today {c.maturity}/5)</option>
+                    ))}
+                  </select>
+                  <select
+                    aria-label="Milestone quarter"
+                    value={milestone.quarter}
+                    onChange={(e) => updateMilestone(milestone.id, { quarter: parseInt(e.target.value) })}
+                    className="md:col-span-2 px-3 py-1.5 bg-white border border-gray-300 rounded-lg"
+                  >
+                    {Array.from({ length: Math.max(quarterCount, milestone.quarter) }, (_, i) => i + 1).map(quarter => (
+                      <option key={quarter} value={quarter}>{formatQuarter(quarter)}</option>
+                    ))}
+                  </select>
+                  <select
+                    aria-label="Milestone maturity"
+                    value={milestone.maturity}
+                    onChange={(e) => updateMilestone(milestone.id, { maturity: parseInt(e.target.value) })}
+                    className="md:col-span-4 px-3 py-1.5 bg-white border border-gray-300 rounded-lg"
+                  >
+                    {MATURITY_LEVELS.map(level => (
+                      <option key={level.value} value={level.value}>{level.value} – {level.label}</option>
+                    ))}
+                  </select>
+                  <div className="md:col-span-1 flex justify-end">
+                    <button
+                      onClick={() => removeMilestone(milestone.id)}
+                      className="p-1.5 text-gray-500 hover:text-red-600 rounded"
+                      aria-label="Remove milestone"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                  {(!control || milestone.quarter > quarterCount) && (
+                    <p className="md:col-span-12 text-xs text-amber-700">
+                      {!control
+                        ? 'This control is no longer in the catalog, so the milestone is ignored.'
+                        : 'This quarter is beyond the projection horizon, so the milestone is ignored.'}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {projection && (
+        <>
+          <div className="grid md:grid-cols-4 gap-6">
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600">Expected Loss, Year {roadmap.years}</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(projection.years[projection.years.length - 1].expectedLoss)}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {formatCurrency(projection.years[projection.years.length - 1].currentExpectedLoss)} with today's controls
+              </p>
+            </div>
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600">Cumulative Avoided Loss</p>
+              <p className="text-2xl font-bold text-green-600">{formatCurrency(projection.totals.avoidedLoss)}</p>
+            </div>
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600">Cumulative Additional Spend</p>
+              <p className="text-2xl font-bold text-blue-600">{formatCurrency(projection.totals.additionalSpend)}</p>
+              {!hasCosts && <p className="text-xs text-gray-500 mt-1">Enter control costs on the Inputs tab to project spend.</p>}
+            </div>
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <p className="text-sm text-gray-600">Net Benefit</p>
+              <p className={`text-2xl font-bold ${projection.totals.netBenefit >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatCurrency(projection.totals.netBenefit)}
+              </p>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-2">Residual Risk Trend</h3>
+            <p className="text-gray-600 text-sm mb-4">
+              Expected annual loss during each quarter, after controls, with the roadmap and with today's controls held unchanged.
+            </p>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={projection.quarters}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis yAxisId="loss" tickFormatter={formatCompactCurrency} />
+                  <YAxis yAxisId="score" orientation="right" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+                  <Tooltip formatter={(value, name) => [name === 'Security score' ? `${value}%` : formatCurrency(value), name]} />
+                  <Legend />
+                  <Line yAxisId="loss" type="stepAfter" dataKey="expectedLoss" name="With roadmap" stroke="#10b981" strokeWidth={2} dot={false} />
+                  <Line yAxisId="loss" type="monotone" dataKey="currentExpectedLoss" name="Today's controls" stroke="#ef4444" strokeWidth={2} dot={false} />
+                  <Line yAxisId="score" type="stepAfter" dataKey="securityScore" name="Security score" stroke="#6b7280" strokeDasharray="4 4" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg p-6">
+            <h3 className="text-xl font-semibold text-gray-900 mb-2">Avoided Loss vs. Control Spend</h3>
+            <p className="text-gray-600 text-sm mb-4">
+              Running totals from the start of the roadmap. Spend is the roadmap's control run-rate above today's, scaled by maturity
+              from each control's annual cost at full maturity.
+            </p>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={projection.years.map(year => ({ ...year, label: `Year ${year.year}` }))}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis tickFormatter={formatCompactCurrency} />
+                  <Tooltip formatter={(value, name) => [formatCurrency(value), name]} />
+                  <Legend />
+                  <Bar dataKey="cumulativeAvoidedLoss" name="Cumulative avoided loss" fill="#10b981" />
+                  <Bar dataKey="cumulativeSpend" name="Cumulative additional spend" fill="#3b82f6" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="overflow-x-auto mt-6">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-gray-600">
+                    <th className="text-left py-2 pr-4 font-medium">Year</th>
+                    <th className="text-right py-2 px-4 font-medium">Security Score</th>
+                    <th className="text-right py-2 px-4 font-medium">Median Incident</th>
+                    <th className="text-right py-2 px-4 font-medium">Expected Loss</th>
+                    <th className="text-right py-2 px-4 font-medium">Today's Controls</th>
+                    <th className="text-right py-2 px-4 font-medium">Avoided Loss</th>
+                    <th className="text-right py-2 pl-4 font-medium">Additional Spend</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {projection.years.map(year => (
+                    <tr key={year.year} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 font-medium text-gray-900">Year {year.year}</td>
+                      <td className="py-2 px-4 text-right">{year.securityScore}%</td>
+                      <td className="py-2 px-4 text-right">{formatCurrency(year.incidentCost)}</td>
+                      <td className="py-2 px-4 text-right">{formatCurrency(year.expectedLoss)}</td>
+                      <td className="py-2 px-4 text-right">{formatCurrency(year.currentExpectedLoss)}</td>
+                      <td className="py-2 px-4 text-right text-green-700">{formatCurrency(year.avoidedLoss)}</td>
+                      <td className="py-2 pl-4 text-right">{formatCurrency(year.additionalSpend)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RoadmapPlanner;
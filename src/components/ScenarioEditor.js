@@ -0,0 +1,211 @@
+import React from 'react';
+import { Plus, Copy, Trash2, RotateCcw, Target } from 'lucide-react';
+import { DEFAULT_THREAT_SCENARIOS, MAX_SCENARIOS, createScenario, cloneScenario, validateScenario } from '../scenarios/threatScenarios';
+
+const NumberField = ({ id, label, value, onChange, step = 'any', hasError }) => (
+  <label htmlFor={id} className="block text-xs font-medium text-gray-600">
+    {label}
+    <input
+      id={id}
+      type="number"
+      min={0}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+      className={`mt-1 w-full px-3 py-1.5 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+        hasError ? 'border-red-500' : 'border-gray-300'
+      }`}
+    />
+  </label>
+);
+
+// Add, clone, disable and delete threat scenarios, and edit their frequency, magnitude and control mapping
+const ScenarioEditor = ({ scenarios, controls, onChange }) => {
+  const updateScenario = (id, changes) => {
+    onChange(scenarios.map(scenario => (scenario.id === id ? { ...scenario, ...changes } : scenario)));
+  };
+
+  const toggleControl = (scenario, controlId) => {
+    const mapped = scenario.controls.includes(controlId)
+      ? scenario.controls.filter(id => id !== controlId)
+      : [...scenario.controls, controlId];
+    updateScenario(scenario.id, { controls: mapped });
+  };
+
+  const cloneAt = (scenario) => {
+    const index = scenarios.findIndex(s => s.id === scenario.id);
+    const next = [...scenarios];
+    next.splice(index + 1, 0, cloneScenario(scenario));
+    onChange(next);
+  };
+
+  const removeScenario = (id) => {
+    onChange(scenarios.filter(scenario => scenario.id !== id));
+  };
+
+  const enabledCount = scenarios.filter(scenario => scenario.enabled).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+              <Target className="w-5 h-5 text-blue-600" />
+              Threat Scenario Library
+            </h3>
+            <p className="text-sm text-gray-600 mt-1">
+              {enabledCount} of {scenarios.length} scenarios enabled. Frequency is events per year (min / most likely / max);
+              loss range is the 5th–95th percentile cost of one incident before organization scaling. Breach costs for
+              the data records a scenario exposes are added on top.
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onChange([...scenarios, createScenario(controls.map(control => control.id))])}
+              disabled={scenarios.length >= MAX_SCENARIOS}
+              title={scenarios.length >= MAX_SCENARIOS ? `An assessment can have at most ${MAX_SCENARIOS} scenarios` : undefined}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              Add Scenario
+            </button>
+            <button
+              onClick={() => onChange(DEFAULT_THREAT_SCENARIOS)}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Reset Library
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        {scenarios.map(scenario => {
+          const errors = validateScenario(scenario);
+
+          return (
+            <div
+              key={scenario.id}
+              className={`bg-white rounded-xl shadow-lg p-6 space-y-4 ${scenario.enabled ? '' : 'opacity-60'}`}
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div className="flex-1">
+                  <input
+                    aria-label="Scenario name"
+                    value={scenario.name}
+                    onChange={(e) => updateScenario(scenario.id, { name: e.target.value })}
+                    className={`w-full px-3 py-1.5 text-lg font-semibold border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      errors.name ? 'border-red-500' : 'border-gray-200'
+                    }`}
+                  />
+                  {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name}</p>}
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 mt-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={scenario.enabled}
+                    onChange={(e) => updateScenario(scenario.id, { enabled: e.target.checked })}
+                    className="w-4 h-4 text-blue-600 rounded"
+                  />
+                  Enabled
+                </label>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Loss Event Frequency (per year)</p>
+                <div className="grid grid-cols-3 gap-3">
+                  {[['min', 'Min'], ['mostLikely', 'Most likely'], ['max', 'Max']].map(([field, label]) => (
+                    <NumberField
+                      key={field}
+                      id={`${scenario.id}-frequency-${field}`}
+                      label={label}
+                      step={0.01}
+                      value={scenario.frequency[field]}
+                      hasError={Boolean(errors.frequency)}
+                      onChange={(value) => updateScenario(scenario.id, { frequency: { ...scenario.frequency, [field]: value } })}
+                    />
+                  ))}
+                </div>
+                {errors.frequency && <p className="text-red-500 text-sm mt-1">{errors.frequency}</p>}
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Loss Magnitude per Incident ($)</p>
+                <div className="grid grid-cols-2 gap-3">
+                  {[['low', 'Low (5th percentile)'], ['high', 'High (95th percentile)']].map(([field, label]) => (
+                    <NumberField
+                      key={field}
+                      id={`${scenario.id}-magnitude-${field}`}
+                      label={label}
+                      step={1000}
+                      value={scenario.magnitude[field]}
+                      hasError={Boolean(errors.magnitude)}
+                      onChange={(value) => updateScenario(scenario.id, { magnitude: { ...scenario.magnitude, [field]: value } })}
+                    />
+                  ))}
+                </div>
+                {errors.magnitude && <p className="text-red-500 text-sm mt-1">{errors.magnitude}</p>}
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <NumberField
+                  id={`${scenario.id}-record-exposure`}
+                  label="Data records exposed (% of holdings)"
+                  step={1}
+                  value={Math.round((scenario.recordExposure || 0) * 100)}
+                  hasError={Boolean(errors.recordExposure)}
+                  onChange={(value) => updateScenario(scenario.id, { recordExposure: value / 100 })}
+                />
+              </div>
+              {errors.recordExposure && <p className="text-red-500 text-sm">{errors.recordExposure}</p>}
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Controls That Reduce This Scenario</p>
+                <div className="flex flex-wrap gap-2">
+                  {controls.map(control => {
+                    const mapped = scenario.controls.includes(control.id);
+                    return (
+                      <button
+                        key={control.id}
+                        onClick={() => toggleControl(scenario, control.id)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                          mapped
+                            ? 'bg-blue-50 border-blue-300 text-blue-700'
+                            : 'bg-white border-gray-200 text-gray-500 hover:text-gray-700'
+                        }`}
+                        aria-pressed={mapped}
+                      >
+                        {control.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div className="flex justify-end gap-2 pt-3 border-t border-gray-200">
+                <button
+                  onClick={() => cloneAt(scenario)}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                  <Copy className="w-4 h-4" />
+                  Clone
+                </button>
+                <button
+                  onClick={() => removeScenario(scenario.id)}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Delete
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioEditor;
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import {
+  DEFAULT_SENSITIVITY_RANGE,
+  SENSITIVITY_METRICS,
+  SENSITIVITY_RANGES,
+  analyzeSensitivity
+} from '../model/sensitivity';
+
+// Drivers shown in the tornado; the table lists every driver that moves the metric
+const TORNADO_DRIVERS = 12;
+
+const LOW_KEY = 'Driver low';
+const HIGH_KEY = 'Driver high';
+
+const formatCompactDelta = (value) => {
+  const sign = value < 0 ? '-' : value > 0 ? '+' : '';
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1000000) return `${sign}$${(magnitude / 1000000).toFixed(1)}M`;
+  if (magnitude >= 1000) return `${sign}$${(magnitude / 1000).toFixed(0)}K`;
+  return `${sign}$${magnitude}`;
+};
+
+const formatDriverValue = (driver, value, formatCurrency) => {
+  switch (driver.group) {
+    case 'Organization':
+      return driver.id === 'revenue' ? formatCurrency(value) : Math.round(value).toLocaleString();
+    case 'Control':
+      return `${value}/5`;
+    case 'Security weight':
+      return value.toFixed(2);
+    case 'Cost category':
+      return formatCurrency(value);
+    default:
+      return `×${value.toFixed(2)}`;
+  }
+};
+
+const formatElasticity = (elasticity) => (elasticity === null ? '—' : elasticity.toFixed(2));
+
+// One-at-a-time sensitivity of expected loss to each model driver: a tornado chart of the largest
+// swings and a table of elasticities
+const SensitivityAnalysis = ({ inputs, formatCurrency }) => {
+  const [range, setRange] = useState(DEFAULT_SENSITIVITY_RANGE);
+  const [metric, setMetric] = useState('ale');
+
+  const analysis = useMemo(() => {
+    try {
+      return analyzeSensitivity(inputs, range, metric);
+    } catch (error) {
+      console.error('Sensitivity analysis error:', error);
+      return null;
+    }
+  }, [inputs, range, metric]);
+
+  if (!analysis) return null;
+
+  const baseline = analysis.baseline[metric];
+  const metricName = SENSITIVITY_METRICS.find(option => option.id === metric).name;
+  const influential = analysis.drivers.filter(driver => driver[metric].swing > 0);
+  const tornadoData = influential.slice(0, TORNADO_DRIVERS).map(driver => ({
+    name: driver.name,
+    [LOW_KEY]: driver[metric].low - baseline,
+    [HIGH_KEY]: driver[metric].high - baseline
+  }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h3 className="text-xl font-semibold text-gray-900 mb-2">Sensitivity Analysis</h3>
+      <p className="text-gray-600 text-sm mb-4">
+        Each driver is moved down and up by the chosen range (controls are switched off and to full maturity) with every other
+        input held where it is. Bars show how far {metricName.toLowerCase()} moves from {formatCurrency(baseline)}; the longest bars
+        are the assumptions most worth getting right. Cost category base costs only change the incident cost, so they are
+        ranked under that metric.
+      </p>
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        <label className="text-sm text-gray-700 flex items-center gap-2">
+          Metric
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {SENSITIVITY_METRICS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700 flex items-center gap-2">
+          Range
+          <select
+            value={range}
+            onChange={(e) => setRange(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {SENSITIVITY_RANGES.map(option => (
+              <option key={option} value={option}>±{Math.round(option * 100)}%</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {tornadoData.length === 0 ? (
+        <p className="text-sm text-gray-500">No driver changes {metricName.toLowerCase()} at the current inputs.</p>
+      ) : (
+        <div style={{ height: 80 + tornadoData.length * 32 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ left: 24 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" tickFormatter={formatCompactDelta} />
+              <YAxis type="category" dataKey="name" width={220} tick={{ fontSize: 12 }} />
+              <Tooltip formatter={(value, name) => [`${formatCompactDelta(value)} (${formatCurrency(baseline + value)})`, name]} />
+              <Legend />
+              <ReferenceLine x={0} stroke="#374151" />
+              <Bar dataKey={LOW_KEY} stackId="swing" fill="#3b82f6" />
+              <Bar dataKey={HIGH_KEY} stackId="swing" fill="#ef4444" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {influential.length > 0 && (
+        <div className="overflow-x-auto mt-6">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-gray-600">
+                <th className="text-left py-2 pr-4 font-medium">Driver</th>
+                <th className="text-right py-2 px-4 font-medium">Current</th>
+                <th className="text-right py-2 px-4 font-medium">Tested Range</th>
+                <th className="text-right py-2 px-4 font-medium">At Low</th>
+                <th className="text-right py-2 px-4 font-medium">At High</th>
+                <th className="text-right py-2 px-4 font-medium">Swing</th>
+                <th className="text-right py-2 pl-4 font-medium">Elasticity</th>
+              </tr>
+            </thead>
+            <tbody>
+              {influential.map(driver => (
+                <tr key={driver.id} className="border-b border-gray-100">
+                  <td className="py-2 pr-4">
+                    <div className="font-medium text-gray-900">{driver.name}</div>
+                    <div className="text-xs text-gray-500">{driver.group}</div>
+                  </td>
+                  <td className="py-2 px-4 text-right">{formatDriverValue(driver, driver.value, formatCurrency)}</td>
+                  <td className="py-2 px-4 text-right whitespace-nowrap">
+                    {formatDriverValue(driver, driver.low, formatCurrency)} – {formatDriverValue(driver, driver.high, formatCurrency)}
+                  </td>
+                  <td className="py-2 px-4 text-right">{formatCurrency(driver[metric].low)}</td>
+                  <td className="py-2 px-4 text-right">{formatCurrency(driver[metric].high)}</td>
+                  <td className="py-2 px-4 text-right font-medium">{formatCurrency(driver[metric].swing)}</td>
+                  <td className="py-2 pl-4 text-right">{formatElasticity(driver[metric].elasticity)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-3">
+            Elasticity is the percentage change in {metricName.toLowerCase()} for a 1% change in the driver; above 1 means the loss
+            moves faster than the input. Scenario frequency and severity scale the whole estimated range.
+            {analysis.drivers.length > influential.length &&
+              ` ${analysis.drivers.length - influential.length} other drivers have no effect on this metric at the current inputs.`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityAnalysis;
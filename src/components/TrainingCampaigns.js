@@ -0,0 +1,383 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Megaphone, Plus, Pencil, Trash2, ArrowLeft, Save, BarChart3, FileSpreadsheet, RefreshCw, UserX } from 'lucide-react';
+import { BUILT_IN_PACK } from '../phishing/trainingScenarios';
+import {
+  CAMPAIGN_STATUSES,
+  createCampaign,
+  validateCampaign,
+  campaignProgressCsv,
+  campaignSummaryCsv,
+  missedRedFlagsCsv,
+  repeatOffendersCsv
+} from '../phishing/trainingCampaigns';
+import { fetchTrainingReport } from '../phishing/trainingApi';
+import { downloadFile } from '../export/downloadFile';
+
+const formatPercent = (share) => (share === null || share === undefined ? '—' : `${Math.round(share * 100)}%`);
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '—');
+
+const inputClass = (hasError) => `mt-1 w-full px-3 py-1.5 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+  hasError ? 'border-red-500' : 'border-gray-300'
+}`;
+
+const FieldError = ({ message }) => (message ? <p className="text-red-500 text-xs mt-1">{message}</p> : null);
+
+const STATUS_STYLES = {
+  'not-started': 'bg-gray-100 text-gray-700',
+  started: 'bg-blue-100 text-blue-800',
+  finished: 'bg-amber-100 text-amber-800',
+  passed: 'bg-green-100 text-green-800'
+};
+
+export const StatusBadge = ({ status, overdue }) => (
+  <span className="inline-flex gap-1">
+    <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[status]}`}>
+      {CAMPAIGN_STATUSES.find(option => option.id === status).label}
+    </span>
+    {overdue && <span className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-800">Overdue</span>}
+  </span>
+);
+
+// Member emails as typed: one per line, or separated by commas or semicolons
+const parseMembers = (text) => text.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean);
+
+const CampaignEditor = ({ draft, modules, onChange, onSave, onCancel, saving }) => {
+  // Group member lists are edited as text and parsed on every change
+  const [memberText, setMemberText] = useState(() => draft.groups.map(group => group.members.join('\n')));
+  const errors = validateCampaign(draft, modules.map(module => module.id));
+  const problemCount = Object.keys(errors).length;
+
+  const updateGroup = (index, changes) => {
+    onChange({ ...draft, groups: draft.groups.map((group, i) => (i === index ? { ...group, ...changes } : group)) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-3 gap-3">
+        <label className="block text-xs font-medium text-gray-600">
+          Campaign name
+          <input value={draft.name} onChange={(e) => onChange({ ...draft, name: e.target.value })} placeholder="e.g. Q3 Finance refresher" className={inputClass(errors.name)} />
+          <FieldError message={errors.name} />
+        </label>
+        <label className="block text-xs font-medium text-gray-600">
+          Training module
+          <select value={draft.packId} onChange={(e) => onChange({ ...draft, packId: e.target.value })} className={inputClass(errors.packId)}>
+            {modules.map(module => <option key={module.id} value={module.id}>{module.name}</option>)}
+          </select>
+          <FieldError message={errors.packId} />
+        </label>
+        <label className="block text-xs font-medium text-gray-600">
+          Due date
+          <input type="date" value={draft.dueDate} onChange={(e) => onChange({ ...draft, dueDate: e.target.value })} className={inputClass(errors.dueDate)} />
+          <FieldError message={errors.dueDate} />
+        </label>
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <p className="text-sm font-medium text-gray-700">Groups</p>
+          <button
+            onClick={() => {
+              setMemberText([...memberText, '']);
+              onChange({ ...draft, groups: [...draft.groups, { name: '', members: [] }] });
+            }}
+            className="flex items-center gap-1 px-3 py-1 text-sm text-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add Group
+          </button>
+        </div>
+        <FieldError message={errors.groups} />
+        {draft.groups.map((group, index) => (
+          <div key={index} className="grid md:grid-cols-3 gap-3 border border-gray-200 rounded-lg p-3">
+            <label className="block text-xs font-medium text-gray-600">
+              Group name
+              <input value={group.name} onChange={(e) => updateGroup(index, { name: e.target.value })} placeholder="e.g. Finance" className={inputClass(errors[`groups.${index}.name`])} />
+              <FieldError message={errors[`groups.${index}.name`]} />
+              {draft.groups.length > 1 && (
+                <button
+                  onClick={() => {
+                    setMemberText(memberText.filter((_, i) => i !== index));
+                    onChange({ ...draft, groups: draft.groups.filter((_, i) => i !== index) });
+                  }}
+                  className="mt-2 flex items-center gap-1 text-sm text-red-600 hover:underline"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Remove group
+                </button>
+              )}
+            </label>
+            <label className="md:col-span-2 block text-xs font-medium text-gray-600">
+              Member emails (one per line)
+              <textarea
+                rows={4}
+                value={memberText[index] || ''}
+                onChange={(e) => {
+                  setMemberText(memberText.map((text, i) => (i === index ? e.target.value : text)));
+                  updateGroup(index, { members: parseMembers(e.target.value) });
+                }}
+                className={inputClass(errors[`groups.${index}.members`])}
+              />
+              <FieldError message={errors[`groups.${index}.members`]} />
+            </label>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 pt-3 border-t border-gray-200">
+        <button
+          onClick={onSave}
+          disabled={problemCount > 0 || saving}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          Save Campaign
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors">
+          Cancel
+        </button>
+        {problemCount > 0 && <span className="text-sm text-red-600">{problemCount} problem{problemCount === 1 ? '' : 's'} to fix before saving</span>}
+      </div>
+    </div>
+  );
+};
+
+const ExportButton = ({ label, onClick }) => (
+  <button onClick={onClick} className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors">
+    <FileSpreadsheet className="w-4 h-4" />
+    {label}
+  </button>
+);
+
+// The managers' dashboard: completion and pass rates per campaign, who is behind, the red-flag types
+// trainees miss most and repeat offenders, each exportable as CSV
+const TrainingReport = ({ report, onRefresh, loading }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const exportCsv = (name, toCsv) => downloadFile(`phishing-training-${name}.csv`, toCsv(report), 'text/csv');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+          <BarChart3 className="w-4 h-4 text-blue-600" />
+          Manager Dashboard
+        </h4>
+        <div className="flex flex-wrap gap-2">
+          <ExportButton label="Summary CSV" onClick={() => exportCsv('campaigns', campaignSummaryCsv)} />
+          <ExportButton label="Progress CSV" onClick={() => exportCsv('progress', campaignProgressCsv)} />
+          <ExportButton label="Missed Red Flags CSV" onClick={() => exportCsv('missed-red-flags', missedRedFlagsCsv)} />
+          <ExportButton label="Repeat Offenders CSV" onClick={() => exportCsv('repeat-offenders', repeatOffendersCsv)} />
+          <button
+            onClick={onRefresh}
+            disabled={loading}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {report.campaigns.length === 0 ? (
+        <p className="text-sm text-gray-500">No campaigns yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-2 pr-3">Campaign</th>
+                <th className="py-2 pr-3">Due</th>
+                <th className="py-2 pr-3 text-right">Assigned</th>
+                <th className="py-2 pr-3 text-right">Started</th>
+                <th className="py-2 pr-3 text-right">Completion</th>
+                <th className="py-2 pr-3 text-right">Pass rate</th>
+                <th className="py-2 pr-3 text-right">Overdue</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.campaigns.map(({ campaign, totals, rows }) => (
+                <React.Fragment key={campaign.id}>
+                  <tr className="border-b border-gray-100">
+                    <td className="py-2 pr-3">
+                      <button onClick={() => setExpandedId(expandedId === campaign.id ? null : campaign.id)} className="text-blue-600 hover:underline text-left">
+                        {campaign.name}
+                      </button>
+                    </td>
+                    <td className="py-2 pr-3">{campaign.dueDate}</td>
+                    <td className="py-2 pr-3 text-right">{totals.assigned}</td>
+                    <td className="py-2 pr-3 text-right">{totals.started}</td>
+                    <td className="py-2 pr-3 text-right">{formatPercent(totals.completionRate)}</td>
+                    <td className="py-2 pr-3 text-right">{formatPercent(totals.passRate)}</td>
+                    <td className={`py-2 pr-3 text-right ${totals.overdue > 0 ? 'text-red-700 font-semibold' : ''}`}>{totals.overdue}</td>
+                  </tr>
+                  {expandedId === campaign.id && rows.map(row => (
+                    <tr key={row.email} className="bg-gray-50 text-gray-700">
+                      <td className="py-1.5 pr-3 pl-4">{row.email}</td>
+                      <td className="py-1.5 pr-3 text-xs">{row.groups.join(', ')}</td>
+                      <td className="py-1.5 pr-3" colSpan={2}><StatusBadge status={row.status} overdue={row.overdue} /></td>
+                      <td className="py-1.5 pr-3 text-right">{formatDate(row.completedAt)}</td>
+                      <td className="py-1.5 pr-3 text-right">{formatPercent(row.accuracy)}</td>
+                      <td className="py-1.5 pr-3 text-right">{row.attempts} attempt{row.attempts === 1 ? '' : 's'}</td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h5 className="font-medium text-gray-800 mb-2">Most Missed Red Flags</h5>
+          {report.missedRedFlags.length === 0 ? (
+            <p className="text-sm text-gray-500">No missed red flags in campaign attempts.</p>
+          ) : (
+            <ul className="text-sm text-gray-700 space-y-1">
+              {report.missedRedFlags.slice(0, 8).map(flag => (
+                <li key={flag.type} className="flex justify-between gap-3">
+                  <span className="capitalize">{flag.type.replace(/[_-]/g, ' ')}</span>
+                  <span className="text-gray-500">missed {flag.missed}×</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h5 className="font-medium text-gray-800 mb-2 flex items-center gap-2">
+            <UserX className="w-4 h-4 text-red-600" />
+            Repeat Offenders
+          </h5>
+          {report.repeatOffenders.length === 0 ? (
+            <p className="text-sm text-gray-500">Nobody has failed more than once.</p>
+          ) : (
+            <ul className="text-sm text-gray-700 space-y-1">
+              {report.repeatOffenders.map(offender => (
+                <li key={offender.email} className="flex justify-between gap-3">
+                  <span>{offender.email}</span>
+                  <span className="text-gray-500">{offender.failures} of {offender.attempts} attempts failed, last {formatDate(offender.lastFailedAt)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Organization admins' campaigns: assign a training module to groups of members with a due date, and
+// follow progress on the manager dashboard
+const TrainingCampaigns = ({ campaigns, packs, user, onSave, onRemove, onClose }) => {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [report, setReport] = useState(null);
+  const [reportError, setReportError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const modules = [BUILT_IN_PACK, ...packs];
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      setReport(await fetchTrainingReport(user));
+      setReportError(null);
+    } catch (error) {
+      setReportError(`The dashboard could not be loaded: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  // Reloaded whenever the campaigns change
+  useEffect(() => {
+    loadReport();
+  }, [loadReport, campaigns]);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+      setDraft(null);
+    } catch (error) {
+      // useTrainingResults reports the failure; the draft stays open
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (draft) {
+    return (
+      <div className="space-y-4">
+        <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+          <Megaphone className="w-4 h-4 text-blue-600" />
+          {campaigns.some(campaign => campaign.id === draft.id) ? 'Edit Campaign' : 'New Campaign'}
+        </h4>
+        <CampaignEditor draft={draft} modules={modules} onChange={setDraft} onSave={save} onCancel={() => setDraft(null)} saving={saving} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+          <Megaphone className="w-4 h-4 text-blue-600" />
+          Training Campaigns
+        </h4>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setDraft(createCampaign(BUILT_IN_PACK.id))}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            New Campaign
+          </button>
+          <button
+            onClick={onClose}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back
+          </button>
+        </div>
+      </div>
+
+      {campaigns.length === 0 ? (
+        <p className="text-sm text-gray-500">No campaigns yet. Create one to assign a training module to groups of members with a due date.</p>
+      ) : (
+        <div className="space-y-2">
+          {campaigns.map(campaign => {
+            const module = modules.find(pack => pack.id === campaign.packId);
+            const memberCount = new Set(campaign.groups.flatMap(group => group.members)).size;
+            return (
+              <div key={campaign.id} className="flex flex-wrap items-center justify-between gap-3 border border-gray-200 rounded-lg p-4">
+                <div>
+                  <p className="font-medium text-gray-900">{campaign.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {module ? module.name : campaign.packId} · due {campaign.dueDate} · {campaign.groups.map(group => group.name).join(', ')} ({memberCount} member{memberCount === 1 ? '' : 's'})
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => setDraft(campaign)} className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-700 rounded-lg hover:bg-gray-100 transition-colors">
+                    <Pencil className="w-4 h-4" />
+                    Edit
+                  </button>
+                  <button onClick={() => onRemove(campaign.id).catch(() => {})} className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 rounded-lg hover:bg-red-50 transition-colors">
+                    <Trash2 className="w-4 h-4" />
+                    Delete
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {reportError && <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">{reportError}</div>}
+      {report && <TrainingReport report={report} onRefresh={loadReport} loading={loading} />}
+    </div>
+  );
+};
+
+export default TrainingCampaigns;
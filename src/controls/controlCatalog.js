@@ -0,0 +1,137 @@
+// Security control catalog. Each control has a maturity level (0-5), a relative weight in the
+// security score, an annual run-rate cost at full maturity, and the cost categories it reduces
+// (reduction at full maturity).
+// Which threat scenarios a control reduces is recorded on the scenario (`scenario.controls`).
+import { generateId } from '../shared/values';
+
+export const SECURITY_WEIGHTS = {
+  BACKUPS: 0.15,
+  MFA: 0.2,
+  PHISHING_TRAINING: 0.15,
+  VENDOR_REVIEWS: 0.25,
+  IR_TABLETOP: 0.1,
+  BASE_SECURITY: 0.15
+};
+
+export const MATURITY_LEVELS = [
+  { value: 0, label: 'None', description: 'Not implemented' },
+  { value: 1, label: 'Initial', description: 'Ad hoc, undocumented' },
+  { value: 2, label: 'Developing', description: 'Partially deployed' },
+  { value: 3, label: 'Defined', description: 'Documented and broadly deployed' },
+  { value: 4, label: 'Managed', description: 'Measured and enforced' },
+  { value: 5, label: 'Optimized', description: 'Fully deployed and continuously improved' }
+];
+
+export const MAX_MATURITY = 5;
+
+// Maturity at or above this level counts the control as implemented
+export const IMPLEMENTED_MATURITY = 3;
+
+export const CONTROL_LIMITS = {
+  weight: { min: 0, max: 1 },
+  reduction: { min: 0, max: 0.9 },
+  annualCost: { min: 0, max: 100000000 }
+};
+
+// Controls an assessment's catalog can hold
+export const MAX_CONTROLS = 50;
+
+export const DEFAULT_CONTROL_CATALOG = [
+  {
+    id: 'backupsIsolated',
+    name: 'Isolated Backups',
+    description: 'Offline or air-gapped backups that ransomware cannot reach',
+    maturity: MAX_MATURITY,
+    weight: SECURITY_WEIGHTS.BACKUPS,
+    annualCost: 0,
+    costReductions: { forensics: 0.35 }
+  },
+  {
+    id: 'mfaEnabled',
+    name: 'Multi-Factor Authentication',
+    description: 'MFA required for remote access, email and privileged accounts',
+    maturity: MAX_MATURITY,
+    weight: SECURITY_WEIGHTS.MFA,
+    annualCost: 0,
+    costReductions: { revenueLoss: 0.25 }
+  },
+  {
+    id: 'phishingTraining',
+    name: 'Phishing Training',
+    description: 'Regular security awareness training and phishing simulations',
+    maturity: MAX_MATURITY,
+    weight: SECURITY_WEIGHTS.PHISHING_TRAINING,
+    annualCost: 0,
+    costReductions: { clientChurn: 0.3 }
+  },
+  {
+    id: 'vendorReviews',
+    name: 'Vendor Security Reviews',
+    description: 'Security due diligence for third parties with access to data or systems',
+    maturity: MAX_MATURITY,
+    weight: SECURITY_WEIGHTS.VENDOR_REVIEWS,
+    annualCost: 0,
+    costReductions: { regulatoryFines: 0.45 }
+  },
+  {
+    id: 'irTabletop',
+    name: 'IR Tabletop Exercises',
+    description: 'Incident response plan rehearsed with leadership and technical teams',
+    maturity: MAX_MATURITY,
+    weight: SECURITY_WEIGHTS.IR_TABLETOP,
+    annualCost: 0,
+    costReductions: { staffOvertime: 0.4 }
+  }
+];
+
+export const createControl = () => ({
+  id: generateId('control'),
+  name: 'New Control',
+  description: '',
+  maturity: 0,
+  weight: 0.1,
+  annualCost: 0,
+  costReductions: {}
+});
+
+// Share of a control's full effect delivered at its current maturity, or as measured when the model
+// has measured it (the phishing trainer's pass rate, see src/phishing/phishingTraining.js)
+export const controlEffectiveness = (control) => {
+  if (control.measuredEffectiveness !== undefined) return Math.min(Math.max(control.measuredEffectiveness, 0), 1);
+  return Math.min(Math.max(control.maturity, 0), MAX_MATURITY) / MAX_MATURITY;
+};
+
+const weightedCoverage = (controls) => {
+  const totalWeight = controls.reduce((sum, control) => sum + control.weight, 0);
+  if (totalWeight <= 0) return 0;
+  const achieved = controls.reduce((sum, control) => sum + control.weight * controlEffectiveness(control), 0);
+  return achieved / totalWeight;
+};
+
+// Baseline security plus the weighted maturity of the catalog. Weights are relative, so with the
+// default catalog at full maturity this matches the original five-control score.
+export const calculateSecurityScore = (controls) => (
+  SECURITY_WEIGHTS.BASE_SECURITY + (1 - SECURITY_WEIGHTS.BASE_SECURITY) * weightedCoverage(controls)
+);
+
+// Same measure restricted to the controls mapped to one scenario
+export const calculateScenarioCoverage = (scenario, controls) => (
+  SECURITY_WEIGHTS.BASE_SECURITY +
+    (1 - SECURITY_WEIGHTS.BASE_SECURITY) * weightedCoverage(controls.filter(control => scenario.controls.includes(control.id)))
+);
+
+export const countImplementedControls = (controls) => (
+  controls.filter(control => control.maturity >= IMPLEMENTED_MATURITY).length
+);
+
+// Controls work better together: the bonus grows with total effective control coverage
+export const calculateSynergyBonus = (controls) => {
+  const effectiveControls = controls.reduce((sum, control) => sum + controlEffectiveness(control), 0);
+  return effectiveControls >= 4 ? 0.15 : effectiveControls >= 3 ? 0.10 : 0;
+};
+
+// Direct reduction of one cost category from every control that maps to it
+export const calculateCategoryReduction = (categoryId, controls) => controls.reduce(
+  (sum, control) => sum + (control.costReductions[categoryId] || 0) * controlEffectiveness(control),
+  0
+);
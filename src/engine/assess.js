@@ -0,0 +1,74 @@
+// One-call assessment: validate inputs, build the risk model, simulate it and combine the two,
+// exactly as the calculator does for the working assessment.
+import { DEFAULT_INPUTS, buildRiskModel, toSimulationInput, combineSimulation } from '../model/riskModel';
+import { runSimulation } from '../simulation/monteCarlo';
+import { validateAssessmentInputs } from '../assessments/inputSchema';
+import { ASSESSMENT_FILE_FORMAT, parseAssessmentFile } from '../assessments/assessmentFile';
+
+// `{ results }` for the given inputs, or `{ errors }` keyed by field path when they're invalid.
+// Inputs may be partial; missing fields take the calculator's defaults.
+// options: simulation options (iterations, seed)
+export const assessRisk = (inputs, options = {}) => {
+  const merged = { ...DEFAULT_INPUTS, ...inputs };
+  const errors = validateAssessmentInputs(merged);
+  if (Object.keys(errors).length > 0) return { errors };
+
+  const model = buildRiskModel(merged);
+  const { scenarios, policy } = toSimulationInput(model);
+  return { results: combineSimulation(model, runSimulation(scenarios, { ...options, policy })) };
+};
+
+// `{ name, inputs }` from JSON text holding either an exported assessment file (migrated to the
+// current schema) or a bare, possibly partial, inputs object. `{ errors }` when it can't be read.
+export const readAssessment = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { errors: { file: 'The file is not valid JSON' } };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { errors: { file: 'Expected an assessment file or an inputs object' } };
+  }
+
+  if (parsed.format === ASSESSMENT_FILE_FORMAT) {
+    const file = parseAssessmentFile(text);
+    return file.errors ? { errors: file.errors } : { name: file.name, inputs: file.inputs };
+  }
+  return { name: 'Assessment', inputs: { ...DEFAULT_INPUTS, ...parsed } };
+};
+
+// Headline results as plain JSON for reports and pipelines
+export const summarizeAssessment = (results) => ({
+  securityScore: results.securityScore,
+  riskReduction: results.riskReduction,
+  totalCost: results.totalCost,
+  exposedRecords: results.exposedRecords,
+  ale: results.aggregate.ale,
+  annualLossPercentiles: results.aggregate.percentiles,
+  probabilityOfLoss: results.aggregate.probabilityOfLoss,
+  insurance: results.aggregate.insurance
+    ? {
+      insuredAle: results.aggregate.insurance.insuredAle,
+      retainedAle: results.aggregate.insurance.retainedAle,
+      limitExhaustionProbability: results.aggregate.insurance.limitExhaustionProbability,
+      incidentInsured: results.incidentSplit.insured,
+      incidentRetained: results.incidentSplit.retained
+    }
+    : null,
+  scenarios: results.scenarios.map(scenario => ({
+    id: scenario.id,
+    name: scenario.name,
+    incidentPercentiles: scenario.percentiles,
+    ale: scenario.annualLoss.ale,
+    probabilityOfLoss: scenario.annualLoss.probabilityOfLoss
+  })),
+  costBreakdown: results.costBreakdown.map(category => ({
+    id: category.id,
+    name: category.name,
+    baseCost: category.baseCost,
+    reduction: category.reductionFactor,
+    adjustedCost: category.adjustedCost
+  })),
+  iterations: results.iterations
+});
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const CLI = path.resolve(__dirname, '../../bin/risk-engine.js');
+
+const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 60000 });
+
+describe('risk-engine CLI', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-engine-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('prints JSON results for an assessment file', () => {
+    const file = path.join(directory, 'assessment.json');
+    fs.writeFileSync(file, JSON.stringify({ employees: 250 }));
+
+    const { status, stdout } = run([file, '--iterations', '1000']);
+    expect(status).toBe(0);
+    const output = JSON.parse(stdout);
+    expect(output.name).toBe('Assessment');
+    expect(output.results.totalCost).toBe(756612);
+    expect(output.results.iterations).toBe(1000);
+  });
+
+  test('prints a table from standard input', () => {
+    const { status, stdout } = run(['-', '--format', 'table', '--iterations', '1000'], '{"revenue": 0}');
+    expect(status).toBe(0);
+    expect(stdout).toMatch(/^Cyber Risk Assessment: Assessment/);
+    expect(stdout).toContain('Annualized loss expectancy');
+  });
+
+  test('exits 1 with field errors for an invalid assessment', () => {
+    const { status, stderr } = run(['-'], '{"employees": -5}');
+    expect(status).toBe(1);
+    expect(stderr).toContain('employees: Value must be between 1 and 1,000,000');
+  });
+
+  test('exits 2 on usage errors', () => {
+    expect(run([]).status).toBe(2);
+    expect(run(['-', '--format', 'xml'], '{}').status).toBe(2);
+    expect(run([path.join(directory, 'missing.json')]).status).toBe(2);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * @jest-environment node
+ */
+import {
+  DEFAULT_INPUTS,
+  INPUT_LIMITS,
+  buildRiskModel,
+  expectedAnnualLoss,
+  assessRisk,
+  readAssessment,
+  summarizeAssessment,
+  formatAssessmentTable,
+  validateAssessmentInputs,
+  runSimulation,
+  runPortfolioSimulation,
+  toSimulationInput
+} from '.';
+
+const FAST = { iterations: 2000 };
+
+const withControls = (maturity) => ({
+  ...DEFAULT_INPUTS,
+  controls: DEFAULT_INPUTS.controls.map(control => ({ ...control, maturity }))
+});
+
+const isFiniteDeep = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (value && typeof value === 'object') return Object.values(value).every(isFiniteDeep);
+  return true;
+};
+
+describe('buildRiskModel', () => {
+  test('default inputs give the calculator defaults', () => {
+    const model = buildRiskModel(DEFAULT_INPUTS);
+    expect(model.securityScore).toBe(100);
+    expect(model.riskReduction).toBe(65);
+    expect(model.totalCost).toBe(756612);
+    expect(model.scenarios.map(scenario => scenario.id)).toEqual(['phishing', 'ransomware', 'vendor-breach']);
+  });
+
+  test('zero revenue is floored like any revenue under $1M', () => {
+    const zero = buildRiskModel({ ...DEFAULT_INPUTS, revenue: 0 });
+    const floor = buildRiskModel({ ...DEFAULT_INPUTS, revenue: 1000000 });
+    expect(zero.totalCost).toBe(floor.totalCost);
+    expect(zero.scenarios[0].distributions.magnitude.median).toBe(floor.scenarios[0].distributions.magnitude.median);
+    expect(isFiniteDeep(zero)).toBe(true);
+  });
+
+  test('maximum employees scales costs by the largest size factor', () => {
+    const largest = buildRiskModel({ ...DEFAULT_INPUTS, employees: INPUT_LIMITS.employees.max });
+    const base = buildRiskModel(DEFAULT_INPUTS);
+    expect(largest.totalCost).toBeGreaterThan(base.totalCost);
+    expect(isFiniteDeep(largest)).toBe(true);
+
+    // sizeFactor = log10(1,000,000 / 100) * 0.2 + 1
+    const forensics = largest.costBreakdown.find(category => category.id === 'forensics');
+    expect(forensics.adjustedCost).toBe(Math.round(85000 * 1.8 * (1 - forensics.reductionFactor)));
+  });
+
+  test('small organizations never scale below the 100-employee baseline', () => {
+    const tiny = buildRiskModel({ ...DEFAULT_INPUTS, employees: 1 });
+    const baseline = buildRiskModel({ ...DEFAULT_INPUTS, employees: 100 });
+    expect(tiny.totalCost).toBe(baseline.totalCost);
+  });
+
+  test('all controls off leaves only baseline security and no cost reductions', () => {
+    const model = buildRiskModel(withControls(0));
+    // Baseline security (15%) x 0.65
+    expect(model.securityScore).toBe(15);
+    expect(model.riskReduction).toBe(10);
+    model.costBreakdown.forEach(category => expect(category.reductionFactor).toBe(0));
+    model.scenarios.forEach(scenario => expect(scenario.riskReduction).toBeCloseTo(0.0975));
+    expect(model.totalCost).toBeGreaterThan(buildRiskModel(DEFAULT_INPUTS).totalCost);
+  });
+
+  test('risk reduction is capped at 75% and category reductions at 70%', () => {
+    const model = buildRiskModel({
+      ...DEFAULT_INPUTS,
+      controls: DEFAULT_INPUTS.controls.map(control => ({ ...control, costReductions: { forensics: 0.9 } }))
+    });
+    model.costBreakdown.forEach(category => expect(category.reductionFactor).toBeLessThanOrEqual(0.7));
+    model.scenarios.forEach(scenario => expect(scenario.riskReduction).toBeLessThanOrEqual(0.75));
+  });
+
+  test('synergy bonus applies only with several implemented controls', () => {
+    const all = buildRiskModel(DEFAULT_INPUTS);
+    const one = buildRiskModel({
+      ...DEFAULT_INPUTS,
+      controls: DEFAULT_INPUTS.controls.map((control, index) => ({ ...control, maturity: index === 0 ? 5 : 0 }))
+    });
+    const audit = (model) => model.costBreakdown.find(category => category.id === 'auditCosts').reductionFactor;
+    expect(audit(all)).toBeGreaterThan(0);
+    expect(audit(one)).toBe(0);
+  });
+
+  test('disabled and invalid scenarios are left out', () => {
+    const scenarios = DEFAULT_INPUTS.scenarios.map((scenario, index) => (
+      index === 0 ? { ...scenario, frequency: { min: 2, mostLikely: 1, max: 3 } } : scenario
+    ));
+    const model = buildRiskModel({ ...DEFAULT_INPUTS, scenarios });
+    expect(model.scenarios.map(scenario => scenario.id)).toEqual(['ransomware', 'vendor-breach']);
+  });
+
+  test('an empty control catalog scores baseline security rather than NaN', () => {
+    const model = buildRiskModel({ ...DEFAULT_INPUTS, controls: [] });
+    expect(model.securityScore).toBe(15);
+    expect(isFiniteDeep(model.costBreakdown)).toBe(true);
+  });
+});
+
+describe('assessRisk', () => {
+  test('returns simulated results matching the analytic expected loss', () => {
+    const { results, errors } = assessRisk(DEFAULT_INPUTS, { iterations: 20000 });
+    expect(errors).toBeUndefined();
+    const analytic = expectedAnnualLoss(buildRiskModel(DEFAULT_INPUTS));
+    expect(Math.abs(results.aggregate.ale - analytic) / analytic).toBeLessThan(0.1);
+    expect(results.iterations).toBe(20000);
+  });
+
+  test('is deterministic for a seed and varies across seeds', () => {
+    const first = assessRisk(DEFAULT_INPUTS, { ...FAST, seed: 7 }).results;
+    const again = assessRisk(DEFAULT_INPUTS, { ...FAST, seed: 7 }).results;
+    const other = assessRisk(DEFAULT_INPUTS, { ...FAST, seed: 8 }).results;
+    expect(again.aggregate).toEqual(first.aggregate);
+    expect(other.aggregate.ale).not.toBe(first.aggregate.ale);
+  });
+
+  test('fills missing fields from the defaults', () => {
+    const { results } = assessRisk({ employees: 1000 }, FAST);
+    expect(results.totalCost).toBeGreaterThan(buildRiskModel(DEFAULT_INPUTS).totalCost);
+  });
+
+  test('rejects out-of-range and non-numeric inputs instead of producing NaN', () => {
+    expect(assessRisk({ employees: 0 }).errors.employees).toMatch(/between 1 and/);
+    expect(assessRisk({ revenue: Number.NaN }).errors.revenue).toBeDefined();
+    expect(assessRisk({ insurance: '1000000' }).errors.insurance).toBeDefined();
+    expect(assessRisk({ employees: INPUT_LIMITS.employees.max + 1 }).errors.employees).toBeDefined();
+  });
+
+  test('no enabled scenarios means no loss', () => {
+    const scenarios = DEFAULT_INPUTS.scenarios.map(scenario => ({ ...scenario, enabled: false }));
+    const { results } = assessRisk({ scenarios }, FAST);
+    expect(results.scenarios).toHaveLength(0);
+    expect(results.aggregate.ale).toBe(0);
+    expect(results.aggregate.probabilityOfLoss).toBe(0);
+    expect(isFiniteDeep(results.aggregate)).toBe(true);
+  });
+
+  test('zero insurance leaves every loss retained', () => {
+    const { results } = assessRisk({ insurance: 0 }, FAST);
+    expect(results.aggregate.insurance.insuredAle).toBe(0);
+    expect(results.aggregate.insurance.retainedAle).toBe(results.aggregate.ale);
+  });
+
+  test('all controls off raises expected loss', () => {
+    const off = assessRisk(withControls(0), FAST).results;
+    const on = assessRisk(DEFAULT_INPUTS, FAST).results;
+    expect(off.aggregate.ale).toBeGreaterThan(on.aggregate.ale);
+  });
+});
+
+describe('validateAssessmentInputs', () => {
+  test('accepts the defaults', () => {
+    expect(validateAssessmentInputs(DEFAULT_INPUTS)).toEqual({});
+  });
+
+  test('reports nested errors by field path', () => {
+    const errors = validateAssessmentInputs({
+      ...DEFAULT_INPUTS,
+      controls: [{ ...DEFAULT_INPUTS.controls[0], maturity: 6 }],
+      insurancePolicy: { ...DEFAULT_INPUTS.insurancePolicy, coinsurance: 2 },
+      dataHoldings: { ...DEFAULT_INPUTS.dataHoldings, dataTypes: ['unknown'] }
+    });
+    expect(Object.keys(errors).sort()).toEqual([
+      'controls[0].maturity',
+      'dataHoldings.dataTypes',
+      'insurancePolicy.coinsurance'
+    ]);
+  });
+});
+
+describe('readAssessment', () => {
+  test('reads a bare inputs object', () => {
+    expect(readAssessment('{"employees": 42}')).toEqual({ name: 'Assessment', inputs: { ...DEFAULT_INPUTS, employees: 42 } });
+  });
+
+  test('reads and migrates exported assessment files', () => {
+    const file = {
+      format: 'inp2-risk-assessment',
+      schemaVersion: 1,
+      name: 'Legacy',
+      inputs: (({ roadmap, frameworkAnswers, trainingResults, ...inputs }) => ({ ...inputs, employees: 300 }))(DEFAULT_INPUTS)
+    };
+    const { name, inputs } = readAssessment(JSON.stringify(file));
+    expect(name).toBe('Legacy');
+    expect(inputs.employees).toBe(300);
+    expect(inputs.scenarios).toEqual(DEFAULT_INPUTS.scenarios);
+    expect(inputs.roadmap).toEqual(DEFAULT_INPUTS.roadmap);
+    expect(inputs.frameworkAnswers).toEqual({});
+    expect(inputs.trainingResults).toBeNull();
+  });
+
+  test('keeps the trainer results of version 4 files', () => {
+    const trainingResults = { passRate: 0.8, meanAccuracy: 0.9, participants: 12, asOf: '2026-01-05T00:00:00.000Z' };
+    const file = { format: 'inp2-risk-assessment', schemaVersion: 4, inputs: { ...DEFAULT_INPUTS, trainingResults } };
+    expect(readAssessment(JSON.stringify(file)).inputs.trainingResults).toEqual(trainingResults);
+  });
+
+  test('rejects text that is not an assessment', () => {
+    expect(readAssessment('not json').errors.file).toBeDefined();
+    expect(readAssessment('[1, 2]').errors.file).toBeDefined();
+    expect(readAssessment('{"format": "inp2-risk-assessment", "schemaVersion": 99, "inputs": {}}').errors.schemaVersion).toBeDefined();
+  });
+});
+
+describe('simulation', () => {
+  test('portfolio of one entity matches a single run', () => {
+    const input = toSimulationInput(buildRiskModel(DEFAULT_INPUTS));
+    const single = runSimulation(input.scenarios, { ...FAST, policy: input.policy });
+    const { outputs, portfolio } = runPortfolioSimulation([input], FAST);
+    expect(outputs[0]).toEqual(single);
+    expect(portfolio.ale).toBe(single.aggregate.ale);
+    expect(portfolio.percentiles).toEqual(single.aggregate.percentiles);
+  });
+
+  test('portfolio ALE is the sum of entity ALEs', () => {
+    const input = toSimulationInput(buildRiskModel(DEFAULT_INPUTS));
+    const { outputs, portfolio } = runPortfolioSimulation([input, input, input], FAST);
+    const summed = outputs.reduce((sum, output) => sum + output.aggregate.ale, 0);
+    expect(Math.abs(portfolio.ale - summed)).toBeLessThanOrEqual(outputs.length);
+  });
+});
+
+describe('summaries', () => {
+  test('summary is plain JSON and the table lists every scenario', () => {
+    const { results } = assessRisk(DEFAULT_INPUTS, FAST);
+    const summary = summarizeAssessment(results);
+    expect(JSON.parse(JSON.stringify(summary))).toEqual(summary);
+
+    const table = formatAssessmentTable('Acme', summary);
+    expect(table).toMatch(/^Cyber Risk Assessment: Acme/);
+    summary.scenarios.forEach(scenario => expect(table).toContain(scenario.name));
+    expect(table).toContain('$756,612');
+  });
+});
@@ -0,0 +1,64 @@
+// Plain-text rendering of an assessment summary (see summarizeAssessment) for terminals and CI logs
+const formatUsd = (value) => `$${Math.round(value).toLocaleString('en-US')}`;
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const renderTable = (head, rows) => {
+  const widths = head.map((cell, index) => Math.max(cell.length, ...rows.map(row => row[index].length)));
+  const renderRow = (row) => row
+    .map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index])))
+    .join('  ');
+  return [renderRow(head), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(renderRow)].join('\n');
+};
+
+export const formatAssessmentTable = (name, summary) => {
+  const headline = [
+    ['Security score', `${summary.securityScore}%`],
+    ['Risk reduction', `${summary.riskReduction}%`],
+    ['Median incident cost', formatUsd(summary.totalCost)],
+    ['Annualized loss expectancy', formatUsd(summary.ale)],
+    ['Chance of any loss in a year', formatPercent(summary.probabilityOfLoss)],
+    ...Object.entries(summary.annualLossPercentiles).map(([label, value]) => [
+      `Annual loss, ${label === 'Median' ? 'median' : `${label} percentile`}`,
+      formatUsd(value)
+    ])
+  ];
+  if (summary.insurance) {
+    headline.push(
+      ['Insured ALE', formatUsd(summary.insurance.insuredAle)],
+      ['Retained ALE', formatUsd(summary.insurance.retainedAle)],
+      ['Aggregate limit exhausted', formatPercent(summary.insurance.limitExhaustionProbability)]
+    );
+  }
+
+  const scenarios = renderTable(
+    ['Scenario', 'Median Incident', '95th Incident', 'ALE', 'P(Loss)'],
+    summary.scenarios.map(scenario => [
+      scenario.name,
+      formatUsd(scenario.incidentPercentiles.Median),
+      formatUsd(scenario.incidentPercentiles['95th']),
+      formatUsd(scenario.ale),
+      formatPercent(scenario.probabilityOfLoss)
+    ])
+  );
+
+  const costs = renderTable(
+    ['Cost Category', 'Base', 'Reduction', 'Adjusted'],
+    summary.costBreakdown.map(category => [
+      category.name,
+      formatUsd(category.baseCost),
+      formatPercent(category.reduction),
+      formatUsd(category.adjustedCost)
+    ])
+  );
+
+  return [
+    `Cyber Risk Assessment: ${name}`,
+    `(${summary.iterations.toLocaleString('en-US')} simulated years)`,
+    '',
+    renderTable(['Metric', 'Value'], headline),
+    '',
+    summary.scenarios.length > 0 ? scenarios : 'No enabled threat scenarios.',
+    '',
+    costs
+  ].join('\n');
+};
@@ -0,0 +1,20 @@
+// Risk engine: the stable API for running assessments outside the calculator's components. It is
+// plain JavaScript with no React or browser dependencies, so the UI, the command line
+// (bin/risk-engine.js) and server code all share one implementation. Import from here rather than
+// from the modules behind it; those may be reorganized between engine versions.
+export const ENGINE_VERSION = '1.0.0';
+
+export {
+  DEFAULT_INPUTS,
+  INPUT_LIMITS,
+  COST_CATEGORIES,
+  buildRiskModel,
+  toSimulationInput,
+  combineSimulation,
+  expectedAnnualLoss
+} from '../model/riskModel';
+export { runSimulation, runPortfolioSimulation, DEFAULT_SIMULATION_OPTIONS, PERCENTILE_LEVELS } from '../simulation/monteCarlo';
+export { validateAssessmentInputs, validateInputField } from '../assessments/inputSchema';
+export { ASSESSMENT_SCHEMA_VERSION, parseAssessmentFile } from '../assessments/assessmentFile';
+export { assessRisk, readAssessment, summarizeAssessment } from './assess';
+export { formatAssessmentTable } from './formatTable';
@@ -0,0 +1,174 @@
+import React from 'react';
+import { BRAND, formatReportCurrency } from './reportContent';
+import { CostBreakdownPieChart, ScenarioPercentileChart, renderChartToPng } from './reportCharts';
+
+const PAGE_MARGIN = 48;
+const PIE_SIZE = { width: 320, height: 320 };
+const BAR_SIZE = { width: 720, height: 320 };
+
+const hexToRgb = (hex) => {
+  const value = hex.replace('#', '');
+  return [0, 2, 4].map(offset => parseInt(value.slice(offset, offset + 2), 16));
+};
+
+// Branded multi-page PDF of the Executive Summary. jsPDF is loaded on demand to keep it out of the main bundle.
+export const exportPdfReport = async (report, { logo, fileName }) => {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const [pieImage, barImage] = await Promise.all([
+    renderChartToPng(<CostBreakdownPieChart data={report.costBreakdown} {...PIE_SIZE} />, PIE_SIZE),
+    renderChartToPng(<ScenarioPercentileChart scenarios={report.scenarios} {...BAR_SIZE} />, BAR_SIZE)
+  ]);
+
+  const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  const tableStyles = {
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+    styles: { fontSize: 9, cellPadding: 4 },
+    headStyles: { fillColor: hexToRgb(BRAND.primary) }
+  };
+  let y = 0;
+
+  const heading = (text) => {
+    if (y > pageHeight - 120) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.setTextColor(...hexToRgb(BRAND.dark));
+    doc.text(text, PAGE_MARGIN, y);
+    y += 12;
+  };
+
+  const paragraph = (text, color = BRAND.text) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(...hexToRgb(color));
+    const lines = doc.splitTextToSize(text, contentWidth);
+    doc.text(lines, PAGE_MARGIN, y);
+    y += lines.length * 13;
+  };
+
+  const table = (options) => {
+    autoTable(doc, { ...tableStyles, startY: y, ...options });
+    y = doc.lastAutoTable.finalY + 24;
+  };
+
+  // Cover band
+  doc.setFillColor(...hexToRgb(BRAND.dark));
+  doc.rect(0, 0, pageWidth, 90, 'F');
+  if (logo) {
+    doc.addImage(logo, 'PNG', PAGE_MARGIN, 20, 50, 50);
+  }
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.text(report.title, PAGE_MARGIN + (logo ? 64 : 0), 48);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(
+    [report.assessmentName, `Executive Summary · ${report.generatedAt.toLocaleDateString()}`].filter(Boolean).join(' · '),
+    PAGE_MARGIN + (logo ? 64 : 0),
+    66
+  );
+  y = 120;
+
+  heading('Key Findings');
+  table({ body: report.headline, theme: 'plain', columnStyles: { 1: { halign: 'right', fontStyle: 'bold' } } });
+
+  if (report.insuranceGap) {
+    heading('Insurance Gap');
+    paragraph(
+      `For a median incident costing ${report.insuranceGap.totalCost}, the policy would pay ${report.insuranceGap.insured} ` +
+        `and the organization would retain ${report.insuranceGap.retained}, above the ${report.insuranceGap.retention} retention. ` +
+        `Losses exhaust the aggregate limit in ${report.insuranceGap.limitExhaustion} of simulated years.`,
+      BRAND.warning
+    );
+    y += 12;
+  }
+
+  heading('Organization Inputs');
+  table({ head: [['Input', 'Value']], body: report.organization, columnStyles: { 1: { halign: 'right' } } });
+
+  heading(`Security Controls (score ${report.securityScore}%, ${report.controlCoverage} implemented)`);
+  table({ head: [['Control', 'Maturity']], body: report.controls });
+
+  doc.addPage();
+  y = PAGE_MARGIN;
+  heading('Scenario Loss Percentiles');
+  table({
+    head: [report.scenarioTable.head],
+    body: report.scenarioTable.rows,
+    columnStyles: Object.fromEntries(report.scenarioTable.head.slice(1).map((_, index) => [index + 1, { halign: 'right' }]))
+  });
+  const barHeight = contentWidth * (BAR_SIZE.height / BAR_SIZE.width);
+  doc.addImage(barImage, 'PNG', PAGE_MARGIN, y, contentWidth, barHeight);
+  y += barHeight + 8;
+  report.scenarios.forEach((scenario, index) => {
+    const x = PAGE_MARGIN + (index % 3) * (contentWidth / 3);
+    if (index > 0 && index % 3 === 0) y += 14;
+    doc.setFillColor(...hexToRgb(scenario.color));
+    doc.rect(x, y - 7, 8, 8, 'F');
+    doc.setFontSize(9);
+    doc.setTextColor(...hexToRgb(BRAND.text));
+    doc.text(scenario.name, x + 12, y);
+  });
+  y += 28;
+
+  heading(`Cost Breakdown (median incident ${formatReportCurrency(report.totalCost)})`);
+  const pieWidth = 200;
+  if (y + pieWidth > pageHeight - PAGE_MARGIN) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+  doc.addImage(pieImage, 'PNG', PAGE_MARGIN, y, pieWidth, pieWidth);
+  autoTable(doc, {
+    ...tableStyles,
+    startY: y,
+    margin: { left: PAGE_MARGIN + pieWidth + 16, right: PAGE_MARGIN },
+    head: [['', 'Category', 'Cost']],
+    body: report.costBreakdown.map(category => ['', category.name, formatReportCurrency(category.value)]),
+    styles: { fontSize: 8, cellPadding: 2 },
+    columnStyles: { 0: { cellWidth: 10 }, 2: { halign: 'right' } },
+    didDrawCell: (data) => {
+      if (data.section === 'body' && data.column.index === 0) {
+        doc.setFillColor(...hexToRgb(report.costBreakdown[data.row.index].color));
+        doc.rect(data.cell.x + 2, data.cell.y + data.cell.height / 2 - 3, 6, 6, 'F');
+      }
+    }
+  });
+  y = Math.max(y + pieWidth, doc.lastAutoTable.finalY) + 24;
+
+  heading('Strategic Recommendations');
+  report.recommendations.forEach(recommendation => {
+    if (y > pageHeight - 80) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10);
+    doc.setTextColor(...hexToRgb(BRAND.text));
+    doc.text(recommendation.title, PAGE_MARGIN, y + 6);
+    y += 20;
+    paragraph(recommendation.detail, BRAND.muted);
+    y += 6;
+  });
+
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...hexToRgb(BRAND.muted));
+    doc.text(
+      `${BRAND.name} Cybersecurity Risk Calculator · Monte Carlo, ${report.iterations.toLocaleString()} simulated years`,
+      PAGE_MARGIN,
+      pageHeight - 24
+    );
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - 24, { align: 'right' });
+  }
+
+  doc.save(fileName);
+};
@@ -0,0 +1,128 @@
+import { BRAND, formatReportCurrency } from './reportContent';
+
+const SLIDE_WIDTH = 13.33;
+const MARGIN = 0.5;
+const CONTENT_WIDTH = SLIDE_WIDTH - MARGIN * 2;
+
+const stripHash = (color) => color.replace('#', '');
+
+const tableRows = (head, rows) => [
+  head.map(text => ({ text, options: { bold: true, color: 'FFFFFF', fill: { color: BRAND.primary } } })),
+  ...rows.map(row => row.map(text => ({ text: String(text) })))
+];
+
+// Widescreen deck of the Executive Summary. Charts are native PowerPoint charts, so they stay
+// vector and editable. pptxgenjs is loaded on demand to keep it out of the main bundle.
+export const exportPptxReport = async (report, { logo, fileName }) => {
+  const { default: PptxGenJS } = await import('pptxgenjs');
+  const pptx = new PptxGenJS();
+  pptx.layout = 'LAYOUT_WIDE';
+  pptx.title = report.title;
+
+  pptx.defineSlideMaster({
+    title: 'REPORT',
+    background: { color: 'FFFFFF' },
+    objects: [
+      { rect: { x: 0, y: 0, w: SLIDE_WIDTH, h: 0.9, fill: { color: BRAND.dark } } },
+      ...(logo ? [{ image: { data: logo, x: SLIDE_WIDTH - MARGIN - 0.6, y: 0.15, w: 0.6, h: 0.6 } }] : []),
+      {
+        text: {
+          text: `${BRAND.name} Cybersecurity Risk Calculator`,
+          options: { x: MARGIN, y: 7.05, w: 8, h: 0.3, fontSize: 9, color: BRAND.muted }
+        }
+      }
+    ],
+    slideNumber: { x: SLIDE_WIDTH - MARGIN - 0.6, y: 7.05, fontSize: 9, color: BRAND.muted }
+  });
+
+  const addSlide = (title) => {
+    const slide = pptx.addSlide({ masterName: 'REPORT' });
+    slide.addText(title, { x: MARGIN, y: 0.15, w: CONTENT_WIDTH - 1, h: 0.6, fontSize: 22, bold: true, color: 'FFFFFF' });
+    return slide;
+  };
+
+  // Title
+  const titleSlide = pptx.addSlide();
+  titleSlide.background = { color: BRAND.dark };
+  if (logo) {
+    titleSlide.addImage({ data: logo, x: MARGIN, y: 1.5, w: 1.2, h: 1.2 });
+  }
+  titleSlide.addText(report.title, { x: MARGIN, y: 3, w: CONTENT_WIDTH, h: 1, fontSize: 36, bold: true, color: 'FFFFFF' });
+  titleSlide.addText(
+    [report.assessmentName, `Executive Summary · ${report.generatedAt.toLocaleDateString()}`].filter(Boolean).join(' · '),
+    { x: MARGIN, y: 4, w: CONTENT_WIDTH, h: 0.5, fontSize: 16, color: 'DBEAFE' }
+  );
+
+  // Key findings
+  const findings = addSlide('Key Findings');
+  findings.addTable(report.headline.map(([label, value]) => [
+    { text: label, options: { color: BRAND.muted } },
+    { text: value, options: { bold: true, align: 'right' } }
+  ]), { x: MARGIN, y: 1.3, w: 6.5, fontSize: 16, border: { type: 'none' }, rowH: 0.6 });
+  if (report.insuranceGap) {
+    findings.addText([
+      { text: 'Insurance Gap', options: { bold: true, breakLine: true, fontSize: 18 } },
+      {
+        text: `For a median incident costing ${report.insuranceGap.totalCost}, the policy would pay ${report.insuranceGap.insured} ` +
+          `and the organization would retain ${report.insuranceGap.retained}, above the ${report.insuranceGap.retention} retention. ` +
+          `Losses exhaust the aggregate limit in ${report.insuranceGap.limitExhaustion} of simulated years.`
+      }
+    ], {
+      x: 7.5, y: 1.3, w: 5.3, h: 2, fontSize: 14, color: BRAND.warning, valign: 'top',
+      fill: { color: 'FEF3C7' }, margin: 12
+    });
+  }
+
+  // Inputs
+  const inputs = addSlide('Assessment Inputs');
+  inputs.addTable(tableRows(['Input', 'Value'], report.organization), { x: MARGIN, y: 1.3, w: 5.5, fontSize: 12 });
+  inputs.addTable(
+    tableRows([`Control (score ${report.securityScore}%)`, 'Maturity'], report.controls),
+    { x: 6.5, y: 1.3, w: 6.3, fontSize: 12 }
+  );
+
+  // Scenario percentiles
+  const scenarios = addSlide('Scenario Loss Percentiles');
+  scenarios.addTable(tableRows(report.scenarioTable.head, report.scenarioTable.rows), {
+    x: MARGIN, y: 1.2, w: CONTENT_WIDTH, fontSize: 10, autoPage: false
+  });
+  scenarios.addChart(
+    pptx.ChartType.bar,
+    report.scenarios.map(scenario => ({
+      name: scenario.name,
+      labels: report.scenarioTable.head.slice(1, -1),
+      values: report.scenarioTable.head.slice(1, -1).map(label => scenario.percentiles[label])
+    })),
+    {
+      x: MARGIN, y: 1.4 + 0.35 * (report.scenarioTable.rows.length + 1), w: CONTENT_WIDTH, h: 3.2,
+      barDir: 'col', barGrouping: 'clustered',
+      chartColors: report.scenarios.map(scenario => stripHash(scenario.color)),
+      showLegend: true, legendPos: 'r', valAxisLabelFormatCode: '$#,##0'
+    }
+  );
+
+  // Cost breakdown
+  const costs = addSlide(`Cost Breakdown – Median Incident ${formatReportCurrency(report.totalCost)}`);
+  costs.addChart(pptx.ChartType.pie, [{
+    name: 'Cost Breakdown',
+    labels: report.costBreakdown.map(category => category.name),
+    values: report.costBreakdown.map(category => category.value)
+  }], {
+    x: MARGIN, y: 1.2, w: 6, h: 5.6,
+    chartColors: report.costBreakdown.map(category => stripHash(category.color)),
+    showLegend: false, showPercent: true, dataLabelColor: 'FFFFFF'
+  });
+  costs.addTable(
+    tableRows(['Category', 'Cost'], report.costBreakdown.map(category => [category.name, formatReportCurrency(category.value)])),
+    { x: 7, y: 1.2, w: 5.8, fontSize: 11 }
+  );
+
+  // Recommendations
+  const recommendations = addSlide('Strategic Recommendations');
+  recommendations.addText(report.recommendations.flatMap(recommendation => [
+    { text: recommendation.title, options: { bold: true, bullet: true, breakLine: true, color: BRAND.text } },
+    { text: recommendation.detail, options: { fontSize: 12, color: BRAND.muted, indentLevel: 1, breakLine: true } }
+  ]), { x: MARGIN, y: 1.2, w: CONTENT_WIDTH, h: 5.6, fontSize: 16, valign: 'top', paraSpaceAfter: 6 });
+
+  await pptx.writeFile({ fileName });
+};
@@ -0,0 +1,74 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { PERCENTILE_LEVELS } from '../simulation/monteCarlo';
+
+const formatAxisCurrency = (value) => (
+  value >= 1000000 ? `$${(value / 1000000).toFixed(1)}M` : `$${(value / 1000).toFixed(0)}K`
+);
+
+// Fixed-size, non-animated charts so they render completely to static SVG
+export const CostBreakdownPieChart = ({ data, width, height }) => (
+  <PieChart width={width} height={height}>
+    <Pie
+      data={data}
+      cx="50%"
+      cy="50%"
+      outerRadius={Math.min(width, height) / 2 - 10}
+      dataKey="value"
+      isAnimationActive={false}
+    >
+      {data.map(entry => (
+        <Cell key={entry.name} fill={entry.color} />
+      ))}
+    </Pie>
+  </PieChart>
+);
+
+export const ScenarioPercentileChart = ({ scenarios, width, height }) => {
+  const data = PERCENTILE_LEVELS.map(({ label }) => scenarios.reduce(
+    (row, scenario) => ({ ...row, [scenario.name]: scenario.percentiles[label] }),
+    { percentile: label }
+  ));
+
+  return (
+    <BarChart width={width} height={height} data={data}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="percentile" />
+      <YAxis tickFormatter={formatAxisCurrency} width={60} />
+      {scenarios.map(scenario => (
+        <Bar key={scenario.name} dataKey={scenario.name} fill={scenario.color} isAnimationActive={false} />
+      ))}
+    </BarChart>
+  );
+};
+
+// Render a chart element to a PNG data URL at `scale`x resolution for print-quality embedding
+export const renderChartToPng = (chart, { width, height, scale = 3 }) => new Promise((resolve, reject) => {
+  const markup = renderToStaticMarkup(chart);
+  const start = markup.indexOf('<svg');
+  const end = markup.lastIndexOf('</svg>');
+  if (start === -1 || end === -1) {
+    reject(new Error('Chart did not render to SVG'));
+    return;
+  }
+
+  let svg = markup.slice(start, end + '</svg>'.length);
+  if (!svg.includes('xmlns=')) {
+    svg = svg.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+  }
+
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    resolve(canvas.toDataURL('image/png'));
+  };
+  image.onerror = () => reject(new Error('Could not rasterize chart'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
@@ -0,0 +1,144 @@
+// Plain-data report built from the same `inputs` and `results` the Executive Summary renders,
+// shared by the PDF and PowerPoint exporters.
+import { countImplementedControls, MATURITY_LEVELS } from '../controls/controlCatalog';
+import { PERCENTILE_LEVELS } from '../simulation/monteCarlo';
+import { reviewCoverage } from '../insurance/insurancePolicy';
+import { INDUSTRY_PROFILES, REGULATIONS } from '../profiles/industryProfiles';
+import { RECORD_TYPES } from '../records/recordCosts';
+
+export const BRAND = {
+  name: 'INP²',
+  primary: '2563EB',
+  dark: '1E3A8A',
+  text: '111827',
+  muted: '6B7280',
+  warning: 'B45309',
+  logoUrl: '/inp2-logo.png'
+};
+
+// Fetch the brand logo as a data URL; the report still exports if it is unavailable
+export const loadImageDataUrl = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.error('Could not load report logo:', error);
+    return null;
+  }
+};
+
+export const formatReportCurrency = (amount) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0
+}).format(amount);
+
+const maturityLabel = (maturity) => {
+  const level = MATURITY_LEVELS.find(l => l.value === maturity);
+  return level ? `${maturity} – ${level.label}` : `${maturity}`;
+};
+
+const formatPercent = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
+// Mirrors the Strategic Recommendations on the Executive Summary tab
+const buildRecommendations = (inputs, results, investmentAnalysis) => {
+  const recommendations = [];
+
+  if (investmentAnalysis) {
+    investmentAnalysis.nextDollar.forEach(control => {
+      recommendations.push({
+        title: `Raise ${control.name} from maturity ${control.maturity} to 5`,
+        detail: `Additional ${formatReportCurrency(control.upgrade.cost)}/yr avoids ${formatReportCurrency(control.upgrade.benefit)} ` +
+          `in expected annual loss (net benefit ${formatReportCurrency(control.upgrade.netBenefit)}, ROSI ${formatPercent(control.upgrade.rosi)}).`
+      });
+    });
+  }
+
+  if ((!investmentAnalysis || investmentAnalysis.nextDollar.length === 0) && results.securityScore < 75) {
+    recommendations.push({
+      title: 'Priority: Price Your Control Upgrades',
+      detail: `Security score of ${results.securityScore}% leaves room to improve. Enter annual costs for controls below full maturity to rank upgrades by return on investment.`
+    });
+  }
+
+  const coverageReview = reviewCoverage(results.aggregate.insurance);
+  if (coverageReview.length > 0) {
+    recommendations.push({
+      title: 'Consider: Insurance Coverage Review',
+      detail: `${coverageReview.join(' ')} Evaluate higher limits or sublimits for worst-case years.`
+    });
+  }
+
+  recommendations.push({
+    title: 'Regular Assessment',
+    detail: 'Update this assessment annually or after significant changes to maintain accurate risk visibility for strategic planning.'
+  });
+
+  return recommendations;
+};
+
+export const buildReport = ({ inputs, results, investmentAnalysis, assessmentName, generatedAt = new Date() }) => ({
+  title: 'Cybersecurity Risk Assessment',
+  assessmentName: assessmentName || null,
+  generatedAt,
+  organization: [
+    ['Industry', (INDUSTRY_PROFILES.find(industry => industry.id === inputs.profile.industry) || INDUSTRY_PROFILES[0]).name],
+    ['Regulations', REGULATIONS.filter(regulation => inputs.profile.regulations.includes(regulation.id)).map(r => r.name).join(', ') || 'None'],
+    ['Employees', inputs.employees.toLocaleString()],
+    ['Annual revenue', formatReportCurrency(inputs.revenue)],
+    ...RECORD_TYPES.map(type => [`${type.name} records`, (inputs.dataHoldings.records[type.id] || 0).toLocaleString()]),
+    ['Cyber insurance aggregate limit', formatReportCurrency(inputs.insurance)],
+    ['Retention per incident', formatReportCurrency(inputs.insurancePolicy.retention)],
+    ['Coinsurance', `${Math.round(inputs.insurancePolicy.coinsurance * 100)}%`]
+  ],
+  controls: inputs.controls.map(control => [control.name, maturityLabel(control.maturity)]),
+  securityScore: results.securityScore,
+  riskReduction: results.riskReduction,
+  controlCoverage: `${countImplementedControls(inputs.controls)}/${inputs.controls.length}`,
+  headline: [
+    ['Median incident cost', formatReportCurrency(results.totalCost)],
+    ['Annualized loss expectancy', formatReportCurrency(results.aggregate.ale)],
+    ['95th percentile annual loss', formatReportCurrency(results.aggregate.percentiles['95th'])],
+    ['Retained annualized loss after insurance', formatReportCurrency(results.aggregate.insurance.retainedAle)],
+    ['Security score', `${results.securityScore}%`],
+    ['Risk reduction from controls', `${results.riskReduction}%`]
+  ],
+  scenarioTable: {
+    head: ['Scenario', ...PERCENTILE_LEVELS.map(level => level.label), 'ALE'],
+    rows: results.scenarios.map(scenario => [
+      scenario.name,
+      ...PERCENTILE_LEVELS.map(level => formatReportCurrency(scenario.percentiles[level.label])),
+      formatReportCurrency(scenario.annualLoss.ale)
+    ])
+  },
+  scenarios: results.scenarios.map(scenario => ({
+    name: scenario.name,
+    color: scenario.color,
+    percentiles: scenario.percentiles
+  })),
+  costBreakdown: results.costBreakdown.map(category => ({
+    name: category.name,
+    value: category.adjustedCost,
+    color: category.color
+  })),
+  totalCost: results.totalCost,
+  insuranceGap: results.incidentSplit.retained > inputs.insurancePolicy.retention
+    ? {
+      totalCost: formatReportCurrency(results.totalCost),
+      insured: formatReportCurrency(results.incidentSplit.insured),
+      retained: formatReportCurrency(results.incidentSplit.retained),
+      retention: formatReportCurrency(inputs.insurancePolicy.retention),
+      limitExhaustion: `${(results.aggregate.insurance.limitExhaustionProbability * 100).toFixed(1)}%`
+    }
+    : null,
+  recommendations: buildRecommendations(inputs, results, investmentAnalysis),
+  iterations: results.iterations
+});
@@ -0,0 +1,185 @@
+// Maturity questionnaire organized by NIST CSF 2.0 functions and categories, with the CIS Controls v8
+// safeguards each question evidences. Every answer is a maturity level (0-5, as in the control
+// catalog); questions mapped to a catalog control derive that control's maturity, so one set of
+// answers serves both framework coverage reporting and the loss model.
+// Applying answers writes ordinary control maturities, which stay editable afterwards.
+import { MAX_MATURITY, IMPLEMENTED_MATURITY } from '../controls/controlCatalog';
+
+export const CSF_FUNCTIONS = [
+  { id: 'GV', name: 'Govern', description: 'Strategy, expectations and policy for cybersecurity risk' },
+  { id: 'ID', name: 'Identify', description: 'Understanding of assets, risks and improvements' },
+  { id: 'PR', name: 'Protect', description: 'Safeguards that prevent or reduce incidents' },
+  { id: 'DE', name: 'Detect', description: 'Finding and analyzing attacks and compromises' },
+  { id: 'RS', name: 'Respond', description: 'Actions taken on a detected incident' },
+  { id: 'RC', name: 'Recover', description: 'Restoring assets and operations after an incident' }
+];
+
+export const CSF_CATEGORIES = [
+  { id: 'GV.OC', name: 'Organizational Context' },
+  { id: 'GV.RM', name: 'Risk Management Strategy' },
+  { id: 'GV.RR', name: 'Roles, Responsibilities, and Authorities' },
+  { id: 'GV.PO', name: 'Policy' },
+  { id: 'GV.OV', name: 'Oversight' },
+  { id: 'GV.SC', name: 'Supply Chain Risk Management' },
+  { id: 'ID.AM', name: 'Asset Management' },
+  { id: 'ID.RA', name: 'Risk Assessment' },
+  { id: 'ID.IM', name: 'Improvement' },
+  { id: 'PR.AA', name: 'Identity Management, Authentication, and Access Control' },
+  { id: 'PR.AT', name: 'Awareness and Training' },
+  { id: 'PR.DS', name: 'Data Security' },
+  { id: 'PR.PS', name: 'Platform Security' },
+  { id: 'PR.IR', name: 'Technology Infrastructure Resilience' },
+  { id: 'DE.CM', name: 'Continuous Monitoring' },
+  { id: 'DE.AE', name: 'Adverse Event Analysis' },
+  { id: 'RS.MA', name: 'Incident Management' },
+  { id: 'RS.AN', name: 'Incident Analysis' },
+  { id: 'RS.CO', name: 'Incident Response Reporting and Communication' },
+  { id: 'RS.MI', name: 'Incident Mitigation' },
+  { id: 'RC.RP', name: 'Incident Recovery Plan Execution' },
+  { id: 'RC.CO', name: 'Incident Recovery Communication' }
+];
+
+export const CIS_CONTROLS = [
+  { id: '1', name: 'Inventory and Control of Enterprise Assets' },
+  { id: '2', name: 'Inventory and Control of Software Assets' },
+  { id: '3', name: 'Data Protection' },
+  { id: '4', name: 'Secure Configuration of Enterprise Assets and Software' },
+  { id: '5', name: 'Account Management' },
+  { id: '6', name: 'Access Control Management' },
+  { id: '7', name: 'Continuous Vulnerability Management' },
+  { id: '8', name: 'Audit Log Management' },
+  { id: '9', name: 'Email and Web Browser Protections' },
+  { id: '10', name: 'Malware Defenses' },
+  { id: '11', name: 'Data Recovery' },
+  { id: '12', name: 'Network Infrastructure Management' },
+  { id: '13', name: 'Network Monitoring and Defense' },
+  { id: '14', name: 'Security Awareness and Skills Training' },
+  { id: '15', name: 'Service Provider Management' },
+  { id: '16', name: 'Application Software Security' },
+  { id: '17', name: 'Incident Response Management' },
+  { id: '18', name: 'Penetration Testing' }
+];
+
+// `category` is the CSF 2.0 category; `cis` lists CIS v8 safeguards; `controls` lists catalog control ids
+export const FRAMEWORK_QUESTIONS = [
+  { id: 'gv-oc-1', category: 'GV.OC', cis: [], controls: [], text: 'Are the legal, regulatory and contractual cybersecurity requirements that apply to the organization understood and documented?' },
+  { id: 'gv-rm-1', category: 'GV.RM', cis: [], controls: [], text: 'Are cybersecurity risk objectives and risk appetite agreed by leadership and used to prioritize decisions?' },
+  { id: 'gv-rr-1', category: 'GV.RR', cis: [], controls: [], text: 'Are cybersecurity roles, responsibilities and authorities assigned, with a leader accountable for cyber risk?' },
+  { id: 'gv-po-1', category: 'GV.PO', cis: [], controls: [], text: 'Is there a cybersecurity policy that is communicated, enforced and reviewed at least annually?' },
+  { id: 'gv-ov-1', category: 'GV.OV', cis: [], controls: [], text: 'Does leadership review cybersecurity risk results and adjust strategy and resourcing accordingly?' },
+  { id: 'gv-sc-1', category: 'GV.SC', cis: ['15.1', '15.2', '15.3'], controls: ['vendorReviews'], text: 'Are service providers inventoried and classified by the data and access they hold?' },
+  { id: 'gv-sc-2', category: 'GV.SC', cis: ['15.4', '15.5', '15.6'], controls: ['vendorReviews'], text: 'Are critical suppliers assessed before onboarding, bound by security requirements in contracts and reassessed regularly?' },
+  { id: 'id-am-1', category: 'ID.AM', cis: ['1.1', '2.1', '3.2'], controls: [], text: 'Are inventories of hardware, software, cloud services and sensitive data maintained and kept current?' },
+  { id: 'id-ra-1', category: 'ID.RA', cis: ['7.1', '7.5', '7.6'], controls: [], text: 'Are vulnerabilities identified by regular scanning and tracked with their likely impact?' },
+  { id: 'id-ra-2', category: 'ID.RA', cis: ['18.1', '18.2', '18.3'], controls: [], text: 'Are penetration tests performed regularly and their findings remediated?' },
+  { id: 'id-im-1', category: 'ID.IM', cis: ['17.8'], controls: ['irTabletop'], text: 'Are lessons from incidents, exercises and assessments captured and turned into improvements?' },
+  { id: 'pr-aa-1', category: 'PR.AA', cis: ['6.3', '6.4'], controls: ['mfaEnabled'], text: 'Is multi-factor authentication required for email, remote access and externally exposed applications?' },
+  { id: 'pr-aa-2', category: 'PR.AA', cis: ['5.4', '6.5', '6.8'], controls: ['mfaEnabled'], text: 'Do administrative accounts use MFA, and are access rights granted by least privilege and reviewed?' },
+  { id: 'pr-at-1', category: 'PR.AT', cis: ['14.1', '14.2', '14.6'], controls: ['phishingTraining'], text: 'Do all staff receive security awareness training, including recognizing and reporting phishing, at least annually?' },
+  { id: 'pr-at-2', category: 'PR.AT', cis: ['14.2', '14.9'], controls: ['phishingTraining'], text: 'Are simulated phishing exercises run, with results used to target role-specific training?' },
+  { id: 'pr-ds-1', category: 'PR.DS', cis: ['11.2', '11.3', '11.4'], controls: ['backupsIsolated'], text: 'Are backups of critical systems and data automated, protected and kept isolated (offline or immutable)?' },
+  { id: 'pr-ds-2', category: 'PR.DS', cis: ['3.10', '3.11'], controls: [], text: 'Is sensitive data encrypted at rest and in transit?' },
+  { id: 'pr-ps-1', category: 'PR.PS', cis: ['4.1', '7.3', '7.4'], controls: [], text: 'Are systems built from hardened configurations and patched on a defined schedule?' },
+  { id: 'pr-ps-2', category: 'PR.PS', cis: ['9.2', '9.6', '9.7', '10.1'], controls: [], text: 'Are email filtering, web filtering and anti-malware protections deployed on all endpoints and mail flows?' },
+  { id: 'pr-ps-3', category: 'PR.PS', cis: ['16.1'], controls: [], text: 'Is software developed or acquired under a secure development process?' },
+  { id: 'pr-ir-1', category: 'PR.IR', cis: ['12.2', '13.4'], controls: [], text: 'Are networks segmented so that a compromise in one area cannot spread freely?' },
+  { id: 'de-cm-1', category: 'DE.CM', cis: ['8.2', '8.11', '13.1'], controls: [], text: 'Are networks, endpoints and user activity logged and monitored for adverse events?' },
+  { id: 'de-ae-1', category: 'DE.AE', cis: ['8.11', '17.9'], controls: [], text: 'Are alerts triaged and correlated against defined thresholds so incidents are declared promptly?' },
+  { id: 'rs-ma-1', category: 'RS.MA', cis: ['17.1', '17.4'], controls: ['irTabletop'], text: 'Is there an incident response plan with assigned roles that is followed when an incident is declared?' },
+  { id: 'rs-ma-2', category: 'RS.MA', cis: ['17.7'], controls: ['irTabletop'], text: 'Are incident response tabletop exercises run at least annually with the people named in the plan?' },
+  { id: 'rs-an-1', category: 'RS.AN', cis: ['17.8'], controls: [], text: 'Are incidents investigated to establish scope and root cause, with evidence preserved?' },
+  { id: 'rs-co-1', category: 'RS.CO', cis: ['17.2', '17.3'], controls: [], text: 'Are contacts and procedures in place to notify leadership, regulators, insurers and customers on time?' },
+  { id: 'rs-mi-1', category: 'RS.MI', cis: ['17.4'], controls: [], text: 'Can incidents be contained quickly, for example by isolating hosts or disabling accounts?' },
+  { id: 'rc-rp-1', category: 'RC.RP', cis: ['11.5'], controls: ['backupsIsolated'], text: 'Are restores from backup tested, and can critical operations be recovered within agreed times?' },
+  { id: 'rc-co-1', category: 'RC.CO', cis: [], controls: [], text: 'Are recovery progress and restored services communicated to staff, customers and partners?' }
+];
+
+export const DEFAULT_FRAMEWORK_ANSWERS = {};
+
+const functionOf = (categoryId) => categoryId.split('.')[0];
+const cisControlOf = (safeguard) => safeguard.split('.')[0];
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const answeredLevels = (questions, answers) => questions
+  .filter(question => answers[question.id] !== undefined)
+  .map(question => answers[question.id]);
+
+export const questionsForFunction = (functionId) => (
+  FRAMEWORK_QUESTIONS.filter(question => functionOf(question.category) === functionId)
+);
+
+// Maturity each catalog control gets from the answers: the rounded mean of its answered questions.
+// Controls with no answered questions are left out.
+export const deriveControlMaturities = (answers) => {
+  const derived = {};
+  const controlIds = [...new Set(FRAMEWORK_QUESTIONS.flatMap(question => question.controls))];
+  controlIds.forEach(controlId => {
+    const mean = average(answeredLevels(FRAMEWORK_QUESTIONS.filter(question => question.controls.includes(controlId)), answers));
+    if (mean !== null) derived[controlId] = Math.round(mean);
+  });
+  return derived;
+};
+
+// Stores the answers and writes the derived maturities onto the matching controls
+export const applyFrameworkAnswers = (inputs, answers) => {
+  const derived = deriveControlMaturities(answers);
+  return {
+    ...inputs,
+    frameworkAnswers: answers,
+    controls: inputs.controls.map(control => (
+      derived[control.id] !== undefined ? { ...control, maturity: derived[control.id] } : control
+    ))
+  };
+};
+
+// Coverage cell: mean answered maturity as a share of full maturity (null if nothing answered yet)
+const coverageCell = (id, name, questions, answers) => {
+  const levels = answeredLevels(questions, answers);
+  const mean = average(levels);
+  return {
+    id,
+    name,
+    questions: questions.length,
+    answered: levels.length,
+    maturity: mean,
+    coverage: mean === null ? null : mean / MAX_MATURITY
+  };
+};
+
+// Coverage by CSF function and category, and by CIS control. CIS controls no question evidences have
+// zero questions, so they show as outside the questionnaire rather than as gaps. Gaps are answered
+// categories below the implemented maturity level, weakest first.
+export const summarizeFrameworkCoverage = (answers) => {
+  const functions = CSF_FUNCTIONS.map(csfFunction => ({
+    ...coverageCell(csfFunction.id, csfFunction.name, questionsForFunction(csfFunction.id), answers),
+    categories: CSF_CATEGORIES
+      .filter(category => functionOf(category.id) === csfFunction.id)
+      .map(category => coverageCell(
+        category.id,
+        category.name,
+        FRAMEWORK_QUESTIONS.filter(question => question.category === category.id),
+        answers
+      ))
+  }));
+
+  const cisControls = CIS_CONTROLS.map(control => coverageCell(
+    control.id,
+    control.name,
+    FRAMEWORK_QUESTIONS.filter(question => question.cis.some(safeguard => cisControlOf(safeguard) === control.id)),
+    answers
+  ));
+
+  const gaps = functions
+    .flatMap(csfFunction => csfFunction.categories)
+    .filter(category => category.maturity !== null && category.maturity < IMPLEMENTED_MATURITY)
+    .sort((a, b) => a.maturity - b.maturity);
+
+  return {
+    answered: Object.keys(answers).filter(id => FRAMEWORK_QUESTIONS.some(question => question.id === id)).length,
+    total: FRAMEWORK_QUESTIONS.length,
+    functions,
+    cisControls,
+    gaps
+  };
+};
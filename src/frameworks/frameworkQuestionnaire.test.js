@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_INPUTS, buildRiskModel } from '../model/riskModel';
+import { validateAssessmentInputs } from '../assessments/inputSchema';
+import {
+  FRAMEWORK_QUESTIONS,
+  CSF_CATEGORIES,
+  CIS_CONTROLS,
+  applyFrameworkAnswers,
+  deriveControlMaturities,
+  summarizeFrameworkCoverage
+} from './frameworkQuestionnaire';
+
+describe('framework questionnaire', () => {
+  test('every question has a known CSF category and CIS control', () => {
+    FRAMEWORK_QUESTIONS.forEach(question => {
+      expect(CSF_CATEGORIES.map(category => category.id)).toContain(question.category);
+      question.cis.forEach(safeguard => expect(CIS_CONTROLS.map(control => control.id)).toContain(safeguard.split('.')[0]));
+    });
+    const controlIds = DEFAULT_INPUTS.controls.map(control => control.id);
+    FRAMEWORK_QUESTIONS.flatMap(question => question.controls).forEach(id => expect(controlIds).toContain(id));
+  });
+
+  test('control maturity is the rounded mean of its answered questions', () => {
+    expect(deriveControlMaturities({ 'pr-aa-1': 4, 'pr-aa-2': 1 })).toEqual({ mfaEnabled: 3 });
+    expect(deriveControlMaturities({ 'pr-aa-1': 2, 'gv-oc-1': 5 })).toEqual({ mfaEnabled: 2 });
+    expect(deriveControlMaturities({})).toEqual({});
+  });
+
+  test('answers drive the security score and leave unlinked controls alone', () => {
+    const inputs = applyFrameworkAnswers(DEFAULT_INPUTS, { 'pr-aa-1': 0, 'pr-aa-2': 0 });
+    const mfa = inputs.controls.find(control => control.id === 'mfaEnabled');
+    expect(mfa.maturity).toBe(0);
+    expect(inputs.controls.filter(control => control.id !== 'mfaEnabled')).toEqual(
+      DEFAULT_INPUTS.controls.filter(control => control.id !== 'mfaEnabled')
+    );
+    expect(buildRiskModel(inputs).securityScore).toBeLessThan(buildRiskModel(DEFAULT_INPUTS).securityScore);
+    expect(validateAssessmentInputs(inputs)).toEqual({});
+  });
+
+  test('coverage reports gaps and CIS controls outside the questionnaire', () => {
+    const coverage = summarizeFrameworkCoverage({ 'pr-ds-1': 1, 'rc-rp-1': 4, 'gv-po-1': 2 });
+    expect(coverage.answered).toBe(3);
+    expect(coverage.gaps.map(gap => gap.id)).toEqual(['PR.DS', 'GV.PO']);
+
+    const recovery = coverage.cisControls.find(control => control.id === '11');
+    expect(recovery.maturity).toBe(2.5);
+    coverage.cisControls.forEach(control => expect(control.questions).toBeGreaterThan(0));
+  });
+
+  test('unknown questions and out-of-range answers are rejected', () => {
+    const errors = validateAssessmentInputs({ ...DEFAULT_INPUTS, frameworkAnswers: { 'pr-aa-1': 6, bogus: 1 } });
+    expect(Object.keys(errors).sort()).toEqual(['frameworkAnswers.bogus', 'frameworkAnswers.pr-aa-1']);
+  });
+});
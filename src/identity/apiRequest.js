@@ -0,0 +1,24 @@
+// JSON requests to the site's Netlify Functions on behalf of the logged-in Identity user. Failures
+// reject with an Error whose `status`, `code` and `errors` come from the response body.
+export const apiRequest = async (user, url, { method = 'GET', body } = {}) => {
+  const token = await user.jwt();
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (response.status === 204) return null;
+
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) {
+    const error = new Error((payload && payload.message) || `The server returned ${response.status}`);
+    error.status = response.status;
+    error.code = payload && payload.code;
+    error.errors = payload && payload.errors;
+    throw error;
+  }
+  return payload;
+};
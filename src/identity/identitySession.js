@@ -0,0 +1,33 @@
+// The logged-in Netlify Identity user, from the identity widget that index.html loads. The widget
+// keeps the session in localStorage under `gotrue.user` and refreshes its access token in `user.jwt()`.
+
+const SESSION_KEY = 'gotrue.user';
+const INIT_TIMEOUT_MS = 3000;
+
+// Resolves the user, or null when nobody is logged in or the widget isn't loaded (local development, tests)
+export const getIdentityUser = () => new Promise(resolve => {
+  const identity = window.netlifyIdentity;
+  let persisted = null;
+  try {
+    persisted = window.localStorage.getItem(SESSION_KEY);
+  } catch (error) {
+    // Storage blocked: treat as logged out
+  }
+  if (!identity || !persisted) {
+    resolve(null);
+    return;
+  }
+
+  const current = identity.currentUser();
+  if (current) {
+    resolve(current);
+    return;
+  }
+
+  // The widget restores the session when it initializes, which may not have happened yet
+  const timer = setTimeout(() => resolve(null), INIT_TIMEOUT_MS);
+  identity.on('init', (user) => {
+    clearTimeout(timer);
+    resolve(user || null);
+  });
+});
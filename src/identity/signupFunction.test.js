@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+const { createHandler } = require('../../netlify/functions/identity-signup');
+const { loadOrganizations } = require('../../netlify/lib/organizations');
+const { createIdentityEvent, createIdentityContext } = require('../../netlify/local/identityEvent');
+
+const ORGANIZATIONS = JSON.stringify({
+  organizations: [
+    { id: 'acme', name: 'Acme Corp', domains: ['Acme.com', 'acme.co.uk'], seats: 3, admins: ['CISO@acme.com'], paidUntil: '2026-06-30' },
+    { id: 'globex', name: 'Globex', domains: ['globex.com'], admins: ['security@globex.com'], inviteOnly: true }
+  ]
+});
+
+// `members` is what the seat check reports the organization already has
+const signUp = async ({ members = 0, now = '2026-03-01T12:00:00Z', countMembers, ...user }) => {
+  const counted = [];
+  const handler = createHandler({
+    getOrganizations: () => loadOrganizations({ ORGANIZATIONS }),
+    countMembers: countMembers || (async (context, organization, userId) => {
+      counted.push({ organization, userId });
+      return members;
+    }),
+    now: () => new Date(now)
+  });
+  const event = createIdentityEvent(user);
+  const response = await handler(event, createIdentityContext());
+  return { status: response.statusCode, body: JSON.parse(response.body), counted, userId: JSON.parse(event.body).user.id };
+};
+
+describe('identity-signup function', () => {
+  test('assigns the organization, the access role and admin or analyst', async () => {
+    const analyst = await signUp({ email: 'bob@acme.co.uk' });
+    expect(analyst).toMatchObject({ status: 200, body: { app_metadata: { roles: ['subscriber', 'analyst'], organization: 'acme' } } });
+    // The user signing up already exists, so the seat check leaves them out
+    expect(analyst.counted).toEqual([{ organization: 'acme', userId: analyst.userId }]);
+
+    const admin = await signUp({ email: ' ciso@ACME.com' });
+    expect(admin.body.app_metadata).toEqual({ roles: ['subscriber', 'admin'], organization: 'acme' });
+  });
+
+  test('only accepts email domains an organization allows', async () => {
+    expect(await signUp({ email: 'eve@acme.com.evil.example' })).toMatchObject({ status: 403, body: { code: 'unknown_domain' } });
+    expect(await signUp({ email: 'not-an-email' })).toMatchObject({ status: 403, body: { code: 'invalid_user' } });
+  });
+
+  test('enforces the seat limit', async () => {
+    expect((await signUp({ email: 'bob@acme.com', members: 2 })).status).toBe(200);
+    expect(await signUp({ email: 'bob@acme.com', members: 3 })).toMatchObject({ status: 403, body: { code: 'seat_limit' } });
+
+    // Organizations without a seat limit are never counted
+    const unlimited = await signUp({ email: 'bob@globex.com', invited: true, members: 1000 });
+    expect(unlimited.status).toBe(200);
+    expect(unlimited.counted).toEqual([]);
+  });
+
+  test('requires an invitation for invite-only organizations, except for listed admins', async () => {
+    expect(await signUp({ email: 'bob@globex.com' })).toMatchObject({ status: 403, body: { code: 'invite_required' } });
+    expect((await signUp({ email: 'bob@globex.com', invited: true, eventType: 'accept-invite' })).body.app_metadata.roles).toEqual(['subscriber', 'analyst']);
+    expect((await signUp({ email: 'security@globex.com' })).body.app_metadata.roles).toEqual(['subscriber', 'admin']);
+  });
+
+  test('rejects sign-ups once the plan has ended', async () => {
+    expect((await signUp({ email: 'bob@acme.com', now: '2026-06-30T23:00:00Z' })).status).toBe(200);
+    expect(await signUp({ email: 'bob@acme.com', now: '2026-07-01T00:00:01Z' })).toMatchObject({ status: 403, body: { code: 'plan_inactive' } });
+  });
+
+  test('asks to retry when seats can\'t be counted', async () => {
+    const failed = await signUp({ email: 'bob@acme.com', countMembers: async () => { throw new Error('Identity admin API returned 502'); } });
+    expect(failed).toMatchObject({ status: 503, body: { code: 'seat_check_failed' } });
+  });
+
+  test('rejects unreadable events and organization settings', async () => {
+    const handler = createHandler({ getOrganizations: () => loadOrganizations({ ORGANIZATIONS: '{' }), countMembers: async () => 0 });
+    expect((await handler(createIdentityEvent({ email: 'bob@acme.com' }), createIdentityContext())).statusCode).toBe(500);
+    expect((await handler({ ...createIdentityEvent({ email: 'bob@acme.com' }), body: '{' }, createIdentityContext())).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,98 @@
+// Cyber insurance policy terms. The aggregate limit is the existing `inputs.insurance`; the policy
+// adds a per-event retention, coinsurance and per-coverage sublimits. Each cost category is
+// assigned to the coverage part that pays it, or excluded.
+import { settleSingleLoss } from '../simulation/policySettlement';
+
+export const COVERAGE_PARTS = [
+  { id: 'breachResponse', name: 'Breach Response', description: 'Breach counsel, notification, credit monitoring and audits' },
+  { id: 'extortion', name: 'Ransom/Extortion & Restoration', description: 'Ransomware response, decryption and data restoration' },
+  { id: 'businessInterruption', name: 'Business Interruption', description: 'Lost income and extra expense during an outage' },
+  { id: 'regulatory', name: 'Regulatory Fines & Penalties', description: 'Insurable fines and penalties' },
+  { id: 'crisisManagement', name: 'PR/Crisis Management', description: 'Public relations and client communications' }
+];
+
+export const POLICY_LIMITS = {
+  retention: { min: 0, max: 10000000 },
+  coinsurance: { min: 0, max: 0.9 },
+  sublimit: { min: 0, max: 50000000 }
+};
+
+export const DEFAULT_INSURANCE_POLICY = {
+  retention: 50000,
+  coinsurance: 0,
+  // null means the part is only capped by the aggregate limit
+  sublimits: {
+    breachResponse: null,
+    extortion: 500000,
+    businessInterruption: 500000,
+    regulatory: 250000,
+    crisisManagement: 100000
+  },
+  // Cost category id -> coverage part id, or null when the policy excludes it
+  categoryCoverage: {
+    forensics: 'extortion',
+    legal: 'breachResponse',
+    communications: 'crisisManagement',
+    revenueLoss: 'businessInterruption',
+    temporarySystems: 'extortion',
+    staffOvertime: 'businessInterruption',
+    clientChurn: null,
+    insurancePremium: null,
+    securityOverhaul: null,
+    regulatoryFines: 'regulatory',
+    auditCosts: 'breachResponse',
+    notification: 'breachResponse'
+  }
+};
+
+// Share of every loss falling under each coverage part follows the organization's cost breakdown
+export const buildPolicyTerms = (policy, aggregateLimit, costBreakdown) => {
+  const totalCost = costBreakdown.reduce((sum, category) => sum + category.adjustedCost, 0);
+
+  return {
+    retention: policy.retention,
+    coinsurance: policy.coinsurance,
+    aggregateLimit,
+    parts: COVERAGE_PARTS.map(part => ({
+      id: part.id,
+      share: totalCost > 0
+        ? costBreakdown
+          .filter(category => policy.categoryCoverage[category.id] === part.id)
+          .reduce((sum, category) => sum + category.adjustedCost, 0) / totalCost
+        : 0,
+      sublimit: policy.sublimits[part.id] === undefined ? null : policy.sublimits[part.id]
+    }))
+  };
+};
+
+// Insured and retained amounts of a single incident against a fresh policy year
+export const splitLoss = (terms, loss) => {
+  const insured = Math.round(settleSingleLoss(terms, loss));
+  return { insured, retained: Math.round(loss) - insured };
+};
+
+// The same split for incidents of each size, e.g. a scenario's loss percentiles
+export const splitLosses = (terms, losses) => Object.fromEntries(
+  Object.entries(losses).map(([key, loss]) => [key, splitLoss(terms, loss)])
+);
+
+// Simulated outcomes that warrant a coverage review
+export const COVERAGE_REVIEW_THRESHOLDS = {
+  limitExhaustion: 0.05,
+  sublimitExhaustion: 0.1
+};
+
+// Reasons to review the policy, from the simulation's aggregate insurance results
+export const reviewCoverage = (insurance) => {
+  const reasons = [];
+  if (insurance.limitExhaustionProbability >= COVERAGE_REVIEW_THRESHOLDS.limitExhaustion) {
+    reasons.push(`Losses exhaust the aggregate limit in ${(insurance.limitExhaustionProbability * 100).toFixed(1)}% of simulated years.`);
+  }
+  insurance.sublimitExhaustion.forEach(({ id, probability }) => {
+    if (probability !== null && probability >= COVERAGE_REVIEW_THRESHOLDS.sublimitExhaustion) {
+      const part = COVERAGE_PARTS.find(p => p.id === id);
+      reasons.push(`The ${part.name} sublimit is exhausted in ${(probability * 100).toFixed(1)}% of simulated years.`);
+    }
+  });
+  return reasons;
+};
@@ -0,0 +1,63 @@
+// Return on security investment (ROSI) per control, from the marginal change in expected annual loss.
+// A control's `annualCost` is its run-rate at full maturity; spend is assumed to scale with maturity.
+import { buildRiskModel, expectedAnnualLoss } from './riskModel';
+import { MAX_MATURITY } from '../controls/controlCatalog';
+
+const withMaturity = (inputs, controlId, maturity) => ({
+  ...inputs,
+  controls: inputs.controls.map(control => (control.id === controlId ? { ...control, maturity } : control))
+});
+
+const expectedLossFor = (inputs) => expectedAnnualLoss(buildRiskModel(inputs));
+
+// ROSI = (loss avoided - cost) / cost; payback in months of avoided loss needed to recoup the cost
+const investmentReturns = (benefit, cost) => ({
+  benefit: Math.round(benefit),
+  cost: Math.round(cost),
+  netBenefit: Math.round(benefit - cost),
+  rosi: cost > 0 ? (benefit - cost) / cost : null,
+  paybackMonths: cost > 0 && benefit > 0 ? (cost / benefit) * 12 : null
+});
+
+export const analyzeControlInvestments = (inputs) => {
+  const baselineLoss = expectedLossFor(inputs);
+
+  const controls = inputs.controls.map(control => {
+    const annualCost = control.annualCost || 0;
+    const lossWithout = expectedLossFor(withMaturity(inputs, control.id, 0));
+    const lossAtFull = expectedLossFor(withMaturity(inputs, control.id, MAX_MATURITY));
+
+    return {
+      id: control.id,
+      name: control.name,
+      maturity: control.maturity,
+      annualCost,
+      hasCost: annualCost > 0,
+      // What the control delivers today versus removing it entirely
+      current: investmentReturns(lossWithout - baselineLoss, annualCost * (control.maturity / MAX_MATURITY)),
+      // What raising it to full maturity would add
+      upgrade: investmentReturns(baselineLoss - lossAtFull, annualCost * ((MAX_MATURITY - control.maturity) / MAX_MATURITY))
+    };
+  });
+
+  // "Best next dollar": upgrades ranked by loss avoided per dollar of additional spend
+  const nextDollar = controls
+    .filter(control => control.maturity < MAX_MATURITY && control.hasCost && control.upgrade.benefit > 0)
+    .sort((a, b) => (b.upgrade.benefit / b.upgrade.cost) - (a.upgrade.benefit / a.upgrade.cost));
+
+  // Portfolio view removes all costed controls together, since individual contributions overlap
+  const implemented = controls.filter(control => control.maturity > 0 && control.hasCost);
+  const totalSpend = implemented.reduce((sum, control) => sum + control.current.cost, 0);
+  const lossWithoutImplemented = expectedLossFor(implemented.reduce(
+    (acc, control) => withMaturity(acc, control.id, 0),
+    inputs
+  ));
+
+  return {
+    baselineLoss: Math.round(baselineLoss),
+    controls,
+    nextDollar,
+    missingCosts: controls.filter(control => !control.hasCost),
+    portfolio: investmentReturns(lossWithoutImplemented - baselineLoss, totalSpend)
+  };
+};
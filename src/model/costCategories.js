@@ -0,0 +1,18 @@
+// Cost categories of a single incident. Base costs are for a cross-industry organization of about
+// 100 employees; industry and regulatory profiles override them per assessment. Categories with a
+// `recordCost` also grow with the number of records exposed (see records/recordCosts.js): Legal's
+// base cost is the breach counsel floor, and Regulatory Fines and Notification are record-driven only.
+export const COST_CATEGORIES = [
+  { id: 'forensics', name: 'Emergency IT/Forensics', baseCost: 85000, icon: '🔧' },
+  { id: 'legal', name: 'Legal/Compliance', baseCost: 40000, icon: '⚖️', recordCost: 'legal' },
+  { id: 'communications', name: 'PR/Client Communications', baseCost: 45000, icon: '📢' },
+  { id: 'revenueLoss', name: 'Revenue Loss', baseCost: 180000, icon: '📉' },
+  { id: 'temporarySystems', name: 'Temporary Systems', baseCost: 60000, icon: '💻' },
+  { id: 'staffOvertime', name: 'Staff Overtime', baseCost: 40000, icon: '⏰' },
+  { id: 'clientChurn', name: 'Client Churn', baseCost: 390000, icon: '👥' },
+  { id: 'insurancePremium', name: 'Insurance Premium Increase', baseCost: 25000, icon: '🛡️' },
+  { id: 'securityOverhaul', name: 'Security Overhaul', baseCost: 150000, icon: '🔒' },
+  { id: 'regulatoryFines', name: 'Regulatory Fines', baseCost: 0, icon: '📋', recordCost: 'fines' },
+  { id: 'auditCosts', name: 'Audit Costs', baseCost: 30000, icon: '🔍' },
+  { id: 'notification', name: 'Notification & Credit Monitoring', baseCost: 0, icon: '✉️', recordCost: 'notification' }
+];
@@ -0,0 +1,182 @@
+// Risk model: turns assessment inputs into security score, cost breakdown and the scenario
+// distributions the Monte Carlo simulation samples from.
+import { DEFAULT_RISK_TOLERANCE } from '../simulation/riskTolerance';
+import { distributionMean } from '../simulation/monteCarlo';
+import { DEFAULT_THREAT_SCENARIOS, validateScenario, magnitudeToLognormal } from '../scenarios/threatScenarios';
+import {
+  DEFAULT_CONTROL_CATALOG,
+  calculateSecurityScore,
+  calculateScenarioCoverage,
+  calculateSynergyBonus,
+  calculateCategoryReduction
+} from '../controls/controlCatalog';
+import { DEFAULT_INSURANCE_POLICY, buildPolicyTerms, splitLoss, splitLosses } from '../insurance/insurancePolicy';
+import { COST_CATEGORIES } from './costCategories';
+import { DEFAULT_PROFILE, DEFAULT_BASE_COSTS, DEFAULT_FINE_RANGE } from '../profiles/industryProfiles';
+import { DEFAULT_DATA_HOLDINGS, calculateRecordCosts } from '../records/recordCosts';
+import { DEFAULT_ROADMAP } from '../roadmap/controlRoadmap';
+import { DEFAULT_FRAMEWORK_ANSWERS } from '../frameworks/frameworkQuestionnaire';
+import { applyTrainingResults, trainingFrequencyFactor } from '../phishing/phishingTraining';
+
+export const CHART_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#a855f7', '#06b6d4', '#84cc16'];
+
+export { COST_CATEGORIES };
+
+export const INPUT_LIMITS = {
+  employees: { min: 1, max: 1000000 },
+  revenue: { min: 0, max: 100000000000 },
+  insurance: { min: 0, max: 50000000 }
+};
+
+// Scenario-specific risk reduction from the controls mapped to it
+export const calculateScenarioRiskReduction = (scenario, controls) => (
+  Math.min(calculateScenarioCoverage(scenario, controls) * 0.65, 0.75)
+);
+
+// Frequency and single-loss magnitude distributions for the simulation, scaled to the organization.
+// Breach costs for the records the scenario exposes are added to the median loss; `frequencyFactor`
+// scales how often it happens (phishing training results).
+export const buildScenarioDistributions = (scenario, organizationFactors) => {
+  const { sizeFactor, revenueFactor, riskReduction, breachCost = 0, frequencyFactor = 1 } = organizationFactors;
+  const { median, sigma } = magnitudeToLognormal(scenario.magnitude);
+
+  return {
+    frequency: {
+      type: 'pert',
+      min: scenario.frequency.min * frequencyFactor,
+      mode: scenario.frequency.mostLikely * frequencyFactor,
+      max: scenario.frequency.max * frequencyFactor
+    },
+    magnitude: {
+      type: 'lognormal',
+      median: (median * sizeFactor * revenueFactor + breachCost) * (1 - riskReduction),
+      sigma
+    }
+  };
+};
+
+export const DEFAULT_INPUTS = {
+  employees: 250,
+  revenue: 50000000,
+  insurance: 1000000,
+  insurancePolicy: DEFAULT_INSURANCE_POLICY,
+  profile: DEFAULT_PROFILE,
+  baseCosts: DEFAULT_BASE_COSTS,
+  regulatoryFineRange: DEFAULT_FINE_RANGE,
+  dataHoldings: DEFAULT_DATA_HOLDINGS,
+  controls: DEFAULT_CONTROL_CATALOG,
+  riskTolerance: DEFAULT_RISK_TOLERANCE,
+  scenarios: DEFAULT_THREAT_SCENARIOS,
+  roadmap: DEFAULT_ROADMAP,
+  frameworkAnswers: DEFAULT_FRAMEWORK_ANSWERS,
+  // Organization phishing trainer results applied to this assessment, or null to use the control's maturity
+  trainingResults: null
+};
+
+export const buildRiskModel = (inputs) => {
+  // Measured phishing training results stand in for the training control's maturity
+  const controls = applyTrainingResults(inputs.controls, inputs.trainingResults);
+
+  // Security score calculation
+  const securityScore = calculateSecurityScore(controls);
+
+  // Company size and revenue factors with improved scaling
+  const sizeFactor = Math.max(1, Math.log10(Math.max(inputs.employees, 10) / 100) * 0.2 + 1);
+  const revenueFactor = Math.max(1, Math.log10(Math.max(inputs.revenue, 1000000) / 10000000) * 0.15 + 1);
+
+  // Risk reduction from security controls with more realistic caps
+  const riskReduction = Math.min(securityScore * 0.65, 0.75); // Cap at 75% reduction (more realistic)
+
+  const organizationFactors = { sizeFactor, revenueFactor, riskReduction };
+
+  // Scenario frequency and magnitude parameters; percentiles come from the simulation
+  const scenarios = inputs.scenarios
+    .filter(scenario => scenario.enabled && Object.keys(validateScenario(scenario)).length === 0)
+    .map((scenario, index) => {
+      const scenarioRiskReduction = calculateScenarioRiskReduction(scenario, controls);
+      const breachCosts = calculateRecordCosts(inputs.dataHoldings, scenario.recordExposure || 0, inputs.regulatoryFineRange);
+
+      return {
+        ...scenario,
+        color: CHART_COLORS[index % CHART_COLORS.length],
+        riskReduction: scenarioRiskReduction,
+        exposedRecords: breachCosts.exposedRecords,
+        distributions: buildScenarioDistributions(scenario, {
+          ...organizationFactors,
+          riskReduction: scenarioRiskReduction,
+          breachCost: breachCosts.total,
+          frequencyFactor: trainingFrequencyFactor(scenario, controls)
+        })
+      };
+    });
+
+  // Breach costs of a typical incident, from the records it exposes
+  const recordCosts = calculateRecordCosts(inputs.dataHoldings, inputs.dataHoldings.exposureShare, inputs.regulatoryFineRange);
+
+  // Cross-control synergies (controls work better together)
+  const synergyBonus = calculateSynergyBonus(controls);
+
+  // Calculate cost breakdown with control effectiveness from the catalog
+  const adjustedCosts = COST_CATEGORIES.map((category, index) => {
+    const controlReduction = calculateCategoryReduction(category.id, controls);
+    const reductionFactor = Math.min(controlReduction + synergyBonus, 0.70); // Cap individual reductions
+
+    // Profile base cost scales with company size; record-driven costs scale with exposed records
+    const baseCost = inputs.baseCosts[category.id] !== undefined ? inputs.baseCosts[category.id] : category.baseCost;
+    const recordCost = category.recordCost ? recordCosts[category.recordCost] : 0;
+    const adjustedCost = (baseCost * sizeFactor + recordCost) * (1 - reductionFactor);
+    
+    return {
+      ...category,
+      baseCost: Math.round(baseCost + recordCost),
+      reductionFactor,
+      adjustedCost: Math.round(adjustedCost),
+      color: CHART_COLORS[index % CHART_COLORS.length]
+    };
+  });
+
+  const totalCost = adjustedCosts.reduce((sum, cat) => sum + cat.adjustedCost, 0);
+
+  return {
+    scenarios,
+    costBreakdown: adjustedCosts,
+    totalCost,
+    exposedRecords: recordCosts.exposedRecords,
+    policyTerms: buildPolicyTerms(inputs.insurancePolicy, inputs.insurance, adjustedCosts),
+    securityScore: Math.round(securityScore * 100),
+    riskReduction: Math.round(riskReduction * 100)
+  };
+};
+
+// The model's scenario distributions and policy terms as plain data, as the simulation (and the
+// worker boundary) expects them
+export const toSimulationInput = (model) => ({
+  scenarios: model.scenarios.map(({ id, name, distributions }) => ({
+    id,
+    name,
+    frequency: distributions.frequency,
+    magnitude: distributions.magnitude
+  })),
+  policy: model.policyTerms || null
+});
+
+// Attach a simulation run's percentiles, ALE and exceedance curves to the model it was computed from,
+// with the insured/retained split of a single incident at each loss percentile
+export const combineSimulation = (model, output) => ({
+  ...model,
+  incidentSplit: splitLoss(model.policyTerms, model.totalCost),
+  scenarios: model.scenarios.map((scenario, index) => ({
+    ...scenario,
+    ...output.scenarios[index],
+    percentileSplit: splitLosses(model.policyTerms, output.scenarios[index].percentiles)
+  })),
+  aggregate: output.aggregate,
+  iterations: output.iterations
+});
+
+// Expected annual loss computed analytically (mean frequency x mean magnitude per scenario).
+// It equals the simulated ALE in expectation but has no sampling noise, so it suits marginal comparisons.
+export const expectedAnnualLoss = (model) => model.scenarios.reduce(
+  (sum, scenario) => sum + distributionMean(scenario.distributions.frequency) * distributionMean(scenario.distributions.magnitude),
+  0
+);
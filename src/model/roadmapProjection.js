@@ -0,0 +1,98 @@
+// Multi-year projection of expected loss under a control roadmap. Each quarter is scored with the
+// same risk model as today's snapshot, using that quarter's control maturities and grown employee and
+// revenue figures, and compared with keeping today's controls unchanged over the same horizon.
+// Loss-cost inflation scales every cost input alike, so it is applied to the resulting losses.
+import { INPUT_LIMITS, buildRiskModel, expectedAnnualLoss } from './riskModel';
+import { MAX_MATURITY } from '../controls/controlCatalog';
+import { QUARTERS_PER_YEAR, controlsForQuarter, formatQuarter } from '../roadmap/controlRoadmap';
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// Run-rate spend on controls, assuming spend scales with maturity (as in controlInvestment)
+const annualControlSpend = (controls) => controls.reduce(
+  (sum, control) => sum + (control.annualCost || 0) * (control.maturity / MAX_MATURITY),
+  0
+);
+
+const grownInputs = (inputs, elapsedYears) => {
+  const { employeeGrowth, revenueGrowth } = inputs.roadmap;
+  return {
+    ...inputs,
+    employees: Math.round(clamp(inputs.employees * (1 + employeeGrowth) ** elapsedYears, INPUT_LIMITS.employees)),
+    revenue: Math.round(clamp(inputs.revenue * (1 + revenueGrowth) ** elapsedYears, INPUT_LIMITS.revenue))
+  };
+};
+
+const projectQuarter = (inputs, quarter) => {
+  const elapsedYears = (quarter - 1) / QUARTERS_PER_YEAR;
+  const inflation = (1 + inputs.roadmap.lossInflation) ** elapsedYears;
+  const grown = grownInputs(inputs, elapsedYears);
+  const plannedControls = controlsForQuarter(inputs.controls, inputs.roadmap.milestones, quarter);
+
+  const planned = buildRiskModel({ ...grown, controls: plannedControls });
+  const current = buildRiskModel(grown);
+
+  return {
+    quarter,
+    label: formatQuarter(quarter),
+    employees: grown.employees,
+    revenue: grown.revenue,
+    securityScore: planned.securityScore,
+    currentSecurityScore: current.securityScore,
+    // Annualized rates during the quarter
+    expectedLoss: expectedAnnualLoss(planned) * inflation,
+    currentExpectedLoss: expectedAnnualLoss(current) * inflation,
+    incidentCost: planned.totalCost * inflation,
+    additionalSpend: annualControlSpend(plannedControls) - annualControlSpend(inputs.controls)
+  };
+};
+
+// Quarterly trend plus yearly totals. Avoided loss and additional spend are relative to keeping
+// today's controls; both accumulate from the start of the roadmap.
+export const projectRoadmap = (inputs) => {
+  const quarterCount = inputs.roadmap.years * QUARTERS_PER_YEAR;
+  const quarters = Array.from({ length: quarterCount }, (_, index) => projectQuarter(inputs, index + 1));
+
+  let cumulativeAvoidedLoss = 0;
+  let cumulativeSpend = 0;
+  const years = Array.from({ length: inputs.roadmap.years }, (_, index) => {
+    const yearQuarters = quarters.slice(index * QUARTERS_PER_YEAR, (index + 1) * QUARTERS_PER_YEAR);
+    const total = (field) => yearQuarters.reduce((sum, quarter) => sum + quarter[field] / QUARTERS_PER_YEAR, 0);
+    const last = yearQuarters[yearQuarters.length - 1];
+
+    const expectedLoss = total('expectedLoss');
+    const currentExpectedLoss = total('currentExpectedLoss');
+    const additionalSpend = total('additionalSpend');
+    cumulativeAvoidedLoss += currentExpectedLoss - expectedLoss;
+    cumulativeSpend += additionalSpend;
+
+    return {
+      year: index + 1,
+      securityScore: last.securityScore,
+      expectedLoss: Math.round(expectedLoss),
+      currentExpectedLoss: Math.round(currentExpectedLoss),
+      avoidedLoss: Math.round(currentExpectedLoss - expectedLoss),
+      additionalSpend: Math.round(additionalSpend),
+      cumulativeAvoidedLoss: Math.round(cumulativeAvoidedLoss),
+      cumulativeSpend: Math.round(cumulativeSpend),
+      incidentCost: Math.round(last.incidentCost)
+    };
+  });
+
+  const final = years[years.length - 1];
+  return {
+    quarters: quarters.map(quarter => ({
+      ...quarter,
+      expectedLoss: Math.round(quarter.expectedLoss),
+      currentExpectedLoss: Math.round(quarter.currentExpectedLoss),
+      incidentCost: Math.round(quarter.incidentCost),
+      additionalSpend: Math.round(quarter.additionalSpend)
+    })),
+    years,
+    totals: {
+      avoidedLoss: final.cumulativeAvoidedLoss,
+      additionalSpend: final.cumulativeSpend,
+      netBenefit: final.cumulativeAvoidedLoss - final.cumulativeSpend
+    }
+  };
+};
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_INPUTS, buildRiskModel, expectedAnnualLoss } from './riskModel';
+import { projectRoadmap } from './roadmapProjection';
+import { createMilestone } from '../roadmap/controlRoadmap';
+
+const withRoadmap = (changes, controls = DEFAULT_INPUTS.controls) => ({
+  ...DEFAULT_INPUTS,
+  controls,
+  roadmap: { ...DEFAULT_INPUTS.roadmap, ...changes }
+});
+
+const noGrowth = { employeeGrowth: 0, revenueGrowth: 0, lossInflation: 0 };
+const controlsOff = DEFAULT_INPUTS.controls.map(control => ({ ...control, maturity: 0, annualCost: 40000 }));
+
+describe('projectRoadmap', () => {
+  test('an empty roadmap without growth repeats today every year', () => {
+    const projection = projectRoadmap(withRoadmap({ ...noGrowth, years: 4 }));
+    const today = Math.round(expectedAnnualLoss(buildRiskModel(DEFAULT_INPUTS)));
+    expect(projection.quarters).toHaveLength(16);
+    expect(projection.years).toHaveLength(4);
+    projection.years.forEach(year => {
+      expect(year.expectedLoss).toBe(today);
+      expect(year.avoidedLoss).toBe(0);
+      expect(year.additionalSpend).toBe(0);
+    });
+  });
+
+  test('loss inflation compounds the expected loss', () => {
+    const projection = projectRoadmap(withRoadmap({ ...noGrowth, lossInflation: 0.1 }));
+    expect(projection.quarters[4].expectedLoss / projection.quarters[0].expectedLoss).toBeCloseTo(1.1, 2);
+    expect(projection.years[1].expectedLoss).toBeGreaterThan(projection.years[0].expectedLoss);
+  });
+
+  test('milestones take effect from their quarter and are compared with today\'s controls', () => {
+    const milestones = [createMilestone('mfaEnabled', 1, 5), createMilestone('vendorReviews', 3, 5)];
+    const projection = projectRoadmap(withRoadmap({ ...noGrowth, milestones }, controlsOff));
+
+    const [q1, q2, q3] = projection.quarters;
+    expect(q1.expectedLoss).toBeLessThan(q1.currentExpectedLoss);
+    expect(q2.expectedLoss).toBe(q1.expectedLoss);
+    expect(q3.expectedLoss).toBeLessThan(q2.expectedLoss);
+    expect(q3.securityScore).toBeGreaterThan(q1.securityScore);
+
+    // MFA costs all year; vendor reviews from Q3, so half of year 1
+    expect(projection.years[0].additionalSpend).toBe(60000);
+    expect(projection.years[1].additionalSpend).toBe(80000);
+    expect(projection.totals.additionalSpend).toBe(220000);
+    expect(projection.totals.avoidedLoss).toBeGreaterThan(0);
+  });
+
+  test('milestones for removed controls are ignored', () => {
+    const projection = projectRoadmap(withRoadmap({ ...noGrowth, milestones: [createMilestone('retired', 1, 5)] }));
+    expect(projection.totals.avoidedLoss).toBe(0);
+  });
+});
@@ -0,0 +1,164 @@
+// One-at-a-time sensitivity analysis: each driver is moved to a low and a high value with every other
+// input held at its current value, and the swing in expected annual loss and in median incident cost
+// is recorded. Uses the analytic expected loss, so swings are free of simulation noise.
+//
+// Cost category base costs only break down the incident cost; expected loss comes from the scenarios'
+// own loss ranges. So they are only ranked, and labelled, for the incident cost metric.
+import { COST_CATEGORIES, INPUT_LIMITS, buildRiskModel, expectedAnnualLoss } from './riskModel';
+import { CONTROL_LIMITS, MAX_MATURITY } from '../controls/controlCatalog';
+import { SCENARIO_LIMITS } from '../scenarios/threatScenarios';
+import { BASE_COST_LIMITS } from '../profiles/industryProfiles';
+
+export const SENSITIVITY_RANGES = [0.1, 0.25, 0.5];
+export const DEFAULT_SENSITIVITY_RANGE = 0.25;
+
+export const SENSITIVITY_METRICS = [
+  { id: 'ale', name: 'Expected annual loss' },
+  { id: 'incidentCost', name: 'Median incident cost' }
+];
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+const evaluate = (inputs) => {
+  const model = buildRiskModel(inputs);
+  return { ale: expectedAnnualLoss(model), incidentCost: model.totalCost };
+};
+
+const updateItem = (items, id, update) => items.map(item => (item.id === id ? update(item) : item));
+
+const scaleFrequency = (frequency, factor) => ({
+  min: clamp(frequency.min * factor, SCENARIO_LIMITS.frequency),
+  mostLikely: clamp(frequency.mostLikely * factor, SCENARIO_LIMITS.frequency),
+  max: clamp(frequency.max * factor, SCENARIO_LIMITS.frequency)
+});
+
+const scaleMagnitude = (magnitude, factor) => ({
+  low: clamp(magnitude.low * factor, SCENARIO_LIMITS.magnitude),
+  high: clamp(magnitude.high * factor, SCENARIO_LIMITS.magnitude)
+});
+
+// Every driver as { id, name, group, value, low, high, apply(inputs, value) }. `value` is the current
+// setting; `low` and `high` are the settings tested. Control toggles test off against full maturity.
+// Drivers that move only some metrics list them in `metrics`.
+const buildDrivers = (inputs, range) => {
+  const scaled = (value, limits) => [clamp(value * (1 - range), limits), clamp(value * (1 + range), limits)];
+  const drivers = [];
+
+  ['employees', 'revenue'].forEach(field => {
+    const [low, high] = scaled(inputs[field], INPUT_LIMITS[field]);
+    drivers.push({
+      id: field,
+      name: field === 'employees' ? 'Employees' : 'Annual revenue',
+      group: 'Organization',
+      value: inputs[field],
+      low,
+      high,
+      apply: (base, value) => ({ ...base, [field]: value })
+    });
+  });
+
+  inputs.controls.forEach(control => {
+    drivers.push({
+      id: `control:${control.id}`,
+      name: `${control.name} (off / full maturity)`,
+      group: 'Control',
+      value: control.maturity,
+      low: 0,
+      high: MAX_MATURITY,
+      toggle: true,
+      apply: (base, maturity) => ({ ...base, controls: updateItem(base.controls, control.id, c => ({ ...c, maturity })) })
+    });
+
+    const [low, high] = scaled(control.weight, CONTROL_LIMITS.weight);
+    drivers.push({
+      id: `weight:${control.id}`,
+      name: `${control.name} weight`,
+      group: 'Security weight',
+      value: control.weight,
+      low,
+      high,
+      apply: (base, weight) => ({ ...base, controls: updateItem(base.controls, control.id, c => ({ ...c, weight })) })
+    });
+  });
+
+  COST_CATEGORIES.forEach(category => {
+    const baseCost = inputs.baseCosts[category.id] !== undefined ? inputs.baseCosts[category.id] : category.baseCost;
+    if (baseCost <= 0) return;
+    const [low, high] = scaled(baseCost, BASE_COST_LIMITS);
+    drivers.push({
+      id: `baseCost:${category.id}`,
+      name: `${category.name} base cost (incident cost only)`,
+      group: 'Cost category',
+      metrics: ['incidentCost'],
+      value: baseCost,
+      low,
+      high,
+      apply: (base, value) => ({ ...base, baseCosts: { ...base.baseCosts, [category.id]: value } })
+    });
+  });
+
+  // Scenario drivers are multipliers on the whole frequency or magnitude range
+  inputs.scenarios.filter(scenario => scenario.enabled).forEach(scenario => {
+    drivers.push({
+      id: `frequency:${scenario.id}`,
+      name: `${scenario.name} frequency`,
+      group: 'Scenario',
+      value: 1,
+      low: 1 - range,
+      high: 1 + range,
+      apply: (base, factor) => ({
+        ...base,
+        scenarios: updateItem(base.scenarios, scenario.id, s => ({ ...s, frequency: scaleFrequency(s.frequency, factor) }))
+      })
+    });
+    drivers.push({
+      id: `severity:${scenario.id}`,
+      name: `${scenario.name} severity`,
+      group: 'Scenario',
+      value: 1,
+      low: 1 - range,
+      high: 1 + range,
+      apply: (base, factor) => ({
+        ...base,
+        scenarios: updateItem(base.scenarios, scenario.id, s => ({ ...s, magnitude: scaleMagnitude(s.magnitude, factor) }))
+      })
+    });
+  });
+
+  return drivers;
+};
+
+// Elasticity: % change in the metric per % change in the driver, from the low-to-high difference.
+// Null for on/off drivers and when the driver or metric has no baseline to scale against.
+const elasticity = (driver, lowResult, highResult, baseline) => {
+  if (driver.toggle || driver.value === 0 || baseline === 0 || driver.high === driver.low) return null;
+  return ((highResult - lowResult) / baseline) / ((driver.high - driver.low) / driver.value);
+};
+
+// The drivers that can move `metric`, sorted by their swing in it, largest first
+export const analyzeSensitivity = (inputs, range = DEFAULT_SENSITIVITY_RANGE, metric = 'ale') => {
+  const baseline = evaluate(inputs);
+
+  const relevant = buildDrivers(inputs, range).filter(driver => !driver.metrics || driver.metrics.includes(metric));
+  const drivers = relevant.map(driver => {
+    const lowResult = evaluate(driver.apply(inputs, driver.low));
+    const highResult = evaluate(driver.apply(inputs, driver.high));
+
+    const results = Object.fromEntries(SENSITIVITY_METRICS.map(({ id }) => [id, {
+      low: Math.round(lowResult[id]),
+      high: Math.round(highResult[id]),
+      swing: Math.round(Math.abs(highResult[id] - lowResult[id])),
+      elasticity: elasticity(driver, lowResult[id], highResult[id], baseline[id])
+    }]));
+
+    const { apply, metrics, ...description } = driver;
+    return { ...description, ...results };
+  });
+
+  return {
+    baseline: { ale: Math.round(baseline.ale), incidentCost: baseline.incidentCost },
+    range,
+    metric,
+    drivers: drivers.sort((a, b) => b[metric].swing - a[metric].swing)
+  };
+};
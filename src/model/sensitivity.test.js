@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_INPUTS, buildRiskModel, expectedAnnualLoss } from './riskModel';
+import { analyzeSensitivity } from './sensitivity';
+
+const byId = (analysis, id) => analysis.drivers.find(driver => driver.id === id);
+
+describe('analyzeSensitivity', () => {
+  test('baseline matches the model and drivers are sorted by swing', () => {
+    const analysis = analyzeSensitivity(DEFAULT_INPUTS, 0.25);
+    expect(analysis.baseline.ale).toBe(Math.round(expectedAnnualLoss(buildRiskModel(DEFAULT_INPUTS))));
+    expect(analysis.baseline.incidentCost).toBe(756612);
+
+    const swings = analysis.drivers.map(driver => driver.ale.swing);
+    expect(swings).toEqual([...swings].sort((a, b) => b - a));
+  });
+
+  test('scenario frequency is proportional to expected loss', () => {
+    const analysis = analyzeSensitivity(DEFAULT_INPUTS, 0.25);
+    const scenario = DEFAULT_INPUTS.scenarios.find(s => s.enabled);
+    const frequency = byId(analysis, `frequency:${scenario.id}`);
+    expect(frequency.ale.high).toBeGreaterThan(frequency.ale.low);
+    // Expected loss is linear in frequency, so each scenario's elasticity is its share of the total
+    expect(frequency.ale.elasticity).toBeGreaterThan(0);
+    expect(frequency.ale.elasticity).toBeLessThan(1);
+    expect(frequency.incidentCost.swing).toBe(0);
+  });
+
+  test('switching a control off raises loss and has no elasticity', () => {
+    const control = DEFAULT_INPUTS.controls[0];
+    const driver = byId(analyzeSensitivity(DEFAULT_INPUTS), `control:${control.id}`);
+    expect(driver.ale.low).toBeGreaterThan(driver.ale.high);
+    expect(driver.ale.elasticity).toBeNull();
+  });
+
+  test('base costs move the incident cost but not expected annual loss, so only rank for the incident cost', () => {
+    const analysis = analyzeSensitivity(DEFAULT_INPUTS, 0.5, 'incidentCost');
+    const forensics = byId(analysis, 'baseCost:forensics');
+    expect(forensics.name).toMatch(/incident cost only/);
+    expect(forensics.incidentCost.swing).toBeGreaterThan(0);
+    expect(forensics.ale.swing).toBe(0);
+    expect(analysis.drivers[0].incidentCost.swing).toBeGreaterThanOrEqual(forensics.incidentCost.swing);
+
+    const ale = analyzeSensitivity(DEFAULT_INPUTS, 0.5, 'ale');
+    expect(ale.drivers.filter(driver => driver.group === 'Cost category')).toEqual([]);
+  });
+});
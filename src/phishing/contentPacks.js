@@ -0,0 +1,258 @@
+// Phishing trainer content packs: named sets of scenarios an organization's security team writes for
+// its own lures (fake payroll, vendor invoices, MFA fatigue, QR codes, text messages…). The built-in
+// pack (trainingScenarios.js) is always installed; organizations add theirs alongside it.
+//
+// A pack is `{ id, name, description, scenarios }`. Each scenario has an id unique in its pack, a
+// `kind` (email, sms or website) with that kind's fields, a `difficulty`, a threat `category`, whether
+// it `isPhishing`, and its `hotspots`. Exported pack files add `format` and `version` and are
+// documented by the JSON Schema at CONTENT_PACK_SCHEMA_PATH.
+//
+// Installed scenarios are addressed as `<pack id>/<scenario id>`, which is how attempts key answers.
+import { BUILT_IN_PACK } from './trainingScenarios';
+import { generateId, isObject } from '../shared/values';
+
+export const CONTENT_PACK_FORMAT = 'phishing-content-pack';
+export const CONTENT_PACK_VERSION = 1;
+export const CONTENT_PACK_SCHEMA_PATH = `/schema/phishing-content-pack-v${CONTENT_PACK_VERSION}.schema.json`;
+
+export const SCENARIO_KINDS = [
+  { id: 'email', label: 'Email', fields: ['sender', 'subject', 'body'] },
+  { id: 'sms', label: 'Text message', fields: ['sender', 'body'] },
+  { id: 'website', label: 'Website', fields: ['url', 'title', 'content'] }
+];
+
+export const FIELD_LABELS = {
+  sender: 'From',
+  subject: 'Subject',
+  body: 'Message',
+  url: 'Address bar',
+  title: 'Page title',
+  content: 'Page text'
+};
+
+export const DIFFICULTIES = [
+  { id: 'easy', label: 'Easy' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'hard', label: 'Hard' }
+];
+
+export const THREAT_CATEGORIES = [
+  { id: 'credential-harvesting', label: 'Credential harvesting' },
+  { id: 'payment-fraud', label: 'Order and payment fraud' },
+  { id: 'payroll', label: 'Payroll diversion' },
+  { id: 'vendor-invoice', label: 'Vendor invoice fraud' },
+  { id: 'mfa-fatigue', label: 'MFA fatigue' },
+  { id: 'qr-code', label: 'QR code phishing' },
+  { id: 'smishing', label: 'SMS phishing' }
+];
+
+// Website hotspots are parts of the simulated page rather than text in it
+export const WEBSITE_HOTSPOT_TYPES = [
+  { id: 'url', label: 'Address bar' },
+  { id: 'ssl', label: 'Padlock' },
+  { id: 'design', label: 'Page design' }
+];
+
+export const PACK_LIMITS = {
+  scenarios: 100,
+  hotspots: 12,
+  text: 300,
+  body: 4000
+};
+
+// Scenarios per training session, split as evenly as the installed packs allow across difficulties
+export const SESSION_SIZE = 6;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const isText = (value, max = PACK_LIMITS.text) => typeof value === 'string' && value.trim() !== '' && value.length <= max;
+
+export const kindOf = (scenario) => SCENARIO_KINDS.find(kind => kind.id === scenario.kind);
+
+// The scenario text a hotspot must appear in; website hotspots are matched by type instead
+const scenarioText = (scenario) => kindOf(scenario).fields.map(field => scenario[field] || '').join('\n');
+
+export const createHotspot = (kind) => ({
+  id: generateId('hotspot'),
+  type: kind === 'website' ? 'url' : 'text',
+  text: '',
+  explanation: '',
+  isPhishing: true
+});
+
+export const createScenario = (kind = 'email') => ({
+  id: generateId('scenario'),
+  kind,
+  difficulty: 'medium',
+  category: THREAT_CATEGORIES[0].id,
+  isPhishing: true,
+  ...Object.fromEntries(kindOf({ kind }).fields.map(field => [field, ''])),
+  hotspots: []
+});
+
+export const createContentPack = () => ({
+  id: generateId('pack'),
+  name: 'New Content Pack',
+  description: '',
+  scenarios: []
+});
+
+const validateHotspots = (scenario, prefix, errors) => {
+  if (!Array.isArray(scenario.hotspots) || scenario.hotspots.length > PACK_LIMITS.hotspots) {
+    errors[`${prefix}.hotspots`] = `A scenario needs a list of at most ${PACK_LIMITS.hotspots} hotspots`;
+    return;
+  }
+  const text = scenarioText(scenario);
+  const ids = new Set();
+  scenario.hotspots.forEach((hotspot, index) => {
+    const path = `${prefix}.hotspots.${index}`;
+    if (!isObject(hotspot)) {
+      errors[path] = 'Hotspot is malformed';
+      return;
+    }
+    if (typeof hotspot.id !== 'string' || !ID_PATTERN.test(hotspot.id) || ids.has(hotspot.id)) {
+      errors[`${path}.id`] = 'Hotspot ids must be unique letters, digits, - or _';
+    }
+    ids.add(hotspot.id);
+    if (!isText(hotspot.text)) {
+      errors[`${path}.text`] = 'Enter the text the trainee flags';
+    } else if (scenario.kind !== 'website' && !text.includes(hotspot.text)) {
+      errors[`${path}.text`] = 'This text must appear in the message';
+    }
+    if (scenario.kind === 'website' && !WEBSITE_HOTSPOT_TYPES.some(type => type.id === hotspot.type)) {
+      errors[`${path}.type`] = 'Choose the address bar, padlock or page design';
+    } else if (!isText(hotspot.type, 50)) {
+      errors[`${path}.type`] = 'Enter a type';
+    }
+    if (!isText(hotspot.explanation, PACK_LIMITS.body)) {
+      errors[`${path}.explanation`] = 'Explain why this is (or isn\'t) a red flag';
+    }
+    if (typeof hotspot.isPhishing !== 'boolean') {
+      errors[`${path}.isPhishing`] = 'Say whether this is a red flag';
+    }
+  });
+};
+
+const validateScenario = (scenario, prefix, errors) => {
+  if (!isObject(scenario) || !kindOf(scenario)) {
+    errors[prefix] = 'Scenario is malformed or of an unknown kind';
+    return;
+  }
+  if (!DIFFICULTIES.some(difficulty => difficulty.id === scenario.difficulty)) {
+    errors[`${prefix}.difficulty`] = 'Choose easy, medium or hard';
+  }
+  if (!THREAT_CATEGORIES.some(category => category.id === scenario.category)) {
+    errors[`${prefix}.category`] = 'Unknown threat category';
+  }
+  if (typeof scenario.isPhishing !== 'boolean') {
+    errors[`${prefix}.isPhishing`] = 'Say whether this scenario is phishing';
+  }
+  kindOf(scenario).fields.forEach(field => {
+    if (!isText(scenario[field], field === 'body' || field === 'content' ? PACK_LIMITS.body : PACK_LIMITS.text)) {
+      errors[`${prefix}.${field}`] = `${FIELD_LABELS[field]} is required`;
+    }
+  });
+  validateHotspots(scenario, prefix, errors);
+};
+
+// Errors keyed by field path (`name`, `scenarios.2.hotspots.0.text`…); empty when the pack is valid
+export const validateContentPack = (pack) => {
+  if (!isObject(pack)) return { pack: 'Content pack is malformed' };
+
+  const errors = {};
+  if (typeof pack.id !== 'string' || !ID_PATTERN.test(pack.id) || pack.id === BUILT_IN_PACK.id) {
+    errors.id = 'Pack id must be letters, digits, - or _';
+  }
+  if (!isText(pack.name)) errors.name = 'Name is required';
+  if (pack.description !== undefined && typeof pack.description !== 'string') {
+    errors.description = 'Description must be text';
+  }
+  if (!Array.isArray(pack.scenarios) || pack.scenarios.length === 0 || pack.scenarios.length > PACK_LIMITS.scenarios) {
+    errors.scenarios = `A pack needs between 1 and ${PACK_LIMITS.scenarios} scenarios`;
+    return errors;
+  }
+
+  const ids = new Set();
+  pack.scenarios.forEach((scenario, index) => {
+    const prefix = `scenarios.${index}`;
+    validateScenario(scenario, prefix, errors);
+    if (isObject(scenario)) {
+      if (typeof scenario.id !== 'string' || !ID_PATTERN.test(scenario.id) || ids.has(scenario.id)) {
+        errors[`${prefix}.id`] = 'Scenario ids must be unique letters, digits, - or _';
+      }
+      ids.add(scenario.id);
+    }
+  });
+  return errors;
+};
+
+// Only the fields a pack is made of, e.g. to drop what a server or file added
+export const toContentPack = ({ id, name, description = '', scenarios }) => ({ id, name, description, scenarios });
+
+export const serializeContentPack = (pack) => JSON.stringify({
+  $schema: `${window.location.origin}${CONTENT_PACK_SCHEMA_PATH}`,
+  format: CONTENT_PACK_FORMAT,
+  version: CONTENT_PACK_VERSION,
+  exportedAt: new Date().toISOString(),
+  ...toContentPack(pack)
+}, null, 2);
+
+// `{ pack }` from the text of a content pack file, or `{ errors }` keyed by field path
+export const parseContentPackFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { errors: { file: 'The file is not valid JSON' } };
+  }
+  if (!isObject(file) || file.format !== CONTENT_PACK_FORMAT) {
+    return { errors: { format: 'The file is not a phishing content pack' } };
+  }
+  if (file.version !== CONTENT_PACK_VERSION) {
+    return { errors: { version: `Content pack version ${file.version} is not supported (expected ${CONTENT_PACK_VERSION})` } };
+  }
+  const pack = toContentPack(file);
+  const errors = validateContentPack(pack);
+  return Object.keys(errors).length > 0 ? { errors } : { pack };
+};
+
+// Every scenario of the built-in pack and the given organization packs, with its `key`, `packId` and `packName`
+export const installedScenarios = (packs = []) => [BUILT_IN_PACK, ...packs].flatMap(pack => pack.scenarios.map(scenario => ({
+  ...scenario,
+  key: `${pack.id}/${scenario.id}`,
+  packId: pack.id,
+  packName: pack.name
+})));
+
+// A scenario as a trainee sees it before answering: without whether it, or any of its hotspots, is
+// phishing, or the hotspots' explanations
+export const withoutAnswers = ({ isPhishing, ...scenario }) => ({
+  ...scenario,
+  hotspots: scenario.hotspots.map(({ isPhishing: flag, explanation, ...hotspot }) => hotspot)
+});
+
+// How many scenarios a session has, and so how many an attempt must answer
+export const sessionLength = (scenarios) => Math.min(SESSION_SIZE, scenarios.length);
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// A random session of sessionLength(scenarios): difficulties take turns picking a random scenario until
+// the session is full, so each gets an equal share unless it runs out, then the order is shuffled
+export const buildTrainingSession = (scenarios, random = Math.random) => {
+  const pools = DIFFICULTIES.map(difficulty => shuffle(scenarios.filter(scenario => scenario.difficulty === difficulty.id), random));
+  const size = Math.min(sessionLength(scenarios), pools.reduce((sum, pool) => sum + pool.length, 0));
+  const session = [];
+  while (session.length < size) {
+    pools.forEach(pool => {
+      if (pool.length > 0 && session.length < size) session.push(pool.shift());
+    });
+  }
+  return shuffle(session, random);
+};
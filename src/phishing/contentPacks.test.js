@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import { createRandom } from '../simulation/monteCarlo';
+import { BUILT_IN_PACK } from './trainingScenarios';
+import {
+  CONTENT_PACK_FORMAT,
+  CONTENT_PACK_VERSION,
+  SESSION_SIZE,
+  createContentPack,
+  createScenario,
+  validateContentPack,
+  parseContentPackFile,
+  installedScenarios,
+  buildTrainingSession
+} from './contentPacks';
+
+const vendorLure = {
+  ...createScenario('sms'),
+  id: 'vendor-sms',
+  difficulty: 'hard',
+  category: 'vendor-invoice',
+  sender: 'Northwind',
+  body: 'Your invoice is overdue. Pay today at https://northwind-pay.co',
+  hotspots: [{ id: 'link', type: 'link', text: 'https://northwind-pay.co', explanation: 'Not the vendor\'s domain.', isPhishing: true }]
+};
+
+const packFile = (pack) => JSON.stringify({ format: CONTENT_PACK_FORMAT, version: CONTENT_PACK_VERSION, ...pack });
+
+describe('phishing content packs', () => {
+  test('the built-in scenarios form a valid pack', () => {
+    expect(validateContentPack({ ...BUILT_IN_PACK, id: 'copy' })).toEqual({});
+  });
+
+  test('validation reports problems by field path', () => {
+    const pack = {
+      ...createContentPack(),
+      name: '',
+      scenarios: [
+        vendorLure,
+        { ...vendorLure, difficulty: 'extreme', hotspots: [{ ...vendorLure.hotspots[0], text: 'not in the message' }] },
+        { ...createScenario('website'), id: 'site', url: 'https://x.test', title: 'X', content: 'Sign in', hotspots: [{ ...vendorLure.hotspots[0], type: 'link' }] }
+      ]
+    };
+    expect(validateContentPack(pack)).toEqual({
+      name: expect.any(String),
+      'scenarios.1.id': expect.any(String),
+      'scenarios.1.difficulty': expect.any(String),
+      'scenarios.1.hotspots.0.text': expect.any(String),
+      'scenarios.2.hotspots.0.type': expect.any(String)
+    });
+    expect(validateContentPack({ ...createContentPack(), id: 'builtin', scenarios: [vendorLure] })).toHaveProperty('id');
+  });
+
+  test('parses exported pack files', () => {
+    const pack = { id: 'acme', name: 'Acme', description: 'Our lures', scenarios: [vendorLure] };
+    expect(parseContentPackFile(packFile(pack))).toEqual({ pack });
+    expect(parseContentPackFile('{').errors).toHaveProperty('file');
+    expect(parseContentPackFile(JSON.stringify(pack)).errors).toHaveProperty('format');
+    expect(parseContentPackFile(packFile({ ...pack, scenarios: [] })).errors).toHaveProperty('scenarios');
+  });
+
+  test('sessions are random and balanced across difficulties', () => {
+    const scenarios = installedScenarios([{ id: 'acme', name: 'Acme', scenarios: [vendorLure] }]);
+    expect(scenarios.map(scenario => scenario.key)).toContain('acme/vendor-sms');
+
+    const first = buildTrainingSession(scenarios, createRandom(1));
+    expect(first).toHaveLength(SESSION_SIZE);
+    expect(new Set(first.map(scenario => scenario.key)).size).toBe(SESSION_SIZE);
+    ['easy', 'medium', 'hard'].forEach(difficulty => {
+      expect(first.filter(scenario => scenario.difficulty === difficulty)).toHaveLength(SESSION_SIZE / 3);
+    });
+    expect(buildTrainingSession(scenarios, createRandom(2)).map(scenario => scenario.key))
+      .not.toEqual(first.map(scenario => scenario.key));
+
+    // When a difficulty runs out the others fill the session
+    const easyOnly = scenarios.filter(scenario => scenario.difficulty !== 'hard');
+    expect(buildTrainingSession(easyOnly, createRandom(1))).toHaveLength(SESSION_SIZE);
+    expect(buildTrainingSession(scenarios.slice(0, 2))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,178 @@
+// Simulated phishing emails: an organization admin sends one of the installed phishing email scenarios
+// to a list of members, each with their own tracked link. Opening the link records a click; the
+// landing page is either a fake sign-in form, whose submission is recorded without keeping anything
+// typed into it, or skipped. Either way the member ends up in the trainer, on the scenario they fell for.
+//
+// Simulations are `{ id, name, scenarioKey, landing, recipients, sentAt, deliveries }`, with one
+// delivery per recipient once sent: `{ sentAt, error, clickedAt, submittedAt, reportedAt }` (the
+// server also keeps the delivery's link token, which it never returns).
+import { formatCsv } from '../shared/csv';
+import { generateId, isObject, normalizeEmail, isEmail, emailDomain } from '../shared/values';
+
+export const SIMULATION_LIMITS = {
+  name: 200,
+  recipients: 1000
+};
+
+export const LANDING_PAGES = [
+  { id: 'credentials', label: 'Fake sign-in page', description: 'Records whether the member submits the form; nothing typed into it is kept' },
+  { id: 'training', label: 'Straight to training', description: 'Records the click and opens the trainer' }
+];
+
+// The query parameter the landing page opens the app with: the key of the scenario the member fell for
+export const SIMULATION_PARAM = 'phished';
+
+// The scenario key from a URL query string (`window.location.search`), or null
+export const phishedScenarioKey = (search) => new URLSearchParams(search).get(SIMULATION_PARAM);
+
+// The query string without the parameter, so it isn't kept in the address bar or share links
+export const withoutPhishedParam = (search) => {
+  const params = new URLSearchParams(search);
+  params.delete(SIMULATION_PARAM);
+  const rest = params.toString();
+  return rest ? `?${rest}` : '';
+};
+
+export const DELIVERY_STATUSES = [
+  { id: 'pending', label: 'Not sent' },
+  { id: 'failed', label: 'Not delivered' },
+  { id: 'delivered', label: 'Delivered' },
+  { id: 'reported', label: 'Reported' },
+  { id: 'clicked', label: 'Clicked' },
+  { id: 'submitted', label: 'Submitted credentials' }
+];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// The installed scenarios a simulation can send: phishing emails
+export const simulationScenarios = (scenarios) => scenarios.filter(scenario => scenario.kind === 'email' && scenario.isPhishing);
+
+export const createSimulation = (scenarioKey) => ({
+  id: generateId('simulation'),
+  name: '',
+  scenarioKey,
+  landing: LANDING_PAGES[0].id,
+  recipients: []
+});
+
+// The recipient emails not at one of `domains`
+export const recipientsOutside = (recipients, domains) => recipients.filter(email => !domains.includes(emailDomain(email)));
+
+// Errors keyed by field path; empty when the simulation is valid. `scenarioKeys` are the keys of the
+// scenarios simulationScenarios allows. The server also passes the organization's email `domains`,
+// which every recipient must be at, so simulations only ever reach the organization's own members.
+export const validateSimulation = (simulation, scenarioKeys, domains = null) => {
+  if (!isObject(simulation)) return { simulation: 'Simulation is malformed' };
+
+  const errors = {};
+  if (typeof simulation.id !== 'string' || !ID_PATTERN.test(simulation.id)) errors.id = 'Simulation id must be letters, digits, - or _';
+  const name = typeof simulation.name === 'string' ? simulation.name.trim() : '';
+  if (!name || name.length > SIMULATION_LIMITS.name) {
+    errors.name = `Name must be between 1 and ${SIMULATION_LIMITS.name} characters`;
+  }
+  if (!scenarioKeys.includes(simulation.scenarioKey)) errors.scenarioKey = 'Choose an installed phishing email';
+  if (!LANDING_PAGES.some(page => page.id === simulation.landing)) errors.landing = 'Choose a landing page';
+  if (!Array.isArray(simulation.recipients) || simulation.recipients.length === 0 || simulation.recipients.length > SIMULATION_LIMITS.recipients) {
+    errors.recipients = `A simulation needs between 1 and ${SIMULATION_LIMITS.recipients} recipients`;
+  } else if (!simulation.recipients.every(email => typeof email === 'string' && isEmail(normalizeEmail(email)))) {
+    errors.recipients = 'Recipients must be email addresses';
+  } else if (domains) {
+    const outside = recipientsOutside(simulation.recipients, domains);
+    if (outside.length > 0) {
+      errors.recipients = domains.length > 0
+        ? `Recipients must be at ${domains.join(', ')}, not ${outside.slice(0, 5).join(', ')}${outside.length > 5 ? ` and ${outside.length - 5} more` : ''}`
+        : 'Your organization has no email domains to send simulations to';
+    }
+  }
+  return errors;
+};
+
+// Only the fields an admin sets, with recipient emails normalized
+export const toSimulation = ({ id, name, scenarioKey, landing, recipients }) => ({
+  id,
+  name: typeof name === 'string' ? name.trim() : name,
+  scenarioKey,
+  landing,
+  recipients: Array.isArray(recipients) && recipients.every(email => typeof email === 'string')
+    ? [...new Set(recipients.map(normalizeEmail))]
+    : recipients
+});
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// `{ senderName, subject, text, html }` of the scenario's email with its link pointing at `trackingUrl`.
+// The scenario's first link hotspot in the body becomes the tracked link; a scenario without one
+// gets the link on a line of its own.
+export const formatSimulationEmail = (scenario, trackingUrl) => {
+  const link = scenario.hotspots.find(hotspot => hotspot.type === 'link' && hotspot.text && scenario.body.includes(hotspot.text));
+  const lines = scenario.body.split('\n');
+
+  const htmlLine = (line) => {
+    if (!link || !line.includes(link.text)) return escapeHtml(line);
+    return line.split(link.text).map(escapeHtml).join(`<a href="${escapeHtml(trackingUrl)}">${escapeHtml(link.text)}</a>`);
+  };
+  const paragraphs = lines.map(line => `<p style="margin:0 0 0.75em">${htmlLine(line) || '&nbsp;'}</p>`);
+  if (!link) paragraphs.push(`<p><a href="${escapeHtml(trackingUrl)}">${escapeHtml(trackingUrl)}</a></p>`);
+
+  return {
+    senderName: scenario.sender,
+    subject: scenario.subject,
+    text: link ? scenario.body.split(link.text).join(trackingUrl) : `${scenario.body}\n\n${trackingUrl}`,
+    html: `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;font-size:14px;color:#222">${paragraphs.join('')}</body></html>`
+  };
+};
+
+export const deliveryStatus = (delivery) => {
+  if (!delivery) return 'pending';
+  if (delivery.error) return 'failed';
+  if (delivery.submittedAt) return 'submitted';
+  if (delivery.clickedAt) return 'clicked';
+  if (delivery.reportedAt) return 'reported';
+  return 'delivered';
+};
+
+const share = (count, total) => (total > 0 ? count / total : null);
+
+// Click, credential submission and report counts and rates over the delivered emails of `simulations`.
+// A submission counts as a click too.
+export const summarizeSimulations = (simulations) => {
+  const delivered = simulations.flatMap(simulation => Object.values(simulation.deliveries || {})).filter(delivery => delivery.sentAt && !delivery.error);
+  const clicked = delivered.filter(delivery => delivery.clickedAt || delivery.submittedAt).length;
+  const submitted = delivered.filter(delivery => delivery.submittedAt).length;
+  const reported = delivered.filter(delivery => delivery.reportedAt).length;
+  return {
+    simulations: simulations.filter(simulation => simulation.sentAt).length,
+    delivered: delivered.length,
+    clicked,
+    submitted,
+    reported,
+    clickRate: share(clicked, delivered.length),
+    submitRate: share(submitted, delivered.length),
+    reportRate: share(reported, delivered.length)
+  };
+};
+
+const statusLabel = (status) => DELIVERY_STATUSES.find(option => option.id === status).label;
+
+// One row per recipient of every simulation
+export const simulationResultsCsv = (simulations) => formatCsv([
+  ['Simulation', 'Scenario', 'Recipient', 'Status', 'Sent at', 'Clicked at', 'Submitted credentials at', 'Reported at', 'Delivery error'],
+  ...simulations.flatMap(simulation => simulation.recipients.map(email => {
+    const delivery = (simulation.deliveries || {})[email] || null;
+    return [
+      simulation.name,
+      simulation.scenarioKey,
+      email,
+      statusLabel(deliveryStatus(delivery)),
+      (delivery && delivery.sentAt) || '',
+      (delivery && delivery.clickedAt) || '',
+      (delivery && delivery.submittedAt) || '',
+      (delivery && delivery.reportedAt) || '',
+      (delivery && delivery.error) || ''
+    ];
+  }))
+]);
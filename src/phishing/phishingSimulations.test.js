@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+import { installedScenarios } from './contentPacks';
+import {
+  simulationScenarios,
+  createSimulation,
+  validateSimulation,
+  toSimulation,
+  formatSimulationEmail,
+  summarizeSimulations,
+  simulationResultsCsv,
+  phishedScenarioKey,
+  withoutPhishedParam
+} from './phishingSimulations';
+
+const emails = simulationScenarios(installedScenarios());
+const payroll = emails.find(scenario => scenario.id === 'email-payroll-update');
+
+const delivered = (extra = {}) => ({ sentAt: '2026-03-01T09:00:00Z', error: null, clickedAt: null, submittedAt: null, reportedAt: null, ...extra });
+
+describe('simulated phishing', () => {
+  test('only phishing emails can be sent, to valid recipients', () => {
+    expect(emails.length).toBeGreaterThan(0);
+    expect(emails.every(scenario => scenario.kind === 'email' && scenario.isPhishing)).toBe(true);
+
+    const keys = emails.map(scenario => scenario.key);
+    const simulation = { ...createSimulation(payroll.key), name: 'Payroll lure', recipients: ['bob@acme.com'] };
+    expect(validateSimulation(simulation, keys)).toEqual({});
+
+    const errors = validateSimulation({ ...simulation, scenarioKey: 'builtin/sms-parcel-fee', landing: 'popup', recipients: ['bob'] }, keys);
+    expect(Object.keys(errors).sort()).toEqual(['landing', 'recipients', 'scenarioKey']);
+    expect(validateSimulation({ ...simulation, name: ' ', recipients: [] }, keys)).toHaveProperty('recipients', 'A simulation needs between 1 and 1000 recipients');
+    expect(validateSimulation({ ...simulation, recipients: ['bob@acme.com', 'eve@evil.example'] }, keys, ['acme.com']))
+      .toEqual({ recipients: 'Recipients must be at acme.com, not eve@evil.example' });
+    expect(validateSimulation(simulation, keys, [])).toHaveProperty('recipients', 'Your organization has no email domains to send simulations to');
+
+    expect(toSimulation({ ...simulation, deliveries: {}, recipients: [' Bob@Acme.com', 'bob@acme.com'] }).recipients).toEqual(['bob@acme.com']);
+  });
+
+  test('renders the scenario with its link pointing at the tracked link', () => {
+    const url = 'https://risk.example.com/l/abc123';
+    const message = formatSimulationEmail(payroll, url);
+    expect(message).toMatchObject({ senderName: payroll.sender, subject: payroll.subject });
+    expect(message.text).toContain(url);
+    expect(message.text).not.toContain('https://acme-hr-services.co/direct-deposit');
+    expect(message.html).toContain(`<a href="${url}">https://acme-hr-services.co/direct-deposit</a>`);
+
+    // Scenario text is escaped, and a scenario without a link gets the tracked link on its own
+    const plain = formatSimulationEmail({ ...payroll, body: 'Open <this> & reply', hotspots: [] }, url);
+    expect(plain.html).toContain('Open &lt;this&gt; &amp; reply');
+    expect(plain.html).toContain(`<a href="${url}">${url}</a>`);
+    expect(plain.text).toBe(`Open <this> & reply\n\n${url}`);
+  });
+
+  test('summarizes click, submission and report rates over delivered emails', () => {
+    const simulations = [
+      {
+        name: 'Payroll lure',
+        scenarioKey: payroll.key,
+        recipients: ['a@acme.com', 'b@acme.com', 'c@acme.com', 'd@acme.com', 'e@acme.com'],
+        sentAt: '2026-03-01T09:00:00Z',
+        deliveries: {
+          'a@acme.com': delivered({ clickedAt: '2026-03-01T10:00:00Z', submittedAt: '2026-03-01T10:01:00Z' }),
+          'b@acme.com': delivered({ clickedAt: '2026-03-01T11:00:00Z', reportedAt: '2026-03-01T11:05:00Z' }),
+          'c@acme.com': delivered({ reportedAt: '2026-03-01T09:30:00Z' }),
+          'd@acme.com': { sentAt: null, error: 'Mailbox unavailable' }
+        }
+      },
+      { name: 'Draft', scenarioKey: payroll.key, recipients: ['a@acme.com'], sentAt: null, deliveries: {} }
+    ];
+    expect(summarizeSimulations(simulations)).toEqual({
+      simulations: 1,
+      delivered: 3,
+      clicked: 2,
+      submitted: 1,
+      reported: 2,
+      clickRate: 2 / 3,
+      submitRate: 1 / 3,
+      reportRate: 2 / 3
+    });
+    expect(summarizeSimulations([])).toMatchObject({ delivered: 0, clickRate: null, reportRate: null });
+
+    const rows = simulationResultsCsv(simulations).split('\r\n');
+    expect(rows).toHaveLength(7);
+    expect(rows[1]).toBe(`Payroll lure,${payroll.key},a@acme.com,Submitted credentials,2026-03-01T09:00:00Z,2026-03-01T10:00:00Z,2026-03-01T10:01:00Z,,`);
+    expect(rows[4]).toBe(`Payroll lure,${payroll.key},d@acme.com,Not delivered,,,,,Mailbox unavailable`);
+    expect(rows[5]).toBe(`Payroll lure,${payroll.key},e@acme.com,Not sent,,,,,`);
+  });
+
+  test('reads and removes the landing page\'s parameter from the query string', () => {
+    expect(phishedScenarioKey('?phished=builtin%2Femail-payroll-update')).toBe('builtin/email-payroll-update');
+    expect(phishedScenarioKey('')).toBeNull();
+    expect(withoutPhishedParam('?phished=builtin%2Fx&lang=en')).toBe('?lang=en');
+    expect(withoutPhishedParam('?phished=builtin%2Fx')).toBe('');
+  });
+});
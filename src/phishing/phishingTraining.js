@@ -0,0 +1,151 @@
+// Scoring for the phishing awareness trainer, and how its results feed the risk model.
+//
+// An attempt answers a training session's scenarios (see buildTrainingSession in contentPacks.js) with
+// a verdict (phishing or legitimate) and the hotspots flagged as red flags. Accuracy is the share of
+// those decisions that were right, and an attempt passes at PASS_ACCURACY. The organization's pass
+// rate counts each member's latest attempt.
+//
+// Applied to an assessment (`inputs.trainingResults`), the pass rate replaces the phishing training
+// control's maturity as its effectiveness and scales the Phishing scenario's frequency. When results of
+// simulated phishing emails are applied too (`trainingResults.simulation`), their click and report
+// rates measure susceptibility directly and scale the frequency instead. Setting the control's maturity
+// to 0 still models dropping the programme: effectiveness 0, untrained frequency.
+import { installedScenarios, sessionLength } from './contentPacks';
+import { isObject } from '../shared/values';
+
+export const PASS_ACCURACY = 0.8;
+
+export const TRAINING_CONTROL_ID = 'phishingTraining';
+export const PHISHING_SCENARIO_ID = 'phishing';
+
+// Phishing frequency multiplier at a 0% and a 100% pass rate, linear in between; the scenario's
+// entered frequency is taken to describe a typical organization with half its staff passing
+export const TRAINING_FREQUENCY_FACTORS = { untrained: 1.5, trained: 0.5 };
+
+// Simulated phishing rates of the typical organization the Phishing frequency describes. A reported
+// email lets the security team pull it before others click, so a report cancels REPORT_CONTAINMENT
+// of a click; the frequency scales with the resulting susceptibility, within TRAINING_FREQUENCY_FACTORS.
+export const TYPICAL_SIMULATION_RATES = { clickRate: 0.15, reportRate: 0.2 };
+export const REPORT_CONTAINMENT = 0.5;
+
+export const VERDICTS = ['phishing', 'legitimate'];
+
+export const scoreScenario = (scenario, answer) => {
+  const flagged = answer.flagged || [];
+  const verdictCorrect = answer.verdict === (scenario.isPhishing ? 'phishing' : 'legitimate');
+  const hotspots = scenario.hotspots.map(hotspot => {
+    const wasFlagged = flagged.includes(hotspot.id);
+    return { id: hotspot.id, type: hotspot.type, isPhishing: hotspot.isPhishing, flagged: wasFlagged, correct: wasFlagged === hotspot.isPhishing };
+  });
+  return {
+    scenarioKey: scenario.key,
+    difficulty: scenario.difficulty,
+    category: scenario.category,
+    verdict: answer.verdict,
+    verdictCorrect,
+    hotspots,
+    correct: (verdictCorrect ? 1 : 0) + hotspots.filter(hotspot => hotspot.correct).length,
+    total: hotspots.length + 1
+  };
+};
+
+// Why an answer (`{ verdict, flagged: [hotspot ids] }`) to the scenario can't be scored, or null
+export const answerError = (scenario, answer) => {
+  if (!isObject(answer) || !VERDICTS.includes(answer.verdict)) return 'Choose phishing or legitimate';
+  if (answer.flagged !== undefined && (!Array.isArray(answer.flagged)
+    || !answer.flagged.every(id => scenario.hotspots.some(hotspot => hotspot.id === id)))) {
+    return 'Flagged items must be hotspots of this scenario';
+  }
+  return null;
+};
+
+// `{ completedAt, accuracy, passed, scenarios }` from answers keyed by installed scenario key
+// (`{ verdict, flagged: [hotspot ids] }`), or `{ errors }` keyed by scenario key when any is unknown or
+// malformed. An attempt must answer a whole session: sessionLength(scenarios) different scenarios.
+export const scoreTrainingAttempt = (answers, { completedAt = new Date().toISOString(), scenarios = installedScenarios() } = {}) => {
+  if (!isObject(answers)) return { errors: { answers: 'Answers are missing' } };
+
+  const errors = {};
+  const answered = Object.keys(answers).map(key => scenarios.find(scenario => scenario.key === key));
+  Object.keys(answers).forEach((key, index) => {
+    const scenario = answered[index];
+    const error = scenario ? answerError(scenario, answers[key]) : 'This scenario is not installed';
+    if (error) errors[key] = error;
+  });
+  if (answered.length < sessionLength(scenarios)) {
+    errors.answers = `Answer all ${sessionLength(scenarios)} scenarios of the session`;
+  }
+  if (Object.keys(errors).length > 0) return { errors };
+
+  const scored = answered.map(scenario => scoreScenario(scenario, answers[scenario.key]));
+  const correct = scored.reduce((sum, scenario) => sum + scenario.correct, 0);
+  const total = scored.reduce((sum, scenario) => sum + scenario.total, 0);
+  const accuracy = total > 0 ? correct / total : 0;
+  return { completedAt, accuracy, passed: accuracy >= PASS_ACCURACY, scenarios: scored };
+};
+
+// Organization results from each member's attempts (`[{ attempts }]`, oldest attempt first), counting
+// only their latest attempt. `passRate` and `meanAccuracy` are null until someone has completed one.
+export const summarizeTrainingResults = (members) => {
+  const latest = members
+    .map(member => member.attempts[member.attempts.length - 1])
+    .filter(Boolean);
+  const passed = latest.filter(attempt => attempt.passed).length;
+  return {
+    participants: latest.length,
+    passed,
+    passRate: latest.length > 0 ? passed / latest.length : null,
+    meanAccuracy: latest.length > 0 ? latest.reduce((sum, attempt) => sum + attempt.accuracy, 0) / latest.length : null
+  };
+};
+
+// What an assessment stores of the organization's results, so its numbers stay reproducible.
+// `simulations` is the summary of simulated phishing emails (see summarizeSimulations in
+// phishingSimulations.js); it is only kept once some were delivered. Simulation results can be
+// applied before anyone has completed the trainer, with a null `passRate` and `meanAccuracy`.
+export const toTrainingInputs = (summary, { simulations = null, asOf = new Date().toISOString() } = {}) => ({
+  passRate: summary.passRate,
+  meanAccuracy: summary.meanAccuracy,
+  participants: summary.participants,
+  ...(simulations && simulations.delivered > 0
+    ? { simulation: { clickRate: simulations.clickRate, reportRate: simulations.reportRate, recipients: simulations.delivered } }
+    : {}),
+  asOf
+});
+
+const susceptibility = ({ clickRate, reportRate }) => clickRate * (1 - REPORT_CONTAINMENT * reportRate);
+
+// Phishing frequency multiplier from simulated phishing click and report rates
+export const simulationFrequencyFactor = (simulation) => {
+  const { untrained, trained } = TRAINING_FREQUENCY_FACTORS;
+  const factor = susceptibility(simulation) / susceptibility(TYPICAL_SIMULATION_RATES);
+  return Math.min(untrained, Math.max(trained, factor));
+};
+
+// Controls with the phishing training control's effectiveness measured from the trainer's pass rate,
+// when there is one, and its frequency multiplier from simulated phishing when those results are applied
+export const applyTrainingResults = (controls, trainingResults) => {
+  if (!trainingResults) return controls;
+  return controls.map(control => {
+    if (control.id !== TRAINING_CONTROL_ID) return control;
+    const measured = trainingResults.passRate === null
+      ? control
+      : { ...control, measuredEffectiveness: control.maturity > 0 ? trainingResults.passRate : 0 };
+    if (!trainingResults.simulation) return measured;
+    return {
+      ...measured,
+      measuredFrequencyFactor: control.maturity > 0 ? simulationFrequencyFactor(trainingResults.simulation) : TRAINING_FREQUENCY_FACTORS.untrained
+    };
+  });
+};
+
+// Frequency multiplier for a scenario given controls from applyTrainingResults; 1 unless the
+// scenario is Phishing and training results are applied
+export const trainingFrequencyFactor = (scenario, controls) => {
+  const training = controls.find(control => control.id === TRAINING_CONTROL_ID);
+  if (scenario.id !== PHISHING_SCENARIO_ID || !training) return 1;
+  if (training.measuredFrequencyFactor !== undefined) return training.measuredFrequencyFactor;
+  if (training.measuredEffectiveness === undefined) return 1;
+  const { untrained, trained } = TRAINING_FREQUENCY_FACTORS;
+  return untrained + (trained - untrained) * training.measuredEffectiveness;
+};
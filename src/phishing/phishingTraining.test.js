@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_INPUTS, buildRiskModel } from '../model/riskModel';
+import { validateAssessmentInputs } from '../assessments/inputSchema';
+import { installedScenarios, SESSION_SIZE } from './contentPacks';
+import {
+  PASS_ACCURACY,
+  TRAINING_FREQUENCY_FACTORS,
+  TYPICAL_SIMULATION_RATES,
+  scoreTrainingAttempt,
+  summarizeTrainingResults,
+  toTrainingInputs
+} from './phishingTraining';
+
+// Answers to every built-in scenario that get every decision right
+const perfectAnswers = (scenarios = installedScenarios()) => Object.fromEntries(scenarios.map(scenario => [scenario.key, {
+  verdict: scenario.isPhishing ? 'phishing' : 'legitimate',
+  flagged: scenario.hotspots.filter(hotspot => hotspot.isPhishing).map(hotspot => hotspot.id)
+}]));
+
+const phishingFrequency = (model) => model.scenarios.find(scenario => scenario.id === 'phishing').distributions.frequency;
+
+describe('phishing training', () => {
+  test('scores verdicts and flagged hotspots', () => {
+    const perfect = scoreTrainingAttempt(perfectAnswers(), { completedAt: '2026-01-01T00:00:00.000Z' });
+    expect(perfect).toMatchObject({ completedAt: '2026-01-01T00:00:00.000Z', accuracy: 1, passed: true });
+
+    // Calling the phishing email legitimate and flagging nothing in it costs its verdict and three red flags
+    const answers = { ...perfectAnswers(), 'builtin/email-order-payment': { verdict: 'legitimate', flagged: [] } };
+    const total = installedScenarios().reduce((sum, scenario) => sum + scenario.hotspots.length + 1, 0);
+    const attempt = scoreTrainingAttempt(answers);
+    expect(attempt.accuracy).toBeCloseTo((total - 4) / total);
+    expect(attempt.passed).toBe(attempt.accuracy >= PASS_ACCURACY);
+  });
+
+  test('rejects short sessions, unknown scenarios and unknown hotspots', () => {
+    const session = installedScenarios().slice(0, SESSION_SIZE);
+    expect(scoreTrainingAttempt(perfectAnswers(session)).errors).toBeUndefined();
+    expect(scoreTrainingAttempt(perfectAnswers(session.slice(1))).errors).toEqual({ answers: expect.any(String) });
+
+    const unknown = { ...perfectAnswers(session), 'other-pack/email-order-payment': { verdict: 'phishing', flagged: [] } };
+    expect(scoreTrainingAttempt(unknown).errors).toEqual({ 'other-pack/email-order-payment': expect.any(String) });
+    const wrongHotspot = { ...perfectAnswers(session), 'builtin/website-fake-login': { verdict: 'phishing', flagged: ['sender'] } };
+    expect(scoreTrainingAttempt(wrongHotspot).errors).toEqual({ 'builtin/website-fake-login': expect.any(String) });
+    const noVerdict = { ...perfectAnswers(session), [session[0].key]: { flagged: [] } };
+    expect(scoreTrainingAttempt(noVerdict).errors).toEqual({ [session[0].key]: expect.any(String) });
+    expect(scoreTrainingAttempt(null).errors).toBeDefined();
+  });
+
+  test('the pass rate counts each member\'s latest attempt', () => {
+    expect(summarizeTrainingResults([])).toEqual({ participants: 0, passed: 0, passRate: null, meanAccuracy: null });
+    const summary = summarizeTrainingResults([
+      { attempts: [{ accuracy: 0.5, passed: false }, { accuracy: 0.9, passed: true }] },
+      { attempts: [{ accuracy: 0.6, passed: false }] },
+      { attempts: [] }
+    ]);
+    expect(summary).toMatchObject({ participants: 2, passed: 1, passRate: 0.5 });
+    expect(summary.meanAccuracy).toBeCloseTo(0.75);
+  });
+
+  test('applied results set the control\'s effectiveness and scale phishing frequency', () => {
+    const baseline = buildRiskModel(DEFAULT_INPUTS);
+    const trainingResults = toTrainingInputs({ participants: 10, passRate: 1, meanAccuracy: 0.95 }, { asOf: '2026-01-01T00:00:00.000Z' });
+    expect(validateAssessmentInputs({ ...DEFAULT_INPUTS, trainingResults })).toEqual({});
+
+    const trained = buildRiskModel({ ...DEFAULT_INPUTS, trainingResults });
+    const untrained = buildRiskModel({ ...DEFAULT_INPUTS, trainingResults: { ...trainingResults, passRate: 0 } });
+    const scale = (model) => phishingFrequency(model).mode / phishingFrequency(baseline).mode;
+    expect(scale(trained)).toBeCloseTo(TRAINING_FREQUENCY_FACTORS.trained);
+    expect(scale(untrained)).toBeCloseTo(TRAINING_FREQUENCY_FACTORS.untrained);
+    expect(untrained.securityScore).toBeLessThan(trained.securityScore);
+
+    // Other scenarios keep their frequency
+    const others = (model) => model.scenarios.filter(scenario => scenario.id !== 'phishing').map(scenario => scenario.distributions.frequency);
+    expect(others(trained)).toEqual(others(baseline));
+  });
+
+  test('applied simulated phishing rates scale phishing frequency instead of the pass rate', () => {
+    const baseline = buildRiskModel(DEFAULT_INPUTS);
+    const summary = { participants: 10, passRate: 1, meanAccuracy: 0.95 };
+    const simulations = { delivered: 40, ...TYPICAL_SIMULATION_RATES };
+    const trainingResults = toTrainingInputs(summary, { simulations, asOf: '2026-01-01T00:00:00.000Z' });
+    expect(trainingResults.simulation).toEqual({ ...TYPICAL_SIMULATION_RATES, recipients: 40 });
+    expect(validateAssessmentInputs({ ...DEFAULT_INPUTS, trainingResults })).toEqual({});
+    expect(toTrainingInputs(summary, { simulations: { ...simulations, delivered: 0 } })).not.toHaveProperty('simulation');
+
+    const scale = (simulation) => {
+      const model = buildRiskModel({ ...DEFAULT_INPUTS, trainingResults: { ...trainingResults, simulation } });
+      return phishingFrequency(model).mode / phishingFrequency(baseline).mode;
+    };
+    expect(scale(trainingResults.simulation)).toBeCloseTo(1);
+    expect(scale({ clickRate: 0.6, reportRate: 0, recipients: 40 })).toBeCloseTo(TRAINING_FREQUENCY_FACTORS.untrained);
+    expect(scale({ clickRate: 0.1, reportRate: 0.6, recipients: 40 })).toBeCloseTo(0.07 / 0.135);
+
+    const invalid = validateAssessmentInputs({ ...DEFAULT_INPUTS, trainingResults: { ...trainingResults, simulation: { clickRate: 2, reportRate: 0, recipients: 0 } } });
+    expect(Object.keys(invalid).sort()).toEqual(['trainingResults.simulation.clickRate', 'trainingResults.simulation.recipients']);
+  });
+
+  test('simulated phishing rates can be applied before anyone has completed the trainer', () => {
+    const baseline = buildRiskModel(DEFAULT_INPUTS);
+    const simulations = { delivered: 40, clickRate: 0.6, reportRate: 0 };
+    const trainingResults = toTrainingInputs(summarizeTrainingResults([]), { simulations, asOf: '2026-01-01T00:00:00.000Z' });
+    expect(trainingResults).toMatchObject({ passRate: null, meanAccuracy: null, participants: 0 });
+    expect(validateAssessmentInputs({ ...DEFAULT_INPUTS, trainingResults })).toEqual({});
+
+    // The control keeps its maturity-based effectiveness; only phishing frequency changes
+    const model = buildRiskModel({ ...DEFAULT_INPUTS, trainingResults });
+    expect(phishingFrequency(model).mode / phishingFrequency(baseline).mode).toBeCloseTo(TRAINING_FREQUENCY_FACTORS.untrained);
+    expect(model.securityScore).toBe(baseline.securityScore);
+
+    const { simulation, ...withoutSimulation } = trainingResults;
+    expect(validateAssessmentInputs({ ...DEFAULT_INPUTS, trainingResults: withoutSimulation })).toHaveProperty('trainingResults');
+    expect(validateAssessmentInputs({ ...DEFAULT_INPUTS, trainingResults: { ...trainingResults, participants: 3 } })).toHaveProperty('trainingResults');
+  });
+});
@@ -0,0 +1,36 @@
+// Client for the simulated phishing API (netlify/functions/simulations.js); server-only, as it sends email
+import { apiRequest } from '../identity/apiRequest';
+import { toSimulation } from './phishingSimulations';
+
+const API_PATH = '/api/simulations';
+
+const simulationUrl = (id) => `${API_PATH}/${encodeURIComponent(id)}`;
+
+// The organization's click, submission and report rates (see summarizeSimulations)
+export const fetchSimulationSummary = (user) => apiRequest(user, `${API_PATH}/summary`);
+
+// Resolves `{ scenario }` with its red flags when a simulation of it was sent to the caller
+export const fetchPhishedScenario = (user, scenarioKey) => apiRequest(user, `${API_PATH}/phished?scenario=${encodeURIComponent(scenarioKey)}`);
+
+// Resolves `{ simulations, summary }`; admins only
+export const fetchSimulations = (user) => apiRequest(user, API_PATH);
+
+// Resolves the stored simulation
+export const putSimulation = (user, simulation) => {
+  const { id, ...fields } = toSimulation(simulation);
+  return apiRequest(user, simulationUrl(id), { method: 'PUT', body: fields });
+};
+
+export const deleteSimulation = async (user, id) => {
+  try {
+    await apiRequest(user, simulationUrl(id), { method: 'DELETE' });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+};
+
+// Resolves `{ simulation, sent, failed, remaining }` for one batch of recipients
+export const sendSimulation = (user, id) => apiRequest(user, `${simulationUrl(id)}/send`, { method: 'POST', body: {} });
+
+// Resolves `{ simulation, unknown }`, `unknown` being the emails the simulation didn't reach
+export const reportSimulation = (user, id, emails) => apiRequest(user, `${simulationUrl(id)}/reports`, { method: 'POST', body: { emails } });
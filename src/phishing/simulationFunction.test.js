@@ -0,0 +1,285 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { createHandler } = require('../../netlify/functions/simulations');
+const { createMemberContext: member, createCaller, createTemporaryStores } = require('../../netlify/local/functionCalls');
+const { createFileTransport, createSmtpTransport } = require('../../netlify/lib/mailTransports');
+const { createSmtpSink } = require('../../netlify/local/smtpSink');
+
+const SITE = 'https://risk.example.com';
+const PAYROLL = 'builtin/email-payroll-update';
+const ORGANIZATIONS = [{ id: 'acme', name: 'Acme Corp', domains: ['acme.com'], admins: [] }];
+
+const call = createCaller('/api/simulations');
+
+// A recipient following their link: GET opens it, POST submits the landing page's form
+const visit = (handler, link, method = 'GET', body = null) => handler({ httpMethod: method, path: new URL(link).pathname, headers: {}, body }, {});
+
+// The decoded plain text part of a message formatted by mimeMessage.js
+const textPart = (raw) => {
+  const [, encoded] = raw.match(/text\/plain; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+?)\r\n--/);
+  return Buffer.from(encoded.replace(/\r\n/g, ''), 'base64').toString('utf8');
+};
+
+const linkIn = (raw) => textPart(raw).match(/https:\/\/risk\.example\.com\/l\/\S+/)[0];
+
+const readMail = (directory) => fs.readdirSync(directory).sort().map(file => fs.readFileSync(path.join(directory, file), 'utf8'));
+
+describe('simulations function', () => {
+  let temporary;
+  let directory;
+  let storeDeps;
+  let handler;
+  let clock;
+  const admin = member('alice', 'acme', ['subscriber', 'admin']);
+
+  beforeEach(() => {
+    temporary = createTemporaryStores(['phishingSimulations', 'trainingPacks', 'phishingLinks', 'phishingEvents']);
+    ({ directory } = temporary);
+    const { stores } = temporary;
+    storeDeps = {
+      createStore: () => stores.phishingSimulations,
+      createPackStore: () => stores.trainingPacks,
+      createLinkStore: () => stores.phishingLinks,
+      createEventStore: () => stores.phishingEvents
+    };
+    clock = new Date('2026-03-01T09:00:00Z');
+    handler = createHandler({
+      ...storeDeps,
+      createTransport: () => createFileTransport(path.join(directory, 'mail')),
+      getOrganizations: () => ORGANIZATIONS,
+      mailFrom: 'security-drills@acme.com',
+      siteUrl: SITE,
+      now: () => clock
+    });
+  });
+
+  afterEach(() => {
+    temporary.remove();
+  });
+
+  test('sends tracked emails, records clicks, submissions and reports, and summarizes them', async () => {
+    const simulation = { name: 'Payroll lure', scenarioKey: PAYROLL, landing: 'credentials', recipients: ['Bob@acme.com', 'carol@acme.com', 'dave@acme.com'] };
+
+    expect((await call(handler, member('bob', 'acme'), 'PUT', 'march', simulation)).status).toBe(403);
+    const invalid = await call(handler, admin, 'PUT', 'march', { ...simulation, scenarioKey: 'builtin/sms-parcel-fee' });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toHaveProperty('scenarioKey');
+    const created = await call(handler, admin, 'PUT', 'march', simulation);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ id: 'march', sentAt: null, recipients: ['bob@acme.com', 'carol@acme.com', 'dave@acme.com'] });
+
+    const sent = await call(handler, admin, 'POST', 'march/send', {});
+    expect(sent.body).toMatchObject({ sent: 3, failed: 0, remaining: 0 });
+    expect(sent.body.simulation.sentAt).toBe('2026-03-01T09:00:00.000Z');
+    expect(JSON.stringify(sent.body)).not.toMatch(/token/);
+    expect((await call(handler, admin, 'PUT', 'march', simulation)).status).toBe(409);
+
+    const mail = readMail(path.join(directory, 'mail'));
+    expect(mail).toHaveLength(3);
+    expect(mail[0]).toMatch(/^From: "payroll@acme-hr-services\.co" <security-drills@acme\.com>\r\n/);
+    expect(mail[0]).toContain('X-Simulation-Id: march');
+    const links = mail.map(linkIn);
+    expect(new Set(links).size).toBe(3);
+    const byRecipient = Object.fromEntries(mail.map((raw, index) => [raw.match(/^To: (.+)$/m)[1], links[index]]));
+
+    // Bob opens the fake sign-in page and submits it; carol only opens it; dave reports the email
+    clock = new Date('2026-03-01T10:00:00Z');
+    const landing = await visit(handler, byRecipient['bob@acme.com']);
+    expect(landing.statusCode).toBe(200);
+    expect(landing.headers['content-type']).toMatch(/text\/html/);
+    expect(landing.body).not.toMatch(/<input[^>]* name=/);
+    const submitted = await visit(handler, byRecipient['bob@acme.com'], 'POST', 'password=hunter2');
+    expect(submitted).toMatchObject({ statusCode: 303, headers: { location: `${SITE}/?phished=${encodeURIComponent(PAYROLL)}` } });
+    await visit(handler, byRecipient['carol@acme.com']);
+    expect((await visit(handler, `${SITE}/l/not-a-token`)).statusCode).toBe(404);
+    expect((await visit(handler, byRecipient['carol@acme.com'], 'HEAD')).statusCode).toBe(405);
+
+    const reported = await call(handler, admin, 'POST', 'march/reports', { emails: ['Dave@acme.com', 'erin@acme.com'] });
+    expect(reported.body.unknown).toEqual(['erin@acme.com']);
+
+    const { body } = await call(handler, admin, 'GET');
+    expect(body.simulations[0].deliveries['bob@acme.com']).toMatchObject({ clickedAt: '2026-03-01T10:00:00.000Z', submittedAt: '2026-03-01T10:00:00.000Z' });
+    expect(JSON.stringify(body)).not.toMatch(/hunter2|token/);
+    expect(fs.readdirSync(directory, { recursive: true }).map(file => path.join(directory, file)).filter(file => fs.statSync(file).isFile())
+      .some(file => fs.readFileSync(file, 'utf8').includes('hunter2'))).toBe(false);
+
+    const summary = await call(handler, member('bob', 'acme'), 'GET', 'summary');
+    expect(summary.body).toMatchObject({ delivered: 3, clicked: 2, submitted: 1, reported: 1 });
+    expect(summary.body.clickRate).toBeCloseTo(2 / 3);
+    expect((await call(handler, member('bob', 'acme'), 'GET')).status).toBe(403);
+    expect((await call(handler, member('erin', 'globex'), 'GET', 'summary')).body.delivered).toBe(0);
+
+    // Recipients may see the email they were sent with its red flags, and nobody else may
+    const reveal = (context, scenario) => handler({ httpMethod: 'GET', path: '/api/simulations/phished', queryStringParameters: { scenario }, body: null }, context);
+    const revealed = await reveal(member('bob', 'acme'), PAYROLL);
+    expect(revealed.statusCode).toBe(200);
+    expect(JSON.parse(revealed.body).scenario).toMatchObject({ key: PAYROLL, isPhishing: true });
+    expect((await reveal(member('erin', 'acme'), PAYROLL)).statusCode).toBe(404);
+    expect((await reveal(member('bob', 'acme'), 'builtin/sms-parcel-fee')).statusCode).toBe(404);
+
+    // Deleting the simulation disables its links
+    expect((await call(handler, admin, 'DELETE', 'march')).status).toBe(204);
+    expect((await visit(handler, byRecipient['carol@acme.com'])).statusCode).toBe(404);
+  });
+
+  test('only emails the organization\'s own domains', async () => {
+    const simulation = { name: 'Payroll lure', scenarioKey: PAYROLL, landing: 'training', recipients: ['bob@acme.com', 'victim@example.org'] };
+    const rejected = await call(handler, admin, 'PUT', 'march', simulation);
+    expect(rejected.status).toBe(422);
+    expect(rejected.body.errors).toEqual({ recipients: 'Recipients must be at acme.com, not victim@example.org' });
+
+    // An organization missing from the settings has no domains to send to
+    expect((await call(handler, member('erin', 'globex', ['subscriber', 'admin']), 'PUT', 'march', { ...simulation, recipients: ['erin@globex.com'] })).body.errors)
+      .toHaveProperty('recipients');
+
+    // Recipients are checked again on sending, against the domains the organization has then
+    let domains = ['acme.com', 'acme-labs.com'];
+    const changing = createHandler({
+      ...storeDeps,
+      createTransport: () => createFileTransport(path.join(directory, 'mail')),
+      getOrganizations: () => [{ ...ORGANIZATIONS[0], domains }],
+      mailFrom: 'security-drills@acme.com',
+      siteUrl: SITE
+    });
+    expect((await call(changing, admin, 'PUT', 'march', { ...simulation, recipients: ['bob@acme.com', 'dan@acme-labs.com'] })).status).toBe(201);
+    domains = ['acme.com'];
+    const sent = await call(changing, admin, 'POST', 'march/send', {});
+    expect(sent.body).toMatchObject({ sent: 1, failed: 1, remaining: 1 });
+    expect(sent.body.simulation.deliveries['dan@acme-labs.com'].error).toMatch(/email domains/);
+    expect(readMail(path.join(directory, 'mail'))).toHaveLength(1);
+  });
+
+  test('goes straight to training without a sign-in page, and retries failed deliveries', async () => {
+    let failing = true;
+    const transport = createFileTransport(path.join(directory, 'mail'));
+    const flaky = createHandler({
+      ...storeDeps,
+      createTransport: () => ({
+        send: (message) => (failing && message.to === 'carol@acme.com' ? Promise.reject(new Error('550 Mailbox unavailable')) : transport.send(message))
+      }),
+      getOrganizations: () => ORGANIZATIONS,
+      mailFrom: 'security-drills@acme.com',
+      siteUrl: SITE
+    });
+
+    await call(flaky, admin, 'PUT', 'drill', { name: 'Drill', scenarioKey: PAYROLL, landing: 'training', recipients: ['bob@acme.com', 'carol@acme.com'] });
+    const first = await call(flaky, admin, 'POST', 'drill/send', {});
+    expect(first.body).toMatchObject({ sent: 1, failed: 1, remaining: 1 });
+    expect(first.body.simulation.deliveries['carol@acme.com']).toMatchObject({ sentAt: null, error: '550 Mailbox unavailable' });
+
+    const opened = await visit(flaky, linkIn(readMail(path.join(directory, 'mail'))[0]));
+    expect(opened).toMatchObject({ statusCode: 302, headers: { location: `${SITE}/?phished=${encodeURIComponent(PAYROLL)}` } });
+
+    failing = false;
+    expect((await call(flaky, admin, 'POST', 'drill/send', {})).body).toMatchObject({ sent: 1, failed: 0, remaining: 0 });
+    expect(readMail(path.join(directory, 'mail'))).toHaveLength(2);
+  });
+
+  test('keeps clicks and submissions made while a send is in progress, and concurrent reports', async () => {
+    const transport = createFileTransport(path.join(directory, 'mail'));
+    let during = async () => {};
+    const slow = createHandler({
+      ...storeDeps,
+      // Before carol's email goes out, bob follows the link he was sent first
+      createTransport: () => ({
+        send: async (message) => {
+          if (message.to === 'carol@acme.com') await during();
+          return transport.send(message);
+        }
+      }),
+      getOrganizations: () => ORGANIZATIONS,
+      mailFrom: 'security-drills@acme.com',
+      siteUrl: SITE
+    });
+
+    await call(slow, admin, 'PUT', 'drill', { name: 'Drill', scenarioKey: PAYROLL, landing: 'credentials', recipients: ['bob@acme.com', 'carol@acme.com'] });
+    during = async () => {
+      const link = linkIn(readMail(path.join(directory, 'mail'))[0]);
+      // Opening the link and submitting its form at the same moment keeps both
+      const [opened, submitted] = await Promise.all([visit(slow, link), visit(slow, link, 'POST', '')]);
+      expect([opened.statusCode, submitted.statusCode]).toEqual([200, 303]);
+    };
+    const sent = await call(slow, admin, 'POST', 'drill/send', {});
+    expect(sent.body).toMatchObject({ sent: 2, remaining: 0 });
+    expect(sent.body.simulation.deliveries['bob@acme.com']).toMatchObject({ clickedAt: expect.any(String), submittedAt: expect.any(String) });
+
+    // Two reports at once are both kept
+    await Promise.all([
+      call(slow, admin, 'POST', 'drill/reports', { emails: ['bob@acme.com'] }),
+      call(slow, admin, 'POST', 'drill/reports', { emails: ['carol@acme.com'] })
+    ]);
+    expect((await call(slow, member('bob', 'acme'), 'GET', 'summary')).body).toMatchObject({ delivered: 2, clicked: 1, submitted: 1, reported: 2 });
+  });
+
+  test('reports a missing mail or site configuration', async () => {
+    const unconfigured = createHandler({
+      ...storeDeps,
+      createTransport: () => createFileTransport(path.join(directory, 'mail')),
+      getOrganizations: () => ORGANIZATIONS,
+      mailFrom: undefined,
+      siteUrl: SITE
+    });
+    await call(unconfigured, admin, 'PUT', 'drill', { name: 'Drill', scenarioKey: PAYROLL, landing: 'training', recipients: ['bob@acme.com'] });
+    const response = await call(unconfigured, admin, 'POST', 'drill/send', {});
+    expect(response).toMatchObject({ status: 500, body: { code: 'configuration_error' } });
+
+    // Links need the site's address too, rather than trusting the request's Host header
+    await call(handler, admin, 'PUT', 'drill', { name: 'Drill', scenarioKey: PAYROLL, landing: 'training', recipients: ['bob@acme.com'] });
+    await call(handler, admin, 'POST', 'drill/send', {});
+    const link = linkIn(readMail(path.join(directory, 'mail'))[0]);
+    const withoutSite = createHandler({
+      ...storeDeps,
+      siteUrl: undefined
+    });
+    const opened = await withoutSite({ httpMethod: 'GET', path: new URL(link).pathname, headers: { host: 'evil.example' }, body: null }, {});
+    expect(opened.statusCode).toBe(500);
+    expect(opened.headers.location).toBeUndefined();
+  });
+});
+
+describe('smtp transport', () => {
+  test('delivers through the local SMTP sink over one connection', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'smtp-sink-'));
+    const received = [];
+    const sink = createSmtpSink({ directory, onMessage: (message) => received.push(message) });
+    await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+    const port = sink.address().port;
+    const transport = createSmtpTransport({ host: '127.0.0.1', port, user: 'drills', pass: 'secret', allowPlaintextAuth: true, timeout: 5000 });
+
+    try {
+
+      const message = {
+        from: { name: 'Payroll Team', address: 'security-drills@acme.com' },
+        subject: 'Confirm your details – today',
+        text: '.starts with a dot\nsecond line',
+        html: '<p>Hello</p>',
+        headers: { 'X-Simulation-Id': 'march' }
+      };
+      // The sink offers no TLS, so the password is only sent when plaintext is explicitly allowed
+      const refusing = createSmtpTransport({ host: '127.0.0.1', port, user: 'drills', pass: 'secret', timeout: 5000 });
+      await expect(refusing.send({ ...message, to: 'bob@acme.com' })).rejects.toThrow(/offers no TLS/);
+      await refusing.close();
+
+      await transport.send({ ...message, to: 'bob@acme.com' });
+      await transport.send({ ...message, to: 'carol@acme.com' });
+      await expect(transport.send({ ...message, to: 'bad <address>' })).rejects.toThrow(/angle brackets/);
+    } finally {
+      await transport.close();
+      await new Promise(resolve => sink.close(resolve));
+    }
+
+    expect(received.map(message => [message.from, message.to])).toEqual([
+      ['security-drills@acme.com', ['bob@acme.com']],
+      ['security-drills@acme.com', ['carol@acme.com']]
+    ]);
+    expect(received[0].raw).toContain('Subject: =?UTF-8?B?');
+    expect(textPart(received[0].raw)).toBe('.starts with a dot\nsecond line');
+    expect(fs.readdirSync(directory)).toHaveLength(2);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
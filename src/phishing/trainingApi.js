@@ -0,0 +1,126 @@
+// Client for the phishing trainer API (netlify/functions/training.js), with a browser-only fallback
+// in localStorage for when nobody is logged in
+import { apiRequest } from '../identity/apiRequest';
+import { scoreScenario, scoreTrainingAttempt, summarizeTrainingResults } from './phishingTraining';
+import { installedScenarios, buildTrainingSession, toContentPack } from './contentPacks';
+
+const API_PATH = '/api/training';
+const LOCAL_KEY = 'riskCalculator.training';
+const LOCAL_PACKS_KEY = 'riskCalculator.trainingPacks';
+
+const packUrl = (id) => `${API_PATH}/packs/${encodeURIComponent(id)}`;
+const campaignUrl = (id) => `${API_PATH}/campaigns/${encodeURIComponent(id)}`;
+
+export const fetchServerTraining = async (user) => {
+  const [{ attempts }, summary, { packs }, { campaigns }] = await Promise.all([
+    apiRequest(user, `${API_PATH}/attempts`),
+    apiRequest(user, `${API_PATH}/summary`),
+    apiRequest(user, `${API_PATH}/packs`),
+    apiRequest(user, `${API_PATH}/campaigns`)
+  ]);
+  return { attempts, summary, packs, campaigns };
+};
+
+// Every campaign for admins, otherwise the caller's, each with the caller's `progress`
+export const fetchServerCampaigns = async (user) => (await apiRequest(user, `${API_PATH}/campaigns`)).campaigns;
+
+// Resolves the stored campaign
+export const putServerCampaign = (user, { id, name, packId, dueDate, groups }) => (
+  apiRequest(user, campaignUrl(id), { method: 'PUT', body: { name, packId, dueDate, groups } })
+);
+
+export const deleteServerCampaign = async (user, id) => {
+  try {
+    await apiRequest(user, campaignUrl(id), { method: 'DELETE' });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+};
+
+export const startServerCampaign = (user, id) => apiRequest(user, `${campaignUrl(id)}/start`, { method: 'POST', body: {} });
+
+// The managers' dashboard (see buildTrainingReport in trainingCampaigns.js)
+export const fetchTrainingReport = (user) => apiRequest(user, `${API_PATH}/report`);
+
+// Resolves the stored pack
+export const putServerPack = (user, pack) => (
+  apiRequest(user, packUrl(pack.id), { method: 'PUT', body: toContentPack(pack) })
+);
+
+export const deleteServerPack = async (user, id) => {
+  try {
+    await apiRequest(user, packUrl(id), { method: 'DELETE' });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+};
+
+// Resolves the session the server chose, `{ id, campaignId, scenarios }`, its scenarios without their answers
+export const startServerSession = (user, campaignId = null) => (
+  apiRequest(user, `${API_PATH}/sessions`, { method: 'POST', body: campaignId ? { campaignId } : {} })
+);
+
+// Resolves `{ scored, scenario }`: the answer scored, and the scenario with its answers
+export const answerServerScenario = (user, sessionId, scenarioKey, answer) => (
+  apiRequest(user, `${API_PATH}/sessions/${encodeURIComponent(sessionId)}/answers`, { method: 'POST', body: { scenarioKey, answer } })
+);
+
+// Resolves `{ attempt, summary }` as scored from the session's answers and recorded by the server
+export const submitServerAttempt = (user, sessionId) => (
+  apiRequest(user, `${API_PATH}/attempts`, { method: 'POST', body: { sessionId } })
+);
+
+const readLocal = (key, field) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(key));
+    return stored && Array.isArray(stored[field]) ? stored[field] : [];
+  } catch (error) {
+    console.error(`Could not read ${key} from local storage:`, error);
+    return [];
+  }
+};
+
+const writeLocal = (key, field, records) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify({ version: 1, [field]: records }));
+  } catch (error) {
+    console.error(`Could not write ${key} to local storage:`, error);
+  }
+};
+
+// This browser counts as the organization's only member
+export const loadLocalTraining = () => {
+  const attempts = readLocal(LOCAL_KEY, 'attempts');
+  return { attempts, summary: summarizeTrainingResults([{ attempts }]), packs: readLocal(LOCAL_PACKS_KEY, 'packs') };
+};
+
+// The browser keeps the answers itself, so local sessions have no id
+export const startLocalSession = () => ({
+  id: null,
+  campaignId: null,
+  scenarios: buildTrainingSession(installedScenarios(readLocal(LOCAL_PACKS_KEY, 'packs')))
+});
+
+export const answerLocalScenario = (scenario, answer) => ({ scored: scoreScenario(scenario, answer), scenario });
+
+export const submitLocalAttempt = (answers) => {
+  const attempt = scoreTrainingAttempt(answers, { scenarios: installedScenarios(readLocal(LOCAL_PACKS_KEY, 'packs')) });
+  if (attempt.errors) return attempt;
+  const attempts = [...readLocal(LOCAL_KEY, 'attempts'), attempt];
+  writeLocal(LOCAL_KEY, 'attempts', attempts);
+  return { attempt, summary: summarizeTrainingResults([{ attempts }]) };
+};
+
+// Both return this browser's packs after the change
+export const saveLocalPack = (pack) => {
+  const packs = readLocal(LOCAL_PACKS_KEY, 'packs').filter(existing => existing.id !== pack.id);
+  const next = [...packs, { ...toContentPack(pack), updatedAt: new Date().toISOString() }];
+  writeLocal(LOCAL_PACKS_KEY, 'packs', next);
+  return next;
+};
+
+export const deleteLocalPack = (id) => {
+  const next = readLocal(LOCAL_PACKS_KEY, 'packs').filter(existing => existing.id !== id);
+  writeLocal(LOCAL_PACKS_KEY, 'packs', next);
+  return next;
+};
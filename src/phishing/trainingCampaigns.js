@@ -0,0 +1,233 @@
+// Phishing training campaigns: an organization admin assigns a training module (an installed content
+// pack) to named groups of members with a due date, and the members' progress on it is tracked:
+// started, finished (any attempt recorded for the campaign) and passed (any such attempt passed).
+//
+// Members' training records are `{ id, email, attempts, campaigns: { <campaign id>: { startedAt } } }`,
+// with each campaign attempt carrying its `campaignId`. Reports for managers combine campaigns and
+// records into completion rates, the red-flag types most often missed and repeat offenders.
+import { formatCsv } from '../shared/csv';
+import { generateId, isObject, normalizeEmail, isEmail } from '../shared/values';
+
+export const CAMPAIGN_LIMITS = {
+  name: 200,
+  groups: 50,
+  members: 1000
+};
+
+// Members with at least this many failed attempts are listed as repeat offenders
+export const REPEAT_OFFENDER_FAILURES = 2;
+
+export const CAMPAIGN_STATUSES = [
+  { id: 'not-started', label: 'Not started' },
+  { id: 'started', label: 'Started' },
+  { id: 'finished', label: 'Finished, not passed' },
+  { id: 'passed', label: 'Passed' }
+];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A campaign is due until the end of its due date (UTC)
+export const isOverdue = (campaign, now = new Date()) => new Date(`${campaign.dueDate}T23:59:59Z`) < now;
+
+export const createCampaign = (packId) => ({
+  id: generateId('campaign'),
+  name: '',
+  packId,
+  dueDate: '',
+  groups: [{ name: 'Everyone', members: [] }]
+});
+
+// Errors keyed by field path (`name`, `groups.1.members`…); empty when the campaign is valid.
+// `packIds` are the installed content packs a campaign can assign.
+export const validateCampaign = (campaign, packIds) => {
+  if (!isObject(campaign)) return { campaign: 'Campaign is malformed' };
+
+  const errors = {};
+  if (typeof campaign.id !== 'string' || !ID_PATTERN.test(campaign.id)) errors.id = 'Campaign id must be letters, digits, - or _';
+  const name = typeof campaign.name === 'string' ? campaign.name.trim() : '';
+  if (!name || name.length > CAMPAIGN_LIMITS.name) {
+    errors.name = `Name must be between 1 and ${CAMPAIGN_LIMITS.name} characters`;
+  }
+  if (!packIds.includes(campaign.packId)) errors.packId = 'Choose an installed training module';
+  if (typeof campaign.dueDate !== 'string' || !DATE_PATTERN.test(campaign.dueDate) || Number.isNaN(Date.parse(campaign.dueDate))) {
+    errors.dueDate = 'Choose a due date';
+  }
+  if (!Array.isArray(campaign.groups) || campaign.groups.length === 0 || campaign.groups.length > CAMPAIGN_LIMITS.groups) {
+    errors.groups = `A campaign needs between 1 and ${CAMPAIGN_LIMITS.groups} groups`;
+    return errors;
+  }
+  campaign.groups.forEach((group, index) => {
+    const prefix = `groups.${index}`;
+    if (!isObject(group) || !Array.isArray(group.members)) {
+      errors[prefix] = 'Group is malformed';
+      return;
+    }
+    if (typeof group.name !== 'string' || !group.name.trim()) errors[`${prefix}.name`] = 'Name the group';
+    if (group.members.length === 0 || group.members.length > CAMPAIGN_LIMITS.members) {
+      errors[`${prefix}.members`] = `A group needs between 1 and ${CAMPAIGN_LIMITS.members} members`;
+    } else if (!group.members.every(email => typeof email === 'string' && isEmail(normalizeEmail(email)))) {
+      errors[`${prefix}.members`] = 'Members must be email addresses';
+    }
+  });
+  return errors;
+};
+
+// Only the fields a campaign is made of, with member emails normalized
+export const toCampaign = ({ id, name, packId, dueDate, groups }) => ({
+  id,
+  name: typeof name === 'string' ? name.trim() : name,
+  packId,
+  dueDate,
+  groups: Array.isArray(groups)
+    ? groups.map(group => (isObject(group) && Array.isArray(group.members)
+      ? { name: typeof group.name === 'string' ? group.name.trim() : group.name, members: [...new Set(group.members.map(normalizeEmail))] }
+      : group))
+    : groups
+});
+
+// `[{ email, groups }]`: everyone the campaign assigns, once, with the names of their groups
+export const campaignAssignees = (campaign) => {
+  const byEmail = new Map();
+  campaign.groups.forEach(group => group.members.forEach(member => {
+    const email = normalizeEmail(member);
+    byEmail.set(email, [...(byEmail.get(email) || []), group.name]);
+  }));
+  return [...byEmail.entries()].map(([email, groups]) => ({ email, groups }));
+};
+
+export const isAssigned = (campaign, email) => campaign.groups.some(group => group.members.map(normalizeEmail).includes(normalizeEmail(email)));
+
+// One member's progress on a campaign from their training record (null when they have none yet)
+export const campaignProgress = (campaign, record, now = new Date()) => {
+  const attempts = record ? record.attempts.filter(attempt => attempt.campaignId === campaign.id) : [];
+  const started = record && record.campaigns && record.campaigns[campaign.id];
+  const passedAttempt = attempts.find(attempt => attempt.passed);
+  const latest = attempts[attempts.length - 1] || null;
+  const counted = passedAttempt || latest;
+
+  let status = 'not-started';
+  if (passedAttempt) status = 'passed';
+  else if (latest) status = 'finished';
+  else if (started) status = 'started';
+
+  return {
+    status,
+    startedAt: started ? started.startedAt : (attempts[0] ? attempts[0].completedAt : null),
+    completedAt: counted ? counted.completedAt : null,
+    accuracy: counted ? counted.accuracy : null,
+    attempts: attempts.length,
+    overdue: !latest && isOverdue(campaign, now)
+  };
+};
+
+const share = (count, total) => (total > 0 ? count / total : null);
+
+// Red-flag hotspot types the trainees left unflagged, most often missed first
+const countMissedRedFlags = (attempts) => {
+  const counts = new Map();
+  attempts.forEach(attempt => attempt.scenarios.forEach(scenario => scenario.hotspots.forEach(hotspot => {
+    if (hotspot.isPhishing === true && !hotspot.flagged) counts.set(hotspot.type, (counts.get(hotspot.type) || 0) + 1);
+  })));
+  return [...counts.entries()]
+    .map(([type, missed]) => ({ type, missed }))
+    .sort((a, b) => b.missed - a.missed || a.type.localeCompare(b.type));
+};
+
+export const buildCampaignReport = (campaign, records, now = new Date()) => {
+  const recordsByEmail = new Map(records.map(record => [normalizeEmail(record.email), record]));
+  const rows = campaignAssignees(campaign).map(assignee => ({
+    ...assignee,
+    ...campaignProgress(campaign, recordsByEmail.get(assignee.email) || null, now)
+  }));
+  const count = (statuses) => rows.filter(row => statuses.includes(row.status)).length;
+  const finished = count(['finished', 'passed']);
+  const passed = count(['passed']);
+  const attempts = records.flatMap(record => record.attempts.filter(attempt => attempt.campaignId === campaign.id));
+
+  return {
+    campaign,
+    rows,
+    totals: {
+      assigned: rows.length,
+      started: count(['started', 'finished', 'passed']),
+      finished,
+      passed,
+      overdue: rows.filter(row => row.overdue).length,
+      completionRate: share(finished, rows.length),
+      passRate: share(passed, rows.length)
+    },
+    missedRedFlags: countMissedRedFlags(attempts)
+  };
+};
+
+// The managers' dashboard: every campaign's report, missed red-flag types across all campaign
+// attempts, and members with REPEAT_OFFENDER_FAILURES or more failed attempts (any, not just campaigns)
+export const buildTrainingReport = (campaigns, records, now = new Date()) => {
+  const repeatOffenders = records
+    .map(record => {
+      const failures = record.attempts.filter(attempt => !attempt.passed);
+      return {
+        email: record.email,
+        failures: failures.length,
+        attempts: record.attempts.length,
+        lastFailedAt: failures.length > 0 ? failures[failures.length - 1].completedAt : null
+      };
+    })
+    .filter(offender => offender.failures >= REPEAT_OFFENDER_FAILURES)
+    .sort((a, b) => b.failures - a.failures || a.email.localeCompare(b.email));
+
+  return {
+    generatedAt: now.toISOString(),
+    campaigns: [...campaigns]
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      .map(campaign => buildCampaignReport(campaign, records, now)),
+    missedRedFlags: countMissedRedFlags(records.flatMap(record => record.attempts.filter(attempt => attempt.campaignId))),
+    repeatOffenders
+  };
+};
+
+const statusLabel = (status) => CAMPAIGN_STATUSES.find(option => option.id === status).label;
+const percentCell = (value) => (value === null ? '' : Math.round(value * 100));
+
+export const campaignProgressCsv = (report) => formatCsv([
+  ['Campaign', 'Due date', 'Member', 'Groups', 'Status', 'Overdue', 'Started at', 'Completed at', 'Accuracy (%)', 'Attempts'],
+  ...report.campaigns.flatMap(({ campaign, rows }) => rows.map(row => [
+    campaign.name,
+    campaign.dueDate,
+    row.email,
+    row.groups.join('; '),
+    statusLabel(row.status),
+    row.overdue ? 'yes' : 'no',
+    row.startedAt || '',
+    row.completedAt || '',
+    percentCell(row.accuracy),
+    row.attempts
+  ]))
+]);
+
+export const campaignSummaryCsv = (report) => formatCsv([
+  ['Campaign', 'Due date', 'Assigned', 'Started', 'Finished', 'Passed', 'Overdue', 'Completion rate (%)', 'Pass rate (%)'],
+  ...report.campaigns.map(({ campaign, totals }) => [
+    campaign.name,
+    campaign.dueDate,
+    totals.assigned,
+    totals.started,
+    totals.finished,
+    totals.passed,
+    totals.overdue,
+    percentCell(totals.completionRate),
+    percentCell(totals.passRate)
+  ])
+]);
+
+export const missedRedFlagsCsv = (report) => formatCsv([
+  ['Campaign', 'Red flag type', 'Times missed'],
+  ...report.missedRedFlags.map(flag => ['All campaigns', flag.type, flag.missed]),
+  ...report.campaigns.flatMap(({ campaign, missedRedFlags }) => missedRedFlags.map(flag => [campaign.name, flag.type, flag.missed]))
+]);
+
+export const repeatOffendersCsv = (report) => formatCsv([
+  ['Member', 'Failed attempts', 'Attempts', 'Last failed at'],
+  ...report.repeatOffenders.map(offender => [offender.email, offender.failures, offender.attempts, offender.lastFailedAt || ''])
+]);
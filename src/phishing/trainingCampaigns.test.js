@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+import {
+  createCampaign,
+  validateCampaign,
+  toCampaign,
+  campaignProgress,
+  buildTrainingReport,
+  campaignProgressCsv,
+  campaignSummaryCsv,
+  missedRedFlagsCsv,
+  repeatOffendersCsv
+} from './trainingCampaigns';
+
+const campaign = {
+  id: 'q1',
+  name: 'Q1 refresher',
+  packId: 'builtin',
+  dueDate: '2024-03-31',
+  groups: [
+    { name: 'Finance', members: ['bob@acme.com', 'dave@acme.com'] },
+    { name: 'Managers', members: ['bob@acme.com', 'erin@acme.com'] }
+  ]
+};
+
+const hotspot = (type, flagged) => ({ id: type, type, isPhishing: true, flagged, correct: flagged });
+const attempt = (passed, completedAt, campaignId = 'q1', hotspots = []) => ({
+  completedAt,
+  campaignId,
+  passed,
+  accuracy: passed ? 0.9 : 0.4,
+  scenarios: [{ scenarioKey: 'builtin/email-payroll-update', hotspots }]
+});
+
+const records = [
+  {
+    id: 'bob',
+    email: 'bob@acme.com',
+    campaigns: { q1: { startedAt: '2024-03-02T09:00:00Z' } },
+    attempts: [
+      attempt(false, '2024-03-02T09:10:00Z', 'q1', [hotspot('sender', false), hotspot('link', false)]),
+      attempt(true, '2024-03-03T09:10:00Z', 'q1', [hotspot('sender', true), hotspot('link', false)])
+    ]
+  },
+  {
+    id: 'dave',
+    email: 'Dave@acme.com',
+    campaigns: { q1: { startedAt: '2024-03-05T09:00:00Z' } },
+    attempts: [attempt(false, '2024-02-01T09:00:00Z', null), attempt(false, '2024-02-02T09:00:00Z', null)]
+  }
+];
+
+describe('phishing training campaigns', () => {
+  test('validates campaigns and normalizes their members', () => {
+    expect(validateCampaign(campaign, ['builtin'])).toEqual({});
+    expect(validateCampaign({ ...createCampaign('builtin'), name: 'New' }, ['builtin'])).toEqual({
+      dueDate: 'Choose a due date',
+      'groups.0.members': 'A group needs between 1 and 1000 members'
+    });
+
+    const errors = validateCampaign({
+      ...campaign,
+      id: 'q1 2024',
+      packId: 'removed',
+      dueDate: '31/03/2024',
+      groups: [{ name: ' ', members: ['bob'] }]
+    }, ['builtin']);
+    expect(Object.keys(errors).sort()).toEqual(['dueDate', 'groups.0.members', 'groups.0.name', 'id', 'packId']);
+
+    expect(toCampaign({ ...campaign, name: ' Q1 ', extra: true, groups: [{ name: 'All', members: [' Bob@Acme.com', 'bob@acme.com'] }] })).toEqual({
+      ...campaign,
+      name: 'Q1',
+      groups: [{ name: 'All', members: ['bob@acme.com'] }]
+    });
+  });
+
+  test('tracks each member from not started to passed, and overdue when unfinished', () => {
+    const due = new Date('2024-03-31T20:00:00Z');
+    const late = new Date('2024-04-01T00:00:01Z');
+    expect(campaignProgress(campaign, null, due)).toMatchObject({ status: 'not-started', overdue: false });
+    expect(campaignProgress(campaign, null, late)).toMatchObject({ status: 'not-started', overdue: true });
+    expect(campaignProgress(campaign, records[1], late)).toMatchObject({ status: 'started', startedAt: '2024-03-05T09:00:00Z', attempts: 0, overdue: true });
+
+    const finished = { ...records[0], attempts: records[0].attempts.slice(0, 1) };
+    expect(campaignProgress(campaign, finished, late)).toMatchObject({ status: 'finished', accuracy: 0.4, overdue: false });
+    expect(campaignProgress(campaign, records[0], late)).toMatchObject({ status: 'passed', completedAt: '2024-03-03T09:10:00Z', accuracy: 0.9, attempts: 2 });
+  });
+
+  test('reports completion, missed red flags and repeat offenders', () => {
+    const report = buildTrainingReport([campaign], records, new Date('2024-04-02T00:00:00Z'));
+    const [{ rows, totals, missedRedFlags }] = report.campaigns;
+
+    expect(rows.map(row => [row.email, row.groups, row.status])).toEqual([
+      ['bob@acme.com', ['Finance', 'Managers'], 'passed'],
+      ['dave@acme.com', ['Finance'], 'started'],
+      ['erin@acme.com', ['Managers'], 'not-started']
+    ]);
+    expect(totals).toEqual({ assigned: 3, started: 2, finished: 1, passed: 1, overdue: 2, completionRate: 1 / 3, passRate: 1 / 3 });
+    expect(missedRedFlags).toEqual([{ type: 'link', missed: 2 }, { type: 'sender', missed: 1 }]);
+    expect(report.missedRedFlags).toEqual(missedRedFlags);
+    expect(report.repeatOffenders).toEqual([{ email: 'Dave@acme.com', failures: 2, attempts: 2, lastFailedAt: '2024-02-02T09:00:00Z' }]);
+  });
+
+  test('exports the report as CSV', () => {
+    const report = buildTrainingReport([campaign], records, new Date('2024-04-02T00:00:00Z'));
+    expect(campaignProgressCsv(report).split('\r\n')[1]).toBe('Q1 refresher,2024-03-31,bob@acme.com,Finance; Managers,Passed,no,2024-03-02T09:00:00Z,2024-03-03T09:10:00Z,90,2');
+    expect(campaignSummaryCsv(report).split('\r\n')[1]).toBe('Q1 refresher,2024-03-31,3,2,1,1,2,33,33');
+    expect(missedRedFlagsCsv(report).split('\r\n')).toContain('All campaigns,link,2');
+    expect(repeatOffendersCsv(report).split('\r\n')[1]).toBe('Dave@acme.com,2,2,2024-02-02T09:00:00Z');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @jest-environment node
+ */
+import { installedScenarios } from './contentPacks';
+import { BUILT_IN_PACK } from './trainingScenarios';
+
+const { createHandler } = require('../../netlify/functions/training');
+const { createMemberContext: member, createCaller, createTemporaryStores } = require('../../netlify/local/functionCalls');
+
+const call = createCaller('/api/training');
+
+// An organization pack with one payroll lure
+const payrollPack = {
+  id: 'acme-lures',
+  name: 'Acme lures',
+  description: '',
+  scenarios: [{
+    ...BUILT_IN_PACK.scenarios.find(scenario => scenario.id === 'email-payroll-update'),
+    id: 'acme-payroll'
+  }]
+};
+
+// Answers to a scenario with its answers: all right, or judged phishing with nothing flagged
+const perfect = (scenario) => ({
+  verdict: scenario.isPhishing ? 'phishing' : 'legitimate',
+  flagged: scenario.hotspots.filter(hotspot => hotspot.isPhishing).map(hotspot => hotspot.id)
+});
+const phishing = () => ({ verdict: 'phishing', flagged: [] });
+
+const withAnswers = (key) => installedScenarios([payrollPack]).find(scenario => scenario.key === key);
+
+describe('training function', () => {
+  let temporary;
+  let handler;
+
+  // Starts a session, answers each of its scenarios with `answer` and submits it
+  const train = async (context, answer, body = {}) => {
+    const session = (await call(handler, context, 'POST', 'sessions', body)).body;
+    for (const scenario of session.scenarios) {
+      await call(handler, context, 'POST', `sessions/${session.id}/answers`, { scenarioKey: scenario.key, answer: answer(withAnswers(scenario.key)) });
+    }
+    return call(handler, context, 'POST', 'attempts', { sessionId: session.id });
+  };
+
+  beforeEach(() => {
+    temporary = createTemporaryStores(['training', 'trainingPacks', 'trainingCampaigns']);
+    const { stores } = temporary;
+    handler = createHandler({
+      createStore: () => stores.training,
+      createPackStore: () => stores.trainingPacks,
+      createCampaignStore: () => stores.trainingCampaigns,
+      now: () => new Date('2024-03-01T12:00:00Z')
+    });
+  });
+
+  afterEach(() => {
+    temporary.remove();
+  });
+
+  test('scores attempts on the server and summarizes the organization', async () => {
+    const alice = member('alice', 'acme');
+    const recorded = await train(alice, perfect);
+    expect(recorded.status).toBe(201);
+    expect(recorded.body.attempt).toMatchObject({ accuracy: 1, passed: true });
+    expect(recorded.body.attempt.scenarios).toHaveLength(6);
+    expect(recorded.body.summary).toMatchObject({ participants: 1, passRate: 1 });
+
+    await train(member('bob', 'acme'), phishing);
+    expect((await call(handler, alice, 'GET', 'summary')).body).toMatchObject({ participants: 2, passed: 1, passRate: 0.5 });
+    expect((await call(handler, alice, 'GET', 'attempts')).body.attempts).toHaveLength(1);
+
+    // Another organization sees none of it
+    expect((await call(handler, member('carol', 'globex'), 'GET', 'summary')).body.participants).toBe(0);
+  });
+
+  test('issues sessions without their answers and scores only the answers kept for them', async () => {
+    const alice = member('alice', 'acme');
+    const started = await call(handler, alice, 'POST', 'sessions', { accuracy: 1 });
+    expect(started.status).toBe(201);
+    const { id, scenarios } = started.body;
+    expect(scenarios).toHaveLength(6);
+    scenarios.forEach(scenario => {
+      expect(scenario).not.toHaveProperty('isPhishing');
+      scenario.hotspots.forEach(hotspot => {
+        expect(hotspot).not.toHaveProperty('isPhishing');
+        expect(hotspot).not.toHaveProperty('explanation');
+      });
+    });
+
+    // Only the session's scenarios can be answered, once each, and the reply reveals the answers
+    const outside = installedScenarios().find(scenario => !scenarios.some(chosen => chosen.key === scenario.key));
+    expect((await call(handler, alice, 'POST', `sessions/${id}/answers`, { scenarioKey: outside.key, answer: perfect(outside) })).status).toBe(422);
+    const [first, ...rest] = scenarios;
+    const invalid = await call(handler, alice, 'POST', `sessions/${id}/answers`, { scenarioKey: first.key, answer: { verdict: 'maybe' } });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toHaveProperty('answer');
+    const answered = await call(handler, alice, 'POST', `sessions/${id}/answers`, { scenarioKey: first.key, answer: phishing() });
+    expect(answered.status).toBe(200);
+    expect(answered.body.scenario).toEqual(withAnswers(first.key));
+    expect(answered.body.scored).toMatchObject({ scenarioKey: first.key, verdict: 'phishing' });
+    expect((await call(handler, alice, 'POST', `sessions/${id}/answers`, { scenarioKey: first.key, answer: perfect(withAnswers(first.key)) })).status).toBe(409);
+
+    const incomplete = await call(handler, alice, 'POST', 'attempts', { sessionId: id, answers: {} });
+    expect(incomplete.status).toBe(422);
+    expect(incomplete.body.errors).toHaveProperty('answers');
+    for (const scenario of rest) {
+      await call(handler, alice, 'POST', `sessions/${id}/answers`, { scenarioKey: scenario.key, answer: perfect(withAnswers(scenario.key)) });
+    }
+    expect((await call(handler, alice, 'POST', 'attempts', { sessionId: 'session-other' })).status).toBe(404);
+    const recorded = await call(handler, alice, 'POST', 'attempts', { sessionId: id });
+    expect(recorded.status).toBe(201);
+    expect(recorded.body.attempt.scenarios.map(scenario => scenario.scenarioKey)).toEqual(scenarios.map(scenario => scenario.key));
+    expect(recorded.body.attempt.scenarios[0].verdictCorrect).toBe(withAnswers(first.key).isPhishing);
+
+    // A session is scored once, and starting another abandons the last
+    expect((await call(handler, alice, 'POST', 'attempts', { sessionId: id })).status).toBe(404);
+    const abandoned = (await call(handler, alice, 'POST', 'sessions', {})).body;
+    await call(handler, alice, 'POST', 'sessions', {});
+    expect((await call(handler, alice, 'POST', `sessions/${abandoned.id}/answers`, { scenarioKey: abandoned.scenarios[0].key, answer: phishing() })).status).toBe(404);
+  });
+
+  test('rejects unknown resources and non-members', async () => {
+    const alice = member('alice', 'acme');
+
+    expect((await call(handler, alice, 'POST', 'summary', {})).status).toBe(405);
+    expect((await call(handler, alice, 'GET', 'scores')).status).toBe(404);
+    expect((await call(handler, {}, 'GET', 'attempts')).status).toBe(401);
+  });
+
+  test('admins install content packs that attempts can then answer', async () => {
+    const admin = member('alice', 'acme', ['subscriber', 'admin']);
+    const analyst = member('bob', 'acme');
+
+    expect((await call(handler, analyst, 'PUT', 'packs/acme-lures', payrollPack)).status).toBe(403);
+    const invalid = await call(handler, admin, 'PUT', 'packs/acme-lures', { ...payrollPack, scenarios: [{ ...payrollPack.scenarios[0], difficulty: 'extreme' }] });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toHaveProperty(['scenarios.0.difficulty']);
+
+    const saved = await call(handler, admin, 'PUT', 'packs/acme-lures', payrollPack);
+    expect(saved.status).toBe(200);
+    expect(saved.body).toMatchObject({ id: 'acme-lures', updatedBy: 'alice@acme.com' });
+    // Only admins get the packs with their answers
+    expect((await call(handler, admin, 'GET', 'packs')).body.packs).toMatchObject([{ ...payrollPack, updatedBy: 'alice@acme.com' }]);
+    const [listed] = (await call(handler, analyst, 'GET', 'packs')).body.packs;
+    expect(listed.id).toBe('acme-lures');
+    expect(listed.scenarios[0]).not.toHaveProperty('isPhishing');
+    expect(listed.scenarios[0].hotspots.map(hotspot => hotspot.text)).toEqual(payrollPack.scenarios[0].hotspots.map(hotspot => hotspot.text));
+    listed.scenarios[0].hotspots.forEach(hotspot => {
+      expect(hotspot).not.toHaveProperty('isPhishing');
+      expect(hotspot).not.toHaveProperty('explanation');
+    });
+    expect((await call(handler, member('carol', 'globex'), 'GET', 'packs')).body.packs).toEqual([]);
+
+    const recorded = await train(analyst, perfect);
+    expect(recorded.status).toBe(201);
+    expect(recorded.body.attempt.passed).toBe(true);
+
+    expect((await call(handler, admin, 'DELETE', 'packs/acme-lures')).status).toBe(204);
+    expect((await call(handler, admin, 'DELETE', 'packs/acme-lures')).status).toBe(404);
+  });
+
+  test('admins assign campaigns whose progress members record and managers report on', async () => {
+    const admin = member('alice', 'acme', ['subscriber', 'admin']);
+    const bob = member('bob', 'acme');
+    const carol = member('carol', 'acme');
+    const campaign = {
+      id: 'q1-payroll',
+      name: 'Q1 payroll lures',
+      packId: 'acme-lures',
+      dueDate: '2024-03-31',
+      groups: [{ name: 'Finance', members: ['Bob@acme.com', 'dave@acme.com'] }]
+    };
+
+    expect((await call(handler, admin, 'PUT', 'campaigns/q1-payroll', campaign)).status).toBe(422);
+    await call(handler, admin, 'PUT', 'packs/acme-lures', payrollPack);
+    expect((await call(handler, bob, 'PUT', 'campaigns/q1-payroll', campaign)).status).toBe(403);
+    const created = await call(handler, admin, 'PUT', 'campaigns/q1-payroll', campaign);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ createdBy: 'alice@acme.com', groups: [{ members: ['bob@acme.com', 'dave@acme.com'] }] });
+    expect((await call(handler, admin, 'PUT', 'campaigns/q1-payroll', campaign)).status).toBe(200);
+
+    // Only assigned members see the campaign; admins see every campaign
+    expect((await call(handler, carol, 'GET', 'campaigns')).body.campaigns).toEqual([]);
+    expect((await call(handler, admin, 'GET', 'campaigns')).body.campaigns).toMatchObject([{ id: 'q1-payroll', progress: null }]);
+    expect((await call(handler, carol, 'POST', 'campaigns/q1-payroll/start', {})).status).toBe(404);
+
+    const started = await call(handler, bob, 'POST', 'campaigns/q1-payroll/start', {});
+    expect(started.body.progress).toMatchObject({ status: 'started', startedAt: '2024-03-01T12:00:00.000Z' });
+
+    // A campaign session draws from the campaign's module only
+    expect((await call(handler, carol, 'POST', 'sessions', { campaignId: 'q1-payroll' })).status).toBe(404);
+    const recorded = await train(bob, phishing, { campaignId: 'q1-payroll' });
+    expect(recorded.status).toBe(201);
+    expect(recorded.body.attempt).toMatchObject({ campaignId: 'q1-payroll', passed: false, scenarios: [{ scenarioKey: 'acme-lures/acme-payroll' }] });
+    expect((await call(handler, bob, 'GET', 'campaigns')).body.campaigns[0].progress).toMatchObject({ status: 'finished', attempts: 1 });
+
+    expect((await call(handler, bob, 'GET', 'report')).status).toBe(403);
+    const report = (await call(handler, admin, 'GET', 'report')).body;
+    expect(report.campaigns[0].totals).toMatchObject({ assigned: 2, started: 1, finished: 1, passed: 0, completionRate: 0.5 });
+    expect(report.missedRedFlags.map(flag => flag.type)).toContain('sender');
+
+    expect((await call(handler, admin, 'DELETE', 'packs/acme-lures')).status).toBe(409);
+    expect((await call(handler, admin, 'DELETE', 'campaigns/q1-payroll')).status).toBe(204);
+    expect((await call(handler, admin, 'DELETE', 'packs/acme-lures')).status).toBe(204);
+  });
+});
@@ -0,0 +1,183 @@
+// Built-in phishing awareness trainer content: the scenarios every organization has, as a content pack
+// (see contentPacks.js for the format), and the educational modules. Organizations add their own packs.
+//
+// Each scenario is phishing or legitimate, tagged with a difficulty and a threat category, and has
+// hotspots (the sender, a link, the address bar…) that the trainee can flag as red flags. `isPhishing`
+// on a hotspot says whether flagging it is right; `explanation` is shown after.
+
+const EMAIL_SCENARIOS = [
+  {
+    id: 'email-order-payment',
+    kind: 'email',
+    difficulty: 'easy',
+    category: 'payment-fraud',
+    isPhishing: true,
+    sender: 'support@amaz0n.com',
+    subject: 'Your Recent Order #123456 - Action Required',
+    body: 'Dear Customer,\n\nYour recent order could not be processed due to an issue with your payment information. Please update your details immediately by clicking the link below:\n\nhttps://www.amaz0n-security.com/update-payment\n\nFailure to do so will result in cancellation of your order.\n\nSincerely,\nAmazon Support Team',
+    hotspots: [
+      { id: 'sender', type: 'sender', text: 'support@amaz0n.com', explanation: 'Misspelled domain (amaz0n instead of amazon).', isPhishing: true },
+      { id: 'link', type: 'link', text: 'https://www.amaz0n-security.com/update-payment', explanation: 'Suspicious URL (amaz0n-security.com is not amazon.com).', isPhishing: true },
+      { id: 'urgency', type: 'urgency', text: 'Action Required', explanation: 'Creates a sense of urgency to pressure you into acting without thinking.', isPhishing: true },
+      { id: 'greeting', type: 'greeting', text: 'Dear Customer', explanation: 'A generic greeting is common in phishing, but on its own it is not proof: many real notifications use one too.', isPhishing: false },
+      { id: 'order-number', type: 'order_number', text: '#123456', explanation: 'Looks like a real order number, but could be fake; it is not a red flag by itself.', isPhishing: false }
+    ]
+  },
+  {
+    id: 'email-payment-receipt',
+    kind: 'email',
+    difficulty: 'medium',
+    category: 'payment-fraud',
+    isPhishing: false,
+    sender: 'noreply@paypal.com',
+    subject: 'You sent a payment of $500.00 USD to John Doe',
+    body: 'Hi [Your Name],\n\nYou sent a payment of $500.00 USD to John Doe. This transaction will appear on your statement as "PAYPAL *JOHN DOE".\n\nIf you did not authorize this transaction, please click here to report it: https://www.paypal.com/dispute\n\nThank you for using PayPal.',
+    hotspots: [
+      { id: 'sender', type: 'sender', text: 'noreply@paypal.com', explanation: 'Legitimate PayPal sender.', isPhishing: false },
+      { id: 'link', type: 'link', text: 'https://www.paypal.com/dispute', explanation: 'Legitimate PayPal dispute link on the real paypal.com domain.', isPhishing: false },
+      { id: 'personalization', type: 'personalization', text: 'Hi [Your Name]', explanation: 'Personalized greeting using your account name.', isPhishing: false }
+    ]
+  },
+  {
+    id: 'email-payroll-update',
+    kind: 'email',
+    difficulty: 'medium',
+    category: 'payroll',
+    isPhishing: true,
+    sender: 'payroll@acme-hr-services.co',
+    subject: 'Confirm your direct deposit details before Friday\'s payroll',
+    body: 'Hello,\n\nWe are moving to a new payroll provider. To make sure you are paid on time, confirm your bank account details before Friday\'s payroll run:\n\nhttps://acme-hr-services.co/direct-deposit\n\nEmployees who do not confirm may see their salary delayed.\n\nThanks,\nHuman Resources',
+    hotspots: [
+      { id: 'sender', type: 'sender', text: 'payroll@acme-hr-services.co', explanation: 'An outside look-alike domain, not your company\'s own HR system.', isPhishing: true },
+      { id: 'link', type: 'link', text: 'https://acme-hr-services.co/direct-deposit', explanation: 'Bank details should only ever be changed in the payroll portal you already use, never from a link.', isPhishing: true },
+      { id: 'threat', type: 'urgency', text: 'may see their salary delayed', explanation: 'Threatening your pay is a classic pressure tactic in payroll diversion.', isPhishing: true },
+      { id: 'signature', type: 'signature', text: 'Human Resources', explanation: 'A department signature is normal; it proves nothing either way.', isPhishing: false }
+    ]
+  },
+  {
+    id: 'email-vendor-invoice',
+    kind: 'email',
+    difficulty: 'hard',
+    category: 'vendor-invoice',
+    isPhishing: true,
+    sender: 'accounts@northwind-supplies.com',
+    subject: 'Invoice INV-20931 - updated remittance details',
+    body: 'Hi,\n\nPlease find attached invoice INV-20931 for last month\'s deliveries. Note that our bank details have changed following an audit, so please pay to the new account below from now on.\n\nAccount: 40-11-92 / 71829304\n\nWe are reachable by email only this week, so please reply here rather than calling.\n\nKind regards,\nNorthwind Supplies Accounts',
+    hotspots: [
+      { id: 'sender', type: 'sender', text: 'accounts@northwind-supplies.com', explanation: 'The vendor\'s real domain. Their mailbox may be compromised, so a genuine sender doesn\'t make the request safe.', isPhishing: false },
+      { id: 'invoice', type: 'reference', text: 'INV-20931', explanation: 'A plausible invoice number; attackers often copy real ones from a hijacked mailbox.', isPhishing: false },
+      { id: 'bank-change', type: 'request', text: 'our bank details have changed', explanation: 'A change of bank details by email is the core of invoice fraud. Confirm it by phone using a number you already hold.', isPhishing: true },
+      { id: 'no-calls', type: 'urgency', text: 'reply here rather than calling', explanation: 'Steering you away from a phone call stops you verifying the change.', isPhishing: true }
+    ]
+  },
+  {
+    id: 'email-qr-reenroll',
+    kind: 'email',
+    difficulty: 'hard',
+    category: 'qr-code',
+    isPhishing: true,
+    sender: 'it-security@acme-corp-mail.com',
+    subject: 'Action needed: re-enroll your authenticator app',
+    body: 'Hi [Your Name],\n\nAs part of our annual security review, all staff must re-enroll their authenticator app by the end of the week. Scan the code below with your phone camera to start:\n\n[QR code]\n\nIT Security',
+    hotspots: [
+      { id: 'sender', type: 'sender', text: 'it-security@acme-corp-mail.com', explanation: 'A look-alike domain: your IT team writes from your company\'s own domain.', isPhishing: true },
+      { id: 'qr', type: 'qr_code', text: '[QR code]', explanation: 'A QR code hides the link from your mail filters and sends you to it on a phone, where the address is hard to check.', isPhishing: true },
+      { id: 'personalization', type: 'personalization', text: 'Hi [Your Name]', explanation: 'Your name is easy to find; personalization alone doesn\'t make an email genuine.', isPhishing: false }
+    ]
+  }
+];
+
+const WEBSITE_SCENARIOS = [
+  {
+    id: 'website-fake-login',
+    kind: 'website',
+    difficulty: 'easy',
+    category: 'credential-harvesting',
+    isPhishing: true,
+    url: 'https://www.amaz0n-security.com/login',
+    title: 'Amazon - Sign In',
+    content: 'Welcome to Amazon. Please sign in to your account.',
+    hotspots: [
+      { id: 'url', type: 'url', text: 'https://www.amaz0n-security.com/login', explanation: 'Incorrect domain (amaz0n instead of amazon).', isPhishing: true },
+      { id: 'ssl', type: 'ssl', text: 'No SSL/Broken Lock Icon', explanation: 'Lack of HTTPS or a broken padlock icon indicates an insecure connection.', isPhishing: true },
+      { id: 'design', type: 'design', text: 'Pixelated Logo/Poor Design', explanation: 'Low-resolution images or inconsistent design can be a red flag.', isPhishing: true }
+    ]
+  }
+];
+
+const SMS_SCENARIOS = [
+  {
+    id: 'sms-mfa-fatigue',
+    kind: 'sms',
+    difficulty: 'medium',
+    category: 'mfa-fatigue',
+    isPhishing: true,
+    sender: '+1 (555) 014-2231',
+    body: 'IT Helpdesk: we are fixing a sync problem on your account. You will get several sign-in prompts in the next few minutes. Please approve them all so the fix completes.',
+    hotspots: [
+      { id: 'sender', type: 'sender', text: '+1 (555) 014-2231', explanation: 'An unknown mobile number claiming to be your helpdesk.', isPhishing: true },
+      { id: 'approve', type: 'request', text: 'approve them all', explanation: 'Never approve a sign-in prompt you didn\'t start: the attacker already has your password.', isPhishing: true }
+    ]
+  },
+  {
+    id: 'sms-parcel-fee',
+    kind: 'sms',
+    difficulty: 'easy',
+    category: 'smishing',
+    isPhishing: true,
+    sender: '+44 7700 900412',
+    body: 'Royal Mail: your parcel is on hold due to an unpaid shipping fee of 1.99 GBP. Pay within 24 hours to avoid it being returned: https://royalmail-redelivery.info/pay',
+    hotspots: [
+      { id: 'link', type: 'link', text: 'https://royalmail-redelivery.info/pay', explanation: 'Not the carrier\'s real domain.', isPhishing: true },
+      { id: 'deadline', type: 'urgency', text: 'Pay within 24 hours', explanation: 'A tiny fee with a tight deadline is designed to get card details quickly.', isPhishing: true }
+    ]
+  },
+  {
+    id: 'sms-verification-code',
+    kind: 'sms',
+    difficulty: 'hard',
+    category: 'credential-harvesting',
+    isPhishing: false,
+    sender: '72975',
+    body: 'Your sign-in code is 482913. Don\'t share this code with anyone. We will never call you to ask for it.',
+    hotspots: [
+      { id: 'sender', type: 'sender', text: '72975', explanation: 'A short code your provider really uses for sign-in codes.', isPhishing: false },
+      { id: 'code', type: 'code', text: '482913', explanation: 'A code you asked for is expected; it only becomes a risk if someone asks you to read it out.', isPhishing: false },
+      { id: 'warning', type: 'advice', text: 'We will never call you to ask for it', explanation: 'Genuine code messages warn you not to share them; there is nothing to click.', isPhishing: false }
+    ]
+  }
+];
+
+export const BUILT_IN_PACK = {
+  id: 'builtin',
+  name: 'Built-in Scenarios',
+  description: 'General-purpose emails, text messages and websites that every organization gets.',
+  builtIn: true,
+  scenarios: [...EMAIL_SCENARIOS, ...SMS_SCENARIOS, ...WEBSITE_SCENARIOS]
+};
+
+export const EDUCATION_MODULES = [
+  {
+    id: 'emails',
+    title: 'Identifying Phishing Emails',
+    points: [
+      'Misspellings or grammatical errors.',
+      'Generic greetings (e.g., "Dear Customer").',
+      'Urgent or threatening language.',
+      'Suspicious sender email addresses (e.g., support@amaz0n.com).',
+      'Links that don\'t match the legitimate domain when you hover over them (or long-press on mobile).',
+      'Requests for personal information or credentials.'
+    ]
+  },
+  {
+    id: 'websites',
+    title: 'Spotting Fake Websites',
+    points: [
+      'Incorrect URLs (e.g., amaz0n.com instead of amazon.com).',
+      'Lack of HTTPS (no padlock icon or "Not Secure" warning).',
+      'Poor design, pixelated logos, or inconsistent branding.',
+      'Pop-ups asking for unusual permissions.',
+      'Too good to be true offers.'
+    ]
+  }
+];
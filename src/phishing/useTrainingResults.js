@@ -0,0 +1,195 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getIdentityUser } from '../identity/identitySession';
+import {
+  fetchServerTraining,
+  fetchServerCampaigns,
+  startServerSession,
+  answerServerScenario,
+  submitServerAttempt,
+  putServerPack,
+  deleteServerPack,
+  putServerCampaign,
+  deleteServerCampaign,
+  startServerCampaign,
+  loadLocalTraining,
+  startLocalSession,
+  answerLocalScenario,
+  submitLocalAttempt,
+  saveLocalPack,
+  deleteLocalPack
+} from './trainingApi';
+import { installedScenarios } from './contentPacks';
+import { fetchSimulationSummary, fetchPhishedScenario } from './simulationApi';
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// The logged-in member's trainer attempts, the organization's results, content packs and campaigns,
+// kept on the server when someone is logged in and in this browser otherwise (campaigns are
+// server-only). `startSession(campaignId)` resolves a session, `{ id, campaignId, scenarios }`, which
+// on the server has the scenarios without their answers; `answerScenario(session, scenario, answer)`
+// resolves `{ scored, scenario }` with the scenario's answers, and `submitAttempt(session, answers)`
+// the scored attempt. `revealScenario(key)` resolves a scenario with its answers (on the server only
+// one of a simulated phishing email sent to the member), or null. `startCampaign`,
+// `savePack`, `removePack`, `saveCampaign` and `removeCampaign` resolve once stored. All reject when
+// the change couldn't be made. Only organization admins may change packs and campaigns on the server.
+// On the server `simulationSummary` is the organization's simulated phishing results (null until
+// loaded, or when they can't be); `reloadSimulationSummary` refreshes it once simulations change.
+//
+// State is `{ mode: 'loading' | 'server' | 'local', user, attempts, summary, packs, campaigns,
+// simulationSummary, canEditPacks, canManageCampaigns, error }`.
+export const useTrainingResults = () => {
+  const [state, setState] = useState({
+    mode: 'loading', user: null, attempts: [], summary: null, packs: [], campaigns: [], simulationSummary: null, canEditPacks: false, canManageCampaigns: false, error: null
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    getIdentityUser().then(async user => {
+      if (!user) {
+        const local = loadLocalTraining();
+        if (!cancelled) {
+          setState({ mode: 'local', user: null, campaigns: [], simulationSummary: null, canEditPacks: true, canManageCampaigns: false, error: null, ...local, packs: local.packs.sort(byName) });
+        }
+        return;
+      }
+      const roles = (user.app_metadata && user.app_metadata.roles) || [];
+      const isAdmin = roles.includes('admin');
+      const access = { canEditPacks: isAdmin, canManageCampaigns: isAdmin };
+      try {
+        // Simulated phishing results are optional: the trainer works without them
+        const [training, simulationSummary] = await Promise.all([
+          fetchServerTraining(user),
+          fetchSimulationSummary(user).catch(() => null)
+        ]);
+        if (!cancelled) setState({ mode: 'server', user, ...access, error: null, ...training, simulationSummary });
+      } catch (error) {
+        console.error('Could not load training results:', error);
+        if (!cancelled) {
+          setState({
+            mode: 'server', user, attempts: [], summary: null, packs: [], campaigns: [], simulationSummary: null, ...access, error: `Training results could not be loaded: ${error.message}`
+          });
+        }
+      }
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const { mode, user } = state;
+
+  const startSession = useCallback(async (campaignId = null) => {
+    if (mode === 'local') return startLocalSession();
+    try {
+      return await startServerSession(user, campaignId);
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `The training session could not be started: ${error.message}` }));
+      throw error;
+    }
+  }, [mode, user]);
+
+  const answerScenario = useCallback(async (session, scenario, answer) => {
+    if (mode === 'local') return answerLocalScenario(scenario, answer);
+    try {
+      const answered = await answerServerScenario(user, session.id, scenario.key, answer);
+      setState(prev => ({ ...prev, error: null }));
+      return answered;
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `Your answer could not be recorded: ${error.message}` }));
+      throw error;
+    }
+  }, [mode, user]);
+
+  const submitAttempt = useCallback(async (session, answers) => {
+    if (mode === 'local') {
+      const { attempt, summary, errors } = submitLocalAttempt(answers);
+      if (errors) throw new Error('Every scenario needs an answer');
+      setState(prev => ({ ...prev, attempts: [...prev.attempts, attempt], summary }));
+      return attempt;
+    }
+    try {
+      const { attempt, summary } = await submitServerAttempt(user, session.id);
+      // The campaign's progress is worked out by the server
+      const campaigns = session.campaignId ? await fetchServerCampaigns(user).catch(() => null) : null;
+      setState(prev => ({ ...prev, attempts: [...prev.attempts, attempt], summary, campaigns: campaigns || prev.campaigns, error: null }));
+      return attempt;
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `Your attempt could not be recorded: ${error.message}` }));
+      throw error;
+    }
+  }, [mode, user]);
+
+  const savePack = useCallback(async (pack) => {
+    if (mode === 'local') {
+      setState(prev => ({ ...prev, packs: saveLocalPack(pack).sort(byName) }));
+      return;
+    }
+    try {
+      const stored = await putServerPack(user, pack);
+      setState(prev => ({ ...prev, packs: [...prev.packs.filter(p => p.id !== stored.id), stored].sort(byName), error: null }));
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `The content pack could not be saved: ${error.message}` }));
+      throw error;
+    }
+  }, [mode, user]);
+
+  const removePack = useCallback(async (id) => {
+    if (mode === 'local') {
+      setState(prev => ({ ...prev, packs: deleteLocalPack(id).sort(byName) }));
+      return;
+    }
+    try {
+      await deleteServerPack(user, id);
+      setState(prev => ({ ...prev, packs: prev.packs.filter(p => p.id !== id), error: null }));
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `The content pack could not be deleted: ${error.message}` }));
+      throw error;
+    }
+  }, [mode, user]);
+
+  const startCampaign = useCallback(async (id) => {
+    try {
+      const { progress } = await startServerCampaign(user, id);
+      setState(prev => ({ ...prev, campaigns: prev.campaigns.map(c => (c.id === id ? { ...c, progress } : c)), error: null }));
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `The campaign could not be started: ${error.message}` }));
+      throw error;
+    }
+  }, [user]);
+
+  const saveCampaign = useCallback(async (campaign) => {
+    try {
+      await putServerCampaign(user, campaign);
+      const campaigns = await fetchServerCampaigns(user);
+      setState(prev => ({ ...prev, campaigns, error: null }));
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `The campaign could not be saved: ${error.message}` }));
+      throw error;
+    }
+  }, [user]);
+
+  const removeCampaign = useCallback(async (id) => {
+    try {
+      await deleteServerCampaign(user, id);
+      setState(prev => ({ ...prev, campaigns: prev.campaigns.filter(c => c.id !== id), error: null }));
+    } catch (error) {
+      setState(prev => ({ ...prev, error: `The campaign could not be deleted: ${error.message}` }));
+      throw error;
+    }
+  }, [user]);
+
+  const { packs } = state;
+  const revealScenario = useCallback(async (key) => {
+    if (mode === 'local') return installedScenarios(packs).find(scenario => scenario.key === key) || null;
+    try {
+      return (await fetchPhishedScenario(user, key)).scenario;
+    } catch (error) {
+      return null;
+    }
+  }, [mode, user, packs]);
+
+  const reloadSimulationSummary = useCallback(async () => {
+    const simulationSummary = await fetchSimulationSummary(user).catch(() => null);
+    setState(prev => ({ ...prev, simulationSummary }));
+  }, [user]);
+
+  return { ...state, startSession, answerScenario, submitAttempt, revealScenario, savePack, removePack, startCampaign, saveCampaign, removeCampaign, reloadSimulationSummary };
+};
@@ -0,0 +1,133 @@
+// Portfolio mode: many entities (subsidiaries, clients) assessed at once from a CSV with one row per
+// entity. Each row sets the entity's size, revenue, insurance limit and control maturities; everything
+// else (scenarios, insurance terms, profile, data holdings) comes from the working assessment.
+import { MAX_MATURITY } from '../controls/controlCatalog';
+import { validateInputField } from '../assessments/inputSchema';
+import { formatCsv, parseCsv } from '../shared/csv';
+
+export const PORTFOLIO_FIELDS = [
+  { id: 'employees', label: 'Employees' },
+  { id: 'revenue', label: 'Revenue' },
+  { id: 'insurance', label: 'Insurance' }
+];
+
+// Every entity runs a full simulation whose yearly losses are kept for the combined distribution,
+// so larger files would exhaust the browser tab
+export const PORTFOLIO_LIMITS = {
+  entities: 200
+};
+
+// Control columns accept a maturity level or the yes/no answers of a simple questionnaire
+const BOOLEAN_MATURITY = { yes: MAX_MATURITY, true: MAX_MATURITY, y: MAX_MATURITY, no: 0, false: 0, n: 0 };
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const parseAmount = (cell) => Number(cell.replace(/[$,\s]/g, ''));
+
+// Entities from the CSV text, with `template` inputs supplying everything a row doesn't set.
+// Rows with invalid values are left out and reported in `errors` as { row, field, message },
+// with row numbers as shown in a spreadsheet (the header is row 1). An empty file, or one with more
+// than PORTFOLIO_LIMITS.entities rows, loads no entities and has a single `file` error.
+export const parsePortfolioCsv = (text, template) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { entities: [], errors: [{ row: 1, field: 'file', message: 'The file is empty' }] };
+  if (rows.length > PORTFOLIO_LIMITS.entities) {
+    return {
+      entities: [],
+      errors: [{ row: 1, field: 'file', message: `A portfolio can have at most ${PORTFOLIO_LIMITS.entities} entities; this file has ${rows.length} rows` }]
+    };
+  }
+
+  const columns = header.map(normalizeHeader);
+  const nameColumn = columns.findIndex(column => column === 'name' || column === 'entity');
+  const fieldColumns = PORTFOLIO_FIELDS.map(field => ({ ...field, index: columns.indexOf(normalizeHeader(field.id)) }));
+  const controlColumns = template.controls.map(control => ({
+    control,
+    index: columns.findIndex(column => column === normalizeHeader(control.id) || column === normalizeHeader(control.name))
+  })).filter(({ index }) => index >= 0);
+
+  const errors = [];
+  const entities = [];
+
+  rows.forEach((cells, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const rowErrors = [];
+    const cell = (index) => (index >= 0 && cells[index] !== undefined ? cells[index].trim() : '');
+    const inputs = { ...template };
+
+    fieldColumns.forEach(({ id, label, index }) => {
+      if (!cell(index)) return;
+      const value = parseAmount(cell(index));
+      const message = validateInputField(id, value);
+      if (message) rowErrors.push({ row: rowNumber, field: label, message });
+      else inputs[id] = value;
+    });
+
+    inputs.controls = template.controls.map(control => {
+      const column = controlColumns.find(c => c.control.id === control.id);
+      const raw = column ? cell(column.index).toLowerCase() : '';
+      if (!raw) return control;
+
+      const maturity = Object.prototype.hasOwnProperty.call(BOOLEAN_MATURITY, raw) ? BOOLEAN_MATURITY[raw] : Number(raw);
+      if (!Number.isInteger(maturity) || maturity < 0 || maturity > MAX_MATURITY) {
+        rowErrors.push({ row: rowNumber, field: control.name, message: `Use a maturity from 0 to ${MAX_MATURITY}, or yes/no` });
+        return control;
+      }
+      return { ...control, maturity };
+    });
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
+    }
+    entities.push({ id: `entity-${rowNumber}`, name: cell(nameColumn) || `Entity ${rowIndex + 1}`, inputs });
+  });
+
+  return { entities, errors };
+};
+
+// A CSV with the expected columns and the working assessment as its example row
+export const buildPortfolioTemplateCsv = (template) => formatCsv([
+  ['Name', ...PORTFOLIO_FIELDS.map(field => field.id), ...template.controls.map(control => control.id)],
+  ['Example Entity', ...PORTFOLIO_FIELDS.map(field => template[field.id]), ...template.controls.map(control => control.maturity)]
+]);
+
+// Headline results of one entity. The insurance gap is what a median incident leaves the entity paying
+// beyond its policy retention.
+export const summarizeEntity = (entity, results) => ({
+  id: entity.id,
+  name: entity.name,
+  employees: entity.inputs.employees,
+  revenue: entity.inputs.revenue,
+  securityScore: results.securityScore,
+  totalCost: results.totalCost,
+  ale: results.aggregate.ale,
+  retainedAle: results.aggregate.insurance ? results.aggregate.insurance.retainedAle : null,
+  insuranceGap: Math.max(0, results.incidentSplit.retained - entity.inputs.insurancePolicy.retention),
+  medians: Object.fromEntries(results.scenarios.map(scenario => [scenario.name, scenario.percentiles.Median]))
+});
+
+export const buildPortfolioResultsCsv = (summaries, scenarioNames) => formatCsv([
+  [
+    'Name',
+    'Employees',
+    'Revenue',
+    'Security Score (%)',
+    'Total Incident Cost',
+    'ALE',
+    'Retained ALE',
+    'Insurance Gap',
+    ...scenarioNames.map(name => `${name} Median`)
+  ],
+  ...summaries.map(summary => [
+    summary.name,
+    summary.employees,
+    summary.revenue,
+    summary.securityScore,
+    summary.totalCost,
+    summary.ale,
+    summary.retainedAle,
+    summary.insuranceGap,
+    ...scenarioNames.map(name => (summary.medians[name] === undefined ? '' : summary.medians[name]))
+  ])
+]);
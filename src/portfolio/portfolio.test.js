@@ -0,0 +1,22 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_INPUTS } from '../model/riskModel';
+import { PORTFOLIO_LIMITS, parsePortfolioCsv } from './portfolio';
+
+const csv = (count) => ['name,revenue', ...Array.from({ length: count }, (_, i) => `Entity ${i + 1},1000000`)].join('\n');
+
+describe('portfolio CSV', () => {
+  test('loads one entity per row, up to the entity limit', () => {
+    const { entities, errors } = parsePortfolioCsv(csv(PORTFOLIO_LIMITS.entities), DEFAULT_INPUTS);
+    expect(errors).toEqual([]);
+    expect(entities).toHaveLength(PORTFOLIO_LIMITS.entities);
+  });
+
+  test('rejects files with more rows than the entity limit', () => {
+    expect(parsePortfolioCsv(csv(PORTFOLIO_LIMITS.entities + 1), DEFAULT_INPUTS)).toEqual({
+      entities: [],
+      errors: [{ row: 1, field: 'file', message: `A portfolio can have at most ${PORTFOLIO_LIMITS.entities} entities; this file has ${PORTFOLIO_LIMITS.entities + 1} rows` }]
+    });
+  });
+});
@@ -0,0 +1,189 @@
+// Industry and regulatory presets. An industry scales the cost categories, how often each built-in
+// threat scenario occurs and how costly it is; each regulation adds a regulatory fine range and
+// raises the categories it drives (notification, legal, audits). Multipliers are indices relative to
+// the cross-industry average, informed by published breach-cost and incident-pattern studies.
+// Applying a profile writes ordinary inputs, which stay editable afterwards.
+import { COST_CATEGORIES } from '../model/costCategories';
+import { DEFAULT_THREAT_SCENARIOS, SCENARIO_LIMITS } from '../scenarios/threatScenarios';
+
+export const INDUSTRY_PROFILES = [
+  {
+    id: 'general',
+    name: 'General / Cross-Industry',
+    magnitudeMultiplier: 1,
+    costMultipliers: {},
+    frequencyMultipliers: {}
+  },
+  {
+    id: 'healthcare',
+    name: 'Healthcare',
+    magnitudeMultiplier: 2,
+    costMultipliers: { forensics: 1.4, legal: 1.6, communications: 1.4, revenueLoss: 1.5, temporarySystems: 1.6, clientChurn: 1.3, auditCosts: 1.5 },
+    frequencyMultipliers: { ransomware: 1.8, 'insider-misuse': 1.6, 'lost-device': 1.5, phishing: 1.2 }
+  },
+  {
+    id: 'financialServices',
+    name: 'Financial Services',
+    magnitudeMultiplier: 1.25,
+    costMultipliers: { legal: 1.4, communications: 1.2, clientChurn: 1.5, auditCosts: 1.6, securityOverhaul: 1.2 },
+    frequencyMultipliers: { 'bec-wire-fraud': 1.8, phishing: 1.4, ddos: 1.5, 'vendor-breach': 1.2 }
+  },
+  {
+    id: 'technology',
+    name: 'Technology / SaaS',
+    magnitudeMultiplier: 1.1,
+    costMultipliers: { revenueLoss: 1.3, clientChurn: 1.4, securityOverhaul: 1.2, regulatoryFines: 0.8 },
+    frequencyMultipliers: { 'cloud-misconfiguration': 1.8, ddos: 1.4, 'vendor-breach': 1.3 }
+  },
+  {
+    id: 'manufacturing',
+    name: 'Manufacturing',
+    magnitudeMultiplier: 1.15,
+    costMultipliers: { revenueLoss: 1.8, temporarySystems: 1.4, staffOvertime: 1.3, clientChurn: 0.7, regulatoryFines: 0.5 },
+    frequencyMultipliers: { ransomware: 1.7, 'vendor-breach': 1.2, 'bec-wire-fraud': 1.2 }
+  },
+  {
+    id: 'retail',
+    name: 'Retail & E-commerce',
+    magnitudeMultiplier: 0.75,
+    costMultipliers: { revenueLoss: 1.3, communications: 1.3, clientChurn: 1.1, auditCosts: 1.2 },
+    frequencyMultipliers: { 'vendor-breach': 1.5, ddos: 1.3, phishing: 1.1 }
+  },
+  {
+    id: 'publicSector',
+    name: 'Public Sector',
+    magnitudeMultiplier: 0.55,
+    costMultipliers: { revenueLoss: 0.4, clientChurn: 0.3, communications: 1.3, staffOvertime: 1.3, regulatoryFines: 0.6 },
+    frequencyMultipliers: { ransomware: 1.5, 'insider-misuse': 1.4, phishing: 1.2 }
+  },
+  {
+    id: 'education',
+    name: 'Education',
+    magnitudeMultiplier: 0.8,
+    costMultipliers: { revenueLoss: 0.6, clientChurn: 0.6, communications: 1.2, temporarySystems: 1.2 },
+    frequencyMultipliers: { ransomware: 1.6, phishing: 1.5, 'lost-device': 1.3 }
+  },
+  {
+    id: 'professionalServices',
+    name: 'Professional Services',
+    magnitudeMultiplier: 1.05,
+    costMultipliers: { legal: 1.2, clientChurn: 1.3 },
+    frequencyMultipliers: { 'bec-wire-fraud': 1.6, phishing: 1.3 }
+  }
+];
+
+// Fine ranges bound the fines for one incident that triggers the regime
+export const REGULATIONS = [
+  {
+    id: 'hipaa',
+    name: 'HIPAA',
+    description: 'US health information: OCR penalties, breach notification, corrective action plans',
+    fineRange: { low: 50000, high: 2000000 },
+    costMultipliers: { legal: 1.3, communications: 1.3, auditCosts: 1.5 }
+  },
+  {
+    id: 'pciDss',
+    name: 'PCI DSS',
+    description: 'Payment card data: card brand assessments, forensic investigator and reissuance costs',
+    fineRange: { low: 25000, high: 600000 },
+    costMultipliers: { forensics: 1.3, auditCosts: 1.6 }
+  },
+  {
+    id: 'gdpr',
+    name: 'GDPR',
+    description: 'EU/UK personal data: supervisory authority fines and 72-hour notification',
+    fineRange: { low: 100000, high: 5000000 },
+    costMultipliers: { legal: 1.4, communications: 1.2 }
+  },
+  {
+    id: 'nydfs',
+    name: 'NYDFS Part 500',
+    description: 'New York financial services cybersecurity regulation',
+    fineRange: { low: 100000, high: 3000000 },
+    costMultipliers: { legal: 1.3, auditCosts: 1.4 }
+  },
+  {
+    id: 'stateBreachLaws',
+    name: 'US State Breach Laws',
+    description: 'State breach notification and attorney general enforcement',
+    fineRange: { low: 10000, high: 300000 },
+    costMultipliers: { communications: 1.3, legal: 1.1 }
+  }
+];
+
+// Fine range when no regulation is selected. Fines scale with exposed records within the range.
+export const DEFAULT_FINE_RANGE = { low: 25000, high: 225000 };
+
+export const BASE_COST_LIMITS = { min: 0, max: 100000000 };
+
+export const DEFAULT_PROFILE = { industry: 'general', regulations: [] };
+
+// Regulatory Fines come from exposed records and the fine range rather than a base cost
+export const FINES_CATEGORY = 'regulatoryFines';
+
+export const DEFAULT_BASE_COSTS = Object.fromEntries(COST_CATEGORIES
+  .filter(category => category.id !== FINES_CATEGORY)
+  .map(category => [category.id, category.baseCost]));
+
+// Regimes stack: an incident can draw fines under several at once
+export const combineFineRanges = (regulationIds) => {
+  const selected = REGULATIONS.filter(regulation => regulationIds.includes(regulation.id));
+  if (selected.length === 0) return DEFAULT_FINE_RANGE;
+  return selected.reduce(
+    (range, regulation) => ({ low: range.low + regulation.fineRange.low, high: range.high + regulation.fineRange.high }),
+    { low: 0, high: 0 }
+  );
+};
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+// Inputs changed by applying a profile: base costs, the fine range and the built-in scenarios'
+// frequency and magnitude. Custom scenarios, enabled flags and control mappings are kept.
+export const applyProfile = (inputs, profile) => {
+  const industry = INDUSTRY_PROFILES.find(p => p.id === profile.industry) || INDUSTRY_PROFILES[0];
+  const regulations = REGULATIONS.filter(regulation => profile.regulations.includes(regulation.id));
+
+  const baseCosts = Object.fromEntries(COST_CATEGORIES.filter(category => category.id !== FINES_CATEGORY).map(category => {
+    const multiplier = regulations.reduce(
+      (product, regulation) => product * (regulation.costMultipliers[category.id] || 1),
+      industry.costMultipliers[category.id] || 1
+    );
+    return [category.id, roundTo(category.baseCost * multiplier, 1000)];
+  }));
+
+  const scenarios = inputs.scenarios.map(scenario => {
+    const preset = DEFAULT_THREAT_SCENARIOS.find(s => s.id === scenario.id);
+    if (!preset) return scenario;
+    const frequencyMultiplier = industry.frequencyMultipliers[scenario.id] || 1;
+    const scaleFrequency = value => clamp(Number((value * frequencyMultiplier).toFixed(3)), SCENARIO_LIMITS.frequency);
+    const scaleMagnitude = value => clamp(roundTo(value * industry.magnitudeMultiplier, 1000), SCENARIO_LIMITS.magnitude);
+
+    return {
+      ...scenario,
+      frequency: {
+        min: scaleFrequency(preset.frequency.min),
+        mostLikely: scaleFrequency(preset.frequency.mostLikely),
+        max: scaleFrequency(preset.frequency.max)
+      },
+      magnitude: {
+        low: scaleMagnitude(preset.magnitude.low),
+        high: scaleMagnitude(preset.magnitude.high)
+      }
+    };
+  });
+
+  const fineRange = combineFineRanges(profile.regulations);
+  const fineMultiplier = industry.costMultipliers[FINES_CATEGORY] || 1;
+
+  return {
+    ...inputs,
+    profile,
+    baseCosts,
+    regulatoryFineRange: {
+      low: roundTo(fineRange.low * fineMultiplier, 1000),
+      high: roundTo(fineRange.high * fineMultiplier, 1000)
+    },
+    scenarios
+  };
+};
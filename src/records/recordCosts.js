@@ -0,0 +1,83 @@
+// Record-count driven data breach costs. Holdings are counted per record type; the data types held
+// add costs to every exposed PII record (e.g. credit monitoring when SSNs are involved). Costs are
+// US dollars per exposed record, including typical credit monitoring take-up rates.
+
+export const RECORD_TYPES = [
+  {
+    id: 'pii',
+    name: 'Personal information (PII)',
+    perRecord: { notification: 1.5, creditMonitoring: 0, legal: 0.75, fine: 1.5 }
+  },
+  {
+    id: 'phi',
+    name: 'Health information (PHI)',
+    perRecord: { notification: 2, creditMonitoring: 3, legal: 2, fine: 8 }
+  },
+  {
+    id: 'paymentCard',
+    name: 'Payment card data',
+    perRecord: { notification: 1, creditMonitoring: 0, legal: 0.5, fine: 4 }
+  }
+];
+
+// Additional costs per exposed PII record when the records include these fields
+export const DATA_TYPES = [
+  { id: 'ssn', name: 'Social Security / national ID numbers', perRecord: { creditMonitoring: 4 } },
+  { id: 'financialAccount', name: 'Bank account numbers', perRecord: { creditMonitoring: 3 } },
+  { id: 'driversLicense', name: "Driver's license numbers", perRecord: { creditMonitoring: 2 } },
+  { id: 'credentials', name: 'Usernames and passwords', perRecord: { notification: 0.5 } },
+  { id: 'biometric', name: 'Biometric identifiers', perRecord: { fine: 10, legal: 1 } },
+  { id: 'minors', name: "Children's data", perRecord: { fine: 2, legal: 1 } }
+];
+
+export const RECORD_LIMITS = {
+  records: { min: 0, max: 10000000000 },
+  exposureShare: { min: 0, max: 1 }
+};
+
+// exposureShare: share of holdings exposed in a typical breach, used for the median incident breakdown
+export const DEFAULT_DATA_HOLDINGS = {
+  records: { pii: 25000, phi: 0, paymentCard: 0 },
+  dataTypes: [],
+  exposureShare: 0.25
+};
+
+const COST_FIELDS = ['notification', 'creditMonitoring', 'legal', 'fine'];
+
+// Cost of exposing one record of each type, given the data types held
+const perRecordCosts = (dataTypes) => Object.fromEntries(RECORD_TYPES.map(type => {
+  const costs = { ...type.perRecord };
+  if (type.id === 'pii') {
+    DATA_TYPES.filter(dataType => dataTypes.includes(dataType.id)).forEach(dataType => {
+      COST_FIELDS.forEach(field => {
+        costs[field] += dataType.perRecord[field] || 0;
+      });
+    });
+  }
+  return [type.id, costs];
+}));
+
+// Breach costs when `exposureShare` of the holdings is exposed. Fines scale with exposed records
+// but stay within the regulatory fine range; nothing exposed means no fine.
+export const calculateRecordCosts = (holdings, exposureShare, fineRange) => {
+  const rates = perRecordCosts(holdings.dataTypes);
+  const totals = { exposedRecords: 0, notification: 0, creditMonitoring: 0, legal: 0, fine: 0 };
+
+  RECORD_TYPES.forEach(type => {
+    const exposed = (holdings.records[type.id] || 0) * exposureShare;
+    totals.exposedRecords += exposed;
+    COST_FIELDS.forEach(field => {
+      totals[field] += exposed * rates[type.id][field];
+    });
+  });
+
+  const fines = totals.exposedRecords > 0 ? Math.min(Math.max(totals.fine, fineRange.low), fineRange.high) : 0;
+
+  return {
+    exposedRecords: Math.round(totals.exposedRecords),
+    notification: totals.notification + totals.creditMonitoring,
+    legal: totals.legal,
+    fines,
+    total: totals.notification + totals.creditMonitoring + totals.legal + fines
+  };
+};
@@ -0,0 +1,41 @@
+// Control roadmap: scheduled changes to control maturity by quarter, plus the growth and loss-cost
+// inflation assumptions used to project expected loss over the next few years.
+// A milestone sets a control to `maturity` from the start of `quarter` (1 = first quarter of year 1).
+import { generateId } from '../shared/values';
+
+export const ROADMAP_LIMITS = {
+  years: { min: 3, max: 5 },
+  growth: { min: -0.5, max: 1 },
+  lossInflation: { min: 0, max: 0.5 }
+};
+
+export const QUARTERS_PER_YEAR = 4;
+export const MAX_ROADMAP_QUARTER = ROADMAP_LIMITS.years.max * QUARTERS_PER_YEAR;
+export const MAX_MILESTONES = 100;
+
+export const DEFAULT_ROADMAP = {
+  years: 3,
+  employeeGrowth: 0.05,
+  revenueGrowth: 0.05,
+  lossInflation: 0.03,
+  milestones: []
+};
+
+export const formatQuarter = (quarter) => (
+  `Y${Math.ceil(quarter / QUARTERS_PER_YEAR)} Q${((quarter - 1) % QUARTERS_PER_YEAR) + 1}`
+);
+
+export const createMilestone = (controlId, quarter = 1, maturity = 3) => ({
+  id: generateId('milestone'),
+  controlId,
+  quarter,
+  maturity
+});
+
+// Maturity of each control during `quarter`: the latest milestone at or before it, else today's maturity
+export const controlsForQuarter = (controls, milestones, quarter) => controls.map(control => {
+  const reached = milestones
+    .filter(milestone => milestone.controlId === control.id && milestone.quarter <= quarter)
+    .sort((a, b) => a.quarter - b.quarter);
+  return reached.length > 0 ? { ...control, maturity: reached[reached.length - 1].maturity } : control;
+});
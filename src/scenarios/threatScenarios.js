@@ -0,0 +1,165 @@
+// Threat scenario library. Each scenario describes how often it happens (events per year as a
+// min / most likely / max range) and how much one occurrence costs before organization scaling
+// (a 90% range: 5th to 95th percentile). `recordExposure` is the share of the organization's data
+// records a typical occurrence exposes. `controls` lists the security controls that reduce it.
+import { generateId } from '../shared/values';
+
+const ALL_CONTROLS = ['backupsIsolated', 'mfaEnabled', 'phishingTraining', 'vendorReviews', 'irTabletop'];
+
+export const SCENARIO_LIMITS = {
+  frequency: { min: 0, max: 52 },
+  magnitude: { min: 1000, max: 1000000000 },
+  recordExposure: { min: 0, max: 1 }
+};
+
+// Scenarios an assessment can hold
+export const MAX_SCENARIOS = 50;
+
+export const DEFAULT_THREAT_SCENARIOS = [
+  {
+    id: 'phishing',
+    name: 'Phishing',
+    enabled: true,
+    builtIn: true,
+    frequency: { min: 0.1, mostLikely: 0.3, max: 0.6 },
+    magnitude: { low: 78000, high: 1155000 },
+    recordExposure: 0.05,
+    controls: ALL_CONTROLS
+  },
+  {
+    id: 'ransomware',
+    name: 'Ransomware',
+    enabled: true,
+    builtIn: true,
+    frequency: { min: 0.05, mostLikely: 0.15, max: 0.3 },
+    magnitude: { low: 170000, high: 3750000 },
+    recordExposure: 0.25,
+    controls: ALL_CONTROLS
+  },
+  {
+    id: 'vendor-breach',
+    name: 'Vendor Breach',
+    enabled: true,
+    builtIn: true,
+    frequency: { min: 0.05, mostLikely: 0.2, max: 0.4 },
+    magnitude: { low: 129000, high: 1570000 },
+    recordExposure: 0.2,
+    controls: ALL_CONTROLS
+  },
+  {
+    id: 'bec-wire-fraud',
+    name: 'BEC / Wire Fraud',
+    enabled: false,
+    builtIn: true,
+    frequency: { min: 0.1, mostLikely: 0.25, max: 0.5 },
+    magnitude: { low: 50000, high: 1200000 },
+    recordExposure: 0,
+    controls: ['mfaEnabled', 'phishingTraining', 'vendorReviews']
+  },
+  {
+    id: 'insider-misuse',
+    name: 'Insider Misuse',
+    enabled: false,
+    builtIn: true,
+    frequency: { min: 0.02, mostLikely: 0.08, max: 0.2 },
+    magnitude: { low: 100000, high: 2500000 },
+    recordExposure: 0.1,
+    controls: ['mfaEnabled', 'irTabletop']
+  },
+  {
+    id: 'ddos',
+    name: 'DDoS',
+    enabled: false,
+    builtIn: true,
+    frequency: { min: 0.05, mostLikely: 0.15, max: 0.4 },
+    magnitude: { low: 20000, high: 600000 },
+    recordExposure: 0,
+    controls: ['irTabletop', 'vendorReviews']
+  },
+  {
+    id: 'cloud-misconfiguration',
+    name: 'Cloud Misconfiguration',
+    enabled: false,
+    builtIn: true,
+    frequency: { min: 0.05, mostLikely: 0.12, max: 0.3 },
+    magnitude: { low: 80000, high: 2000000 },
+    recordExposure: 0.5,
+    controls: ['vendorReviews', 'mfaEnabled', 'irTabletop']
+  },
+  {
+    id: 'lost-device',
+    name: 'Lost or Stolen Device',
+    enabled: false,
+    builtIn: true,
+    frequency: { min: 0.2, mostLikely: 0.5, max: 1.2 },
+    magnitude: { low: 5000, high: 250000 },
+    recordExposure: 0.02,
+    controls: ['mfaEnabled', 'backupsIsolated']
+  }
+];
+
+export const createScenario = (controlIds = ALL_CONTROLS) => ({
+  id: generateId('custom'),
+  name: 'New Scenario',
+  enabled: true,
+  builtIn: false,
+  frequency: { min: 0.05, mostLikely: 0.1, max: 0.25 },
+  magnitude: { low: 50000, high: 1000000 },
+  recordExposure: 0,
+  controls: [...controlIds]
+});
+
+export const cloneScenario = (scenario) => ({
+  ...scenario,
+  id: generateId('custom'),
+  name: `${scenario.name} (Copy)`,
+  builtIn: false,
+  frequency: { ...scenario.frequency },
+  magnitude: { ...scenario.magnitude },
+  controls: [...scenario.controls]
+});
+
+// Returns { field: message } for every invalid field; an empty object means the scenario is usable
+export const validateScenario = (scenario) => {
+  const errors = {};
+  const { frequency, magnitude } = scenario;
+
+  if (!scenario.name || !scenario.name.trim()) {
+    errors.name = 'Name is required';
+  }
+
+  const frequencyValues = [frequency.min, frequency.mostLikely, frequency.max];
+  if (frequencyValues.some(value => !Number.isFinite(value)
+    || value < SCENARIO_LIMITS.frequency.min || value > SCENARIO_LIMITS.frequency.max)) {
+    errors.frequency = `Frequencies must be between ${SCENARIO_LIMITS.frequency.min} and ${SCENARIO_LIMITS.frequency.max} events per year`;
+  } else if (frequency.min > frequency.mostLikely || frequency.mostLikely > frequency.max) {
+    errors.frequency = 'Frequency must satisfy min ≤ most likely ≤ max';
+  } else if (frequency.max === 0) {
+    errors.frequency = 'Maximum frequency must be greater than zero';
+  }
+
+  const magnitudeValues = [magnitude.low, magnitude.high];
+  if (magnitudeValues.some(value => !Number.isFinite(value)
+    || value < SCENARIO_LIMITS.magnitude.min || value > SCENARIO_LIMITS.magnitude.max)) {
+    errors.magnitude = `Loss range must be between ${SCENARIO_LIMITS.magnitude.min.toLocaleString()} and ${SCENARIO_LIMITS.magnitude.max.toLocaleString()}`;
+  } else if (magnitude.low >= magnitude.high) {
+    errors.magnitude = 'Low estimate must be below high estimate';
+  }
+
+  const recordExposure = scenario.recordExposure || 0;
+  if (!Number.isFinite(recordExposure)
+    || recordExposure < SCENARIO_LIMITS.recordExposure.min || recordExposure > SCENARIO_LIMITS.recordExposure.max) {
+    errors.recordExposure = 'Records exposed must be between 0% and 100%';
+  }
+
+  return errors;
+};
+
+// z-score of the 95th percentile: low/high bound a 90% interval
+const Z_90 = 1.6449;
+
+// Lognormal parameters implied by the scenario's 90% loss range
+export const magnitudeToLognormal = ({ low, high }) => ({
+  median: Math.sqrt(low * high),
+  sigma: Math.log(high / low) / (2 * Z_90)
+});
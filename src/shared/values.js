@@ -0,0 +1,15 @@
+// Small helpers for the values the calculator, the trainer and the functions store and validate
+
+// A new record id: the prefix, the time and a random suffix, unique enough for one organization's records
+export const generateId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Whether a parsed JSON value is an object, not null or an array
+export const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Emails compare trimmed and lowercase
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+export const isEmail = (email) => /^[^@\s]+@[^@\s]+$/.test(email);
+
+// The lowercase domain of an email, or '' when it has none
+export const emailDomain = (email) => normalizeEmail(email).split('@')[1] || '';
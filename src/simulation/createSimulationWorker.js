@@ -0,0 +1,10 @@
+// Kept in its own module: `import.meta` is bundler syntax, so tests can mock this file out
+export const createSimulationWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./simulation.worker.js', import.meta.url));
+  } catch (error) {
+    console.error('Simulation worker unavailable, running on main thread:', error);
+    return null;
+  }
+};
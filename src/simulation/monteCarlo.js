@@ -0,0 +1,338 @@
+// Monte Carlo engine for FAIR-style annual loss simulation.
+// Each iteration samples how many times a scenario occurs in a year (loss event frequency)
+// and how much each occurrence costs (loss magnitude), then sums them into an annual loss.
+// With an insurance policy, every loss event is also settled against the policy year's limits.
+import { createPolicyState, settleLoss } from './policySettlement';
+
+export const PERCENTILE_LEVELS = [
+  { label: '5th', p: 0.05 },
+  { label: '25th', p: 0.25 },
+  { label: 'Median', p: 0.5 },
+  { label: '75th', p: 0.75 },
+  { label: '95th', p: 0.95 }
+];
+
+export const DEFAULT_SIMULATION_OPTIONS = {
+  iterations: 10000,
+  seed: 20240601,
+  curvePoints: 40
+};
+
+// Seeded PRNG (mulberry32) so identical inputs always produce identical numbers
+export const createRandom = (seed = DEFAULT_SIMULATION_OPTIONS.seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Box-Muller transform
+const sampleStandardNormal = (random) => {
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+// Marsaglia-Tsang method, valid for shape >= 1 (always true for PERT parameters)
+const sampleGamma = (shape, random) => {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleStandardNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+};
+
+export const samplePoisson = (lambda, random) => {
+  if (!(lambda > 0)) return 0;
+
+  // Normal approximation keeps large rates from looping thousands of times
+  if (lambda > 30) {
+    return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * sampleStandardNormal(random)));
+  }
+
+  // Knuth's multiplication method
+  const limit = Math.exp(-lambda);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count += 1;
+    product *= random();
+  }
+  return count;
+};
+
+export const sampleLognormal = ({ median, sigma }, random) => (
+  median * Math.exp(sigma * sampleStandardNormal(random))
+);
+
+export const samplePert = ({ min, mode, max }, random) => {
+  if (max <= min) return min;
+  const range = max - min;
+  const alpha = 1 + 4 * (mode - min) / range;
+  const beta = 1 + 4 * (max - mode) / range;
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return min + range * (x / (x + y));
+};
+
+export const sampleDistribution = (distribution, random) => {
+  switch (distribution.type) {
+    case 'lognormal':
+      return sampleLognormal(distribution, random);
+    case 'pert':
+      return samplePert(distribution, random);
+    default:
+      throw new Error(`Unknown distribution: ${distribution.type}`);
+  }
+};
+
+// Analytic mean of a distribution (or a fixed number)
+export const distributionMean = (distribution) => {
+  if (typeof distribution === 'number') return distribution;
+  switch (distribution.type) {
+    case 'lognormal':
+      return distribution.median * Math.exp((distribution.sigma * distribution.sigma) / 2);
+    case 'pert':
+      return (distribution.min + 4 * distribution.mode + distribution.max) / 6;
+    default:
+      throw new Error(`Unknown distribution: ${distribution.type}`);
+  }
+};
+
+// A fixed annual rate, or an uncertain one drawn fresh for each simulated year
+const sampleRate = (frequency, random) => (
+  typeof frequency === 'number' ? frequency : sampleDistribution(frequency, random)
+);
+
+// Linear interpolation between closest ranks of an ascending array
+export const quantile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const summarizePercentiles = (sorted) => PERCENTILE_LEVELS.reduce((acc, { label, p }) => {
+  acc[label] = Math.round(quantile(sorted, p));
+  return acc;
+}, {});
+
+const mean = (values) => {
+  let sum = 0;
+  for (let i = 0; i < values.length; i += 1) sum += values[i];
+  return values.length ? sum / values.length : 0;
+};
+
+// Share of sorted values strictly greater than threshold (binary search)
+const exceedanceProbability = (sorted, threshold) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (sorted[mid] <= threshold) low = mid + 1;
+    else high = mid;
+  }
+  return (sorted.length - low) / sorted.length;
+};
+
+// Log-spaced loss thresholds shared by every curve so they can be overlaid
+const buildLossThresholds = (low, high, points) => {
+  const start = Math.max(low, 1);
+  const end = Math.max(high, start * 10);
+  const step = (Math.log10(end) - Math.log10(start)) / (points - 1);
+  return Array.from({ length: points }, (_, i) => Math.round(10 ** (Math.log10(start) + step * i)));
+};
+
+const buildExceedanceCurve = (sorted, thresholds) => thresholds.map(loss => ({
+  loss,
+  probability: Number(exceedanceProbability(sorted, loss).toFixed(4))
+}));
+
+const summarizeInsured = (insured, retained) => ({
+  insuredAle: Math.round(mean(insured)),
+  retainedAle: Math.round(mean(retained)),
+  insuredPercentiles: summarizePercentiles(insured.sort()),
+  retainedPercentiles: summarizePercentiles(retained.sort())
+});
+
+// Settle every simulated year's loss events against a fresh policy year. Events within a year are
+// settled in random order so no scenario gets first claim on the limits; the ordering uses its own
+// PRNG stream so gross losses are identical with or without a policy.
+const simulateInsurance = (sampled, aggregateLosses, policy, iterations, seed) => {
+  const random = createRandom(seed ^ 0x5bd1e995);
+  const cursors = sampled.map(() => 0);
+  const insuredByScenario = sampled.map(() => new Float64Array(iterations));
+  const insuredTotal = new Float64Array(iterations);
+  const partExhaustedYears = policy.parts.map(() => 0);
+  let limitExhaustedYears = 0;
+  const yearEvents = [];
+
+  for (let i = 0; i < iterations; i += 1) {
+    yearEvents.length = 0;
+    sampled.forEach(({ eventCounts, eventLosses }, index) => {
+      for (let e = 0; e < eventCounts[i]; e += 1) {
+        yearEvents.push({ index, loss: eventLosses[cursors[index] + e] });
+      }
+      cursors[index] += eventCounts[i];
+    });
+    if (yearEvents.length === 0) continue;
+
+    // Fisher-Yates shuffle
+    for (let e = yearEvents.length - 1; e > 0; e -= 1) {
+      const j = Math.floor(random() * (e + 1));
+      [yearEvents[e], yearEvents[j]] = [yearEvents[j], yearEvents[e]];
+    }
+
+    const state = createPolicyState(policy);
+    yearEvents.forEach(({ index, loss }) => {
+      const insured = settleLoss(policy, state, loss);
+      insuredByScenario[index][i] += insured;
+      insuredTotal[i] += insured;
+    });
+
+    if (policy.aggregateLimit > 0 && state.aggregate <= policy.aggregateLimit * 1e-9) limitExhaustedYears += 1;
+    state.parts.forEach((remaining, index) => {
+      if (policy.parts[index].sublimit !== null && remaining <= policy.parts[index].sublimit * 1e-9) {
+        partExhaustedYears[index] += 1;
+      }
+    });
+  }
+
+  const retainedTotal = aggregateLosses.map((loss, i) => loss - insuredTotal[i]);
+
+  return {
+    scenarios: sampled.map(({ annualLosses }, index) => summarizeInsured(
+      insuredByScenario[index],
+      annualLosses.map((loss, i) => loss - insuredByScenario[index][i])
+    )),
+    aggregate: {
+      ...summarizeInsured(insuredTotal, retainedTotal),
+      limitExhaustionProbability: limitExhaustedYears / iterations,
+      sublimitExhaustion: policy.parts.map((part, index) => ({
+        id: part.id,
+        probability: part.sublimit === null ? null : partExhaustedYears[index] / iterations
+      }))
+    }
+  };
+};
+
+// scenarios: [{ id, name, frequency: number | distribution, magnitude: { type: 'lognormal' | 'pert', ... } }]
+// options.policy: compiled insurance terms (see policySettlement.js), optional
+// options.onYearLosses: called with the total loss of every simulated year, in year order, optional
+export const runSimulation = (scenarios, options = {}) => {
+  const { iterations, seed, curvePoints, policy, onYearLosses } = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+  const random = createRandom(seed);
+  const aggregateLosses = new Float64Array(iterations);
+
+  const sampled = scenarios.map(scenario => {
+    const annualLosses = new Float64Array(iterations);
+    const singleLosses = new Float64Array(iterations);
+    let lossYears = 0;
+
+    // Individual events are kept only when they need settling against a policy
+    const eventCounts = policy ? new Int32Array(iterations) : null;
+    const eventLosses = policy ? [] : null;
+
+    for (let i = 0; i < iterations; i += 1) {
+      singleLosses[i] = sampleDistribution(scenario.magnitude, random);
+
+      const events = samplePoisson(sampleRate(scenario.frequency, random), random);
+      let annualLoss = 0;
+      for (let e = 0; e < events; e += 1) {
+        const loss = sampleDistribution(scenario.magnitude, random);
+        annualLoss += loss;
+        if (policy) eventLosses.push(loss);
+      }
+      if (policy) eventCounts[i] = events;
+      if (annualLoss > 0) lossYears += 1;
+      annualLosses[i] = annualLoss;
+      aggregateLosses[i] += annualLoss;
+    }
+
+    return { scenario, singleLosses, annualLosses, lossYears, eventCounts, eventLosses };
+  });
+
+  // Settle before sorting, while annual losses are still aligned by simulated year
+  const insurance = policy ? simulateInsurance(sampled, aggregateLosses, policy, iterations, seed) : null;
+  if (onYearLosses) onYearLosses(aggregateLosses);
+
+  sampled.forEach(({ singleLosses, annualLosses }) => {
+    singleLosses.sort();
+    annualLosses.sort();
+  });
+  aggregateLosses.sort();
+
+  const curveFloor = sampled.length
+    ? Math.min(...sampled.map(({ singleLosses }) => quantile(singleLosses, 0.01)))
+    : 1;
+  const thresholds = buildLossThresholds(curveFloor, quantile(aggregateLosses, 0.999), curvePoints);
+
+  return {
+    iterations,
+    scenarios: sampled.map(({ scenario, singleLosses, annualLosses, lossYears }, index) => ({
+      id: scenario.id,
+      name: scenario.name,
+      percentiles: summarizePercentiles(singleLosses),
+      annualLoss: {
+        ale: Math.round(mean(annualLosses)),
+        percentiles: summarizePercentiles(annualLosses),
+        probabilityOfLoss: lossYears / iterations
+      },
+      exceedanceCurve: buildExceedanceCurve(annualLosses, thresholds),
+      ...(insurance && { insurance: insurance.scenarios[index] })
+    })),
+    aggregate: {
+      ale: Math.round(mean(aggregateLosses)),
+      percentiles: summarizePercentiles(aggregateLosses),
+      probabilityOfLoss: exceedanceProbability(aggregateLosses, 0),
+      exceedanceCurve: buildExceedanceCurve(aggregateLosses, thresholds),
+      ...(insurance && { insurance: insurance.aggregate })
+    }
+  };
+};
+
+// Portfolio of independent entities: each job is simulated with its own random stream, and the
+// entities' losses are summed year by year into the portfolio's annual loss distribution.
+export const runPortfolioSimulation = (jobs, options = {}) => {
+  const { iterations, seed, curvePoints } = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+  const portfolioLosses = new Float64Array(iterations);
+
+  const outputs = jobs.map(({ scenarios, policy }, index) => runSimulation(scenarios, {
+    ...options,
+    policy,
+    seed: seed + index,
+    onYearLosses: (losses) => {
+      for (let i = 0; i < iterations; i += 1) portfolioLosses[i] += losses[i];
+    }
+  }));
+
+  portfolioLosses.sort();
+  const curveFloor = outputs.length
+    ? Math.min(...outputs.map(output => output.aggregate.exceedanceCurve[0].loss))
+    : 1;
+  const thresholds = buildLossThresholds(curveFloor, quantile(portfolioLosses, 0.999), curvePoints);
+
+  return {
+    outputs,
+    portfolio: {
+      ale: Math.round(mean(portfolioLosses)),
+      percentiles: summarizePercentiles(portfolioLosses),
+      probabilityOfLoss: exceedanceProbability(portfolioLosses, 0),
+      exceedanceCurve: buildExceedanceCurve(portfolioLosses, thresholds)
+    }
+  };
+};
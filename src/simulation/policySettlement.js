@@ -0,0 +1,38 @@
+// Settles individual loss events against an insurance policy's compiled terms.
+// terms: {
+//   retention,        // per-event deductible, applied to the covered part of the loss
+//   coinsurance,      // share of each claim above the retention the insured keeps (0-1)
+//   aggregateLimit,   // most the policy pays in a policy year
+//   parts: [{ id, share, sublimit }]  // share of each loss falling under a coverage part; sublimit null = aggregate only
+// }
+// Whatever share of a loss is not assigned to a part is excluded and fully retained.
+
+export const coveredShare = (terms) => terms.parts.reduce((sum, part) => sum + part.share, 0);
+
+// Remaining limits at the start of a policy year
+export const createPolicyState = (terms) => ({
+  aggregate: terms.aggregateLimit,
+  parts: terms.parts.map(part => (part.sublimit === null ? Infinity : part.sublimit))
+});
+
+// Insured amount of one loss event; draws down `state` limits
+export const settleLoss = (terms, state, loss) => {
+  const coveredLoss = loss * coveredShare(terms);
+  if (coveredLoss <= terms.retention || state.aggregate <= 0) return 0;
+
+  // Retention and coinsurance are shared pro rata across the coverage parts the loss falls under
+  const payableShare = (1 - terms.retention / coveredLoss) * (1 - terms.coinsurance);
+  const claims = terms.parts.map((part, index) => Math.min(loss * part.share * payableShare, state.parts[index]));
+  const total = claims.reduce((sum, claim) => sum + claim, 0);
+  const scale = total > state.aggregate ? state.aggregate / total : 1;
+
+  claims.forEach((claim, index) => {
+    state.parts[index] -= claim * scale;
+  });
+  const insured = total * scale;
+  state.aggregate -= insured;
+  return insured;
+};
+
+// Insured amount of a single loss against a fresh policy year
+export const settleSingleLoss = (terms, loss) => settleLoss(terms, createPolicyState(terms), loss);
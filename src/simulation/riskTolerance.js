@@ -0,0 +1,51 @@
+// Risk tolerance (appetite) curve: the highest acceptable probability of annual loss exceeding each amount.
+// Points are interpolated linearly in log(loss) so the curve reads naturally on a log-scaled axis.
+
+export const DEFAULT_RISK_TOLERANCE = [
+  { loss: 250000, probability: 0.25 },
+  { loss: 1000000, probability: 0.1 },
+  { loss: 5000000, probability: 0.02 }
+];
+
+export const MAX_TOLERANCE_POINTS = 20;
+
+export const interpolateTolerance = (points, loss) => {
+  const sorted = [...points]
+    .filter(point => point.loss > 0)
+    .sort((a, b) => a.loss - b.loss);
+  if (sorted.length === 0) return null;
+  if (loss <= sorted[0].loss) return sorted[0].probability;
+
+  const last = sorted[sorted.length - 1];
+  if (loss >= last.loss) return last.probability;
+
+  const upperIndex = sorted.findIndex(point => point.loss >= loss);
+  const lower = sorted[upperIndex - 1];
+  const upper = sorted[upperIndex];
+  const ratio = (Math.log(loss) - Math.log(lower.loss)) / (Math.log(upper.loss) - Math.log(lower.loss));
+  return lower.probability + (upper.probability - lower.probability) * ratio;
+};
+
+// Loss ranges where the exceedance curve sits above tolerance
+export const findToleranceBreaches = (curve, points) => {
+  const breaches = [];
+  let current = null;
+
+  curve.forEach(({ loss, probability }) => {
+    const tolerance = interpolateTolerance(points, loss);
+    const exceeds = tolerance !== null && probability > tolerance;
+
+    if (exceeds && !current) {
+      current = { from: loss, to: loss, worstGap: probability - tolerance };
+    } else if (exceeds) {
+      current.to = loss;
+      current.worstGap = Math.max(current.worstGap, probability - tolerance);
+    } else if (current) {
+      breaches.push(current);
+      current = null;
+    }
+  });
+
+  if (current) breaches.push(current);
+  return breaches;
+};
@@ -0,0 +1,17 @@
+/* eslint-disable no-restricted-globals */
+import { runSimulation, runPortfolioSimulation } from './monteCarlo';
+
+// Each message carries a batch of scenario sets, each with an optional insurance policy;
+// outputs come back in the same order. A portfolio batch also returns the combined loss distribution.
+self.onmessage = (event) => {
+  const { id, jobs, options, portfolio } = event.data;
+  try {
+    if (portfolio) {
+      self.postMessage({ id, ...runPortfolioSimulation(jobs, options) });
+      return;
+    }
+    self.postMessage({ id, outputs: jobs.map(({ scenarios, policy }) => runSimulation(scenarios, { ...options, policy })) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,90 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { runSimulation, runPortfolioSimulation, DEFAULT_SIMULATION_OPTIONS } from './monteCarlo';
+import { createSimulationWorker } from './createSimulationWorker';
+import { toSimulationInput } from '../model/riskModel';
+
+// Runs the Monte Carlo simulation for every model in `models` off the main thread.
+// Returns the models the latest completed run was computed from alongside their outputs,
+// so callers never mix a new model with a stale simulation. With `options.portfolio` the models
+// are simulated as independent entities and `portfolio` holds their combined loss distribution.
+export const useSimulationBatch = (models, options = {}) => {
+  const { iterations, seed, portfolio = false } = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+  const [state, setState] = useState({ models: null, outputs: null, portfolio: null, error: null, isSimulating: false });
+  const workerRef = useRef(null);
+  const jobsRef = useRef({ latestId: 0, models: new Map() });
+
+  useEffect(() => {
+    const worker = createSimulationWorker();
+    if (!worker) return undefined;
+
+    const jobs = jobsRef.current;
+    worker.onmessage = (event) => {
+      const { id, outputs, portfolio: portfolioOutput = null, error } = event.data;
+      const jobModels = jobs.models.get(id);
+      jobs.models.delete(id);
+      if (id !== jobs.latestId) return;
+
+      if (error) {
+        console.error('Simulation error:', error);
+        setState(prev => ({ ...prev, error, isSimulating: false }));
+        return;
+      }
+      setState({ models: jobModels, outputs, portfolio: portfolioOutput, error: null, isSimulating: false });
+    };
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!models) return undefined;
+
+    const jobs = jobsRef.current;
+    const id = jobs.latestId + 1;
+    jobs.latestId = id;
+    const simulationJobs = models.map(toSimulationInput);
+    const simulationOptions = { iterations, seed };
+    setState(prev => ({ ...prev, isSimulating: true }));
+
+    if (workerRef.current) {
+      jobs.models.set(id, models);
+      workerRef.current.postMessage({ id, jobs: simulationJobs, options: simulationOptions, portfolio });
+      return undefined;
+    }
+
+    // Fallback for environments without Web Worker support
+    const timer = setTimeout(() => {
+      try {
+        if (portfolio) {
+          const output = runPortfolioSimulation(simulationJobs, simulationOptions);
+          setState({ models, outputs: output.outputs, portfolio: output.portfolio, error: null, isSimulating: false });
+          return;
+        }
+        const outputs = simulationJobs.map(({ scenarios, policy }) => runSimulation(scenarios, { ...simulationOptions, policy }));
+        setState({ models, outputs, portfolio: null, error: null, isSimulating: false });
+      } catch (error) {
+        console.error('Simulation error:', error);
+        setState(prev => ({ ...prev, error: error.message, isSimulating: false }));
+      }
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [models, iterations, seed, portfolio]);
+
+  return state;
+};
+
+// Single-model convenience wrapper around useSimulationBatch
+export const useSimulation = (model, options = {}) => {
+  const models = useMemo(() => (model ? [model] : null), [model]);
+  const { models: simulatedModels, outputs, error, isSimulating } = useSimulationBatch(models, options);
+
+  return {
+    model: simulatedModels ? simulatedModels[0] : null,
+    output: outputs ? outputs[0] : null,
+    error,
+    isSimulating
+  };
+};